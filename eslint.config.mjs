@@ -93,7 +93,9 @@ export default [
             '**/build/**',
             // Injected page scripts (XHR interceptor + script loader)
             'main/background/injected.js',
-            'main/background/inject.js'
+            'main/background/inject.js',
+            // Vendored WebVTT parser
+            'main/utils/webvtt_parser.js'
         ]
     }
 ];
@@ -9,6 +9,53 @@ const DEEPL_PRO_ENDPOINT = import.meta.env.DEV
   ? "/api/deepl"
   : "https://api.deepl.com/v2";
 const DEFAULT_TARGET_LANGUAGE = "EN-US";
+const DEFAULT_TRANSLATION_PROVIDER = "deepl";
+const DEFAULT_CONTEXT_WINDOW_SIZE = 2;
+const CONTEXT_WINDOW_SIZE_OPTIONS = [0, 1, 2, 3, 4, 5];
+const DEFAULT_SENTENCE_MERGING_MODE = "off";
+const SENTENCE_MERGING_MODE_OPTIONS = [
+  { id: "off", label: "Off: translate each subtitle line separately" },
+  {
+    id: "proportional",
+    label: "Merge sentences, split translation across the lines",
+  },
+  {
+    id: "spanning",
+    label: "Merge sentences, show whole translation under each line",
+  },
+];
+const DEFAULT_SHADOWING_RESUME_DELAY_FACTOR = 0;
+const SHADOWING_RESUME_DELAY_FACTOR_OPTIONS = [
+  { factor: 0, label: "Wait until I press Enter" },
+  { factor: 1, label: "Resume after the line duration" },
+  { factor: 1.5, label: "Resume after 1.5× the line duration" },
+  { factor: 2, label: "Resume after 2× the line duration" },
+  { factor: 3, label: "Resume after 3× the line duration" },
+];
+const SUBTITLE_EXPORT_FORMAT_OPTIONS = [
+  { id: "srt", label: "Bilingual SRT" },
+  { id: "vtt", label: "WebVTT (two-line cues)" },
+  { id: "ass", label: "ASS (Finnish and translation styles)" },
+];
+const SUBTITLE_SEARCH_MODE_OPTIONS = [
+  { id: "words", label: "Whole words" },
+  { id: "phrase", label: "Phrase, also inside words" },
+  { id: "regex", label: "Regular expression" },
+];
+// A search running longer is stopped, a regular expression may never finish on some lines
+const SUBTITLE_SEARCH_TIMEOUT_MS = 5000;
+const GOOGLE_TRANSLATE_ENDPOINT =
+  "https://translation.googleapis.com/language/translate/v2";
+
+/**
+ * Translation services the extension can use. `id` must match the provider ids
+ * registered in main/background/background.js
+ */
+const TRANSLATION_PROVIDER_OPTIONS = [
+  { id: "deepl", label: "DeepL (recommended for Finnish)" },
+  { id: "google", label: "Google Cloud Translation" },
+  { id: "libretranslate", label: "LibreTranslate (self-hosted)" },
+];
 
 /**
  *
@@ -185,6 +232,332 @@ class ChromeStorageSyncHandler {
   static async setTargetLanguage(targetLanguage) {
     await chrome.storage.sync.set({ targetLanguage: targetLanguage });
   }
+
+  /**
+   * @returns {Promise<number>} number of previous/next subtitle lines sent as translation context
+   */
+  static async getContextWindowSize() {
+    const result = await chrome.storage.sync.get("contextWindowSize");
+
+    if (typeof result !== "object" || result === null) {
+      return DEFAULT_CONTEXT_WINDOW_SIZE;
+    }
+    if (
+      !Number.isInteger(result.contextWindowSize) ||
+      result.contextWindowSize < 0
+    ) {
+      return DEFAULT_CONTEXT_WINDOW_SIZE;
+    }
+    return result.contextWindowSize;
+  }
+
+  /**
+   * @param {number} contextWindowSize
+   * @returns {Promise<void>}
+   */
+  static async setContextWindowSize(contextWindowSize) {
+    await chrome.storage.sync.set({ contextWindowSize: contextWindowSize });
+  }
+
+  /**
+   * @returns {Promise<string>} how cues forming one sentence are merged, exp: "off"
+   */
+  static async getSentenceMergingMode() {
+    const result = await chrome.storage.sync.get("sentenceMergingMode");
+
+    if (typeof result !== "object" || result === null) {
+      return DEFAULT_SENTENCE_MERGING_MODE;
+    }
+    if (
+      !SENTENCE_MERGING_MODE_OPTIONS.some(
+        (option) => option.id === result.sentenceMergingMode,
+      )
+    ) {
+      return DEFAULT_SENTENCE_MERGING_MODE;
+    }
+    return result.sentenceMergingMode;
+  }
+
+  /**
+   * @param {string} sentenceMergingMode
+   * @returns {Promise<void>}
+   */
+  static async setSentenceMergingMode(sentenceMergingMode) {
+    await chrome.storage.sync.set({ sentenceMergingMode: sentenceMergingMode });
+  }
+
+  /**
+   * @returns {Promise<boolean>} whether unknown words are highlighted in Finnish subtitles
+   */
+  static async getReadingMode() {
+    const result = await chrome.storage.sync.get("readingMode");
+
+    if (typeof result !== "object" || result === null) {
+      return false;
+    }
+    return result.readingMode === true;
+  }
+
+  /**
+   * @param {boolean} readingMode
+   * @returns {Promise<void>}
+   */
+  static async setReadingMode(readingMode) {
+    await chrome.storage.sync.set({ readingMode: readingMode });
+  }
+
+  /**
+   * @returns {Promise<number>} shadowing mode resume delay as a multiple of the line duration,
+   * 0 waits for a key press
+   */
+  static async getShadowingResumeDelayFactor() {
+    const result = await chrome.storage.sync.get("shadowingResumeDelayFactor");
+
+    if (typeof result !== "object" || result === null) {
+      return DEFAULT_SHADOWING_RESUME_DELAY_FACTOR;
+    }
+    if (
+      !SHADOWING_RESUME_DELAY_FACTOR_OPTIONS.some(
+        (option) => option.factor === result.shadowingResumeDelayFactor,
+      )
+    ) {
+      return DEFAULT_SHADOWING_RESUME_DELAY_FACTOR;
+    }
+    return result.shadowingResumeDelayFactor;
+  }
+
+  /**
+   * @param {number} shadowingResumeDelayFactor
+   * @returns {Promise<void>}
+   */
+  static async setShadowingResumeDelayFactor(shadowingResumeDelayFactor) {
+    await chrome.storage.sync.set({
+      shadowingResumeDelayFactor: shadowingResumeDelayFactor,
+    });
+  }
+
+  /**
+   * @returns {Promise<string>} active translation provider id, exp: "deepl"
+   */
+  static async getTranslationProvider() {
+    const result = await chrome.storage.sync.get("translationProvider");
+
+    if (typeof result !== "object" || result === null) {
+      return DEFAULT_TRANSLATION_PROVIDER;
+    }
+    if (
+      typeof result.translationProvider !== "string" ||
+      result.translationProvider.length === 0
+    ) {
+      return DEFAULT_TRANSLATION_PROVIDER;
+    }
+    return result.translationProvider;
+  }
+
+  /**
+   * @param {string} translationProvider
+   * @returns {Promise<void>}
+   */
+  static async setTranslationProvider(translationProvider) {
+    await chrome.storage.sync.set({ translationProvider: translationProvider });
+  }
+
+  /**
+   * @returns {Promise<Object<string, Object>>} configurations of non-DeepL providers, keyed by provider id
+   */
+  static async getTranslationProviderConfigs() {
+    const result = await chrome.storage.sync.get("translationProviderConfigs");
+
+    if (typeof result !== "object" || result === null) {
+      return {};
+    }
+    if (
+      typeof result.translationProviderConfigs !== "object" ||
+      result.translationProviderConfigs === null
+    ) {
+      return {};
+    }
+    return result.translationProviderConfigs;
+  }
+
+  /**
+   * @param {Object<string, Object>} translationProviderConfigs
+   * @returns {Promise<void>}
+   */
+  static async setTranslationProviderConfigs(translationProviderConfigs) {
+    await chrome.storage.sync.set({
+      translationProviderConfigs: translationProviderConfigs,
+    });
+  }
+}
+
+/**
+ * Subtitle cache and lookup history live in the extension database owned by
+ * the background service worker
+ */
+class BackgroundDatabaseHandler {
+  /**
+   * @param {Object} message
+   * @returns {Promise<any>} second element of the background response tuple
+   */
+  static async sendMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || response[0] === false) {
+      throw new Error(response?.[1] || "No response from background");
+    }
+    return response[1];
+  }
+
+  /**
+   * @param {string} operation - database.js function name
+   * @param {Array<any>} args - function arguments after the database instance
+   * @returns {Promise<any>}
+   */
+  static async runDatabaseOperation(operation, args = []) {
+    return BackgroundDatabaseHandler.sendMessage({
+      action: "database",
+      data: { operation, args },
+    });
+  }
+
+  /**
+   * @returns {Promise<string[]>} names of episodes whose subtitle track is saved
+   */
+  static async getExportableEpisodeNames() {
+    return BackgroundDatabaseHandler.runDatabaseOperation(
+      "getAllEpisodeCuesMovieNames",
+    );
+  }
+
+  /**
+   * @param {string} movieName
+   * @param {string} targetLanguage
+   * @param {string} format - "srt", "vtt" or "ass"
+   * @returns {Promise<{fileName: string, fileContent: string}>}
+   */
+  static async exportEpisodeSubtitles(movieName, targetLanguage, format) {
+    return BackgroundDatabaseHandler.sendMessage({
+      action: "exportEpisodeSubtitles",
+      data: { movieName, targetLanguage, format },
+    });
+  }
+
+  /**
+   * @param {string} targetLanguage
+   * @returns {Promise<Array<Object>>} cached subtitle lines of every episode in the target language
+   */
+  static async loadSubtitlesByTargetLanguage(targetLanguage) {
+    return BackgroundDatabaseHandler.runDatabaseOperation(
+      "loadSubtitlesByTargetLanguage",
+      [targetLanguage],
+    );
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} lookup records, oldest first
+   */
+  static async getAllLookups() {
+    return BackgroundDatabaseHandler.runDatabaseOperation("getAllLookups");
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  static async deleteLookup(id) {
+    await BackgroundDatabaseHandler.runDatabaseOperation("deleteLookup", [id]);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  static async clearLookupHistory() {
+    await BackgroundDatabaseHandler.runDatabaseOperation("clearLookupHistory");
+  }
+
+  /**
+   * @returns {Promise<{fileName: string, fileContent: string}>}
+   */
+  static async exportAnkiDeck() {
+    return BackgroundDatabaseHandler.sendMessage({ action: "exportAnkiDeck" });
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} vocabulary words sorted by word
+   */
+  static async getAllVocabularyWords() {
+    return BackgroundDatabaseHandler.runDatabaseOperation(
+      "getAllVocabularyWords",
+    );
+  }
+
+  /**
+   * @param {string} word
+   * @param {string} targetLanguage
+   * @param {{tags?: string[], known?: boolean}} changes
+   * @returns {Promise<Object | null>} updated vocabulary word
+   */
+  static async updateVocabularyWord(word, targetLanguage, changes) {
+    return BackgroundDatabaseHandler.runDatabaseOperation(
+      "updateVocabularyWord",
+      [word, targetLanguage, changes],
+    );
+  }
+
+  /**
+   * @param {string} word
+   * @param {string} targetLanguage
+   * @returns {Promise<void>}
+   */
+  static async deleteVocabularyWord(word, targetLanguage) {
+    await BackgroundDatabaseHandler.runDatabaseOperation(
+      "deleteVocabularyWord",
+      [word, targetLanguage],
+    );
+  }
+
+  /**
+   * @param {string[]} lines - Wiktionary dump lines, one JSON object per line
+   * @returns {Promise<{importedCount: number, skippedCount: number}>}
+   */
+  static async importDictionaryLines(lines) {
+    return BackgroundDatabaseHandler.sendMessage({
+      action: "importDictionaryLines",
+      data: { lines },
+    });
+  }
+
+  /**
+   * @returns {Promise<number>} number of words in the offline dictionary
+   */
+  static async countDictionaryEntries() {
+    return BackgroundDatabaseHandler.runDatabaseOperation(
+      "countDictionaryEntries",
+    );
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  static async clearDictionary() {
+    await BackgroundDatabaseHandler.runDatabaseOperation("clearDictionary");
+  }
+}
+
+/**
+ * Let the browser download text as a file
+ * @param {string} fileName
+ * @param {string} fileContent
+ */
+function downloadTextFile(fileName, fileContent) {
+  const fileUrl = URL.createObjectURL(
+    new Blob([fileContent], { type: "text/plain;charset=utf-8" }),
+  );
+  const downloadLink = document.createElement("a");
+  downloadLink.href = fileUrl;
+  downloadLink.download = fileName;
+  downloadLink.click();
+  setTimeout(() => URL.revokeObjectURL(fileUrl), 1000);
 }
 
 function Header() {
@@ -248,6 +621,92 @@ async function queryTokenUsageInfo(tokenKey, tokenType) {
   }
 }
 
+/**
+ * Validate a Google Cloud API key by listing supported languages, which does not consume quota
+ * @param {string} apiKey
+ * @returns {Promise<[true, null]|[false, string]>} - Returns a tuple where the first element indicates validity
+ * and the second is an error message if the key cannot be used.
+ */
+async function queryGoogleTranslateKeyValidity(apiKey) {
+  const url = `${GOOGLE_TRANSLATE_ENDPOINT}/languages?key=${encodeURIComponent(apiKey)}`;
+  try {
+    const response = await fetch(url, { method: "GET" });
+    if (!response.ok) {
+      if (response.status === 400 || response.status === 403) {
+        return [
+          false,
+          "This API key is invalid, restricted or the Cloud Translation API is not enabled for its Google Cloud project.",
+        ];
+      }
+      return [
+        false,
+        `Checking Google Cloud API key failed with error code ${response.status}. Please try again later.`,
+      ];
+    }
+    return [true, null];
+  } catch (error) {
+    const errorMessage = `Request failed: ${error}. This could be a network error, or the extension may not have permission to send requests to Google Cloud.`;
+    console.error("FinnishStreamingDualSubExtension: " + errorMessage);
+    return [false, errorMessage];
+  }
+}
+
+/**
+ * Accept both a server base URL and its translate endpoint.
+ * For example: "http://localhost:5000" => "http://localhost:5000/translate"
+ * @param {string} rawUrl
+ * @returns {URL | null} translate endpoint URL, or null if rawUrl is not a valid http(s) URL
+ */
+function normalizeLibreTranslateUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl.trim());
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return null;
+  }
+  if (!url.pathname.replace(/\/+$/, "").endsWith("/translate")) {
+    url.pathname = `${url.pathname.replace(/\/+$/, "")}/translate`;
+  }
+  return url;
+}
+
+/**
+ * Check that a LibreTranslate server is reachable and supports Finnish
+ * @param {URL} translateUrl - translate endpoint, exp: http://localhost:5000/translate
+ * @returns {Promise<[true, null]|[false, string]>} - Returns a tuple where the first element indicates
+ * whether the server can be used and the second is an error message otherwise.
+ */
+async function queryLibreTranslateServer(translateUrl) {
+  const languagesUrl = new URL("languages", translateUrl);
+  try {
+    const response = await fetch(languagesUrl, { method: "GET" });
+    if (!response.ok) {
+      return [
+        false,
+        `Your LibreTranslate server answered with error code ${response.status}. Please check the URL.`,
+      ];
+    }
+    const languages = await response.json();
+    const supportsFinnish =
+      Array.isArray(languages) &&
+      languages.some((language) => language && language.code === "fi");
+    if (!supportsFinnish) {
+      return [
+        false,
+        "Your LibreTranslate server does not support Finnish. Please enable the Finnish language model on the server.",
+      ];
+    }
+    return [true, null];
+  } catch (error) {
+    const errorMessage = `Cannot reach your LibreTranslate server: ${error}. Please make sure it is running and allows requests from this extension.`;
+    console.error("FinnishStreamingDualSubExtension: " + errorMessage);
+    return [false, errorMessage];
+  }
+}
+
 /**
  *
  * @param {number} num
@@ -370,6 +829,15 @@ function TokenInfoCard(props) {
             <p className="token-card__last-checked-text">
               Last checked: {tokenInfo.lastUsageCheckedAt}
             </p>
+            {tokenInfo.failoverReason && (
+              <p className="token-card__failover-text">
+                {tokenInfo.failoverReason === "invalid-key"
+                  ? "Rejected by DeepL"
+                  : "Quota exceeded"}
+                , switched to another key on{" "}
+                {formatDateInEnglishLocale(new Date(tokenInfo.failoverAt))}
+              </p>
+            )}
           </div>
         </div>
 
@@ -484,6 +952,14 @@ function TokenInfoCardList(props) {
           tokenInfo.characterCount = deeplUsageResponse.characterCount;
           tokenInfo.characterLimit = deeplUsageResponse.characterLimit;
           tokenInfo.lastUsageCheckedAt = formatDateInEnglishLocale(new Date());
+          if (
+            tokenInfo.failoverReason &&
+            Number(tokenInfo.characterCount) < Number(tokenInfo.characterLimit)
+          ) {
+            // Key works and has quota again, so automatic failover may use it
+            delete tokenInfo.failoverReason;
+            delete tokenInfo.failoverAt;
+          }
 
           const newTokenInfos = structuredClone(tokenInfos);
           setTokenInfos(newTokenInfos);
@@ -706,65 +1182,443 @@ function AddNewTokenForm(props) {
   );
 }
 
-function TokenManagementSection() {
-  /**
-   * @type {[DeepLTokenInfoInStorage[], (tokenKey: string) => void]}
-   */
-  const [tokenInfos, setTokenInfos] = useState([]);
+/**
+ * @typedef {Object} TranslationProviderSelectProps
+ * @property {string} translationProvider - The active translation provider id.
+ * @property {(translationProvider: string) => void} setTranslationProvider - A function to update the active provider.
+ */
 
-  useEffect(() => {
-    ChromeStorageSyncHandler.getAllDeepLTokens()
-      .then((chromeStorageTokenInfos) => {
-        setTokenInfos(chromeStorageTokenInfos);
-      })
-      .catch((error) => {
-        console.error(
-          "FinnishStreamingDualSubExtension: Error when getting all DeepL tokens from Chrome storage:",
-          error,
-        );
-      });
-  }, []);
+/**
+ * @param {TranslationProviderSelectProps} props
+ */
+function TranslationProviderSelect(props) {
+  const { translationProvider, setTranslationProvider } = props;
 
-  function setTokenInfosAndPersist(newTokenInfos) {
-    setTokenInfos(newTokenInfos);
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        gap: "8px",
+        marginBottom: "20px",
+      }}
+    >
+      <label className="add-token-form__input-label">
+        Translation service
+      </label>
+      <select
+        value={translationProvider}
+        onChange={(event) => setTranslationProvider(event.target.value)}
+        className="language-select-dropdown"
+      >
+        {TRANSLATION_PROVIDER_OPTIONS.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
 
-    ChromeStorageSyncHandler.setAllDeepLTokens(newTokenInfos).catch((error) => {
-      console.error(
-        "FinnishStreamingDualSubExtension: Error when setting all DeepL tokens to Chrome storage:",
-        error,
-      );
-    });
-  }
+/**
+ * @typedef {Object} GoogleCloudTranslateSettingsCardProps
+ * @property {{apiKey: string} | undefined} config - Stored Google Cloud Translation configuration.
+ * @property {(config: {apiKey: string} | null) => void} setConfig - A function to update (or remove with null) the configuration.
+ */
 
-  return (
-    <>
-      {tokenInfos.length > 2 && (
-        <div className="token-limit-warning">
-          <TriangleAlert size={18} />
-          <div>
-            <strong>Key limit exceeded:</strong> You have {tokenInfos.length}{" "}
-            translation keys, but the maximum is now 2. Please remove{" "}
-            {tokenInfos.length - 2} key{tokenInfos.length - 2 > 1 ? "s" : ""} to
-            continue adding new ones. If you need more capacity, consider{" "}
-            <a
-              href="https://www.deepl.com/en/pro/change-plan#api"
-              target="_blank"
-              rel="noopener noreferrer"
+/**
+ * @param {GoogleCloudTranslateSettingsCardProps} props
+ */
+function GoogleCloudTranslateSettingsCard(props) {
+  const { config, setConfig } = props;
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    const formElement = event.target;
+    const formData = new FormData(formElement);
+    const apiKey = String(formData.get("googleApiKey") || "").trim();
+
+    if (apiKey.length === 0) {
+      alert("Please enter a valid Google Cloud API key.");
+      return;
+    }
+
+    const [isValid, errorMessage] = await queryGoogleTranslateKeyValidity(apiKey);
+    if (!isValid) {
+      alert(errorMessage);
+      return;
+    }
+
+    setConfig({ apiKey });
+    formElement.reset();
+  }
+
+  if (config && config.apiKey) {
+    return (
+      <div className="token-card token-card-selected">
+        <div className="token-card__content">
+          <div className="token-card__header">
+            <div className="token-card__checkbox token-card__checkbox-selected">
+              <Check size={14} className="check-icon" />
+            </div>
+            <div className="token-card__details">
+              <h3 className="token-card__token-type">
+                Google Cloud Translation
+              </h3>
+              <p className="token-card__token-key">
+                {maskString(config.apiKey)}
+              </p>
+            </div>
+          </div>
+          <div className="token-card__action-buttons">
+            <button
+              onClick={() => {
+                if (
+                  confirm(
+                    `Are you sure you want to remove this API key: ${maskString(
+                      config.apiKey,
+                    )}?`,
+                  )
+                ) {
+                  setConfig(null);
+                }
+              }}
+              className="token-card__button token-card__remove_button"
             >
-              upgrading your DeepL plan
-            </a>
-            .
+              <Trash2 size={16} />
+              Remove
+            </button>
           </div>
         </div>
-      )}
-      <TokenInfoCardList
-        tokenInfos={tokenInfos}
-        setTokenInfos={setTokenInfosAndPersist}
-      />
-      <AddNewTokenForm
-        tokenInfos={tokenInfos}
-        setTokenInfos={setTokenInfosAndPersist}
+      </div>
+    );
+  }
+
+  return (
+    <form className="add-token-form" onSubmit={handleSubmit}>
+      <div style={{ display: "flex", flexDirection: "column" }}>
+        <label className="add-token-form__input-label">
+          Google Cloud API key
+        </label>
+        <input
+          type="text"
+          name="googleApiKey"
+          className="add-token-form__input-field"
+          placeholder="Paste your Google Cloud API key here (e.g., AIza...)"
+        />
+        <p style={{ fontSize: "14px", color: "#666", margin: "8px 0 0 0" }}>
+          The key's project must have the{" "}
+          <a
+            href="https://console.cloud.google.com/apis/library/translate.googleapis.com"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            Cloud Translation API
+          </a>{" "}
+          enabled.
+        </p>
+      </div>
+
+      <button
+        type="submit"
+        className="add-token-form__button"
+        style={{ margin: "8px 0" }}
+      >
+        Save Google Cloud API key
+      </button>
+    </form>
+  );
+}
+
+/**
+ * @typedef {Object} LibreTranslateSettingsCardProps
+ * @property {{url: string, apiKey?: string} | undefined} config - Stored LibreTranslate configuration.
+ * @property {(config: {url: string, apiKey?: string} | null) => void} setConfig - A function to update (or remove with null) the configuration.
+ */
+
+/**
+ * @param {LibreTranslateSettingsCardProps} props
+ */
+function LibreTranslateSettingsCard(props) {
+  const { config, setConfig } = props;
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    const formElement = event.target;
+    const formData = new FormData(formElement);
+    const translateUrl = normalizeLibreTranslateUrl(
+      String(formData.get("libreTranslateUrl") || ""),
+    );
+    const apiKey = String(formData.get("libreTranslateApiKey") || "").trim();
+
+    if (!translateUrl) {
+      alert(
+        "Please enter a valid server URL.\n" +
+          "Sample URL format: http://localhost:5000/translate",
+      );
+      return;
+    }
+
+    // Must be requested right away, while the form submission still counts as a user gesture
+    const isPermissionGranted = await chrome.permissions.request({
+      origins: [`${translateUrl.origin}/*`],
+    });
+    if (!isPermissionGranted) {
+      alert(
+        "The extension needs permission to send subtitles to your LibreTranslate server.",
+      );
+      return;
+    }
+
+    const [isReachable, errorMessage] =
+      await queryLibreTranslateServer(translateUrl);
+    if (!isReachable) {
+      alert(errorMessage);
+      return;
+    }
+
+    setConfig({ url: translateUrl.href, apiKey });
+    formElement.reset();
+  }
+
+  if (config && config.url) {
+    return (
+      <div className="token-card token-card-selected">
+        <div className="token-card__content">
+          <div className="token-card__header">
+            <div className="token-card__checkbox token-card__checkbox-selected">
+              <Check size={14} className="check-icon" />
+            </div>
+            <div className="token-card__details">
+              <h3 className="token-card__token-type">LibreTranslate</h3>
+              <p className="token-card__token-key">{config.url}</p>
+              {config.apiKey && (
+                <p className="token-card__token-key">
+                  {maskString(config.apiKey)}
+                </p>
+              )}
+            </div>
+          </div>
+          <div className="token-card__action-buttons">
+            <button
+              onClick={() => {
+                if (
+                  confirm(
+                    `Are you sure you want to remove this LibreTranslate server: ${config.url}?`,
+                  )
+                ) {
+                  setConfig(null);
+                }
+              }}
+              className="token-card__button token-card__remove_button"
+            >
+              <Trash2 size={16} />
+              Remove
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form className="add-token-form" onSubmit={handleSubmit}>
+      <div style={{ display: "flex", flexDirection: "column" }}>
+        <label className="add-token-form__input-label">
+          LibreTranslate server URL
+        </label>
+        <input
+          type="text"
+          name="libreTranslateUrl"
+          className="add-token-form__input-field"
+          placeholder="http://localhost:5000/translate"
+        />
+      </div>
+
+      <div style={{ display: "flex", flexDirection: "column" }}>
+        <label className="add-token-form__input-label">
+          API key (optional)
+        </label>
+        <input
+          type="text"
+          name="libreTranslateApiKey"
+          className="add-token-form__input-field"
+          placeholder="Only needed if your server requires API keys"
+        />
+        <p style={{ fontSize: "14px", color: "#666", margin: "8px 0 0 0" }}>
+          Subtitles are only sent to this server. See{" "}
+          <a
+            href="https://github.com/LibreTranslate/LibreTranslate"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            LibreTranslate
+          </a>{" "}
+          to run one locally, exp: <code>libretranslate --load-only fi,en</code>
+          .
+        </p>
+      </div>
+
+      <button
+        type="submit"
+        className="add-token-form__button"
+        style={{ margin: "8px 0" }}
+      >
+        Save LibreTranslate server
+      </button>
+    </form>
+  );
+}
+
+function TokenManagementSection() {
+  /**
+   * @type {[DeepLTokenInfoInStorage[], (tokenKey: string) => void]}
+   */
+  const [tokenInfos, setTokenInfos] = useState([]);
+  const [translationProvider, setTranslationProvider] = useState(
+    DEFAULT_TRANSLATION_PROVIDER,
+  );
+  const [translationProviderConfigs, setTranslationProviderConfigs] =
+    useState({});
+
+  useEffect(() => {
+    ChromeStorageSyncHandler.getAllDeepLTokens()
+      .then((chromeStorageTokenInfos) => {
+        setTokenInfos(chromeStorageTokenInfos);
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error when getting all DeepL tokens from Chrome storage:",
+          error,
+        );
+      });
+    ChromeStorageSyncHandler.getTranslationProvider()
+      .then((storedTranslationProvider) => {
+        setTranslationProvider(storedTranslationProvider);
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error when getting translation provider from Chrome storage:",
+          error,
+        );
+      });
+    ChromeStorageSyncHandler.getTranslationProviderConfigs()
+      .then((storedTranslationProviderConfigs) => {
+        setTranslationProviderConfigs(storedTranslationProviderConfigs);
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error when getting translation provider configs from Chrome storage:",
+          error,
+        );
+      });
+  }, []);
+
+  function setTokenInfosAndPersist(newTokenInfos) {
+    setTokenInfos(newTokenInfos);
+
+    ChromeStorageSyncHandler.setAllDeepLTokens(newTokenInfos).catch((error) => {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error when setting all DeepL tokens to Chrome storage:",
+        error,
+      );
+    });
+  }
+
+  function setTranslationProviderAndPersist(newTranslationProvider) {
+    setTranslationProvider(newTranslationProvider);
+
+    ChromeStorageSyncHandler.setTranslationProvider(
+      newTranslationProvider,
+    ).catch((error) => {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error when setting translation provider to Chrome storage:",
+        error,
+      );
+    });
+  }
+
+  /**
+   * @param {string} providerId
+   * @param {Object | null} providerConfig - null removes the configuration
+   */
+  function setTranslationProviderConfigAndPersist(providerId, providerConfig) {
+    const newTranslationProviderConfigs = { ...translationProviderConfigs };
+    if (providerConfig) {
+      newTranslationProviderConfigs[providerId] = providerConfig;
+    } else {
+      delete newTranslationProviderConfigs[providerId];
+    }
+    setTranslationProviderConfigs(newTranslationProviderConfigs);
+
+    ChromeStorageSyncHandler.setTranslationProviderConfigs(
+      newTranslationProviderConfigs,
+    ).catch((error) => {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error when setting translation provider configs to Chrome storage:",
+        error,
+      );
+    });
+  }
+
+  return (
+    <>
+      <TranslationProviderSelect
+        translationProvider={translationProvider}
+        setTranslationProvider={setTranslationProviderAndPersist}
       />
+      {translationProvider === "deepl" && (
+        <>
+          {tokenInfos.length > 2 && (
+            <div className="token-limit-warning">
+              <TriangleAlert size={18} />
+              <div>
+                <strong>Key limit exceeded:</strong> You have{" "}
+                {tokenInfos.length} translation keys, but the maximum is now
+                2. Please remove {tokenInfos.length - 2} key
+                {tokenInfos.length - 2 > 1 ? "s" : ""} to continue adding new
+                ones. If you need more capacity, consider{" "}
+                <a
+                  href="https://www.deepl.com/en/pro/change-plan#api"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  upgrading your DeepL plan
+                </a>
+                .
+              </div>
+            </div>
+          )}
+          <TokenInfoCardList
+            tokenInfos={tokenInfos}
+            setTokenInfos={setTokenInfosAndPersist}
+          />
+          <AddNewTokenForm
+            tokenInfos={tokenInfos}
+            setTokenInfos={setTokenInfosAndPersist}
+          />
+        </>
+      )}
+      {translationProvider === "google" && (
+        <GoogleCloudTranslateSettingsCard
+          config={translationProviderConfigs.google}
+          setConfig={(providerConfig) =>
+            setTranslationProviderConfigAndPersist("google", providerConfig)
+          }
+        />
+      )}
+      {translationProvider === "libretranslate" && (
+        <LibreTranslateSettingsCard
+          config={translationProviderConfigs.libretranslate}
+          setConfig={(providerConfig) =>
+            setTranslationProviderConfigAndPersist(
+              "libretranslate",
+              providerConfig,
+            )
+          }
+        />
+      )}
     </>
   );
 }
@@ -1024,6 +1878,16 @@ function TokenManagementHelpSection() {
 
 function PersonalSettingsSection() {
   const [targetLanguage, setTargetLanguage] = useState("EN-US");
+  const [contextWindowSize, setContextWindowSize] = useState(
+    DEFAULT_CONTEXT_WINDOW_SIZE,
+  );
+  const [sentenceMergingMode, setSentenceMergingMode] = useState(
+    DEFAULT_SENTENCE_MERGING_MODE,
+  );
+  const [readingMode, setReadingMode] = useState(false);
+  const [shadowingResumeDelayFactor, setShadowingResumeDelayFactor] = useState(
+    DEFAULT_SHADOWING_RESUME_DELAY_FACTOR,
+  );
 
   useEffect(() => {
     ChromeStorageSyncHandler.getTargetLanguage()
@@ -1036,88 +1900,1179 @@ function PersonalSettingsSection() {
           error,
         );
       });
+    ChromeStorageSyncHandler.getContextWindowSize()
+      .then((storedContextWindowSize) => {
+        setContextWindowSize(storedContextWindowSize);
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error loading context window size from Chrome storage:",
+          error,
+        );
+      });
+    ChromeStorageSyncHandler.getSentenceMergingMode()
+      .then((storedSentenceMergingMode) => {
+        setSentenceMergingMode(storedSentenceMergingMode);
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error loading sentence merging mode from Chrome storage:",
+          error,
+        );
+      });
+    ChromeStorageSyncHandler.getReadingMode()
+      .then((storedReadingMode) => {
+        setReadingMode(storedReadingMode);
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error loading reading mode from Chrome storage:",
+          error,
+        );
+      });
+    ChromeStorageSyncHandler.getShadowingResumeDelayFactor()
+      .then((storedShadowingResumeDelayFactor) => {
+        setShadowingResumeDelayFactor(storedShadowingResumeDelayFactor);
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error loading shadowing resume delay from Chrome storage:",
+          error,
+        );
+      });
   }, []);
 
-  function handleTargetLanguageChange(event) {
-    const newTargetLanguage = event.target.value;
-
-    if (newTargetLanguage === targetLanguage) {
-      return;
-    }
+  async function handleShadowingResumeDelayFactorChange(event) {
+    const newShadowingResumeDelayFactor = Number(event.target.value);
 
     try {
-      ChromeStorageSyncHandler.setTargetLanguage(newTargetLanguage);
-      setTargetLanguage(newTargetLanguage);
+      await ChromeStorageSyncHandler.setShadowingResumeDelayFactor(
+        newShadowingResumeDelayFactor,
+      );
+      setShadowingResumeDelayFactor(newShadowingResumeDelayFactor);
     } catch (error) {
       console.error(
-        "FinnishStreamingDualSubExtension: Error saving target language to Chrome storage:",
+        "FinnishStreamingDualSubExtension: Error saving shadowing resume delay to Chrome storage:",
         error,
       );
-      alert("Failed to save target language. Please try again.");
-      return;
+      alert("Failed to save shadowing mode setting. Please try again.");
     }
   }
 
-  return (
-    <div>
-      <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+  async function handleReadingModeChange(event) {
+    const newReadingMode = event.target.value === "on";
+
+    try {
+      await ChromeStorageSyncHandler.setReadingMode(newReadingMode);
+      setReadingMode(newReadingMode);
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error saving reading mode to Chrome storage:",
+        error,
+      );
+      alert("Failed to save reading mode setting. Please try again.");
+    }
+  }
+
+  async function handleSentenceMergingModeChange(event) {
+    const newSentenceMergingMode = event.target.value;
+
+    try {
+      await ChromeStorageSyncHandler.setSentenceMergingMode(
+        newSentenceMergingMode,
+      );
+      setSentenceMergingMode(newSentenceMergingMode);
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error saving sentence merging mode to Chrome storage:",
+        error,
+      );
+      alert("Failed to save sentence merging setting. Please try again.");
+    }
+  }
+
+  async function handleContextWindowSizeChange(event) {
+    const newContextWindowSize = Number(event.target.value);
+
+    try {
+      await ChromeStorageSyncHandler.setContextWindowSize(newContextWindowSize);
+      setContextWindowSize(newContextWindowSize);
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error saving context window size to Chrome storage:",
+        error,
+      );
+      alert("Failed to save translation context setting. Please try again.");
+    }
+  }
+
+  function handleTargetLanguageChange(event) {
+    const newTargetLanguage = event.target.value;
+
+    if (newTargetLanguage === targetLanguage) {
+      return;
+    }
+
+    try {
+      ChromeStorageSyncHandler.setTargetLanguage(newTargetLanguage);
+      setTargetLanguage(newTargetLanguage);
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error saving target language to Chrome storage:",
+        error,
+      );
+      alert("Failed to save target language. Please try again.");
+      return;
+    }
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
         <label className="add-token-form__input-label">
           Target Language for Translation
         </label>
         <select
-          value={targetLanguage}
-          onChange={handleTargetLanguageChange}
+          value={targetLanguage}
+          onChange={handleTargetLanguageChange}
+          className="language-select-dropdown"
+        >
+          <option value="EN-US">English (American)</option>
+          <option value="EN-GB">English (British)</option>
+          <option value="VI">Vietnamese</option>
+          <option value="AR">Arabic</option>
+          <option value="BG">Bulgarian</option>
+          <option value="ZH">Chinese (Simplified)</option>
+          <option value="ZH-HANS">Chinese (Simplified)</option>
+          <option value="ZH-HANT">Chinese (Traditional)</option>
+          <option value="CS">Czech</option>
+          <option value="DA">Danish</option>
+          <option value="NL">Dutch</option>
+          <option value="ET">Estonian</option>
+          <option value="FI">Finnish</option>
+          <option value="FR">French</option>
+          <option value="DE">German</option>
+          <option value="EL">Greek</option>
+          <option value="HE">Hebrew</option>
+          <option value="HU">Hungarian</option>
+          <option value="ID">Indonesian</option>
+          <option value="IT">Italian</option>
+          <option value="JA">Japanese</option>
+          <option value="KO">Korean</option>
+          <option value="LV">Latvian</option>
+          <option value="LT">Lithuanian</option>
+          <option value="NB">Norwegian (Bokmål)</option>
+          <option value="PL">Polish</option>
+          <option value="PT-BR">Portuguese (Brazilian)</option>
+          <option value="PT-PT">Portuguese (European)</option>
+          <option value="RO">Romanian</option>
+          <option value="RU">Russian</option>
+          <option value="SK">Slovak</option>
+          <option value="SL">Slovenian</option>
+          <option value="ES">Spanish</option>
+          <option value="ES-419">Spanish (Latin American)</option>
+          <option value="SV">Swedish</option>
+          <option value="TH">Thai</option>
+          <option value="TR">Turkish</option>
+          <option value="UK">Ukrainian</option>
+        </select>
+        <p style={{ fontSize: "14px", color: "#666", margin: "8px 0 0 0" }}>
+          <strong>Note:</strong> When you change the target language, you'll
+          need to reload the YLE Areena page for the change to take effect.
+        </p>
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "8px",
+          marginTop: "24px",
+        }}
+      >
+        <label className="add-token-form__input-label">
+          Translation Context
+        </label>
+        <select
+          value={contextWindowSize}
+          onChange={handleContextWindowSizeChange}
+          className="language-select-dropdown"
+        >
+          {CONTEXT_WINDOW_SIZE_OPTIONS.map((size) => (
+            <option key={size} value={size}>
+              {size === 0
+                ? "No context"
+                : `${size} previous and next line${size > 1 ? "s" : ""}`}
+            </option>
+          ))}
+        </select>
+        <p style={{ fontSize: "14px", color: "#666", margin: "8px 0 0 0" }}>
+          Surrounding subtitle lines are sent along with each line, so
+          sentences split across two subtitles are translated correctly. Only
+          DeepL uses the context, and it is not counted towards your usage.
+        </p>
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "8px",
+          marginTop: "24px",
+        }}
+      >
+        <label className="add-token-form__input-label">
+          Sentence Merging
+        </label>
+        <select
+          value={sentenceMergingMode}
+          onChange={handleSentenceMergingModeChange}
+          className="language-select-dropdown"
+        >
+          {SENTENCE_MERGING_MODE_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <p style={{ fontSize: "14px", color: "#666", margin: "8px 0 0 0" }}>
+          Consecutive subtitle lines without ending punctuation and with a
+          short pause between them are translated together as one sentence.
+          Lines already translated keep their translation, use the reload
+          button in the video player to translate an episode again.
+        </p>
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "8px",
+          marginTop: "24px",
+        }}
+      >
+        <label className="add-token-form__input-label">Reading Mode</label>
+        <select
+          value={readingMode ? "on" : "off"}
+          onChange={handleReadingModeChange}
+          className="language-select-dropdown"
+        >
+          <option value="off">Off</option>
+          <option value="on">Highlight unknown words</option>
+        </select>
+        <p style={{ fontSize: "14px", color: "#666", margin: "8px 0 0 0" }}>
+          Words you have not marked as known are coloured in the Finnish
+          subtitles. Shift+click a word to mark it as known, shift+click again
+          to unmark it. Known words are kept in your vocabulary notebook.
+        </p>
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: "8px",
+          marginTop: "24px",
+        }}
+      >
+        <label className="add-token-form__input-label">Shadowing Mode</label>
+        <select
+          value={shadowingResumeDelayFactor}
+          onChange={handleShadowingResumeDelayFactorChange}
+          className="language-select-dropdown"
+        >
+          {SHADOWING_RESUME_DELAY_FACTOR_OPTIONS.map((option) => (
+            <option key={option.factor} value={option.factor}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <p style={{ fontSize: "14px", color: "#666", margin: "8px 0 0 0" }}>
+          Turn on shadowing mode with its button in the video player. The
+          video pauses at the end of every subtitle line and shows both rows,
+          so you can repeat the line out loud. Longer lines give you more time
+          when resuming automatically. Enter always resumes right away.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function PersonalSettingsAccordion() {
+  const [accordionOpen, setAccordionOpen] = useState(false);
+
+  return (
+    <div className="setting-card">
+      <div
+        className={`setting-card__accordion ${accordionOpen ? "active" : ""}`}
+      >
+        <button
+          className="setting-card__accordion-header"
+          onClick={() => setAccordionOpen(!accordionOpen)}
+        >
+          <span>Personal Settings</span>
+          <span className="setting-card__accordion-icon">&#9660;</span>
+        </button>
+        <div className="setting-card__accordion-content">
+          <div className="setting-card__accordion-content-inner">
+            <p className="setting-card__title">
+              Customize your subtitle translation preferences.
+            </p>
+
+            <p className="setting-card__description">
+              Choose which language you want Finnish subtitles to be translated
+              to.
+              <br />
+              <br />
+              💡 Supported languages: English (US), English (UK), and Vietnamese
+              and more
+            </p>
+
+            <PersonalSettingsSection />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SubtitleExportSection() {
+  const [episodeNames, setEpisodeNames] = useState([]);
+  const [selectedEpisodeName, setSelectedEpisodeName] = useState("");
+  const [exportFormat, setExportFormat] = useState(
+    SUBTITLE_EXPORT_FORMAT_OPTIONS[0].id,
+  );
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    BackgroundDatabaseHandler.getExportableEpisodeNames()
+      .then((storedEpisodeNames) => {
+        setEpisodeNames(storedEpisodeNames);
+        setSelectedEpisodeName(storedEpisodeNames[0] || "");
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error loading exportable episodes:",
+          error,
+        );
+      });
+  }, []);
+
+  async function handleExportClick() {
+    if (!selectedEpisodeName) {
+      return;
+    }
+    setIsExporting(true);
+    try {
+      const targetLanguage = await ChromeStorageSyncHandler.getTargetLanguage();
+      const { fileName, fileContent } =
+        await BackgroundDatabaseHandler.exportEpisodeSubtitles(
+          selectedEpisodeName,
+          targetLanguage,
+          exportFormat,
+        );
+      downloadTextFile(fileName, fileContent);
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error exporting episode subtitles:",
+        error,
+      );
+      alert(`Failed to export subtitles: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  }
+
+  if (episodeNames.length === 0) {
+    return (
+      <p style={{ fontSize: "14px", color: "#666", margin: 0 }}>
+        No episodes to export yet. Watch an episode with the extension enabled
+        and it will appear here.
+      </p>
+    );
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+      <label className="add-token-form__input-label">Episode</label>
+      <select
+        value={selectedEpisodeName}
+        onChange={(event) => setSelectedEpisodeName(event.target.value)}
+        className="language-select-dropdown"
+      >
+        {episodeNames.map((episodeName) => (
+          <option key={episodeName} value={episodeName}>
+            {episodeName}
+          </option>
+        ))}
+      </select>
+      <label
+        className="add-token-form__input-label"
+        style={{ marginTop: "16px" }}
+      >
+        Format
+      </label>
+      <select
+        value={exportFormat}
+        onChange={(event) => setExportFormat(event.target.value)}
+        className="language-select-dropdown"
+      >
+        {SUBTITLE_EXPORT_FORMAT_OPTIONS.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="add-token-form__button"
+        style={{ marginTop: "16px", alignSelf: "flex-start" }}
+        onClick={handleExportClick}
+        disabled={isExporting}
+      >
+        {isExporting ? "Exporting..." : "Export"}
+      </button>
+    </div>
+  );
+}
+
+function SubtitleExportAccordion() {
+  const [accordionOpen, setAccordionOpen] = useState(false);
+
+  return (
+    <div className="setting-card">
+      <div
+        className={`setting-card__accordion ${accordionOpen ? "active" : ""}`}
+      >
+        <button
+          className="setting-card__accordion-header"
+          onClick={() => setAccordionOpen(!accordionOpen)}
+        >
+          <span>Export Subtitles</span>
+          <span className="setting-card__accordion-icon">&#9660;</span>
+        </button>
+        <div className="setting-card__accordion-content">
+          <div className="setting-card__accordion-content-inner">
+            <p className="setting-card__title">
+              Review episodes offline in other video players.
+            </p>
+
+            <p className="setting-card__description">
+              Download Finnish subtitles together with their translations in
+              your target language, with the original timings. Lines not
+              translated yet are exported in Finnish only.
+            </p>
+
+            <SubtitleExportSection />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {string} text
+ * @param {Array<[number, number]>} matchRanges - sorted, may overlap
+ * @returns {Array<JSX.Element | string>} text with the matches highlighted
+ */
+function highlightSubtitleSearchMatches(text, matchRanges) {
+  const textParts = [];
+  let textIndex = 0;
+  for (const [matchStart, matchEnd] of matchRanges) {
+    if (matchEnd <= textIndex) {
+      continue;
+    }
+    const highlightStart = Math.max(matchStart, textIndex);
+    textParts.push(text.slice(textIndex, highlightStart));
+    textParts.push(
+      <mark key={highlightStart} className="subtitle-search__match">
+        {text.slice(highlightStart, matchEnd)}
+      </mark>,
+    );
+    textIndex = matchEnd;
+  }
+  textParts.push(text.slice(textIndex));
+  return textParts;
+}
+
+/**
+ * Search cached lines in a worker, which is terminated when the search takes too long,
+ * exp: a regular expression like "(a+)+$" backtracking for ever
+ * @param {Array<Object>} subtitleRecords
+ * @param {string} searchQuery
+ * @param {string} searchMode - "words", "phrase" or "regex"
+ * @returns {Promise<{episodes: Array<Object>, lineCount: number, isTruncated: boolean}>}
+ * cached lines grouped by episode
+ */
+function searchSubtitleRecordsInWorker(subtitleRecords, searchQuery, searchMode) {
+  return new Promise((resolve, reject) => {
+    const searchWorker = new Worker(
+      chrome.runtime.getURL("main/utils/subtitle_search_worker.js"),
+    );
+    const stopSearchWorker = () => {
+      clearTimeout(searchTimeoutId);
+      searchWorker.terminate();
+    };
+    const searchTimeoutId = setTimeout(() => {
+      stopSearchWorker();
+      reject(
+        new Error(
+          `Search stopped after ${SUBTITLE_SEARCH_TIMEOUT_MS / 1000} seconds. Try a simpler regular expression.`,
+        ),
+      );
+    }, SUBTITLE_SEARCH_TIMEOUT_MS);
+    searchWorker.onmessage = (event) => {
+      stopSearchWorker();
+      const [isSucceeded, searchResult] = event.data;
+      if (isSucceeded) {
+        resolve(searchResult);
+      } else {
+        reject(new Error(searchResult));
+      }
+    };
+    searchWorker.onerror = (event) => {
+      stopSearchWorker();
+      reject(new Error(event.message || "Search failed"));
+    };
+    searchWorker.postMessage({ subtitleRecords, searchQuery, searchMode });
+  });
+}
+
+function SubtitleSearchSection() {
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchMode, setSearchMode] = useState(
+    SUBTITLE_SEARCH_MODE_OPTIONS[0].id,
+  );
+  const [searchResult, setSearchResult] = useState(null);
+  const [searchError, setSearchError] = useState("");
+  const [isSearching, setIsSearching] = useState(false);
+
+  async function handleSearchSubmit(event) {
+    event.preventDefault();
+    if (!searchQuery.trim()) {
+      return;
+    }
+    setIsSearching(true);
+    setSearchError("");
+    try {
+      const targetLanguage = await ChromeStorageSyncHandler.getTargetLanguage();
+      const subtitleRecords =
+        await BackgroundDatabaseHandler.loadSubtitlesByTargetLanguage(
+          targetLanguage,
+        );
+      setSearchResult(
+        await searchSubtitleRecordsInWorker(
+          subtitleRecords,
+          searchQuery,
+          searchMode,
+        ),
+      );
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error searching cached subtitles:",
+        error,
+      );
+      setSearchResult(null);
+      setSearchError(error.message);
+    } finally {
+      setIsSearching(false);
+    }
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+      <form
+        onSubmit={handleSearchSubmit}
+        style={{ display: "flex", gap: "12px" }}
+      >
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(event) => setSearchQuery(event.target.value)}
+          placeholder="Finnish word or phrase, exp: kuitenkin"
+          className="add-token-form__input-field"
+          style={{ flex: 1 }}
+        />
+        <select
+          value={searchMode}
+          onChange={(event) => setSearchMode(event.target.value)}
+          className="language-select-dropdown"
+        >
+          {SUBTITLE_SEARCH_MODE_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="add-token-form__button"
+          disabled={isSearching}
+        >
+          {isSearching ? "Searching..." : "Search"}
+        </button>
+      </form>
+      {searchError && (
+        <p style={{ fontSize: "14px", color: "#dc2626", margin: 0 }}>
+          {searchError}
+        </p>
+      )}
+      {searchResult && (
+        <p style={{ fontSize: "14px", color: "#666", margin: 0 }}>
+          {searchResult.lineCount === 0
+            ? "No cached subtitle line matches. Only lines translated into your current target language are searched."
+            : `${searchResult.lineCount} lines in ${searchResult.episodes.length} episodes`}
+          {searchResult.isTruncated &&
+            ", showing the first ones only. Refine the search to see all of them."}
+        </p>
+      )}
+      {searchResult?.episodes.map((episode) => (
+        <div key={episode.movieName} className="subtitle-search__episode">
+          <div className="lookup-history__word">
+            {episode.movieName} ({episode.lines.length})
+          </div>
+          <ul className="lookup-history__list">
+            {episode.lines.map((line) => (
+              <li key={line.originalText} className="lookup-history__item">
+                <div className="lookup-history__item-content">
+                  <div>
+                    {highlightSubtitleSearchMatches(
+                      line.originalText,
+                      line.matchRanges,
+                    )}
+                  </div>
+                  <div className="lookup-history__sentence">
+                    {line.translatedText}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function LookupHistorySection() {
+  const [lookups, setLookups] = useState([]);
+
+  useEffect(() => {
+    BackgroundDatabaseHandler.getAllLookups()
+      .then((storedLookups) => {
+        setLookups([...storedLookups].reverse());
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error loading lookup history:",
+          error,
+        );
+      });
+  }, []);
+
+  async function handleAnkiExportClick() {
+    try {
+      const { fileName, fileContent } =
+        await BackgroundDatabaseHandler.exportAnkiDeck();
+      downloadTextFile(fileName, fileContent);
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error exporting Anki deck:",
+        error,
+      );
+      alert(`Failed to export Anki deck: ${error.message}`);
+    }
+  }
+
+  async function handleDeleteLookupClick(lookupId) {
+    try {
+      await BackgroundDatabaseHandler.deleteLookup(lookupId);
+      setLookups(lookups.filter((lookup) => lookup.id !== lookupId));
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error deleting lookup:",
+        error,
+      );
+      alert("Failed to delete the word. Please try again.");
+    }
+  }
+
+  async function handleClearHistoryClick() {
+    const isConfirmed = confirm(
+      "This will delete all looked up words. Export them to Anki first if you want to keep them. Continue?",
+    );
+    if (!isConfirmed) {
+      return;
+    }
+    try {
+      await BackgroundDatabaseHandler.clearLookupHistory();
+      setLookups([]);
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error clearing lookup history:",
+        error,
+      );
+      alert("Failed to clear lookup history. Please try again.");
+    }
+  }
+
+  if (lookups.length === 0) {
+    return (
+      <p style={{ fontSize: "14px", color: "#666", margin: 0 }}>
+        No looked up words yet. Click a word in Finnish subtitles while
+        watching to look it up.
+      </p>
+    );
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+      <div style={{ display: "flex", gap: "12px" }}>
+        <button
+          type="button"
+          className="add-token-form__button"
+          onClick={handleAnkiExportClick}
+        >
+          Export Anki deck
+        </button>
+        <button
+          type="button"
+          className="token-card__button token-card__remove_button"
+          onClick={handleClearHistoryClick}
+        >
+          Clear history
+        </button>
+      </div>
+      <ul className="lookup-history__list">
+        {lookups.map((lookup) => (
+          <li key={lookup.id} className="lookup-history__item">
+            <div className="lookup-history__item-content">
+              <div>
+                <span className="lookup-history__word">{lookup.word}</span>
+                {" — "}
+                <span>{lookup.translation}</span>
+              </div>
+              <div className="lookup-history__sentence">{lookup.sentence}</div>
+              {lookup.movieName && (
+                <div className="lookup-history__episode">
+                  {lookup.movieName}
+                </div>
+              )}
+            </div>
+            <button
+              type="button"
+              aria-label={`Delete ${lookup.word}`}
+              className="lookup-history__delete-button"
+              onClick={() => handleDeleteLookupClick(lookup.id)}
+            >
+              <Trash2 size={16} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const VOCABULARY_FILTER_OPTIONS = [
+  { id: "all", label: "All words" },
+  { id: "learning", label: "Still learning" },
+  { id: "known", label: "Known" },
+];
+
+/**
+ * @param {Object} vocabularyWord
+ * @param {string} searchQuery
+ * @returns {boolean} whether word, translation, sentence, episode or a tag contains the query
+ */
+function isVocabularyWordMatchingSearch(vocabularyWord, searchQuery) {
+  const normalizedSearchQuery = searchQuery.trim().toLowerCase();
+  if (!normalizedSearchQuery) {
+    return true;
+  }
+  return [
+    vocabularyWord.word,
+    vocabularyWord.translation,
+    vocabularyWord.sentence,
+    vocabularyWord.movieName || "",
+    ...vocabularyWord.tags,
+  ].some((field) => field.toLowerCase().includes(normalizedSearchQuery));
+}
+
+function VocabularyWordCard(props) {
+  const { vocabularyWord, onUpdate, onDelete } = props;
+  const [newTag, setNewTag] = useState("");
+
+  function handleAddTag(event) {
+    event.preventDefault();
+    const tag = newTag.trim().toLowerCase();
+    if (!tag || vocabularyWord.tags.includes(tag)) {
+      setNewTag("");
+      return;
+    }
+    onUpdate(vocabularyWord, { tags: [...vocabularyWord.tags, tag] });
+    setNewTag("");
+  }
+
+  return (
+    <li
+      className={`vocabulary-card ${vocabularyWord.known ? "vocabulary-card--known" : ""}`}
+    >
+      <div className="vocabulary-card__header">
+        <div>
+          <span className="vocabulary-card__word">{vocabularyWord.word}</span>
+          {" — "}
+          <span>{vocabularyWord.translation}</span>
+        </div>
+        <div className="vocabulary-card__actions">
+          <button
+            type="button"
+            className={`vocabulary-card__known-button ${vocabularyWord.known ? "active" : ""}`}
+            onClick={() =>
+              onUpdate(vocabularyWord, { known: !vocabularyWord.known })
+            }
+          >
+            <Check size={14} />
+            {vocabularyWord.known ? "Known" : "Mark as known"}
+          </button>
+          <button
+            type="button"
+            aria-label={`Delete ${vocabularyWord.word}`}
+            className="lookup-history__delete-button"
+            onClick={() => onDelete(vocabularyWord)}
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      </div>
+      <div className="lookup-history__sentence">{vocabularyWord.sentence}</div>
+      <div className="lookup-history__episode">
+        {vocabularyWord.targetLanguage} ·{" "}
+        {vocabularyWord.movieName ? `${vocabularyWord.movieName} · ` : ""}
+        Saved {formatDateInEnglishLocale(new Date(vocabularyWord.savedAt))}
+      </div>
+      <div className="vocabulary-card__tags">
+        {vocabularyWord.tags.map((tag) => (
+          <span key={tag} className="vocabulary-card__tag">
+            #{tag}
+            <button
+              type="button"
+              aria-label={`Remove tag ${tag}`}
+              onClick={() =>
+                onUpdate(vocabularyWord, {
+                  tags: vocabularyWord.tags.filter(
+                    (existingTag) => existingTag !== tag,
+                  ),
+                })
+              }
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <form onSubmit={handleAddTag}>
+          <input
+            type="text"
+            value={newTag}
+            onChange={(event) => setNewTag(event.target.value)}
+            placeholder="+ tag"
+            className="vocabulary-card__tag-input"
+          />
+        </form>
+      </div>
+    </li>
+  );
+}
+
+function VocabularyNotebookSection() {
+  const [vocabularyWords, setVocabularyWords] = useState([]);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [knownFilter, setKnownFilter] = useState(
+    VOCABULARY_FILTER_OPTIONS[0].id,
+  );
+
+  useEffect(() => {
+    BackgroundDatabaseHandler.getAllVocabularyWords()
+      .then((storedVocabularyWords) => {
+        setVocabularyWords(storedVocabularyWords);
+      })
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error loading vocabulary notebook:",
+          error,
+        );
+      });
+  }, []);
+
+  async function handleUpdateVocabularyWord(changedVocabularyWord, changes) {
+    const { word, targetLanguage } = changedVocabularyWord;
+    try {
+      const updatedVocabularyWord =
+        await BackgroundDatabaseHandler.updateVocabularyWord(
+          word,
+          targetLanguage,
+          changes,
+        );
+      if (!updatedVocabularyWord) {
+        return;
+      }
+      // Known state belongs to the word, background updated it in every target language
+      setVocabularyWords((currentVocabularyWords) =>
+        currentVocabularyWords.map((vocabularyWord) => {
+          if (vocabularyWord.word !== word) {
+            return vocabularyWord;
+          }
+          if (vocabularyWord.targetLanguage === targetLanguage) {
+            return updatedVocabularyWord;
+          }
+          return { ...vocabularyWord, known: updatedVocabularyWord.known };
+        }),
+      );
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error updating vocabulary word:",
+        error,
+      );
+      alert("Failed to update the word. Please try again.");
+    }
+  }
+
+  async function handleDeleteVocabularyWord(deletedVocabularyWord) {
+    const { word, targetLanguage } = deletedVocabularyWord;
+    try {
+      await BackgroundDatabaseHandler.deleteVocabularyWord(word, targetLanguage);
+      setVocabularyWords((currentVocabularyWords) =>
+        currentVocabularyWords.filter(
+          (vocabularyWord) =>
+            vocabularyWord.word !== word ||
+            vocabularyWord.targetLanguage !== targetLanguage,
+        ),
+      );
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error deleting vocabulary word:",
+        error,
+      );
+      alert("Failed to delete the word. Please try again.");
+    }
+  }
+
+  if (vocabularyWords.length === 0) {
+    return (
+      <p style={{ fontSize: "14px", color: "#666", margin: 0 }}>
+        Your notebook is empty. Look up a word while watching and click "Save"
+        in the lookup popup.
+      </p>
+    );
+  }
+
+  const visibleVocabularyWords = vocabularyWords.filter(
+    (vocabularyWord) =>
+      isVocabularyWordMatchingSearch(vocabularyWord, searchQuery) &&
+      (knownFilter === "all" ||
+        (knownFilter === "known") === vocabularyWord.known),
+  );
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "16px" }}>
+      <div style={{ display: "flex", gap: "12px" }}>
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(event) => setSearchQuery(event.target.value)}
+          placeholder="Search words, sentences, episodes or tags"
+          className="add-token-form__input-field"
+          style={{ flex: 1 }}
+        />
+        <select
+          value={knownFilter}
+          onChange={(event) => setKnownFilter(event.target.value)}
           className="language-select-dropdown"
         >
-          <option value="EN-US">English (American)</option>
-          <option value="EN-GB">English (British)</option>
-          <option value="VI">Vietnamese</option>
-          <option value="AR">Arabic</option>
-          <option value="BG">Bulgarian</option>
-          <option value="ZH">Chinese (Simplified)</option>
-          <option value="ZH-HANS">Chinese (Simplified)</option>
-          <option value="ZH-HANT">Chinese (Traditional)</option>
-          <option value="CS">Czech</option>
-          <option value="DA">Danish</option>
-          <option value="NL">Dutch</option>
-          <option value="ET">Estonian</option>
-          <option value="FI">Finnish</option>
-          <option value="FR">French</option>
-          <option value="DE">German</option>
-          <option value="EL">Greek</option>
-          <option value="HE">Hebrew</option>
-          <option value="HU">Hungarian</option>
-          <option value="ID">Indonesian</option>
-          <option value="IT">Italian</option>
-          <option value="JA">Japanese</option>
-          <option value="KO">Korean</option>
-          <option value="LV">Latvian</option>
-          <option value="LT">Lithuanian</option>
-          <option value="NB">Norwegian (Bokmål)</option>
-          <option value="PL">Polish</option>
-          <option value="PT-BR">Portuguese (Brazilian)</option>
-          <option value="PT-PT">Portuguese (European)</option>
-          <option value="RO">Romanian</option>
-          <option value="RU">Russian</option>
-          <option value="SK">Slovak</option>
-          <option value="SL">Slovenian</option>
-          <option value="ES">Spanish</option>
-          <option value="ES-419">Spanish (Latin American)</option>
-          <option value="SV">Swedish</option>
-          <option value="TH">Thai</option>
-          <option value="TR">Turkish</option>
-          <option value="UK">Ukrainian</option>
+          {VOCABULARY_FILTER_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
         </select>
-        <p style={{ fontSize: "14px", color: "#666", margin: "8px 0 0 0" }}>
-          <strong>Note:</strong> When you change the target language, you'll
-          need to reload the YLE Areena page for the change to take effect.
+      </div>
+      <p style={{ fontSize: "14px", color: "#666", margin: 0 }}>
+        {visibleVocabularyWords.length} of {vocabularyWords.length} words
+      </p>
+      <ul className="lookup-history__list">
+        {visibleVocabularyWords.map((vocabularyWord) => (
+          <VocabularyWordCard
+            key={`${vocabularyWord.word}|${vocabularyWord.targetLanguage}`}
+            vocabularyWord={vocabularyWord}
+            onUpdate={handleUpdateVocabularyWord}
+            onDelete={handleDeleteVocabularyWord}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const DICTIONARY_IMPORT_BATCH_SIZE = 500;
+
+/**
+ * Read a Wiktionary dump file and hand its lines over in batches,
+ * so a dump of hundreds of megabytes never has to be sent to background at once.
+ * A JSON array file is split into one line per item.
+ * @param {File} file
+ * @param {(lines: string[]) => Promise<void>} onBatch
+ * @returns {Promise<void>}
+ */
+async function readDictionaryFileInBatches(file, onBatch) {
+  const fileStart = await file.slice(0, 64).text();
+  if (fileStart.trimStart().startsWith("[")) {
+    const wiktionaryWords = JSON.parse(await file.text());
+    for (
+      let i = 0;
+      i < wiktionaryWords.length;
+      i += DICTIONARY_IMPORT_BATCH_SIZE
+    ) {
+      await onBatch(
+        wiktionaryWords
+          .slice(i, i + DICTIONARY_IMPORT_BATCH_SIZE)
+          .map((wiktionaryWord) => JSON.stringify(wiktionaryWord)),
+      );
+    }
+    return;
+  }
+
+  const fileReader = file
+    .stream()
+    .pipeThrough(new TextDecoderStream())
+    .getReader();
+  let unfinishedLine = "";
+  const lines = [];
+  for (;;) {
+    const { done, value } = await fileReader.read();
+    if (done) {
+      break;
+    }
+    const chunkLines = (unfinishedLine + value).split("\n");
+    unfinishedLine = chunkLines.pop();
+    lines.push(...chunkLines);
+    while (lines.length >= DICTIONARY_IMPORT_BATCH_SIZE) {
+      await onBatch(lines.splice(0, DICTIONARY_IMPORT_BATCH_SIZE));
+    }
+  }
+  lines.push(unfinishedLine);
+  await onBatch(lines);
+}
+
+function OfflineDictionarySection() {
+  const [entryCount, setEntryCount] = useState(0);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importProgress, setImportProgress] = useState(null);
+
+  useEffect(() => {
+    BackgroundDatabaseHandler.countDictionaryEntries()
+      .then(setEntryCount)
+      .catch((error) => {
+        console.error(
+          "FinnishStreamingDualSubExtension: Error counting dictionary entries:",
+          error,
+        );
+      });
+  }, []);
+
+  async function handleDictionaryFileChange(event) {
+    const file = event.target.files?.[0];
+    // Let the same file be picked again after a failed import
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+
+    setIsImporting(true);
+    const progress = { importedCount: 0, skippedCount: 0 };
+    setImportProgress({ ...progress });
+    try {
+      await readDictionaryFileInBatches(file, async (lines) => {
+        const batchResult =
+          await BackgroundDatabaseHandler.importDictionaryLines(lines);
+        progress.importedCount += batchResult.importedCount;
+        progress.skippedCount += batchResult.skippedCount;
+        setImportProgress({ ...progress });
+      });
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error importing dictionary:",
+        error,
+      );
+      alert(`Failed to import dictionary: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+      BackgroundDatabaseHandler.countDictionaryEntries()
+        .then(setEntryCount)
+        .catch(() => {});
+    }
+  }
+
+  async function handleClearDictionaryClick() {
+    const isConfirmed = confirm(
+      "This will delete the offline dictionary. Lookups will use your translation provider again. Continue?",
+    );
+    if (!isConfirmed) {
+      return;
+    }
+    try {
+      await BackgroundDatabaseHandler.clearDictionary();
+      setEntryCount(0);
+      setImportProgress(null);
+    } catch (error) {
+      console.error(
+        "FinnishStreamingDualSubExtension: Error clearing dictionary:",
+        error,
+      );
+      alert("Failed to clear the dictionary. Please try again.");
+    }
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+      <p style={{ fontSize: "14px", color: "#666", margin: 0 }}>
+        {entryCount > 0
+          ? `${entryCount.toLocaleString("en-US")} words in the offline dictionary.`
+          : "No dictionary imported yet."}
+      </p>
+      {importProgress && (
+        <p style={{ fontSize: "14px", color: "#666", margin: 0 }}>
+          {isImporting ? "Importing... " : "Import finished. "}
+          {importProgress.importedCount.toLocaleString("en-US")} entries saved,{" "}
+          {importProgress.skippedCount.toLocaleString("en-US")} lines skipped.
         </p>
+      )}
+      <div style={{ display: "flex", gap: "12px" }}>
+        <label
+          className="add-token-form__button"
+          style={isImporting ? { opacity: 0.6, pointerEvents: "none" } : {}}
+        >
+          {isImporting ? "Importing..." : "Import dictionary file"}
+          <input
+            type="file"
+            accept=".json,.jsonl,application/json"
+            style={{ display: "none" }}
+            onChange={handleDictionaryFileChange}
+            disabled={isImporting}
+          />
+        </label>
+        {entryCount > 0 && (
+          <button
+            type="button"
+            className="token-card__button token-card__remove_button"
+            onClick={handleClearDictionaryClick}
+            disabled={isImporting}
+          >
+            Delete dictionary
+          </button>
+        )}
       </div>
     </div>
   );
 }
 
-function PersonalSettingsAccordion() {
+function OfflineDictionaryAccordion() {
   const [accordionOpen, setAccordionOpen] = useState(false);
 
   return (
@@ -1129,25 +3084,137 @@ function PersonalSettingsAccordion() {
           className="setting-card__accordion-header"
           onClick={() => setAccordionOpen(!accordionOpen)}
         >
-          <span>Personal Settings</span>
+          <span>Offline Dictionary</span>
           <span className="setting-card__accordion-icon">&#9660;</span>
         </button>
         <div className="setting-card__accordion-content">
           <div className="setting-card__accordion-content-inner">
             <p className="setting-card__title">
-              Customize your subtitle translation preferences.
+              Look up single words without spending translation characters.
             </p>
 
             <p className="setting-card__description">
-              Choose which language you want Finnish subtitles to be translated
-              to.
-              <br />
-              <br />
-              💡 Supported languages: English (US), English (UK), and Vietnamese
-              and more
+              Download the Finnish dictionary extracted from Wiktionary at{" "}
+              <a
+                href="https://kaikki.org/dictionary/Finnish/"
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                kaikki.org
+              </a>{" "}
+              (JSONL file) and import it here. Clicked words found in it show
+              all their meanings and parts of speech; phrases and words not in
+              the dictionary are still translated by your translation provider.
+              Meanings are in English, so the dictionary is only used when your
+              target language is English.
             </p>
 
-            <PersonalSettingsSection />
+            <OfflineDictionarySection />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function VocabularyNotebookAccordion() {
+  const [accordionOpen, setAccordionOpen] = useState(false);
+
+  return (
+    <div className="setting-card">
+      <div
+        className={`setting-card__accordion ${accordionOpen ? "active" : ""}`}
+      >
+        <button
+          className="setting-card__accordion-header"
+          onClick={() => setAccordionOpen(!accordionOpen)}
+        >
+          <span>Vocabulary Notebook</span>
+          <span className="setting-card__accordion-icon">&#9660;</span>
+        </button>
+        <div className="setting-card__accordion-content">
+          <div className="setting-card__accordion-content-inner">
+            <p className="setting-card__title">
+              Words you saved from the lookup popup.
+            </p>
+
+            <p className="setting-card__description">
+              Search your words, organize them with tags and mark the ones you
+              already know.
+            </p>
+
+            <VocabularyNotebookSection />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SubtitleSearchAccordion() {
+  const [accordionOpen, setAccordionOpen] = useState(false);
+
+  return (
+    <div className="setting-card">
+      <div
+        className={`setting-card__accordion ${accordionOpen ? "active" : ""}`}
+      >
+        <button
+          className="setting-card__accordion-header"
+          onClick={() => setAccordionOpen(!accordionOpen)}
+        >
+          <span>Search Watched Subtitles</span>
+          <span className="setting-card__accordion-icon">&#9660;</span>
+        </button>
+        <div className="setting-card__accordion-content">
+          <div className="setting-card__accordion-content-inner">
+            <p className="setting-card__title">
+              Where have you heard a word before?
+            </p>
+
+            <p className="setting-card__description">
+              Search every translated subtitle line of the episodes you
+              watched, with its translation. Lines are grouped by episode.
+              Whole words finds "talo" but not "talossa"; phrase also finds
+              words containing it, useful for inflected forms.
+            </p>
+
+            <SubtitleSearchSection />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function LookupHistoryAccordion() {
+  const [accordionOpen, setAccordionOpen] = useState(false);
+
+  return (
+    <div className="setting-card">
+      <div
+        className={`setting-card__accordion ${accordionOpen ? "active" : ""}`}
+      >
+        <button
+          className="setting-card__accordion-header"
+          onClick={() => setAccordionOpen(!accordionOpen)}
+        >
+          <span>Looked Up Words</span>
+          <span className="setting-card__accordion-icon">&#9660;</span>
+        </button>
+        <div className="setting-card__accordion-content">
+          <div className="setting-card__accordion-content-inner">
+            <p className="setting-card__title">
+              Every word you look up while watching is saved here.
+            </p>
+
+            <p className="setting-card__description">
+              Export them as an Anki deck with the Finnish subtitle line as
+              context. In Anki, use File &gt; Import and pick the downloaded
+              file; cards use the built-in "Basic" note type.
+            </p>
+
+            <LookupHistorySection />
           </div>
         </div>
       </div>
@@ -1173,7 +3240,7 @@ function TokenManagementAccordion() {
         <div className="setting-card__accordion-content">
           <div className="setting-card__accordion-content-inner">
             <p className="setting-card__title">
-              Manage your DeepL translation keys to enable translation service.
+              Choose your translation service and manage its keys.
             </p>
 
             <p className="setting-card__description">
@@ -1185,10 +3252,11 @@ function TokenManagementAccordion() {
               >
                 DeepL, the best translation service for Finnish
               </a>{" "}
-              to translate subtitles.
+              to translate subtitles. Google Cloud Translation and self-hosted
+              LibreTranslate servers are available as alternatives.
               <br />
               <br />
-              💡 You can add up to 2 translation keys.
+              💡 You can add up to 2 DeepL translation keys.
             </p>
 
             <TokenManagementHelpSection />
@@ -1255,6 +3323,16 @@ function App() {
 
         <PersonalSettingsAccordion />
 
+        <SubtitleExportAccordion />
+
+        <SubtitleSearchAccordion />
+
+        <VocabularyNotebookAccordion />
+
+        <LookupHistoryAccordion />
+
+        <OfflineDictionaryAccordion />
+
         <SponsorFooter />
       </div>
     </>
@@ -2,3 +2,115 @@ document.getElementById("setupLink").addEventListener("click", (e) => {
   e.preventDefault();
   chrome.runtime.openOptionsPage();
 });
+
+document.getElementById("localPlayerLink").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("extension-local-player/player.html") });
+});
+
+// Same order as the content scripts of named platforms in manifest.json
+const GENERIC_MODE_SCRIPT_FILES = [
+  "main/utils/database.js",
+  "main/utils/utils.js",
+  "main/utils/subtitle_track.js",
+  "main/utils/subtitle_words.js",
+  "main/utils/finnish_morphology.js",
+  "main/utils/dictionary.js",
+  "main/platform/shared.js",
+  "main/platform/text_track_subtitles.js",
+  "main/platform/generic/contentscript_generic.js",
+];
+
+/**
+ * Origins of embedded frames found by the last click which the extension cannot access yet.
+ * activeTab only grants the page itself, not embedded players like Yle Uutiset videos on news sites.
+ * @type {string[]}
+ */
+let inaccessibleFrameOrigins = [];
+
+/**
+ * Inject dual subtitles into frames of the active tab which play a video,
+ * skipping frames where a named platform or an earlier click already runs them
+ * @returns {Promise<string>} status shown under the button
+ */
+async function enableGenericModeOnActiveTab() {
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!activeTab?.id) {
+    return "No active tab found.";
+  }
+
+  // Frames the extension cannot access are skipped without an error
+  const frameResults = await chrome.scripting.executeScript({
+    target: { tabId: activeTab.id, allFrames: true },
+    func: () => ({
+      hasVideo: document.querySelector("video") !== null,
+      isDualSubRunning: "startDualSubOnPlatform" in window,
+      origin: window.location.origin,
+      iframeOrigins: Array.from(document.getElementsByTagName("iframe"), (iframe) => {
+        try {
+          return new URL(iframe.src).origin;
+        } catch {
+          return "null";
+        }
+      }),
+    }),
+  });
+  const accessibleOrigins = new Set(frameResults.map(frameResult => frameResult.result?.origin));
+  inaccessibleFrameOrigins = Array.from(new Set(
+    frameResults.flatMap(frameResult => frameResult.result?.iframeOrigins || [])
+  )).filter(origin => origin.startsWith("http") && !accessibleOrigins.has(origin));
+
+  const frameIds = frameResults
+    .filter(frameResult => frameResult.result?.hasVideo && !frameResult.result.isDualSubRunning)
+    .map(frameResult => frameResult.frameId);
+  if (frameIds.length === 0) {
+    const isDualSubRunning = frameResults.some(frameResult => frameResult.result?.isDualSubRunning);
+    if (isDualSubRunning) {
+      return "Dual Sub is already running on this page.";
+    }
+    if (inaccessibleFrameOrigins.length > 0) {
+      return `No accessible video found. The video may be embedded from ${inaccessibleFrameOrigins.join(", ")}: click again to allow Dual Sub there.`;
+    }
+    return "No accessible video found on this page.";
+  }
+
+  await chrome.scripting.insertCSS({
+    target: { tabId: activeTab.id, frameIds },
+    files: ["main/platform/shared.css", "main/platform/generic/styles_generic.css"],
+  });
+  await chrome.scripting.executeScript({
+    target: { tabId: activeTab.id, frameIds },
+    files: GENERIC_MODE_SCRIPT_FILES,
+  });
+  return "Dual Sub added to the video. Turn on the switch on the video to start.";
+}
+
+/**
+ * Ask access to the embedded frames found by the previous click.
+ * Must start right in the click, Chrome only shows the permission prompt during a user gesture.
+ * @returns {Promise<boolean>} true if there was nothing to ask or access was granted
+ */
+function requestInaccessibleFrameAccess() {
+  if (inaccessibleFrameOrigins.length === 0) {
+    return Promise.resolve(true);
+  }
+  return chrome.permissions.request({
+    origins: inaccessibleFrameOrigins.map(origin => `${origin}/*`),
+  });
+}
+
+document.getElementById("genericModeButton").addEventListener("click", () => {
+  const genericModeStatus = document.getElementById("genericModeStatus");
+  const requestedFrameOrigins = inaccessibleFrameOrigins;
+  requestInaccessibleFrameAccess().then((isGranted) => {
+    if (!isGranted) {
+      return `Dual Sub was not allowed on ${requestedFrameOrigins.join(", ")}.`;
+    }
+    return enableGenericModeOnActiveTab();
+  }).then((status) => {
+    genericModeStatus.textContent = status;
+  }).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error enabling dual sub on this page:", error);
+    genericModeStatus.textContent = "Cannot add Dual Sub to this page.";
+  });
+});
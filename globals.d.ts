@@ -35,6 +35,13 @@ declare function importScripts(...urls: string[]): void;
 // Utility functions from utils.js
 declare function loadSelectedTokenFromChromeStorageSync(): Promise<{key: string, isPro: boolean} | null>;
 declare function loadTargetLanguageFromChromeStorageSync(): Promise<string>;
+declare function loadTranslationProviderSettingsFromChromeStorageSync(): Promise<TranslationProviderSettings>;
+declare function loadPreTranslateEpisodeFromChromeStorageSync(): Promise<boolean>;
+declare function loadContextWindowSizeFromChromeStorageSync(): Promise<number>;
+declare function loadSentenceMergingModeFromChromeStorageSync(): Promise<string>;
+declare function loadShadowingModeFromChromeStorageSync(): Promise<boolean>;
+declare function loadShadowingResumeDelayFactorFromChromeStorageSync(): Promise<number>;
+declare function loadReadingModeFromChromeStorageSync(): Promise<boolean>;
 
 // Database functions from database.js
 declare function openDatabase(): Promise<IDBDatabase>;
@@ -54,6 +61,10 @@ declare function loadSubtitlesByMovieName(
     movieName: string,
     targetLanguage: string
 ): Promise<SubtitleRecord[]>;
+declare function loadSubtitlesByTargetLanguage(
+    db: IDBDatabase,
+    targetLanguage: string
+): Promise<SubtitleRecord[]>;
 declare function clearSubtitlesByMovieName(
     db: IDBDatabase,
     movieName: string
@@ -78,6 +89,128 @@ declare function cleanupOldMovieData(
     db: IDBDatabase,
     maxAgeDays?: number
 ): Promise<number>;
+declare function saveEpisodeCues(
+    db: IDBDatabase,
+    movieName: string,
+    cues: SubtitleCue[]
+): Promise<void>;
+declare function loadEpisodeCues(
+    db: IDBDatabase,
+    movieName: string
+): Promise<SubtitleCue[] | null>;
+declare function getAllEpisodeCuesMovieNames(
+    db: IDBDatabase
+): Promise<string[]>;
+declare function deleteEpisodeCues(
+    db: IDBDatabase,
+    movieName: string
+): Promise<void>;
+declare function saveLookup(
+    db: IDBDatabase,
+    lookup: LookupRecord
+): Promise<number>;
+declare function getAllLookups(
+    db: IDBDatabase
+): Promise<LookupRecord[]>;
+declare function deleteLookup(
+    db: IDBDatabase,
+    id: number
+): Promise<void>;
+declare function clearLookupHistory(
+    db: IDBDatabase
+): Promise<void>;
+declare function saveVocabularyWord(
+    db: IDBDatabase,
+    vocabularyWord: {
+        word: string;
+        translation: string;
+        sentence: string;
+        targetLanguage: string;
+        movieName: string | null;
+    }
+): Promise<VocabularyWord>;
+declare function getAllVocabularyWords(
+    db: IDBDatabase
+): Promise<VocabularyWord[]>;
+declare function updateVocabularyWord(
+    db: IDBDatabase,
+    word: string,
+    targetLanguage: string,
+    changes: { tags?: string[]; known?: boolean }
+): Promise<VocabularyWord | null>;
+declare function setVocabularyWordKnown(
+    db: IDBDatabase,
+    vocabularyWord: {
+        word: string;
+        sentence: string;
+        targetLanguage: string;
+        movieName: string | null;
+    },
+    known: boolean
+): Promise<VocabularyWord[]>;
+declare function deleteVocabularyWord(
+    db: IDBDatabase,
+    word: string,
+    targetLanguage: string
+): Promise<void>;
+declare function saveDictionaryEntries(
+    db: IDBDatabase,
+    dictionaryEntries: DictionaryEntry[]
+): Promise<number>;
+declare function findDictionaryEntry(
+    db: IDBDatabase,
+    words: string[]
+): Promise<DictionaryEntry | null>;
+declare function countDictionaryEntries(
+    db: IDBDatabase
+): Promise<number>;
+declare function clearDictionary(
+    db: IDBDatabase
+): Promise<void>;
+declare function loadLegacyPageDatabaseRecords(): Promise<{
+    subtitleRecords: SubtitleRecord[];
+    movieMetadataRecords: MovieMetadata[];
+} | null>;
+declare function deleteLegacyPageDatabase(): Promise<void>;
+
+// Anki export functions from anki_export.js
+declare function buildAnkiTsvDeck(lookups: LookupRecord[]): string;
+
+// Cached subtitle search functions from subtitle_search.js
+declare const SubtitleSearchMode: Readonly<{
+    WORDS: string;
+    PHRASE: string;
+    REGEX: string;
+}>;
+declare function buildSubtitleSearchPatterns(searchQuery: string, searchMode: string): RegExp[];
+declare function searchSubtitleRecords(
+    subtitleRecords: SubtitleRecord[],
+    searchPatterns: RegExp[],
+    maxResults?: number
+): {
+    episodes: { movieName: string; lines: { originalText: string; translatedText: string; matchRanges: Array<[number, number]> }[] }[];
+    lineCount: number;
+    isTruncated: boolean;
+};
+
+// Subtitle export functions from subtitle_export.js
+declare const SubtitleExportFormat: Readonly<{
+    SRT: string;
+    VTT: string;
+    ASS: string;
+}>;
+declare function buildBilingualSubtitleFile(
+    cues: SubtitleCue[],
+    translationMap: Map<string, string>,
+    toTranslationKey: (rawSubtitleFinnishText: string) => string,
+    format: string,
+    title: string
+): string;
+declare function toSubtitleExportFileName(
+    movieName: string,
+    targetLanguage: string,
+    format: string
+): string;
 
 // Types from database.js
 interface SubtitleRecord {
@@ -88,6 +221,29 @@ interface SubtitleRecord {
     translatedText: string;
 }
 
+interface LookupRecord {
+    id?: number;
+    word: string;
+    sentence: string;
+    translation: string;
+    sentenceTranslation: string;
+    targetLanguage: string;
+    movieName: string | null;
+    videoTime: number;
+    lookedUpAt: string;
+}
+
+interface VocabularyWord {
+    word: string;
+    translation: string;
+    sentence: string;
+    targetLanguage: string;
+    movieName: string | null;
+    savedAt: string;
+    tags: string[];
+    known: boolean;
+}
+
 interface MovieMetadata {
     movieName: string;
     lastAccessedDays: number;
@@ -101,4 +257,247 @@ interface DeepLTokenInfoInStorage {
     characterLimit: string;
     lastUsageCheckedAt: string;
     selected: boolean;
+    failoverReason?: "invalid-key" | "quota-exceeded";
+    failoverAt?: string;
+}
+
+// Types for translation providers
+interface TranslationProviderSettings {
+    providerId: string;
+    config: { [key: string]: any } | null;
+}
+
+/**
+ * Contract every translation backend implements so background.js can treat them the same way.
+ */
+interface TranslationProvider {
+    /** Provider id as stored in chrome.storage.sync `translationProvider` (e.g. "deepl") */
+    id: string;
+    /** Human readable name used in error messages */
+    displayName: string;
+    /** HTTP status codes which are retried with backoff */
+    retryableStatuses: number[];
+    /**
+     * Translate a batch of Finnish texts. `config` is the provider specific configuration
+     * returned by `loadTranslationProviderSettingsFromChromeStorageSync`.
+     */
+    translateTexts: (
+        config: Object,
+        rawSubtitleFinnishTexts: string[],
+        targetLanguage: string,
+        context: string
+    ) => Promise<[true, Array<string>] | [false, TranslationProviderError] | [false, string]>;
+    /** Map an HTTP status to a user-friendly message */
+    getErrorMessage: (status: number) => string;
+}
+
+// Translation with retries from translation/shared.js
+declare class TranslationProviderError {
+    constructor(status: number);
+    status: number;
+}
+declare function translateTextsWithErrorHandling(
+    provider: TranslationProvider,
+    config: Object,
+    rawSubtitleFinnishTexts: string[],
+    targetLanguage: string,
+    context?: string
+): Promise<[true, Array<string>] | [false, string] | [false, string, number]>;
+
+// Google Cloud Translation provider from google_translate_api.js
+declare const GOOGLE_TRANSLATION_PROVIDER: TranslationProvider;
+
+// LibreTranslate provider from libretranslate_api.js
+declare const LIBRETRANSLATE_TRANSLATION_PROVIDER: TranslationProvider;
+
+// DeepL provider and key failover from deepl_api.js
+declare const DEEPL_TRANSLATION_PROVIDER: TranslationProvider;
+declare const DEEPL_KEY_FAILOVER_STATUSES: number[];
+declare function toDeepLKeyFailoverReason(status: number): "invalid-key" | "quota-exceeded";
+declare function pickNextHealthyDeepLToken(
+    tokenInfos: DeepLTokenInfoInStorage[],
+    triedKeys: Set<string>,
+    now?: number
+): DeepLTokenInfoInStorage | null;
+
+// Subtitle track functions from subtitle_track.js
+declare const PRE_TRANSLATION_BATCH_SIZE: number;
+declare function parseSubtitleTrackEventDetail(eventDetail: unknown): SubtitleCue[];
+declare function orderCuesAroundPlayhead(cues: SubtitleCue[], currentTime: number): SubtitleCue[];
+declare function takeNextTranslationBatch(
+    pendingCues: SubtitleCue[],
+    currentTime: number,
+    batchMaximumSize: number,
+    toTranslationKey: (rawSubtitleFinnishText: string) => string
+): { batch: SubtitleCue[], remainingCues: SubtitleCue[] };
+declare const SentenceMergingMode: Readonly<{
+    OFF: "off",
+    PROPORTIONAL: "proportional",
+    SPANNING: "spanning",
+}>;
+declare function mergeCuesIntoSentences(cues: SubtitleCue[], maxGapSeconds?: number): SubtitleCue[];
+declare function splitTranslationProportionally(translatedText: string, sourceTexts: string[]): string[];
+declare function distributeTranslationToSourceCues(
+    cue: SubtitleCue,
+    translatedText: string,
+    sentenceMergingMode: string
+): Array<{ text: string, translatedText: string }>;
+declare function buildTranslationContext(
+    batch: SubtitleCue[],
+    trackCues: SubtitleCue[],
+    contextWindowSize: number
+): string;
+declare function countTranslatedSubtitleLines(
+    cues: SubtitleCue[],
+    translationMap: Map<string, string>,
+    toTranslationKey: (rawSubtitleFinnishText: string) => string
+): { translatedCount: number, totalCount: number };
+declare const SubtitleLineNavigation: Readonly<{
+    PREVIOUS: "previous",
+    REPLAY: "replay",
+    NEXT: "next",
+}>;
+declare function findSubtitleLineSeekTime(cues: SubtitleCue[], currentTime: number, navigation: string): number | null;
+declare function findCurrentSubtitleLine(
+    cues: SubtitleCue[],
+    currentTime: number
+): { startTime: number, endTime: number } | null;
+declare function getShadowingResumeDelayMs(
+    subtitleLine: { startTime: number, endTime: number },
+    resumeDelayFactor: number
+): number | null;
+declare const LoopPlaybackRateSchedule: Readonly<{
+    NORMAL: "normal",
+    SLOW_THEN_NORMAL: "slow-then-normal",
+    SLOWER_THEN_NORMAL: "slower-then-normal",
+}>;
+declare function findSubtitleLineToRepeat(
+    cues: SubtitleCue[],
+    currentTime: number
+): { startTime: number, endTime: number } | null;
+declare function toLoopRange(markA: number, markB: number): { startTime: number, endTime: number } | null;
+declare function getLoopRepeatPlaybackRate(
+    playbackRateSchedule: string,
+    repeatIndex: number,
+    normalPlaybackRate: number
+): number;
+declare function buildTranscriptLines(
+    cues: SubtitleCue[],
+    translationMap: Map<string, string>,
+    toTranslationKey: (rawSubtitleFinnishText: string) => string
+): TranscriptLine[];
+declare function matchesTranscriptSearch(transcriptLine: TranscriptLine, searchQuery: string): boolean;
+declare function findActiveTranscriptLineIndex(transcriptLines: TranscriptLine[], currentTime: number): number;
+
+// Word functions from subtitle_words.js
+declare function tokenizeSubtitleText(text: string): SubtitleToken[];
+declare function splitIntoWords(text: string): string[];
+declare function toVocabularyKey(word: string): string;
+declare function renderSubtitleWords(
+    subtitleRowElement: HTMLElement,
+    text: string,
+    knownWords: Set<string> | null
+): void;
+declare function updateRenderedWordKnownStatus(root: Document | Element, vocabularyKey: string, known: boolean): void;
+declare function createTextRange(element: Node, startIndex: number, endIndex: number): Range | null;
+
+// Morphology functions from finnish_morphology.js
+declare function analyzeFinnishWord(word: string): FinnishWordAnalysis | null;
+declare function toFinnishWordAnalysisRows(analysis: FinnishWordAnalysis): Array<{ key: string, val: string }>;
+
+// Dictionary functions from dictionary.js
+declare function parseWiktionaryDictionaryLine(line: string): DictionaryEntry | null;
+declare function mergeDictionaryEntries(dictionaryEntries: DictionaryEntry[]): DictionaryEntry[];
+declare function toDictionaryEntryRows(dictionaryEntry: DictionaryEntry): Array<{ key: string, val: string }>;
+declare function toDictionaryEntryTranslation(dictionaryEntry: DictionaryEntry): string;
+
+// Subtitle file parsers from subtitle_parser.js and the vendored webvtt_parser.js
+declare const WebVTTParser: any;
+declare function parseSrtTimestamp(timestamp: string): number | null;
+declare function normalizeSubtitleCueText(cueText: string): string;
+declare function parseSrtSubtitles(srtText: string): SubtitleCue[];
+declare function parseVttSubtitles(vttText: string): SubtitleCue[];
+declare const SubtitleFormat: Readonly<{
+    WEBVTT: "webvtt",
+    SRT: "srt",
+    TTML: "ttml",
+}>;
+declare function parseTtmlTime(
+    timeExpression: string | null,
+    timeBase: { frameRate: number, tickRate: number }
+): number | null;
+declare function parseTtmlSubtitles(ttmlText: string): SubtitleCue[];
+declare function detectSubtitleFormat(contentType: string, url: string, text: string | null): string | null;
+declare function canSniffSubtitleFormat(contentType: string): boolean;
+declare function isSubtitleUrl(url: string): boolean;
+declare function parseSubtitleText(text: string, subtitleFormat: string): SubtitleCue[];
+declare function parseSubtitleFile(fileText: string, fileName: string): SubtitleCue[];
+
+// HLS and DASH manifest helpers from subtitle_manifest.js
+interface SubtitleManifestTrack {
+    url: string;
+    language: string;
+    name: string;
+}
+declare const SubtitleManifestType: Readonly<{
+    HLS: "hls",
+    DASH: "dash",
+}>;
+declare function detectSubtitleManifestType(contentType: string, url: string): string | null;
+declare function parseHlsAttributeList(attributeList: string): Record<string, string>;
+declare function parseHlsSubtitleTracks(playlistText: string, playlistUrl: string): SubtitleManifestTrack[];
+declare function parseHlsMediaPlaylistSegments(playlistText: string, playlistUrl: string): string[];
+declare function parseDashSubtitleTracks(mpdText: string, mpdUrl: string): SubtitleManifestTrack[];
+declare function isFinnishSubtitleTrack(subtitleTrack: SubtitleManifestTrack): boolean | null;
+declare function chooseFinnishSubtitleTrack(subtitleTracks: SubtitleManifestTrack[]): SubtitleManifestTrack | null;
+declare function isHlsSubtitleSegment(subtitleText: string): boolean;
+declare function getHlsSegmentTimeOffset(subtitleText: string): number;
+declare function shiftSubtitleCues(cues: SubtitleCue[], offset: number): SubtitleCue[];
+declare function mergeSubtitleSegmentCues(reassembledCues: SubtitleCue[], segmentCues: SubtitleCue[]): SubtitleCue[];
+
+// Types from dictionary.js
+interface DictionarySense {
+    partOfSpeech: string;
+    gloss: string;
+}
+
+interface DictionaryEntry {
+    word: string;
+    senses: DictionarySense[];
+}
+
+// Types from finnish_morphology.js
+interface FinnishWordAnalysis {
+    lemma: string;
+    partOfSpeech: "noun" | "pronoun" | "verb";
+    case: string | null;
+    number: string | null;
+    possessive: string | null;
+    verbForm: string | null;
+    clitic: string | null;
+}
+
+// Types from subtitle_words.js
+interface SubtitleToken {
+    text: string;
+    start: number;
+    end: number;
+    isWord: boolean;
+}
+
+// Types from subtitle_track.js
+interface SubtitleCue {
+    startTime: number;
+    endTime: number;
+    text: string;
+    // Original cues of a sentence merged from several cues
+    sourceCues?: SubtitleCue[];
+}
+
+interface TranscriptLine {
+    startTime: number;
+    endTime: number;
+    text: string;
+    // Translation from sharedTranslationMap, "" while not translated yet
+    translatedText: string;
 }
@@ -1,48 +1,347 @@
-/* global importScripts, loadSelectedTokenFromChromeStorageSync */
-/* global translateTextsWithErrorHandlingWithDeepL */
+/* global importScripts, loadTranslationProviderSettingsFromChromeStorageSync */
+/* global loadAllDeepLTokenInfosFromChromeStorageSync, maskTranslationKey */
+/* global translateTextsWithErrorHandling, DEEPL_TRANSLATION_PROVIDER, GOOGLE_TRANSLATION_PROVIDER */
+/* global LIBRETRANSLATE_TRANSLATION_PROVIDER, DEEPL_KEY_FAILOVER_STATUSES */
+/* global pickNextHealthyDeepLToken, toDeepLKeyFailoverReason */
+/* global openDatabase, loadSubtitlesByMovieName, saveSubtitlesBatch, clearSubtitlesByMovieName */
+/* global upsertMovieMetadata, cleanupOldMovieData, saveEpisodeCues, loadEpisodeCues */
+/* global getAllEpisodeCuesMovieNames, buildBilingualSubtitleFile, toSubtitleExportFileName */
+/* global toTranslationKey, saveLookup, getAllLookups, deleteLookup, clearLookupHistory */
+/* global buildAnkiTsvDeck, saveVocabularyWord, getAllVocabularyWords, updateVocabularyWord */
+/* global setVocabularyWordKnown, deleteVocabularyWord, saveDictionaryEntries, findDictionaryEntry */
+/* global countDictionaryEntries, clearDictionary, parseWiktionaryDictionaryLine, mergeDictionaryEntries */
+/* global loadSubtitlesByTargetLanguage */
 importScripts('../utils/utils.js');
+importScripts('../utils/database.js');
+importScripts('../utils/subtitle_export.js');
+importScripts('../utils/anki_export.js');
+importScripts('../utils/dictionary.js');
 importScripts('../translation/shared.js');
 importScripts('../translation/deepl_api.js');
+importScripts('../translation/google_translate_api.js');
+importScripts('../translation/libretranslate_api.js');
 
-// Load selected DeepL key from Chrome storage sync
 /**
- * @type {string}
+ * Registry of available translation providers, keyed by the id stored in
+ * chrome.storage.sync `translationProvider`
+ * @type {Object<string, TranslationProvider>}
  */
-let deeplTokenKey = "";
+const TRANSLATION_PROVIDERS = {
+  [DEEPL_TRANSLATION_PROVIDER.id]: DEEPL_TRANSLATION_PROVIDER,
+  [GOOGLE_TRANSLATION_PROVIDER.id]: GOOGLE_TRANSLATION_PROVIDER,
+  [LIBRETRANSLATE_TRANSLATION_PROVIDER.id]: LIBRETRANSLATE_TRANSLATION_PROVIDER,
+};
+
 /**
- * @type {boolean}
+ * Active translation provider settings, loaded on extension startup.
+ * Kept as a promise so requests arriving before loading finishes wait for it.
+ * @type {Promise<TranslationProviderSettings>}
  */
-let isDeepLPro = false;
+let translationProviderSettingsPromise = loadTranslationProviderSettingsFromChromeStorageSync();
 
-// Load key on extension startup
-loadSelectedTokenFromChromeStorageSync().then((tokenInfo) => {
-  if (tokenInfo) {
-    deeplTokenKey = tokenInfo.key;
-    isDeepLPro = tokenInfo.isPro;
+// Listen for storage changes to reload provider settings when user changes them in options page
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'sync' &&
+    (changes.tokenInfos || changes.translationProvider || changes.translationProviderConfigs)) {
+    console.info('FinnishStreamingDualSubExtension: Translation provider configuration changed, reloading...');
+    translationProviderSettingsPromise = loadTranslationProviderSettingsFromChromeStorageSync();
   }
 });
 
-// Listen for storage changes to update key when user changes selection
-chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'sync' && changes.tokenInfos) {
-    console.info('FinnishStreamingDualSubExtension: Key configuration changed, reloading...');
-    if (changes.tokenInfos.newValue && Array.isArray(changes.tokenInfos.newValue)) {
-      /**
-       * @type {DeepLTokenInfoInStorage[]}
-       */
-      const deeplTokenInfos = changes.tokenInfos.newValue;
-      const selectedTokenInfo = deeplTokenInfos.find(token => token.selected === true);
-      if (selectedTokenInfo) {
-        deeplTokenKey = selectedTokenInfo.key;
-        isDeepLPro = selectedTokenInfo.type === "pro";
-      } else {
-        console.info('FinnishStreamingDualSubExtension: No selected key found in updated storage');
-      }
+/**
+ * Mark the failing DeepL key with the reason we switched away from it, select the next key
+ * and persist both to chrome storage sync, so options page and content scripts see the change.
+ * @param {DeepLTokenInfoInStorage[]} tokenInfos - all stored keys, modified in place
+ * @param {string} failedKey
+ * @param {"invalid-key" | "quota-exceeded"} failoverReason
+ * @param {string} nextKey
+ * @returns {Promise<void>}
+ */
+async function persistDeepLKeyFailover(tokenInfos, failedKey, failoverReason, nextKey) {
+  for (const tokenInfo of tokenInfos) {
+    if (tokenInfo.key === failedKey) {
+      tokenInfo.failoverReason = failoverReason;
+      tokenInfo.failoverAt = new Date().toISOString();
+    }
+    // A key out of quota is picked again once its quota may be reset, its old failover is over
+    if (tokenInfo.key === nextKey) {
+      delete tokenInfo.failoverReason;
+      delete tokenInfo.failoverAt;
+    }
+    tokenInfo.selected = tokenInfo.key === nextKey;
+  }
+  await chrome.storage.sync.set({ tokenInfos });
+}
+
+/**
+ * Translate with the selected DeepL key. When the key is out of quota (456) or rejected (403),
+ * rotate to the next healthy stored key, record why, and tell the content script which key
+ * is now active, so a long session keeps going.
+ * @param {{key: string, isPro: boolean}} config - selected DeepL token
+ * @param {string[]} rawSubtitleFinnishTexts
+ * @param {string} targetLanguage
+ * @param {string} context
+ * @param {number | undefined} tabId - tab which requested the translation
+ * @returns {Promise<[true, Array<string>]|[false, string]|[false, string, number]>}
+ */
+async function translateTextsWithDeepLKeyFailover(
+  config,
+  rawSubtitleFinnishTexts,
+  targetLanguage,
+  context,
+  tabId,
+) {
+  /** @type {Set<string>} */
+  const triedKeys = new Set();
+  let currentConfig = config;
+
+  while (true) {
+    triedKeys.add(currentConfig.key);
+    const translationResult = await translateTextsWithErrorHandling(
+      DEEPL_TRANSLATION_PROVIDER,
+      currentConfig,
+      rawSubtitleFinnishTexts,
+      targetLanguage,
+      context,
+    );
+    const errorStatusCode = translationResult[2];
+    if (translationResult[0] || !DEEPL_KEY_FAILOVER_STATUSES.includes(errorStatusCode)) {
+      return translationResult;
+    }
+
+    const tokenInfos = await loadAllDeepLTokenInfosFromChromeStorageSync();
+    const nextTokenInfo = pickNextHealthyDeepLToken(tokenInfos, triedKeys);
+    if (!nextTokenInfo) {
+      return translationResult;
+    }
+
+    const failoverReason = toDeepLKeyFailoverReason(errorStatusCode);
+    console.warn(
+      `FinnishStreamingDualSubExtension: DeepL key ${maskTranslationKey(currentConfig.key)} failed ` +
+      `(${failoverReason}), switching to ${maskTranslationKey(nextTokenInfo.key)}`
+    );
+    try {
+      await persistDeepLKeyFailover(
+        tokenInfos,
+        currentConfig.key,
+        failoverReason,
+        nextTokenInfo.key,
+      );
+    } catch (error) {
+      console.error("FinnishStreamingDualSubExtension: Error saving DeepL key failover:", error);
+    }
+    if (typeof tabId === 'number') {
+      chrome.tabs.sendMessage(tabId, {
+        type: "translationKeySwitched",
+        maskedKey: maskTranslationKey(nextTokenInfo.key),
+        reason: failoverReason,
+      }).catch((error) => {
+        console.warn("FinnishStreamingDualSubExtension: Cannot notify tab about DeepL key switch:", error);
+      });
+    }
+
+    currentConfig = { key: nextTokenInfo.key, isPro: nextTokenInfo.type === "pro" };
+  }
+}
+
+/**
+ * Translate texts with the provider currently selected in options page
+ * @param {string[]} rawSubtitleFinnishTexts
+ * @param {string} targetLanguage
+ * @param {string} context
+ * @param {number | undefined} tabId - tab which requested the translation
+ * @returns {Promise<[true, Array<string>]|[false, string]|[false, string, number]>}
+ */
+async function translateTextsWithActiveProvider(
+  rawSubtitleFinnishTexts,
+  targetLanguage,
+  context,
+  tabId,
+) {
+  const { providerId, config } = await translationProviderSettingsPromise;
+  const provider = TRANSLATION_PROVIDERS[providerId];
+  if (!provider) {
+    return [false, `Unknown translation service "${providerId}". Please select another one in settings.`];
+  }
+  if (!config) {
+    return [false, `${provider.displayName} is not configured. Please add your translation key in settings.`];
+  }
+  if (provider === DEEPL_TRANSLATION_PROVIDER) {
+    return translateTextsWithDeepLKeyFailover(
+      /** @type {{key: string, isPro: boolean}} */ (config),
+      rawSubtitleFinnishTexts,
+      targetLanguage,
+      context,
+      tabId,
+    );
+  }
+  return translateTextsWithErrorHandling(
+    provider,
+    config,
+    rawSubtitleFinnishTexts,
+    targetLanguage,
+    context,
+  );
+}
+
+/**
+ * Database functions content scripts and options page may run through "database" messages.
+ * Every function takes the database instance as first argument.
+ * @type {Object<string, (db: IDBDatabase, ...args: any[]) => Promise<any>>}
+ */
+const DATABASE_OPERATIONS = {
+  loadSubtitlesByMovieName,
+  loadSubtitlesByTargetLanguage,
+  saveSubtitlesBatch,
+  clearSubtitlesByMovieName,
+  upsertMovieMetadata,
+  saveEpisodeCues,
+  getAllEpisodeCuesMovieNames,
+  saveLookup,
+  getAllLookups,
+  deleteLookup,
+  clearLookupHistory,
+  saveVocabularyWord,
+  getAllVocabularyWords,
+  updateVocabularyWord,
+  setVocabularyWordKnown,
+  deleteVocabularyWord,
+  findDictionaryEntry,
+  countDictionaryEntries,
+  clearDictionary,
+};
+
+/**
+ * Database connection shared by all messages while the service worker is alive
+ * @type {Promise<IDBDatabase> | null}
+ */
+let databasePromise = null;
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = openDatabase().catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * @param {string} operation - key of DATABASE_OPERATIONS
+ * @param {Array<any>} args
+ * @returns {Promise<[true, any] | [false, string]>}
+ */
+async function runDatabaseOperation(operation, args) {
+  if (!Object.prototype.hasOwnProperty.call(DATABASE_OPERATIONS, operation)) {
+    return [false, `Unknown database operation: ${operation}`];
+  }
+  try {
+    const db = await getDatabase();
+    const result = await DATABASE_OPERATIONS[operation](db, ...(Array.isArray(args) ? args : []));
+    return [true, result];
+  } catch (error) {
+    console.error(`FinnishStreamingDualSubExtension: Database operation ${operation} failed:`, error);
+    return [false, error?.message || String(error)];
+  }
+}
+
+/**
+ * Build a bilingual subtitle file of a movie from its saved track and cached translations
+ * @param {string} movieName
+ * @param {string} targetLanguage
+ * @param {string} format - one of SubtitleExportFormat values
+ * @returns {Promise<[true, {fileName: string, fileContent: string}] | [false, string]>}
+ */
+async function exportEpisodeSubtitles(movieName, targetLanguage, format) {
+  try {
+    const db = await getDatabase();
+    const cues = await loadEpisodeCues(db, movieName);
+    if (!cues || cues.length === 0) {
+      return [false, "No subtitle track saved for this episode yet. Play the episode once to save it."];
     }
+    const subtitleRecords = await loadSubtitlesByMovieName(db, movieName, targetLanguage);
+    const translationMap = new Map(
+      subtitleRecords.map(subtitleRecord => [
+        subtitleRecord.originalText,
+        subtitleRecord.translatedText,
+      ])
+    );
+    const fileContent = buildBilingualSubtitleFile(
+      cues,
+      translationMap,
+      toTranslationKey,
+      format,
+      movieName,
+    );
+    const fileName = toSubtitleExportFileName(movieName, targetLanguage, format);
+    return [true, { fileName, fileContent }];
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Error exporting episode subtitles:", error);
+    return [false, error?.message || String(error)];
   }
+}
+
+/**
+ * Build an Anki deck of the whole lookup history
+ * @returns {Promise<[true, {fileName: string, fileContent: string}] | [false, string]>}
+ */
+async function exportAnkiDeck() {
+  try {
+    const lookups = await getAllLookups(await getDatabase());
+    if (lookups.length === 0) {
+      return [false, "No looked up words yet. Right-click a word in Finnish subtitles to look it up."];
+    }
+    const exportDate = new Date().toISOString().slice(0, 10);
+    return [true, {
+      fileName: `finnish-dual-sub-anki-${exportDate}.txt`,
+      fileContent: buildAnkiTsvDeck(lookups),
+    }];
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Error exporting Anki deck:", error);
+    return [false, error?.message || String(error)];
+  }
+}
+
+/**
+ * Import a batch of Wiktionary dump lines into the offline dictionary.
+ * Options page reads the dump file and sends it in batches, so a big file never has to fit in one message.
+ * @param {string[]} lines - one JSON object per line
+ * @returns {Promise<[true, {importedCount: number, skippedCount: number}] | [false, string]>}
+ */
+async function importDictionaryLines(lines) {
+  try {
+    const parsedEntries = lines.map(parseWiktionaryDictionaryLine);
+    const dictionaryEntries = mergeDictionaryEntries(parsedEntries.filter(Boolean));
+    const importedCount = await saveDictionaryEntries(await getDatabase(), dictionaryEntries);
+    const skippedCount = parsedEntries.filter(parsedEntry => !parsedEntry).length;
+    return [true, { importedCount, skippedCount }];
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Error importing dictionary:", error);
+    return [false, error?.message || String(error)];
+  }
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function cleanupOldMovieDataInBackground() {
+  try {
+    const cleanCount = await cleanupOldMovieData(await getDatabase());
+    console.info(`FinnishStreamingDualSubExtension: Clean ${cleanCount} movies data`);
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Error when cleaning old movie data: ", error);
+  }
+}
+
+chrome.runtime.onStartup.addListener(() => {
+  cleanupOldMovieDataInBackground().then(() => { });
 });
 
-chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'fetchTranslation') {
     /** @type {string[]} */
     const rawSubtitleFinnishTexts = request.data.rawSubtitleFinnishTexts;
@@ -50,12 +349,11 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     const targetLanguage = request.data.targetLanguage;
     /** @type {string} */
     const context = request.data.context || "";
-    translateTextsWithErrorHandlingWithDeepL(
-      deeplTokenKey,
-      isDeepLPro,
+    translateTextsWithActiveProvider(
       rawSubtitleFinnishTexts,
       targetLanguage,
       context,
+      sender.tab?.id,
     ).then((translationResult) => {
       sendResponse(translationResult);
     }).catch((error) => {
@@ -64,6 +362,39 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === 'database') {
+    runDatabaseOperation(request.data.operation, request.data.args).then((databaseResult) => {
+      sendResponse(databaseResult);
+    });
+    return true;
+  }
+
+  if (request.action === 'exportEpisodeSubtitles') {
+    exportEpisodeSubtitles(
+      request.data.movieName,
+      request.data.targetLanguage,
+      request.data.format,
+    ).then((exportResult) => {
+      sendResponse(exportResult);
+    });
+    return true;
+  }
+
+  if (request.action === 'exportAnkiDeck') {
+    exportAnkiDeck().then((exportResult) => {
+      sendResponse(exportResult);
+    });
+    return true;
+  }
+
+
+  if (request.action === 'importDictionaryLines') {
+    importDictionaryLines(request.data.lines).then((importResult) => {
+      sendResponse(importResult);
+    });
+    return true;
+  }
+
   if (request.action === 'openOptionsPage') {
     chrome.runtime.openOptionsPage();
     return false;
@@ -73,12 +404,18 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
 });
 
 chrome.runtime.onInstalled.addListener(() => {
+  cleanupOldMovieDataInBackground().then(() => { });
   chrome.contextMenus.removeAll(() => {
     chrome.contextMenus.create({
       id: "lookup-word",
       title: 'Look up "%s"',
       contexts: ["selection"],
-      documentUrlPatterns: ["https://areena.yle.fi/*", "https://www.ruutu.fi/*"],
+      documentUrlPatterns: [
+        "https://areena.yle.fi/*",
+        "https://www.ruutu.fi/*",
+        "https://www.mtv.fi/*",
+        "https://www.katsomo.fi/*",
+      ],
     });
   });
 });
@@ -1,7 +1,17 @@
-var s = document.createElement('script');
+// Page world scripts run in order: injected.js uses the parsers of the files before it
+const pageWorldScriptPaths = [
+    'main/utils/webvtt_parser.js',
+    'main/utils/subtitle_parser.js',
+    'main/utils/subtitle_manifest.js',
+    'main/background/injected.js',
+];
+for (const scriptPath of pageWorldScriptPaths) {
+    const s = document.createElement('script');
 
-s.src = chrome.runtime.getURL('main/background/injected.js');
-s.onload = function() {
-    this.remove();
-};
-(document.head || document.documentElement).appendChild(s);
\ No newline at end of file
+    s.src = chrome.runtime.getURL(scriptPath);
+    s.async = false;
+    s.onload = function() {
+        this.remove();
+    };
+    (document.head || document.documentElement).appendChild(s);
+}
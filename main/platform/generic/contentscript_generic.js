@@ -0,0 +1,125 @@
+/* global initializeContainerForSubtitleRows, setupTextTrackListeners, setTextTrackDualSubDisplayed */
+/* global isSubtitleTextTrack, tracksHiddenByExtension, getActiveVideoElement */
+/* global startDualSubOnPlatform, initializeDualSubForVideo */
+
+// Generic adapter of the dual subtitle core (main/platform/shared.js) for any page playing
+// an HTML5 video with a subtitles or captions text track, e.g. news sites and course platforms.
+// Not listed in the manifest: the popup injects it into the active tab on demand.
+
+/** @type {WeakMap<TextTrack, number>} number of cues of text tracks already sent for translation */
+const textTrackCueCountsSentForTranslation = new WeakMap();
+
+/**
+ * @returns {HTMLVideoElement | null} first video with a subtitle text track, otherwise the first video
+ */
+function findVideoWithSubtitleTrack() {
+  const videos = /** @type {HTMLVideoElement[]} */ (Array.from(document.querySelectorAll('video')));
+  return videos.find(video => Array.from(video.textTracks).some(isSubtitleTextTrack)) ||
+    videos[0] ||
+    null;
+}
+
+/**
+ * Send all cues of a text track to the translation queue, the same way injected.js does for
+ * subtitle files fetched by named platforms. Tracks of <track> elements are not fetched by the page.
+ * @param {TextTrack} textTrack
+ */
+function sendTextTrackForTranslation(textTrack) {
+  const textTrackCues = Array.from(textTrack.cues || []);
+  if (textTrackCues.length === 0 ||
+    textTrackCueCountsSentForTranslation.get(textTrack) === textTrackCues.length) {
+    return;
+  }
+  textTrackCueCountsSentForTranslation.set(textTrack, textTrackCues.length);
+
+  const cues = [];
+  for (const textTrackCue of textTrackCues) {
+    if (textTrackCue instanceof VTTCue) {
+      const subtitle = textTrackCue.text.replace(/\n/g, " ").replace(/\s+/g, " ").trim();
+      if (subtitle.length > 0) {
+        cues.push({
+          startTime: textTrackCue.startTime,
+          endTime: textTrackCue.endTime,
+          text: subtitle,
+        });
+      }
+    }
+  }
+  document.dispatchEvent(new CustomEvent("sendSubtitleTrackEvent", {
+    detail: JSON.stringify({ cues }),
+  }));
+}
+
+/**
+ * @param {HTMLVideoElement} video
+ */
+function setupGenericSubtitleSource(video) {
+  initializeContainerForSubtitleRows(video);
+  setupTextTrackListeners(video);
+
+  /**
+   * Cues are only loaded once the track is showing or hidden, so send them on their first cuechange
+   * @param {TextTrack} textTrack
+   */
+  function sendCuesOnCueChange(textTrack) {
+    if (isSubtitleTextTrack(textTrack)) {
+      textTrack.addEventListener('cuechange', () => {
+        sendTextTrackForTranslation(textTrack);
+      });
+    }
+  }
+  for (const textTrack of Array.from(video.textTracks)) {
+    sendCuesOnCueChange(textTrack);
+  }
+  video.textTracks.addEventListener('addtrack', (e) => {
+    sendCuesOnCueChange(e.track);
+  });
+}
+
+/**
+ * Unlike streaming sites, plain HTML5 videos often have every text track disabled by default.
+ * Turn on a Finnish one in hidden mode so its cues play in the dual subtitle rows.
+ * @param {boolean} enabled
+ * @returns {boolean}
+ */
+function setGenericDualSubDisplayed(enabled) {
+  const video = getActiveVideoElement();
+  if (enabled && video) {
+    const subtitleTracks = Array.from(video.textTracks).filter(isSubtitleTextTrack);
+    if (subtitleTracks.every(textTrack => textTrack.mode === 'disabled')) {
+      const finnishTrack =
+        subtitleTracks.find(textTrack => textTrack.language.toLowerCase().startsWith('fi')) ||
+        subtitleTracks[0];
+      if (finnishTrack) {
+        finnishTrack.mode = 'hidden';
+        tracksHiddenByExtension.add(finnishTrack);
+      }
+    }
+  }
+  return setTextTrackDualSubDisplayed(enabled);
+}
+
+/** @type {PlatformAdapter} */
+const GENERIC_PLATFORM_ADAPTER = {
+  id: "generic",
+  activeButtonColor: '#3b82f6',
+  inactiveButtonColor: "white",
+  videoAppearDebounceMs: 5000,
+  isVideoPage: () => true,
+  findToolbarMountPoint: () => findVideoWithSubtitleTrack()?.parentElement || null,
+  findVideoTitle: () => document.title.trim() || window.location.hostname,
+  getLookupPopupAppendTarget: () => findVideoWithSubtitleTrack()?.parentElement,
+  initializeSubtitleSource: setupGenericSubtitleSource,
+  // Subtitles come from text track cue changes, not from DOM mutations
+  handleSubtitleMutation: () => false,
+  setDualSubDisplayed: setGenericDualSubDisplayed,
+  // Site subtitles are rendered by the video element itself and cannot be blurred
+  applyBlurToSiteSubtitles: () => { },
+  findVideoElement: findVideoWithSubtitleTrack,
+};
+
+startDualSubOnPlatform(GENERIC_PLATFORM_ADAPTER);
+// The video is usually on the page already when the popup injects this script
+if (findVideoWithSubtitleTrack()) {
+  initializeDualSubForVideo();
+}
@@ -0,0 +1,31 @@
+/* global initializeContainerForSubtitleRows, setupTextTrackListeners, setTextTrackDualSubDisplayed */
+/* global startDualSubOnPlatform */
+
+// MTV Katsomo adapter of the dual subtitle core (main/platform/shared.js).
+// MTV Katsomo plays subtitles as text tracks of the video, see main/platform/text_track_subtitles.js.
+// The toolbar floats over the video, so it does not depend on class names of the player controls.
+
+/** @type {PlatformAdapter} */
+const KATSOMO_PLATFORM_ADAPTER = {
+  id: "katsomo",
+  activeButtonColor: '#f5a300',
+  inactiveButtonColor: "white",
+  videoAppearDebounceMs: 5000,
+  isVideoPage: () => true,
+  findToolbarMountPoint: () => document.querySelector('video')?.parentElement || null,
+  findVideoTitle: () => document.querySelector('h1')?.textContent?.trim()
+    || document.title.trim()
+    || null,
+  getLookupPopupAppendTarget: () => document.querySelector('video')?.parentElement,
+  initializeSubtitleSource: (video) => {
+    initializeContainerForSubtitleRows(video);
+    setupTextTrackListeners(video);
+  },
+  // Subtitles come from text track cue changes, not from DOM mutations
+  handleSubtitleMutation: () => false,
+  setDualSubDisplayed: setTextTrackDualSubDisplayed,
+  // Site subtitles are rendered by the video element itself and cannot be blurred
+  applyBlurToSiteSubtitles: () => { },
+};
+
+startDualSubOnPlatform(KATSOMO_PLATFORM_ADAPTER);
@@ -0,0 +1,111 @@
+/* global initializeContainerForSubtitleRows, setupTextTrackListeners, setTextTrackDualSubDisplayed */
+/* global startDualSubOnPlatform, initializeDualSubForVideo, loadMovieCacheAndUpdateMetadata */
+/* global parseSubtitleFile */
+
+// Local video adapter of the dual subtitle core (main/platform/shared.js), used by the
+// extension page extension-local-player/player.html to play a video file with a subtitle file.
+// Subtitles are added to the video as a text track, then play like Ruutu ones,
+// see main/platform/text_track_subtitles.js.
+
+const localVideo = /** @type {HTMLVideoElement} */ (document.getElementById('localVideo'));
+const localPlayerStatus = document.getElementById('localPlayerStatus');
+
+/** @type {string | null} file name of the video, used as movie name of the cache */
+let localVideoFileName = null;
+
+/**
+ * Play a video file chosen by the user
+ * @param {File} videoFile
+ */
+function loadLocalVideoFile(videoFile) {
+  if (localVideo.src) {
+    URL.revokeObjectURL(localVideo.src);
+  }
+  localVideo.src = URL.createObjectURL(videoFile);
+  localVideoFileName = videoFile.name;
+  loadMovieCacheAndUpdateMetadata().then(() => { }).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error populating shared translation map from cache:", error);
+  });
+}
+
+/**
+ * Add cues of a subtitle file chosen by the user as a new text track of the video,
+ * and send them to the translation queue like injected.js does for streaming sites
+ * @param {File} subtitleFile
+ * @returns {Promise<number>} number of subtitle lines
+ */
+async function loadLocalSubtitleFile(subtitleFile) {
+  const cues = parseSubtitleFile(await subtitleFile.text(), subtitleFile.name);
+  if (cues.length === 0) {
+    return 0;
+  }
+
+  // Tracks added by script cannot be removed, so turn off the previous subtitle file instead
+  for (const textTrack of Array.from(localVideo.textTracks)) {
+    textTrack.mode = 'disabled';
+  }
+  const subtitleTrack = localVideo.addTextTrack('subtitles', subtitleFile.name, 'fi');
+  for (const cue of cues) {
+    subtitleTrack.addCue(new VTTCue(cue.startTime, cue.endTime, cue.text));
+  }
+  subtitleTrack.mode = 'showing';
+
+  document.dispatchEvent(new CustomEvent("sendSubtitleTrackEvent", {
+    detail: JSON.stringify({ cues }),
+  }));
+  return cues.length;
+}
+
+/** @type {PlatformAdapter} */
+const LOCAL_PLATFORM_ADAPTER = {
+  id: "local",
+  activeButtonColor: '#3b82f6',
+  inactiveButtonColor: "white",
+  videoAppearDebounceMs: 5000,
+  isVideoPage: () => true,
+  findToolbarMountPoint: () => document.getElementById('localVideoContainer'),
+  findVideoTitle: () => localVideoFileName,
+  getLookupPopupAppendTarget: () => document.getElementById('localVideoContainer'),
+  initializeSubtitleSource: (video) => {
+    initializeContainerForSubtitleRows(video);
+    setupTextTrackListeners(video);
+  },
+  // Subtitles come from text track cue changes, not from DOM mutations
+  handleSubtitleMutation: () => false,
+  setDualSubDisplayed: setTextTrackDualSubDisplayed,
+  // Native subtitles are rendered by the video element itself and cannot be blurred
+  applyBlurToSiteSubtitles: () => { },
+  findVideoElement: () => localVideo,
+};
+
+startDualSubOnPlatform(LOCAL_PLATFORM_ADAPTER);
+initializeDualSubForVideo();
+
+document.getElementById('localVideoFileInput').addEventListener('change', (e) => {
+  const videoFile = /** @type {HTMLInputElement} */ (e.target).files?.[0];
+  if (videoFile) {
+    loadLocalVideoFile(videoFile);
+  }
+});
+
+document.getElementById('localSubtitleFileInput').addEventListener('change', (e) => {
+  const subtitleFile = /** @type {HTMLInputElement} */ (e.target).files?.[0];
+  if (!subtitleFile) {
+    return;
+  }
+  loadLocalSubtitleFile(subtitleFile).then((cueCount) => {
+    localPlayerStatus.textContent = cueCount > 0 ?
+      `Loaded ${cueCount} subtitle lines from ${subtitleFile.name}.` :
+      `No subtitles found in ${subtitleFile.name}. Only .srt, .vtt and TTML files are supported.`;
+  }).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error loading subtitle file:", error);
+    localPlayerStatus.textContent = `Cannot read ${subtitleFile.name}.`;
+  });
+});
+
+document.getElementById('localFullscreenButton').addEventListener('click', () => {
+  // Fullscreen the container, not the video, so dual subtitle rows and toolbar stay visible
+  document.getElementById('localVideoContainer').requestFullscreen().catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error entering fullscreen:", error);
+  });
+});
@@ -0,0 +1,2086 @@
+/* global loadTargetLanguageFromChromeStorageSync, loadTranslationProviderSettingsFromChromeStorageSync */
+/* global callDatabaseInBackground, migrateLegacyPageDatabaseToBackground, toTranslationKey */
+/* global fetchTranslation, handleLookupMessage, handleTranslationKeySwitchedMessage */
+/* global loadPreTranslateEpisodeFromChromeStorageSync, PRE_TRANSLATION_BATCH_SIZE */
+/* global parseSubtitleTrackEventDetail, orderCuesAroundPlayhead, takeNextTranslationBatch */
+/* global countTranslatedSubtitleLines, buildTranslationContext, loadContextWindowSizeFromChromeStorageSync */
+/* global SentenceMergingMode, mergeCuesIntoSentences, distributeTranslationToSourceCues */
+/* global loadSentenceMergingModeFromChromeStorageSync, fetchEpisodeSubtitleExport, downloadTextFile */
+/* global loadReadingModeFromChromeStorageSync, loadKnownVocabularyWords, handleSubtitleWordClick */
+/* global renderSubtitleWords, closeLookupPopup, isSubtitleWordElement */
+/* global SubtitleLineNavigation, findSubtitleLineSeekTime, findCurrentSubtitleLine, getShadowingResumeDelayMs */
+/* global loadShadowingModeFromChromeStorageSync, loadShadowingResumeDelayFactorFromChromeStorageSync */
+/* global LoopPlaybackRateSchedule, findSubtitleLineToRepeat, toLoopRange, getLoopRepeatPlaybackRate */
+/* global buildTranscriptLines, matchesTranscriptSearch, findActiveTranscriptLineIndex */
+
+// Dual subtitle core shared by every streaming site: settings, translation queue, toolbar,
+// blur mode and word lookup. Each site content script implements a PlatformAdapter
+// and starts the core with startDualSubOnPlatform.
+
+/**
+ * Contract every streaming site implements so the core can treat them the same way.
+ *
+ * @typedef {Object} PlatformAdapter
+ * @property {string} id - Site id, prefix of toolbar element ids (e.g. "yle" gives "yle-dual-sub-rewind-button")
+ * @property {string} activeButtonColor - Colour of toolbar buttons whose mode is on (blur, pre-translate)
+ * @property {string} inactiveButtonColor - Colour of toolbar buttons whose mode is off, "" keeps the site colour
+ * @property {number} videoAppearDebounceMs - How long other video mutations are ignored once a video appeared,
+ * the player fires several mutations while it is built
+ * @property {() => boolean} isVideoPage - Whether the current page may play an episode
+ * @property {() => Element | null} findToolbarMountPoint - Player control bar the extension toolbar is appended to
+ * @property {() => string | null} findVideoTitle - Movie name used as cache key (e.g. "Series Title | Episode Name"),
+ * null until the player shows it
+ * @property {() => Element} getLookupPopupAppendTarget - Element the lookup popup and notices are shown in,
+ * visible in fullscreen too
+ * @property {(video: HTMLVideoElement) => void} initializeSubtitleSource - Start following the site subtitles
+ * of a video which just appeared
+ * @property {(mutation: MutationRecord) => boolean} handleSubtitleMutation - Render subtitles changed by a DOM mutation,
+ * false if the mutation is not about subtitles
+ * @property {(enabled: boolean) => boolean} setDualSubDisplayed - Replace site subtitles with dual subtitles
+ * or restore them, false if subtitles of the site cannot be found
+ * @property {() => void} applyBlurToSiteSubtitles - Blur or unblur site subtitles shown while dual sub is off
+ * @property {() => HTMLVideoElement | null} [findVideoElement] - Video playing the episode,
+ * the first video of the page if omitted
+ * @property {boolean} [hasLegacyPageDatabase] - Whether older versions cached subtitles in the IndexedDB
+ * of the site origin, to be moved to the extension database
+ */
+
+// ==================================
+// SECTION 1: STATE & INITIALIZATION
+// ==================================
+
+// Blur mode SVG icons
+const VISIBILITY_ON_SVG = `<svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+  <path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>
+</svg>`;
+
+const VISIBILITY_OFF_SVG = `<svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+  <path d="M12 7c2.76 0 5 2.24 5 5 0 .65-.13 1.26-.36 1.83l2.92 2.92c1.51-1.26 2.7-2.89 3.43-4.75-1.73-4.39-6-7.5-11-7.5-1.4 0-2.74.25-3.98.7l2.16 2.16C10.74 7.13 11.35 7 12 7zM2 4.27l2.28 2.28.46.46C3.08 8.3 1.78 10.02 1 12c1.73 4.39 6 7.5 11 7.5 1.55 0 3.03-.3 4.38-.84l.42.42L19.73 22 21 20.73 3.27 3 2 4.27zM7.53 9.8l1.55 1.55c-.05.21-.08.43-.08.65 0 1.66 1.34 3 3 3 .22 0 .44-.03.65-.08l1.55 1.55c-.67.33-1.41.53-2.2.53-2.76 0-5-2.24-5-5 0-.79.2-1.53.53-2.2zm4.31-.78l3.15 3.15.02-.16c0-1.66-1.34-3-3-3l-.17.01z"/>
+</svg>`;
+
+/**
+ * @type {PlatformAdapter}
+ * Adapter of the streaming site this content script runs on, set by startDualSubOnPlatform
+ */
+let activePlatformAdapter = null;
+
+/** @type {Map<string, string>}
+ * Shared translation map, with key is normalized Finnish text, and value is translated text
+ */
+const sharedTranslationMap = new Map();
+/** @type {Map<string, string>} */
+const sharedTranslationErrorMap = new Map();
+
+// State of target_language (cached from chrome storage sync)
+let targetLanguage = "EN-US";
+loadTargetLanguageFromChromeStorageSync().then((loadedTargetLanguage) => {
+  targetLanguage = loadedTargetLanguage;
+}).catch((error) => {
+  console.error("FinnishStreamingDualSubExtension: Error loading target language from storage:", error);
+});
+
+// State of Dual Sub Switch, to manage whether to add display subtitles wrapper
+let dualSubEnabled = false;
+
+// State of pre-translate episode mode (cached from chrome storage sync)
+let preTranslateEpisodeEnabled = false;
+loadPreTranslateEpisodeFromChromeStorageSync().then((loadedPreTranslateEpisode) => {
+  preTranslateEpisodeEnabled = loadedPreTranslateEpisode;
+}).catch((error) => {
+  console.error("FinnishStreamingDualSubExtension: Error loading pre-translate episode setting from storage:", error);
+});
+
+// Number of previous/next subtitle lines sent as translation context (cached from chrome storage sync)
+let contextWindowSize = 2;
+loadContextWindowSizeFromChromeStorageSync().then((loadedContextWindowSize) => {
+  contextWindowSize = loadedContextWindowSize;
+}).catch((error) => {
+  console.error("FinnishStreamingDualSubExtension: Error loading context window size from storage:", error);
+});
+
+// How cues forming one sentence are merged before translation (cached from chrome storage sync)
+/** @type {string} */
+let sentenceMergingMode = SentenceMergingMode.OFF;
+loadSentenceMergingModeFromChromeStorageSync().then((loadedSentenceMergingMode) => {
+  sentenceMergingMode = loadedSentenceMergingMode;
+}).catch((error) => {
+  console.error("FinnishStreamingDualSubExtension: Error loading sentence merging mode from storage:", error);
+});
+
+// State of reading mode, colouring unknown words in Finnish subtitles (cached from chrome storage sync)
+let readingModeEnabled = false;
+loadReadingModeFromChromeStorageSync().then((loadedReadingMode) => {
+  readingModeEnabled = loadedReadingMode;
+}).catch((error) => {
+  console.error("FinnishStreamingDualSubExtension: Error loading reading mode setting from storage:", error);
+});
+
+// State of shadowing mode, pausing the video at the end of every subtitle line (cached from chrome storage sync)
+let shadowingModeEnabled = false;
+loadShadowingModeFromChromeStorageSync().then((loadedShadowingMode) => {
+  shadowingModeEnabled = loadedShadowingMode;
+  updateShadowingIndicator();
+}).catch((error) => {
+  console.error("FinnishStreamingDualSubExtension: Error loading shadowing mode setting from storage:", error);
+});
+
+// Shadowing mode resume delay, multiple of the paused line duration (cached from chrome storage sync)
+let shadowingResumeDelayFactor = 0;
+loadShadowingResumeDelayFactorFromChromeStorageSync().then((loadedShadowingResumeDelayFactor) => {
+  shadowingResumeDelayFactor = loadedShadowingResumeDelayFactor;
+}).catch((error) => {
+  console.error("FinnishStreamingDualSubExtension: Error loading shadowing resume delay from storage:", error);
+});
+
+/**
+ * @type {Set<string>}
+ * Words marked as known in the vocabulary notebook, reloaded when a new movie is played
+ */
+let knownVocabularyWords = new Set();
+
+/**
+ * Reload known words, so words marked in the options page are coloured correctly
+ * @returns {Promise<void>}
+ */
+async function reloadKnownVocabularyWords() {
+  try {
+    knownVocabularyWords = await loadKnownVocabularyWords();
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Error loading known words from vocabulary notebook:", error);
+  }
+}
+
+/**
+ * Show Finnish subtitle line in its row, one clickable span per word
+ * @param {HTMLElement} finnishSubtitleRowElement
+ * @param {string} finnishText
+ */
+// eslint-disable-next-line no-unused-vars
+function setFinnishSubtitleRowText(finnishSubtitleRowElement, finnishText) {
+  renderSubtitleWords(
+    finnishSubtitleRowElement,
+    finnishText,
+    readingModeEnabled ? knownVocabularyWords : null
+  );
+}
+
+/**
+ * @returns {Element} element the lookup popup and notices are shown in
+ */
+function getLookupPopupAppendTarget() {
+  return activePlatformAdapter.getLookupPopupAppendTarget() || document.body;
+}
+
+/**
+ * @returns {HTMLVideoElement | null} video the dual subtitles belong to
+ */
+function getActiveVideoElement() {
+  if (activePlatformAdapter?.findVideoElement) {
+    return activePlatformAdapter.findVideoElement();
+  }
+  return document.querySelector('video');
+}
+
+/**
+ * @returns {SubtitleCue[]} cues of the subtitle track intercepted by injected.js,
+ * otherwise cues of the text tracks the video is playing
+ */
+function getNavigableSubtitleCues() {
+  if (currentSubtitleTrackCues.length > 0) {
+    return currentSubtitleTrackCues;
+  }
+  const video = getActiveVideoElement();
+  if (!video) {
+    return [];
+  }
+  return Array.from(video.textTracks)
+    .filter(textTrack => textTrack.mode !== 'disabled' &&
+      (textTrack.kind === 'subtitles' || textTrack.kind === 'captions'))
+    .flatMap(textTrack => Array.from(textTrack.cues || []))
+    .map(textTrackCue => ({
+      startTime: textTrackCue.startTime,
+      endTime: textTrackCue.endTime,
+      text: textTrackCue instanceof VTTCue ? textTrackCue.text : '',
+    }));
+}
+
+/**
+ * Seek the video to the exact start of the previous, current or next subtitle line
+ * @param {string} navigation - one of SubtitleLineNavigation
+ */
+function seekToSubtitleLine(navigation) {
+  const video = getActiveVideoElement();
+  if (!video) {
+    console.error("FinnishStreamingDualSubExtension: Cannot find video element");
+    return;
+  }
+  const cues = getNavigableSubtitleCues();
+  const seekTime = findSubtitleLineSeekTime(cues, video.currentTime, navigation);
+  if (seekTime !== null) {
+    video.currentTime = seekTime;
+  }
+  // Replaying a line in a shadowing pause means listening to it again
+  if (isShadowingPauseActive) {
+    resumeFromShadowingPause();
+  }
+}
+
+// Shadowing mode pauses a little before the line ends, while the site still displays it
+const SHADOWING_PAUSE_BEFORE_LINE_END_SECONDS = 0.15;
+
+/** @type {ReturnType<typeof setTimeout> | null} */
+let shadowingPauseTimeoutId = null;
+/** @type {ReturnType<typeof setTimeout> | null} */
+let shadowingResumeTimeoutId = null;
+/**
+ * @type {{startTime: number, endTime: number} | null}
+ * Line shadowing mode last paused at, until the next seek, so resuming does not pause there again
+ */
+let shadowingPausedLine = null;
+// Whether the video is waiting for the viewer to repeat a line
+let isShadowingPauseActive = false;
+
+/**
+ * Show in the toolbar whether shadowing mode is on and whether the video is waiting for the viewer.
+ * Blurred rows are revealed during the pause.
+ * @returns {void}
+ */
+function updateShadowingIndicator() {
+  const platformId = activePlatformAdapter?.id;
+  const shadowingButton = document.getElementById(`${platformId}-dual-sub-shadowing-button`);
+  if (shadowingButton) {
+    shadowingButton.style.color = shadowingModeEnabled ?
+      activePlatformAdapter.activeButtonColor :
+      activePlatformAdapter.inactiveButtonColor;
+    shadowingButton.setAttribute('aria-pressed', String(shadowingModeEnabled));
+  }
+  const shadowingStatusElement = document.getElementById(`${platformId}-dual-sub-shadowing-status`);
+  if (shadowingStatusElement) {
+    if (!isShadowingPauseActive) {
+      shadowingStatusElement.textContent = '';
+    } else if (shadowingResumeTimeoutId !== null) {
+      shadowingStatusElement.textContent = 'Your turn: repeat the line';
+    } else {
+      shadowingStatusElement.textContent = 'Your turn: repeat the line, then press Enter';
+    }
+  }
+  document.body?.classList.toggle('dual-sub-shadowing-paused', isShadowingPauseActive);
+}
+
+/**
+ * Pause the video at a subtitle line end and wait for the viewer to repeat the line
+ * @param {HTMLVideoElement} video
+ * @param {{startTime: number, endTime: number}} subtitleLine
+ * @returns {void}
+ */
+function pauseForShadowing(video, subtitleLine) {
+  if (!shadowingModeEnabled || video.paused) {
+    return;
+  }
+  shadowingPausedLine = subtitleLine;
+  isShadowingPauseActive = true;
+  video.pause();
+  const resumeDelayMs = getShadowingResumeDelayMs(subtitleLine, shadowingResumeDelayFactor);
+  if (resumeDelayMs !== null) {
+    shadowingResumeTimeoutId = setTimeout(resumeFromShadowingPause, resumeDelayMs);
+  }
+  updateShadowingIndicator();
+}
+
+/**
+ * Stop waiting in a shadowing pause, without touching the video
+ * @returns {void}
+ */
+function endShadowingPause() {
+  clearTimeout(shadowingResumeTimeoutId);
+  shadowingResumeTimeoutId = null;
+  isShadowingPauseActive = false;
+  updateShadowingIndicator();
+}
+
+/**
+ * @returns {void}
+ */
+function resumeFromShadowingPause() {
+  endShadowingPause();
+  getActiveVideoElement()?.play().catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error resuming video after shadowing pause:", error);
+  });
+}
+
+/**
+ * Schedule the shadowing pause at the end of the line on screen. Called on every time update,
+ * which fires only a few times per second, too coarsely to pause before the line disappears.
+ * @param {HTMLVideoElement} video
+ * @returns {void}
+ */
+function scheduleShadowingPause(video) {
+  clearTimeout(shadowingPauseTimeoutId);
+  shadowingPauseTimeoutId = null;
+  // A loop drills its range without pausing, it ends at the range end anyway
+  if (!shadowingModeEnabled || activeLoop || video.paused || video.playbackRate <= 0) {
+    return;
+  }
+  const subtitleLine = findCurrentSubtitleLine(getNavigableSubtitleCues(), video.currentTime);
+  if (!subtitleLine ||
+    (subtitleLine.startTime === shadowingPausedLine?.startTime &&
+      subtitleLine.endTime === shadowingPausedLine?.endTime)) {
+    return;
+  }
+  const pauseTime = Math.max(
+    subtitleLine.startTime,
+    subtitleLine.endTime - SHADOWING_PAUSE_BEFORE_LINE_END_SECONDS
+  );
+  const pauseDelayMs = Math.max(0, (pauseTime - video.currentTime) * 1000 / video.playbackRate);
+  shadowingPauseTimeoutId = setTimeout(() => {
+    shadowingPauseTimeoutId = null;
+    pauseForShadowing(video, subtitleLine);
+  }, pauseDelayMs);
+}
+
+const LOOP_REPEAT_COUNT_OPTIONS = [2, 3, 5, 10];
+const LOOP_PLAYBACK_RATE_SCHEDULE_LABELS = {
+  [LoopPlaybackRateSchedule.NORMAL]: 'Normal speed',
+  [LoopPlaybackRateSchedule.SLOW_THEN_NORMAL]: '0.75× then normal',
+  [LoopPlaybackRateSchedule.SLOWER_THEN_NORMAL]: '0.5×, 0.75× then normal',
+};
+// A seek this far outside the loop range was made by the viewer, and ends the loop
+const LOOP_RANGE_SEEK_TOLERANCE_SECONDS = 0.5;
+
+// How many times a loop plays its range, and at which speeds (kept for the session like blur mode)
+let loopRepeatCount = 3;
+/** @type {string} */
+let loopPlaybackRateSchedule = LoopPlaybackRateSchedule.NORMAL;
+/** @type {number | null} A mark of an A-B loop waiting for its B mark, in seconds */
+let loopMarkA = null;
+/**
+ * @type {{startTime: number, endTime: number, completedRepeats: number, normalPlaybackRate: number} | null}
+ * Loop being played, normalPlaybackRate is restored when it ends
+ */
+let activeLoop = null;
+/** @type {ReturnType<typeof setTimeout> | null} */
+let loopRepeatTimeoutId = null;
+
+/**
+ * @param {number} seconds
+ * @returns {string} exp: "1:05"
+ */
+function formatPlaybackTime(seconds) {
+  const wholeSeconds = Math.floor(seconds);
+  return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Show the loop state next to the loop button, and tick the selected repeat count and speeds
+ * @returns {void}
+ */
+function updateLoopIndicator() {
+  const platformId = activePlatformAdapter?.id;
+  const loopMenuButton = document.getElementById(`${platformId}-dual-sub-loop-menu-btn`);
+  if (loopMenuButton) {
+    loopMenuButton.style.color = activeLoop || loopMarkA !== null ?
+      activePlatformAdapter.activeButtonColor :
+      activePlatformAdapter.inactiveButtonColor;
+  }
+  const loopStatusElement = document.getElementById(`${platformId}-dual-sub-loop-status`);
+  if (loopStatusElement) {
+    if (activeLoop) {
+      const video = getActiveVideoElement();
+      const playbackRate = video ? video.playbackRate / activeLoop.normalPlaybackRate : 1;
+      const repeatNumber = Math.min(activeLoop.completedRepeats + 1, loopRepeatCount);
+      const playbackRateText = playbackRate === 1 ? '' : ` at ${playbackRate}×`;
+      loopStatusElement.textContent = `Loop ${repeatNumber}/${loopRepeatCount}${playbackRateText}`;
+    } else if (loopMarkA !== null) {
+      loopStatusElement.textContent = `A at ${formatPlaybackTime(loopMarkA)}, mark B`;
+    } else {
+      loopStatusElement.textContent = '';
+    }
+  }
+  const loopDropdown = document.getElementById(`${platformId}-dual-sub-loop-dropdown`);
+  if (loopDropdown) {
+    const markButton = loopDropdown.querySelector('button[data-loop-action="mark"]');
+    if (markButton) {
+      markButton.textContent = loopMarkA === null ? 'Mark A (loop start)' : 'Mark B (loop end)';
+    }
+    const optionButtons = /** @type {HTMLElement[]} */ (Array.from(loopDropdown.querySelectorAll('button')));
+    for (const optionButton of optionButtons) {
+      const { loopRepeatCount: repeatCount, loopRateSchedule } = optionButton.dataset;
+      if (repeatCount) {
+        optionButton.setAttribute('aria-checked', String(Number(repeatCount) === loopRepeatCount));
+      } else if (loopRateSchedule) {
+        optionButton.setAttribute('aria-checked', String(loopRateSchedule === loopPlaybackRateSchedule));
+      }
+    }
+  }
+}
+
+/**
+ * Play the loop range from its start, at the speed of the current repeat
+ * @param {HTMLVideoElement} video
+ * @returns {void}
+ */
+function playLoopRepeat(video) {
+  video.playbackRate = getLoopRepeatPlaybackRate(
+    loopPlaybackRateSchedule,
+    activeLoop.completedRepeats,
+    activeLoop.normalPlaybackRate
+  );
+  video.currentTime = activeLoop.startTime;
+  if (video.paused) {
+    video.play().catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error playing loop:", error);
+    });
+  }
+  updateLoopIndicator();
+}
+
+/**
+ * @param {{startTime: number, endTime: number}} loopRange
+ * @returns {void}
+ */
+function startLoop(loopRange) {
+  const video = getActiveVideoElement();
+  if (!video) {
+    console.error("FinnishStreamingDualSubExtension: Cannot find video element");
+    return;
+  }
+  if (isShadowingPauseActive) {
+    endShadowingPause();
+  }
+  clearTimeout(loopRepeatTimeoutId);
+  activeLoop = {
+    startTime: loopRange.startTime,
+    endTime: loopRange.endTime,
+    completedRepeats: 0,
+    // Starting a loop inside another one keeps the speed from before the first
+    normalPlaybackRate: activeLoop ? activeLoop.normalPlaybackRate : video.playbackRate,
+  };
+  playLoopRepeat(video);
+}
+
+/**
+ * End the loop and go back to the speed from before it. The video keeps playing after the range.
+ * @returns {void}
+ */
+function stopLoop() {
+  clearTimeout(loopRepeatTimeoutId);
+  loopRepeatTimeoutId = null;
+  const video = getActiveVideoElement();
+  if (activeLoop && video) {
+    video.playbackRate = activeLoop.normalPlaybackRate;
+  }
+  activeLoop = null;
+  updateLoopIndicator();
+}
+
+/**
+ * Loop the subtitle line on screen, or the one just heard
+ * @returns {void}
+ */
+function loopCurrentSubtitleLine() {
+  const video = getActiveVideoElement();
+  const subtitleLine = video ?
+    findSubtitleLineToRepeat(getNavigableSubtitleCues(), video.currentTime) :
+    null;
+  if (subtitleLine) {
+    loopMarkA = null;
+    startLoop(subtitleLine);
+  }
+}
+
+/**
+ * Mark A at the playhead, or mark B and start looping the A-B range
+ * @returns {void}
+ */
+function markLoopPoint() {
+  const video = getActiveVideoElement();
+  if (!video) {
+    return;
+  }
+  if (loopMarkA === null) {
+    loopMarkA = video.currentTime;
+    updateLoopIndicator();
+    return;
+  }
+  const loopRange = toLoopRange(loopMarkA, video.currentTime);
+  if (!loopRange) {
+    // B too close to A, keep A and wait for another B
+    return;
+  }
+  loopMarkA = null;
+  startLoop(loopRange);
+}
+
+/**
+ * Schedule the jump back to the loop start when the range end is reached. Called on every
+ * time update, which fires only a few times per second, too coarsely to end the range on time.
+ * @param {HTMLVideoElement} video
+ * @returns {void}
+ */
+function scheduleLoopRepeat(video) {
+  clearTimeout(loopRepeatTimeoutId);
+  loopRepeatTimeoutId = null;
+  if (!activeLoop || video.paused || video.playbackRate <= 0) {
+    return;
+  }
+  const remainingSeconds = activeLoop.endTime - video.currentTime;
+  const repeatDelayMs = Math.max(0, remainingSeconds * 1000 / video.playbackRate);
+  loopRepeatTimeoutId = setTimeout(() => {
+    loopRepeatTimeoutId = null;
+    activeLoop.completedRepeats++;
+    if (activeLoop.completedRepeats >= loopRepeatCount) {
+      stopLoop();
+      return;
+    }
+    playLoopRepeat(video);
+  }, repeatDelayMs);
+}
+
+const TRANSCRIPT_PANEL_ID = 'dual-sub-transcript-panel';
+
+/** @type {TranscriptLine[]} lines listed in the transcript panel, in the order of its list items */
+let transcriptLines = [];
+/** Index in transcriptLines of the highlighted line, -1 if none */
+let activeTranscriptLineIndex = -1;
+
+/**
+ * @returns {HTMLElement | null} transcript panel, null if it is closed
+ */
+function getTranscriptPanel() {
+  return document.getElementById(TRANSCRIPT_PANEL_ID);
+}
+
+/**
+ * Colour the transcript button while the panel is open
+ * @returns {void}
+ */
+function updateTranscriptButton() {
+  const transcriptButton = document.getElementById(`${activePlatformAdapter?.id}-dual-sub-transcript-button`);
+  if (!transcriptButton) {
+    return;
+  }
+  const isTranscriptPanelOpen = getTranscriptPanel() !== null;
+  transcriptButton.style.color = isTranscriptPanelOpen ?
+    activePlatformAdapter.activeButtonColor :
+    activePlatformAdapter.inactiveButtonColor;
+  transcriptButton.setAttribute('aria-pressed', String(isTranscriptPanelOpen));
+}
+
+/**
+ * Hide transcript lines not matching the search box
+ * @returns {void}
+ */
+function filterTranscriptLines() {
+  const transcriptPanel = getTranscriptPanel();
+  if (!transcriptPanel) {
+    return;
+  }
+  const searchInput = /** @type {HTMLInputElement} */ (transcriptPanel.querySelector('.dual-sub-transcript-panel__search'));
+  const lineElements = transcriptPanel.querySelectorAll('.dual-sub-transcript-line');
+  lineElements.forEach((lineElement, lineIndex) => {
+    /** @type {HTMLElement} */ (lineElement).hidden =
+      !matchesTranscriptSearch(transcriptLines[lineIndex], searchInput.value);
+  });
+}
+
+/**
+ * Highlight the line being played and scroll it into the middle of the list,
+ * unless the viewer has the mouse over the panel to read or click lines
+ * @param {number} currentTime - video current time in seconds
+ * @returns {void}
+ */
+function updateTranscriptActiveLine(currentTime) {
+  const transcriptPanel = getTranscriptPanel();
+  if (!transcriptPanel) {
+    return;
+  }
+  const lineIndex = findActiveTranscriptLineIndex(transcriptLines, currentTime);
+  if (lineIndex === activeTranscriptLineIndex) {
+    return;
+  }
+  const lineElements = transcriptPanel.querySelectorAll('.dual-sub-transcript-line');
+  lineElements[activeTranscriptLineIndex]?.classList.remove('dual-sub-transcript-line--active');
+  activeTranscriptLineIndex = lineIndex;
+  const activeLineElement = /** @type {HTMLElement | undefined} */ (lineElements[lineIndex]);
+  if (!activeLineElement) {
+    return;
+  }
+  activeLineElement.classList.add('dual-sub-transcript-line--active');
+  const listElement = /** @type {HTMLElement} */ (transcriptPanel.querySelector('.dual-sub-transcript-panel__lines'));
+  if (!activeLineElement.hidden && !transcriptPanel.matches(':hover')) {
+    listElement.scrollTop = activeLineElement.offsetTop -
+      (listElement.clientHeight - activeLineElement.offsetHeight) / 2;
+  }
+}
+
+/**
+ * List every line of the episode in the transcript panel. Texts are set as text, never as HTML.
+ * @returns {void}
+ */
+function renderTranscriptLines() {
+  const transcriptPanel = getTranscriptPanel();
+  if (!transcriptPanel) {
+    return;
+  }
+  transcriptLines = buildTranscriptLines(
+    getNavigableSubtitleCues(),
+    sharedTranslationMap,
+    toTranslationKey
+  );
+  activeTranscriptLineIndex = -1;
+  const listElement = transcriptPanel.querySelector('.dual-sub-transcript-panel__lines');
+  listElement.replaceChildren(...transcriptLines.map((transcriptLine) => {
+    const lineElement = document.createElement('div');
+    lineElement.className = 'dual-sub-transcript-line';
+    const timeElement = document.createElement('span');
+    timeElement.className = 'dual-sub-transcript-line__time';
+    timeElement.textContent = formatPlaybackTime(transcriptLine.startTime);
+    const finnishElement = document.createElement('div');
+    finnishElement.textContent = transcriptLine.text;
+    const translationElement = document.createElement('div');
+    translationElement.className = 'dual-sub-transcript-line__translation';
+    translationElement.textContent = transcriptLine.translatedText;
+    lineElement.append(timeElement, finnishElement, translationElement);
+    return lineElement;
+  }));
+  const emptyElement = /** @type {HTMLElement} */ (transcriptPanel.querySelector('.dual-sub-transcript-panel__empty'));
+  emptyElement.hidden = transcriptLines.length > 0;
+  filterTranscriptLines();
+  const video = getActiveVideoElement();
+  if (video) {
+    updateTranscriptActiveLine(video.currentTime);
+  }
+}
+
+/**
+ * Fill in translations which arrived since the transcript panel was rendered
+ * @returns {void}
+ */
+function updateTranscriptTranslations() {
+  const transcriptPanel = getTranscriptPanel();
+  if (!transcriptPanel) {
+    return;
+  }
+  const translationElements = transcriptPanel.querySelectorAll('.dual-sub-transcript-line__translation');
+  translationElements.forEach((translationElement, lineIndex) => {
+    const transcriptLine = transcriptLines[lineIndex];
+    if (transcriptLine.translatedText) {
+      return;
+    }
+    transcriptLine.translatedText = sharedTranslationMap.get(toTranslationKey(transcriptLine.text)) || '';
+    translationElement.textContent = transcriptLine.translatedText;
+  });
+  filterTranscriptLines();
+}
+
+/**
+ * Open the transcript panel next to the player: every line of the episode with its translation
+ * @returns {void}
+ */
+function openTranscriptPanel() {
+  if (getTranscriptPanel()) {
+    return;
+  }
+  const transcriptPanel = document.createElement('div');
+  transcriptPanel.id = TRANSCRIPT_PANEL_ID;
+  transcriptPanel.className = 'dual-sub-transcript-panel';
+  transcriptPanel.style.setProperty('--dual-sub-transcript-active-color', activePlatformAdapter.activeButtonColor);
+  transcriptPanel.innerHTML = `
+    <div class="dual-sub-transcript-panel__header">
+      <span>Transcript</span>
+      <button aria-label="Close transcript" type="button" class="dual-sub-transcript-panel__close">&times;</button>
+    </div>
+    <input type="search" class="dual-sub-transcript-panel__search" placeholder="Search Finnish or translation" />
+    <div class="dual-sub-transcript-panel__empty">Subtitles of this episode are not loaded yet.</div>
+    <div class="dual-sub-transcript-panel__lines"></div>
+  `;
+  // Keep typing and clicking in the panel away from the site player shortcuts
+  transcriptPanel.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+  });
+  transcriptPanel.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const target = /** @type {HTMLElement} */ (e.target);
+    if (target.closest('.dual-sub-transcript-panel__close')) {
+      closeTranscriptPanel();
+      return;
+    }
+    const lineElement = target.closest('.dual-sub-transcript-line');
+    const video = getActiveVideoElement();
+    if (lineElement && video) {
+      const lineElements = Array.from(transcriptPanel.querySelectorAll('.dual-sub-transcript-line'));
+      video.currentTime = transcriptLines[lineElements.indexOf(lineElement)].startTime;
+    }
+  });
+  transcriptPanel.querySelector('.dual-sub-transcript-panel__search').addEventListener('input', () => {
+    filterTranscriptLines();
+  });
+  getLookupPopupAppendTarget().appendChild(transcriptPanel);
+  renderTranscriptLines();
+  updateTranscriptButton();
+}
+
+/**
+ * @returns {void}
+ */
+function closeTranscriptPanel() {
+  getTranscriptPanel()?.remove();
+  transcriptLines = [];
+  activeTranscriptLineIndex = -1;
+  updateTranscriptButton();
+}
+
+/**
+ * @param {string} finnishText - Finnish subtitle line as displayed
+ * @returns {string} translation of the line, its translation error or a placeholder while translating
+ */
+// eslint-disable-next-line no-unused-vars
+function getDisplayedTranslation(finnishText) {
+  const translationKey = toTranslationKey(finnishText);
+  return sharedTranslationMap.get(translationKey) ||
+    sharedTranslationErrorMap.get(translationKey) ||
+    "Translating...";
+}
+
+/**
+ * Look up words clicked in the Finnish subtitle row, shift+click toggles known status in reading mode
+ * @param {HTMLElement} finnishSubtitleRowElement
+ */
+// eslint-disable-next-line no-unused-vars
+function addWordClickListenerToFinnishSubtitleRow(finnishSubtitleRowElement) {
+  finnishSubtitleRowElement.addEventListener('click', (e) => {
+    const lookupEpisode = { movieName: currentMovieName, videoTime: getPlayheadTime() };
+    handleSubtitleWordClick(
+      e,
+      targetLanguage,
+      getLookupPopupAppendTarget(),
+      getActiveVideoElement(),
+      lookupEpisode,
+      readingModeEnabled ? knownVocabularyWords : null
+    ).catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error handling subtitle word click:", error);
+    });
+  });
+}
+
+/**
+ * @type {SubtitleCue[]}
+ * Every cue of the subtitle track currently loaded in video player, sent by injected.js
+ */
+let currentSubtitleTrackCues = [];
+
+/** @enum {string} */
+const BlurMode = Object.freeze({
+  BLUR_TRANSLATION: "blur-translation",
+  BLUR_FINNISH: "blur-finnish",
+  BLUR_BOTH: "blur-both",
+  NO_BLUR: "no-blur",
+});
+const BLUR_MODE_LABELS = {
+  [BlurMode.BLUR_BOTH]: 'Blur both',
+  [BlurMode.BLUR_TRANSLATION]: 'Blur translation',
+  [BlurMode.BLUR_FINNISH]: 'Blur Finnish',
+  [BlurMode.NO_BLUR]: 'No blur',
+};
+/** @type {BlurMode[keyof BlurMode]} */
+let translationBlurMode = BlurMode.NO_BLUR;
+
+/** @returns {boolean} Whether Finnish subtitle text should be blurred */
+function shouldBlurFinnish() {
+  return translationBlurMode === BlurMode.BLUR_BOTH ||
+    translationBlurMode === BlurMode.BLUR_FINNISH;
+}
+
+/** @returns {boolean} Whether translation subtitle text should be blurred */
+function shouldBlurTranslation() {
+  return translationBlurMode === BlurMode.BLUR_BOTH ||
+    translationBlurMode === BlurMode.BLUR_TRANSLATION;
+}
+
+/**
+ * @type {string | null}
+ * Memory cached current movie name
+ */
+let currentMovieName = null;
+
+/**
+ * Subtitle cache of older versions lives in the IndexedDB of the site,
+ * it is moved to the extension database before loading the movie cache.
+ * Started by startDualSubOnPlatform for sites with a legacy page database only.
+ * @type {Promise<void>}
+ */
+let legacyDatabaseMigrationPromise = Promise.resolve();
+
+
+// ==================================
+// SECTION 2: TRANSLATION QUEUE
+// ==================================
+
+/**
+ * @returns {number} current position of the video player in seconds, 0 if there is no video yet
+ */
+function getPlayheadTime() {
+  return getActiveVideoElement()?.currentTime || 0;
+}
+
+class TranslationQueue {
+  /*
+   * Queue to manage translation requests to avoid hitting rate limits.
+   * Cues nearest to the video playhead are translated first, so after a seek
+   * the lines on screen do not wait behind earlier parts of the episode.
+   */
+
+  BATCH_MAXIMUM_SIZE = 7;
+  constructor() {
+    /** @type {SubtitleCue[]} */
+    this.queue = [];
+    this.isProcessing = false;
+  }
+
+  /**
+   * @param {SubtitleCue} subtitleCue - cue with Finnish text to translate
+   * @returns {void}
+   */
+  addToQueue(subtitleCue) {
+    this.queue.push(subtitleCue);
+  }
+
+  /**
+   * Drop lines translated in the meantime (exp: loaded from cache)
+   * and put pending cues nearest to `currentTime` first
+   * @param {number} currentTime - video current time in seconds
+   * @returns {void}
+   */
+  reprioritize(currentTime) {
+    this.queue = orderCuesAroundPlayhead(
+      this.queue.filter(cue => !isSubtitleCueTranslated(cue)),
+      currentTime,
+    );
+  }
+
+  /**
+   * Drop all pending items, so they can be queued again in another order
+   * @returns {void}
+   */
+  clearQueue() {
+    this.queue = [];
+  }
+
+  /**
+   * Process the translation queue in batches
+   * By sending to background.js to handle translation and store results in
+   * sharedTranslationMap or sharedTranslationErrorMap
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    if (this.isProcessing || this.queue.length === 0) { return; }
+
+    while (this.queue.length > 0 && dualSubEnabled) {
+      this.isProcessing = true;
+
+      const batchMaximumSize = preTranslateEpisodeEnabled ?
+        PRE_TRANSLATION_BATCH_SIZE :
+        this.BATCH_MAXIMUM_SIZE;
+      const currentTime = getPlayheadTime();
+      this.reprioritize(currentTime);
+      const { batch, remainingCues } = takeNextTranslationBatch(
+        this.queue,
+        currentTime,
+        batchMaximumSize,
+        toTranslationKey,
+      );
+      this.queue = remainingCues;
+      if (batch.length === 0) {
+        break;
+      }
+      /** @type {Array<string>} */
+      const toProcessItems = batch.map(cue => cue.text);
+      const context = buildTranslationContext(batch, currentSubtitleTrackCues, contextWindowSize);
+
+      try {
+        const [isSucceeded, translationResponse] = await fetchTranslation(
+          toProcessItems, targetLanguage, context
+        );
+
+        if (isSucceeded) {
+          const translatedTexts = translationResponse;
+          /**
+           * @type {Array<SubtitleRecord>}
+           */
+          const toCacheSubtitleRecords = [];
+          for (let i = 0; i < batch.length; i++) {
+            const translatedText = translatedTexts[i].trim().replace(/\n/g, ' ');
+            // Merged sentences are mapped back to their original cues
+            const translatedCues = distributeTranslationToSourceCues(
+              batch[i],
+              translatedText,
+              sentenceMergingMode,
+            );
+            for (const translatedCue of translatedCues) {
+              const sharedTranslationMapKey = toTranslationKey(translatedCue.text);
+              const sharedTranslationMapValue = translatedCue.translatedText;
+              sharedTranslationMap.set(
+                sharedTranslationMapKey,
+                sharedTranslationMapValue,
+              );
+              if (currentMovieName) {
+                toCacheSubtitleRecords.push({
+                  "movieName": currentMovieName,
+                  "originalLanguage": "FI",
+                  targetLanguage,
+                  "originalText": sharedTranslationMapKey,
+                  "translatedText": sharedTranslationMapValue,
+                })
+              }
+            }
+          }
+          if (toCacheSubtitleRecords.length > 0) {
+            callDatabaseInBackground('saveSubtitlesBatch', toCacheSubtitleRecords)
+              .then(() => { })
+              .catch((error) => {
+                console.error("FinnishStreamingDualSubExtension: Error saving subtitles batch to cache:", error);
+              });
+          }
+        }
+        else {
+          const translationErrorMessage = translationResponse;
+          for (const cue of batch) {
+            for (const sourceCue of cue.sourceCues || [cue]) {
+              sharedTranslationErrorMap.set(
+                toTranslationKey(sourceCue.text),
+                `Error: ${translationErrorMessage}`
+              );
+            }
+          }
+        }
+
+      } catch (error) {
+        console.error("FinnishStreamingDualSubExtension: System error when translating text:", error);
+      }
+      updatePreTranslationProgress();
+      updateTranscriptTranslations();
+    }
+
+    this.isProcessing = false;
+  }
+}
+
+const translationQueue = new TranslationQueue();
+
+/**
+ * @param {SubtitleCue} subtitleCue - single cue or merged sentence
+ * @returns {boolean} whether every original line of the cue has a translation
+ */
+function isSubtitleCueTranslated(subtitleCue) {
+  return (subtitleCue.sourceCues || [subtitleCue]).every(
+    sourceCue => sharedTranslationMap.has(toTranslationKey(sourceCue.text))
+  );
+}
+
+/**
+ * Add a subtitle cue to translation queue, unless its line is translated already
+ * or has nothing to translate (exp: "-", "♪"), in which case it is displayed as is.
+ * @param {SubtitleCue} subtitleCue - single cue or merged sentence
+ * @returns {void}
+ */
+function addSubtitleToTranslationQueue(subtitleCue) {
+  if (isSubtitleCueTranslated(subtitleCue)) {
+    return;
+  }
+
+  const translationKey = toTranslationKey(subtitleCue.text);
+
+  if (translationKey.length <= 1 || !/[a-zäöå]/.test(translationKey)) {
+    sharedTranslationMap.set(translationKey, translationKey);
+    return;
+  }
+
+  translationQueue.addToQueue(subtitleCue);
+}
+
+/**
+ * Queue every cue of the current subtitle track for translation,
+ * replacing pending cues of the previously loaded track.
+ * In sentence merging mode, cues forming one sentence are queued as one unit.
+ * The queue itself decides the order based on the playhead.
+ * @returns {void}
+ */
+function queueSubtitleTrackForTranslation() {
+  translationQueue.clearQueue();
+  const translationUnits = sentenceMergingMode === SentenceMergingMode.OFF ?
+    currentSubtitleTrackCues :
+    mergeCuesIntoSentences(currentSubtitleTrackCues);
+  for (const translationUnit of translationUnits) {
+    addSubtitleToTranslationQueue(translationUnit);
+  }
+  updatePreTranslationProgress();
+
+  translationQueue.processQueue().then(() => {
+  }).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error processing translation queue:", error);
+  });
+}
+
+
+// ==================================
+// END SECTION
+// ==================================
+
+// ==================================
+// SECTION 3: UI MANIPULATION UTILS
+// ==================================
+
+
+// Debounce flag to prevent duplicate initialization during rapid DOM mutations.
+// Set to true when video detection starts, prevents re-triggering for videoAppearDebounceMs of the platform.
+// This handles the case where video player construction fires multiple sequential mutations.
+
+let checkVideoAppearMutationDebounceFlag = false;
+/**
+ * Generic video element detection - detects when any <video> element appears in the DOM
+ * Works for both:
+ * - Initial load: when video container is added with video already inside
+ * - Episode transitions: when video element is added to existing container
+ *
+ * Future-proof: doesn't rely on the streaming site's class names
+ * NOTE: This function relies on an assumption that there is only one video element in the page at any time.
+ * If a site changes to have multiple video elements, this logic may need to be revised.
+ * @param {MutationRecord} mutation
+ * @returns {boolean}
+ */
+function isVideoElementAppearMutation(mutation) {
+  if (!activePlatformAdapter.isVideoPage()) {
+    return false;
+  }
+  if (checkVideoAppearMutationDebounceFlag) {
+    return false;
+  }
+  try {
+    // Must be a childList mutation with added nodes
+    if (mutation.type !== "childList" || mutation.addedNodes.length === 0) {
+      return false;
+    }
+
+    // Check each added node
+    for (const node of Array.from(mutation.addedNodes)) {
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        continue;
+      }
+
+      const element = /** @type {HTMLElement} */ (node);
+
+      // Case 1: The added node IS a video element
+      // Case 2: The added node CONTAINS a video element (initial load scenario)
+      if (element.tagName === "VIDEO" || element.querySelector?.('video')) {
+        checkVideoAppearMutationDebounceFlag = true;
+        // eslint-disable-next-line no-loop-func
+        setTimeout(() => {
+          checkVideoAppearMutationDebounceFlag = false;
+        }, activePlatformAdapter.videoAppearDebounceMs);
+        return true;
+      }
+    }
+
+    return false;
+  } catch (error) {
+    console.warn("FinnishStreamingDualSubExtension: Error checking video element mutation:", error);
+    return false;
+  }
+}
+
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for a part of the video player which is rendered after the video element appears.
+ * Polls every 150ms.
+ * @template T
+ * @param {() => T | null} findElement - exp: a PlatformAdapter finder
+ * @param {number} timeoutMs
+ * @returns {Promise<T | null>} null if not found before the timeout
+ */
+async function waitForPlayerElement(findElement, timeoutMs) {
+  for (let elapsed = 0; elapsed < timeoutMs; elapsed += 150) {
+    const element = findElement();
+    if (element) {
+      return element;
+    }
+    await sleep(150);
+  }
+  return findElement();
+}
+
+/**
+ * Show how many lines of the current subtitle track are translated, in pre-translate episode mode
+ * @returns {void}
+ */
+function updatePreTranslationProgress() {
+  const progressElement = document.getElementById(`${activePlatformAdapter.id}-dual-sub-pre-translate-progress`);
+  if (!progressElement) {
+    return;
+  }
+  if (!preTranslateEpisodeEnabled || currentSubtitleTrackCues.length === 0) {
+    progressElement.textContent = '';
+    return;
+  }
+  const { translatedCount, totalCount } = countTranslatedSubtitleLines(
+    currentSubtitleTrackCues,
+    sharedTranslationMap,
+    toTranslationKey,
+  );
+  progressElement.textContent = `${translatedCount}/${totalCount} lines translated`;
+}
+
+/**
+ * Handle dual sub behaviour based on whether the active translation service has a valid key.
+ * If no key is configured, display warning icon and disable dual sub switch.
+ * @param {boolean} hasSelectedToken
+ */
+function _handleDualSubBehaviourBasedOnSelectedToken(hasSelectedToken) {
+  const warningSection = document.querySelector(".dual-sub-warning");
+  const dualSubSwitch = document.getElementById("dual-sub-switch");
+  if (hasSelectedToken) {
+    if (warningSection) {
+      warningSection.style.display = "none";
+    }
+    if (dualSubSwitch) {
+      dualSubSwitch.disabled = false;
+    }
+  } else {
+    if (warningSection) {
+      warningSection.style.display = "inline-block";
+    }
+    if (dualSubSwitch) {
+      if (dualSubSwitch.checked) {
+        dualSubSwitch.click();
+      }
+      dualSubSwitch.disabled = true;
+    }
+  }
+  const warningPopover = document.querySelector(".dual-sub-warning__popover");
+  if (warningPopover) {
+    warningPopover.classList.remove("active");
+  }
+}
+
+/**
+ * Add Dual Sub extension section (dual sub switch, rewind/forward, blur mode, ...)
+ * to the video player's bottom control bar, next to the volume control.
+ * @returns {Promise<void>}
+ */
+async function addDualSubExtensionSection() {
+  const bottomControlBarLeftControls = await waitForPlayerElement(
+    activePlatformAdapter.findToolbarMountPoint,
+    5000
+  );
+
+  if (!bottomControlBarLeftControls) {
+    console.error("FinnishStreamingDualSubExtension: Cannot find bottom control bar left controls after 5 seconds");
+    return;
+  }
+  const platformId = activePlatformAdapter.id;
+
+  const existingSection = document.querySelector(".dual-sub-extension-section");
+  if (existingSection) {
+    try {
+      existingSection.remove();
+    } catch (err) {
+      // Probably never happens, but just in case
+      console.error("FinnishStreamingDualSubExtension: Error removing existing dual sub extension section:", err);
+      if (existingSection.parentNode) {
+        try {
+          existingSection.parentNode.removeChild(existingSection);
+        } catch (error) {
+          console.error("FinnishStreamingDualSubExtension: Error removing existing dual sub extension section via parentNode:", error);
+        }
+      }
+    }
+  }
+
+  const dualSubExtensionSection = `
+    <div class="dual-sub-extension-section">
+      <span>Dual Sub:</span>
+      <input id="dual-sub-switch" class="dual-sub-switch" type="checkbox" ${dualSubEnabled ? 'checked' : ''}>
+      <span class="dual-sub-warning" style="display: none;">
+        <span class="dual-sub-warning__icon">
+          !
+        </span>
+        <span class="dual-sub-warning__popover">
+          No translation key selected!<br>
+          Please select one in <a href="#" id="open-options-link">the option page</a>.<br>
+          Follow
+          <a href="https://finnish-streaming-dual-sub.netlify.app"
+             target="_blank"
+             rel="noopener noreferrer">
+            this guide
+          </a>
+          for more information.
+        </span>
+      </span>
+
+      <button aria-label="Open settings" type="button" id="${platformId}-dual-sub-settings-button" style="margin-left: 16px;">
+        <svg width="22" height="22" fill="none" viewBox="0 0 22 22" aria-hidden="true">
+          <path fill="currentColor" d="M20.207 9.017l-1.845-.424a7.2 7.2 0 0 0-.663-1.6l1.045-1.536a1 1 0 0 0-.121-1.29l-1.398-1.398a1 1 0 0 0-1.29-.121l-1.536 1.045a7.2 7.2 0 0 0-1.6-.663l-.424-1.845A1 1 0 0 0 11.4.75h-1.978a1 1 0 0 0-.975.435l-.424 1.845a7.2 7.2 0 0 0-1.6.663L4.887 2.648a1 1 0 0 0-1.29.121L2.199 4.167a1 1 0 0 0-.121 1.29l1.045 1.536a7.2 7.2 0 0 0-.663 1.6l-1.845.424A1 1 0 0 0 .18 10v1.978a1 1 0 0 0 .435.975l1.845.424a7.2 7.2 0 0 0 .663 1.6l-1.045 1.536a1 1 0 0 0 .121 1.29l1.398 1.398a1 1 0 0 0 1.29.121l1.536-1.045a7.2 7.2 0 0 0 1.6.663l.424 1.845a1 1 0 0 0 .975.435h1.978a1 1 0 0 0 .975-.435l.424-1.845a7.2 7.2 0 0 0 1.6-.663l1.536 1.045a1 1 0 0 0 1.29-.121l1.398-1.398a1 1 0 0 0 .121-1.29l-1.045-1.536a7.2 7.2 0 0 0 .663-1.6l1.845-.424a1 1 0 0 0 .435-.975V10a1 1 0 0 0-.435-.975v-.008zM11 15a4 4 0 1 1 0-8 4 4 0 0 1 0 8z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_settings_tooltip">
+          Open settings
+        </div>
+      </button>
+
+      <button aria-label="Rewind 3 seconds" type="button" id="${platformId}-dual-sub-rewind-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 512 512" aria-hidden="true">
+          <path fill-rule="evenodd" d="M256,0C114.625,0,0,114.625,0,256,0,397.391,114.625,512,256,512S512,397.391,512,256C512,114.625,397.375,0,256,0Zm0,448C149.969,448,64,362.031,64,256S149.969,64,256,64s192,85.969,192,192S362.031,448,256,448Z"></path>
+          <path fill-rule="evenodd" d="M128,256l128,96V280l96,72V160l-96,72V160Z"></path>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_rewind_tooltip">
+          Rewind 3 seconds.<br />
+          Tip: Click "," (comma) on keyboard can also rewind 3 seconds.
+        </div>
+      </button>
+      <button aria-label="Forward 3 seconds" type="button" id="${platformId}-dual-sub-forward-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 512 512" aria-hidden="true">
+          <path fill-rule="evenodd" d="M256,0C114.625,0,0,114.609,0,256,0,397.375,114.625,512,256,512S512,397.375,512,256C512,114.609,397.375,0,256,0Zm0,448C149.969,448,64,362.031,64,256S149.969,64,256,64s192,85.969,192,192S362.031,448,256,448Z"></path>
+          <path fill-rule="evenodd" d="M384,256,256,160v72l-96-72V352l96-72v72Z"></path>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_forward_tooltip">
+          Forward 3 seconds.<br />
+          Tip: Click "." (dot) on keyboard can also forward 3 seconds.
+        </div>
+      </button>
+      <button aria-label="Previous subtitle line" type="button" id="${platformId}-dual-sub-previous-line-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M6 6h2v12H6zm3.5 6l8.5 6V6z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_line_navigation_tooltip">
+          Jump to the start of the previous subtitle line.<br />
+          Tip: Click "&lt;" on keyboard can also jump to the previous line.
+        </div>
+      </button>
+      <button aria-label="Replay subtitle line" type="button" id="${platformId}-dual-sub-replay-line-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M12 5V1L7 6l5 5V7c3.31 0 6 2.69 6 6s-2.69 6-6 6-6-2.69-6-6H4c0 4.42 3.58 8 8 8s8-3.58 8-8-3.58-8-8-8z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_line_navigation_tooltip">
+          Replay the current subtitle line from its start.<br />
+          Tip: Click "r" on keyboard can also replay the line.
+        </div>
+      </button>
+      <button aria-label="Next subtitle line" type="button" id="${platformId}-dual-sub-next-line-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_line_navigation_tooltip">
+          Jump to the start of the next subtitle line.<br />
+          Tip: Click "&gt;" on keyboard can also jump to the next line.
+        </div>
+      </button>
+      <button aria-label="Shadowing mode" type="button" id="${platformId}-dual-sub-shadowing-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M9 13c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4zm7.76-9.64l-1.68 1.69c.84 1.18.84 2.71 0 3.89l1.68 1.69c2.02-2.02 2.02-5.07 0-7.27zM20.07 2l-1.63 1.63c2.77 3.02 2.77 7.56 0 10.74L20.07 16c3.9-3.89 3.91-9.95 0-14z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_shadowing_tooltip">
+          Shadowing mode: pause at the end of every subtitle line, so you can repeat it.<br />
+          Press Enter to continue, or set an automatic delay in the settings.
+        </div>
+      </button>
+      <span id="${platformId}-dual-sub-shadowing-status" class="dual-sub-shadowing-status"></span>
+
+      <div class="dual-sub-extension-section_loop_menu_container">
+        <button aria-label="Loop" type="button" id="${platformId}-dual-sub-loop-menu-btn">
+          <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path d="M7 7h10v3l4-4-4-4v3H5v6h2V7zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4z"/>
+          </svg>
+        </button>
+        <div class="dual-sub-loop-dropdown" id="${platformId}-dual-sub-loop-dropdown">
+          <button data-loop-action="line">Loop current line</button>
+          <button data-loop-action="mark">Mark A (loop start)</button>
+          <button data-loop-action="stop">Stop loop</button>
+          <div class="dual-sub-blur-dropdown-hint">Play the loop</div>
+          ${LOOP_REPEAT_COUNT_OPTIONS.map(repeatCount => `
+            <button data-loop-repeat-count="${repeatCount}">${repeatCount} times</button>
+          `).join('')}
+          <div class="dual-sub-blur-dropdown-hint">Speed of each repeat</div>
+          ${Object.entries(LOOP_PLAYBACK_RATE_SCHEDULE_LABELS).map(([schedule, label]) => `
+            <button data-loop-rate-schedule="${schedule}">${label}</button>
+          `).join('')}
+        </div>
+      </div>
+      <span id="${platformId}-dual-sub-loop-status" class="dual-sub-loop-status"></span>
+      
+      <div class="dual-sub-blur-mode-group">
+        <div class="dual-sub-extension-section_blur_mode_menu_container">
+          <button aria-label="Blur translation" type="button" id="${platformId}-dual-sub-blur-mode-menu-btn"></button>
+          <div class="dual-sub-blur-dropdown" id="${platformId}-dual-sub-blur-mode-dropdown">
+            <button data-blur="${BlurMode.BLUR_BOTH}">${BLUR_MODE_LABELS[BlurMode.BLUR_BOTH]}</button>
+            <button data-blur="${BlurMode.BLUR_TRANSLATION}">${BLUR_MODE_LABELS[BlurMode.BLUR_TRANSLATION]}</button>
+            <button data-blur="${BlurMode.BLUR_FINNISH}">${BLUR_MODE_LABELS[BlurMode.BLUR_FINNISH]}</button>
+            <button data-blur="${BlurMode.NO_BLUR}">${BLUR_MODE_LABELS[BlurMode.NO_BLUR]}</button>
+            <div class="dual-sub-blur-dropdown-hint">Hover blurred text to reveal</div>
+          </div>
+        </div>
+        <span id="${platformId}-dual-sub-blur-mode-label" class="dual-sub-blur-mode-label"></span>
+      </div>
+
+      <button aria-label="Transcript" type="button" id="${platformId}-dual-sub-transcript-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M3 13h2v-2H3v2zm0 4h2v-2H3v2zm0-8h2V7H3v2zm4 4h14v-2H7v2zm0 4h14v-2H7v2zM7 7v2h14V7H7z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_transcript_tooltip">
+          Show the transcript of the episode with translations.<br />
+          Click a line to jump to it.
+        </div>
+      </button>
+
+      <button aria-label="Copy Finnish subtitle" type="button" id="${platformId}-dual-sub-copy-subtitle-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_copy_subtitle_tooltip">
+          Copy Finnish subtitle to clipboard.
+        </div>
+      </button>
+
+      <button aria-label="Pre-translate episode" type="button" id="${platformId}-dual-sub-pre-translate-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M12.87 15.07l-2.54-2.51.03-.03c1.74-1.94 2.98-4.17 3.71-6.53H17V4h-7V2H8v2H1v1.99h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_pre_translate_tooltip">
+          Pre-translate the whole episode, starting around the current position.<br />
+          Click again to translate lines only as they come.
+        </div>
+      </button>
+      <span id="${platformId}-dual-sub-pre-translate-progress" class="dual-sub-pre-translate-progress"></span>
+
+      <div class="dual-sub-extension-section_export_menu_container">
+        <button aria-label="Export subtitles" type="button" id="${platformId}-dual-sub-export-menu-btn">
+          <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
+          </svg>
+        </button>
+        <div class="dual-sub-export-dropdown" id="${platformId}-dual-sub-export-dropdown">
+          <button data-export-format="srt">Bilingual SRT</button>
+          <button data-export-format="vtt">WebVTT (two-line cues)</button>
+          <button data-export-format="ass">ASS (two styles)</button>
+          <div class="dual-sub-blur-dropdown-hint">Export Finnish + translated subtitles</div>
+        </div>
+      </div>
+
+      <button aria-label="Reload subtitle token" type="button" id="${platformId}-dual-sub-reload-subtitle-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M4.39502 12.0014C4.39544 12.4156 4.73156 12.751 5.14577 12.7506C5.55998 12.7502 5.89544 12.4141 5.89502 11.9999L4.39502 12.0014ZM6.28902 8.1116L6.91916 8.51834L6.91952 8.51777L6.28902 8.1116ZM9.33502 5.5336L9.0396 4.84424L9.03866 4.84464L9.33502 5.5336ZM13.256 5.1336L13.4085 4.39927L13.4062 4.39878L13.256 5.1336ZM16.73 7.0506L16.1901 7.57114L16.1907 7.57175L16.73 7.0506ZM17.7142 10.2078C17.8286 10.6059 18.2441 10.8358 18.6422 10.7214C19.0403 10.607 19.2703 10.1915 19.1558 9.79342L17.7142 10.2078ZM17.7091 9.81196C17.6049 10.2129 17.8455 10.6223 18.2464 10.7265C18.6473 10.8307 19.0567 10.5901 19.1609 10.1892L17.7091 9.81196ZM19.8709 7.45725C19.9751 7.05635 19.7346 6.6469 19.3337 6.54272C18.9328 6.43853 18.5233 6.67906 18.4191 7.07996L19.8709 7.45725ZM18.2353 10.7235C18.6345 10.8338 19.0476 10.5996 19.1579 10.2004C19.2683 9.80111 19.034 9.38802 18.6348 9.2777L18.2353 10.7235ZM15.9858 8.5457C15.5865 8.43537 15.1734 8.66959 15.0631 9.06884C14.9528 9.46809 15.187 9.88119 15.5863 9.99151L15.9858 8.5457ZM19.895 11.9999C19.8946 11.5856 19.5585 11.2502 19.1443 11.2506C18.7301 11.251 18.3946 11.5871 18.395 12.0014L19.895 11.9999ZM18.001 15.8896L17.3709 15.4829L17.3705 15.4834L18.001 15.8896ZM14.955 18.4676L15.2505 19.157L15.2514 19.1566L14.955 18.4676ZM11.034 18.8676L10.8815 19.6019L10.8839 19.6024L11.034 18.8676ZM7.56002 16.9506L8.09997 16.4301L8.09938 16.4295L7.56002 16.9506ZM6.57584 13.7934C6.46141 13.3953 6.04593 13.1654 5.64784 13.2798C5.24974 13.3942 5.01978 13.8097 5.13421 14.2078L6.57584 13.7934ZM6.58091 14.1892C6.6851 13.7884 6.44457 13.3789 6.04367 13.2747C5.64277 13.1705 5.23332 13.4111 5.12914 13.812L6.58091 14.1892ZM4.41914 16.544C4.31495 16.9449 4.55548 17.3543 4.95638 17.4585C5.35727 17.5627 5.76672 17.3221 5.87091 16.9212L4.41914 16.544ZM6.05478 13.2777C5.65553 13.1674 5.24244 13.4016 5.13212 13.8008C5.02179 14.2001 5.25601 14.6132 5.65526 14.7235L6.05478 13.2777ZM8.30426 15.4555C8.70351 15.5658 9.11661 15.3316 9.22693 14.9324C9.33726 14.5331 9.10304 14.12 8.70378 14.0097L8.30426 15.4555ZM5.89502 11.9999C5.89379 10.7649 6.24943 9.55591 6.91916 8.51834L5.65889 7.70487C4.83239 8.98532 4.3935 10.4773 4.39502 12.0014L5.89502 11.9999ZM6.91952 8.51777C7.57513 7.50005 8.51931 6.70094 9.63139 6.22256L9.03866 4.84464C7.65253 5.4409 6.47568 6.43693 5.65852 7.70544L6.91952 8.51777ZM9.63045 6.22297C10.7258 5.75356 11.9383 5.62986 13.1059 5.86842L13.4062 4.39878C11.9392 4.09906 10.4158 4.25448 9.0396 4.84424L9.63045 6.22297ZM13.1035 5.86793C14.2803 6.11232 15.3559 6.7059 16.1901 7.57114L17.27 6.53006C16.2264 5.44761 14.8807 4.70502 13.4085 4.39927L13.1035 5.86793ZM16.1907 7.57175C16.9065 8.31258 17.4296 9.21772 17.7142 10.2078L19.1558 9.79342C18.8035 8.5675 18.1557 7.44675 17.2694 6.52945L16.1907 7.57175ZM19.1609 10.1892L19.8709 7.45725L18.4191 7.07996L17.7091 9.81196L19.1609 10.1892ZM18.6348 9.2777L15.9858 8.5457L15.5863 9.99151L18.2353 10.7235L18.6348 9.2777ZM18.395 12.0014C18.3963 13.2363 18.0406 14.4453 17.3709 15.4829L18.6312 16.2963C19.4577 15.0159 19.8965 13.5239 19.895 11.9999L18.395 12.0014ZM17.3705 15.4834C16.7149 16.5012 15.7707 17.3003 14.6587 17.7786L15.2514 19.1566C16.6375 18.5603 17.8144 17.5643 18.6315 16.2958L17.3705 15.4834ZM14.6596 17.7782C13.5643 18.2476 12.3517 18.3713 11.1842 18.1328L10.8839 19.6024C12.3508 19.9021 13.8743 19.7467 15.2505 19.157L14.6596 17.7782ZM11.1865 18.1333C10.0098 17.8889 8.93411 17.2953 8.09997 16.4301L7.02008 17.4711C8.06363 18.5536 9.40936 19.2962 10.8815 19.6019L11.1865 18.1333ZM8.09938 16.4295C7.38355 15.6886 6.86042 14.7835 6.57584 13.7934L5.13421 14.2078C5.48658 15.4337 6.13433 16.5545 7.02067 17.4718L8.09938 16.4295ZM5.12914 13.812L4.41914 16.544L5.87091 16.9212L6.58091 14.1892L5.12914 13.812ZM5.65526 14.7235L8.30426 15.4555L8.70378 14.0097L6.05478 13.2777L5.65526 14.7235Z"></path>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_reload_subtitle_tooltip">
+          Click to reload subtitles for the whole episode. <br />
+        </div>
+      </button>
+
+      <button aria-label="View all features" type="button" id="${platformId}-dual-sub-info-button">
+        <svg width="27" height="27" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-6h2v6zm0-8h-2V7h2v2z"/>
+        </svg>
+        <div aria-hidden="true" class="dual-sub-extension-section_info_tooltip">
+          View all features
+        </div>
+      </button>
+
+      <a href="https://finnish-streaming-dual-sub.netlify.app/updates" target="_blank" rel="noopener noreferrer" style="color: #f59e0b; font-size: 12px; font-weight: 700; white-space: nowrap; align-self: center; text-decoration: none; line-height: 1.3;">🔔 DeepL pricing<br/>update</a>
+
+    </div>
+  `
+  bottomControlBarLeftControls.insertAdjacentHTML('beforeend', dualSubExtensionSection);
+
+  // Display warning section if the active translation service has no key configured
+  const translationProviderSettings = await loadTranslationProviderSettingsFromChromeStorageSync();
+  const hasSelectedToken = translationProviderSettings.config !== null;
+  _handleDualSubBehaviourBasedOnSelectedToken(hasSelectedToken);
+
+  // Dual sub warning logic
+  const warningIcon = document.querySelector(".dual-sub-warning__icon");
+  const warningPopover = document.querySelector(".dual-sub-warning__popover");
+  const openOptionsLink = document.getElementById("open-options-link");
+
+  warningIcon.addEventListener("click", (e) => {
+    e.stopPropagation();
+    warningPopover.classList.toggle("active");
+  })
+
+  warningPopover.addEventListener("click", (e) => {
+    e.stopPropagation();
+  })
+
+  openOptionsLink.addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.runtime.sendMessage({ action: 'openOptionsPage' });
+  })
+
+  // Setting button logic
+  const settingsButton = document.getElementById(`${platformId}-dual-sub-settings-button`);
+  if (settingsButton) {
+    settingsButton.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openOptionsPage' });
+    });
+  }
+  else {
+    console.error("FinnishStreamingDualSubExtension: Cannot find settings button");
+  }
+
+  // Rewind and forward button logic
+  function rewindForwardLogicHandle() {
+    const videoElement = getActiveVideoElement();
+    if (!videoElement) {
+      console.error("FinnishStreamingDualSubExtension: Cannot find video element");
+      return;
+    }
+
+    function videoForward() {
+      videoElement.currentTime = videoElement.currentTime + 3;
+    }
+
+    function videoRewind() {
+      videoElement.currentTime = Math.max(0, videoElement.currentTime - 3);
+    }
+
+    document.addEventListener('keydown', (event) => {
+      if (!videoElement) { return; }
+
+      if (event.key === ',') {
+        event.preventDefault();
+        videoRewind();
+      } else if (event.key === '.') {
+        event.preventDefault();
+        videoForward();
+      }
+    });
+
+    const rewindButton = document.getElementById(`${platformId}-dual-sub-rewind-button`);
+    const forwardButton = document.getElementById(`${platformId}-dual-sub-forward-button`);
+
+    if (rewindButton) {
+      rewindButton.addEventListener('click', () => {
+        videoRewind();
+      });
+    }
+    else {
+      console.error("FinnishStreamingDualSubExtension: Cannot find rewind button");
+    }
+
+    if (forwardButton) {
+      forwardButton.addEventListener('click', () => {
+        videoForward();
+      });
+    }
+    else {
+      console.error("FinnishStreamingDualSubExtension: Cannot find forward button");
+    }
+  }
+  rewindForwardLogicHandle();
+
+  // Subtitle line navigation button logic, keyboard shortcuts are in the main section
+  for (const [buttonName, navigation] of [
+    ['previous-line', SubtitleLineNavigation.PREVIOUS],
+    ['replay-line', SubtitleLineNavigation.REPLAY],
+    ['next-line', SubtitleLineNavigation.NEXT],
+  ]) {
+    const lineNavigationButton = document.getElementById(`${platformId}-dual-sub-${buttonName}-button`);
+    if (lineNavigationButton) {
+      lineNavigationButton.addEventListener('click', () => {
+        seekToSubtitleLine(navigation);
+      });
+    }
+    else {
+      console.error(`FinnishStreamingDualSubExtension: Cannot find ${buttonName} button`);
+    }
+  }
+
+  // Shadowing mode button logic
+  const shadowingButton = document.getElementById(`${platformId}-dual-sub-shadowing-button`);
+  if (shadowingButton) {
+    shadowingButton.addEventListener('click', () => {
+      shadowingModeEnabled = !shadowingModeEnabled;
+      chrome.storage.sync.set({
+        shadowingMode: shadowingModeEnabled,
+      }).catch((error) => {
+        console.error("FinnishStreamingDualSubExtension: Error saving shadowing mode setting:", error);
+      });
+      if (!shadowingModeEnabled && isShadowingPauseActive) {
+        endShadowingPause();
+      }
+      updateShadowingIndicator();
+    });
+  }
+  updateShadowingIndicator();
+
+  // Loop menu logic
+  const loopMenuButton = document.getElementById(`${platformId}-dual-sub-loop-menu-btn`);
+  const loopDropdown = document.getElementById(`${platformId}-dual-sub-loop-dropdown`);
+  if (loopMenuButton && loopDropdown) {
+    loopMenuButton.addEventListener('click', () => {
+      loopDropdown.classList.toggle('open');
+    });
+
+    loopDropdown.addEventListener('click', (e) => {
+      const loopOptionButton = /** @type {HTMLElement} */ (e.target).closest('button');
+      if (!loopOptionButton) { return; }
+
+      const {
+        loopAction,
+        loopRepeatCount: selectedRepeatCount,
+        loopRateSchedule,
+      } = loopOptionButton.dataset;
+      if (loopAction) {
+        loopDropdown.classList.remove('open');
+      }
+      if (loopAction === 'line') {
+        loopCurrentSubtitleLine();
+      } else if (loopAction === 'mark') {
+        markLoopPoint();
+      } else if (loopAction === 'stop') {
+        loopMarkA = null;
+        stopLoop();
+      } else if (selectedRepeatCount) {
+        loopRepeatCount = Number(selectedRepeatCount);
+      } else if (loopRateSchedule) {
+        loopPlaybackRateSchedule = loopRateSchedule;
+      }
+      updateLoopIndicator();
+    });
+
+    document.addEventListener('click', (e) => {
+      // @ts-ignore - EventTarget is used as Node at runtime
+      if (!loopMenuButton.contains(e.target) && !loopDropdown.contains(e.target)) {
+        loopDropdown.classList.remove('open');
+      }
+    }, true);
+  }
+  updateLoopIndicator();
+
+  // Blur mode menu logic
+  const blurModeMenuButton = document.getElementById(`${platformId}-dual-sub-blur-mode-menu-btn`);
+  const blurModeDropdown = document.getElementById(`${platformId}-dual-sub-blur-mode-dropdown`);
+  const blurModeLabel = document.getElementById(`${platformId}-dual-sub-blur-mode-label`);
+
+  function updateBlurModeButtonAppearance() {
+    if (translationBlurMode === BlurMode.NO_BLUR) {
+      blurModeMenuButton.innerHTML = VISIBILITY_ON_SVG;
+      blurModeMenuButton.style.color = activePlatformAdapter.inactiveButtonColor;
+    } else {
+      blurModeMenuButton.innerHTML = VISIBILITY_OFF_SVG;
+      blurModeMenuButton.style.color = activePlatformAdapter.activeButtonColor;
+    }
+    blurModeLabel.textContent = BLUR_MODE_LABELS[translationBlurMode] || 'Unknown';
+  }
+  updateBlurModeButtonAppearance();
+
+  blurModeMenuButton.addEventListener('click', () => {
+    blurModeDropdown.classList.toggle('open');
+  });
+
+  blurModeDropdown.addEventListener('click', (e) => {
+    const blurModeOptionButton = /** @type {HTMLElement} */ (e.target).closest('button[data-blur]');
+    if (!blurModeOptionButton) { return; }
+
+    translationBlurMode = blurModeOptionButton.dataset.blur;
+
+    blurModeDropdown.classList.remove('open');
+    updateBlurModeButtonAppearance();
+
+    if (dualSubEnabled) {
+      const finnishSubtitleRowElement = document.getElementById("finnish-subtitle-row");
+      const targetLanguageSubtitleRowElement = document.getElementById("target-language-subtitle-row");
+      if (finnishSubtitleRowElement) {
+        finnishSubtitleRowElement.classList.toggle('translation-blurred', shouldBlurFinnish());
+      }
+      if (targetLanguageSubtitleRowElement) {
+        targetLanguageSubtitleRowElement.classList.toggle('translation-blurred', shouldBlurTranslation());
+      }
+    } else {
+      activePlatformAdapter.applyBlurToSiteSubtitles();
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    // @ts-ignore - EventTarget is used as Node at runtime
+    if (!warningPopover.contains(e.target) && !warningIcon.contains(e.target)) {
+      warningPopover.classList.remove("active");
+    }
+    // @ts-ignore - EventTarget is used as Node at runtime
+    if (!blurModeMenuButton.contains(e.target) && !blurModeDropdown.contains(e.target)) {
+      blurModeDropdown.classList.remove('open');
+    }
+    const lookupPopup = document.getElementById('dual-sub-lookup-popup');
+    // Clicking another subtitle word replaces the popup, keeping the video paused
+    // @ts-ignore - EventTarget is used as Node at runtime
+    if (lookupPopup && !lookupPopup.contains(e.target) && !isSubtitleWordElement(e.target)) {
+      closeLookupPopup();
+    }
+  }, true);
+
+  // Transcript panel button logic
+  const transcriptButton = document.getElementById(`${platformId}-dual-sub-transcript-button`);
+  if (transcriptButton) {
+    transcriptButton.addEventListener('click', () => {
+      if (getTranscriptPanel()) {
+        closeTranscriptPanel();
+      } else {
+        openTranscriptPanel();
+      }
+    });
+  }
+  updateTranscriptButton();
+
+  // Copy Finnish subtitle button logic
+  const copySubtitleButton = document.getElementById(`${platformId}-dual-sub-copy-subtitle-button`);
+  if (copySubtitleButton) {
+    copySubtitleButton.addEventListener('click', () => {
+      const text = document.getElementById('finnish-subtitle-row')?.textContent || '';
+      if (text) {
+        navigator.clipboard.writeText(text);
+      }
+    });
+  }
+
+  // Info button logic
+  const infoButton = document.getElementById(`${platformId}-dual-sub-info-button`);
+  if (infoButton) {
+    infoButton.addEventListener('click', () => {
+      window.open('https://finnish-streaming-dual-sub.netlify.app/features', '_blank', 'noopener,noreferrer');
+    });
+  }
+
+  // Pre-translate episode button logic
+  const preTranslateButton = document.getElementById(`${platformId}-dual-sub-pre-translate-button`);
+  if (preTranslateButton) {
+    const updatePreTranslateButtonAppearance = () => {
+      preTranslateButton.style.color = preTranslateEpisodeEnabled ?
+        activePlatformAdapter.activeButtonColor :
+        activePlatformAdapter.inactiveButtonColor;
+      preTranslateButton.setAttribute('aria-pressed', String(preTranslateEpisodeEnabled));
+    };
+    updatePreTranslateButtonAppearance();
+
+    preTranslateButton.addEventListener('click', () => {
+      preTranslateEpisodeEnabled = !preTranslateEpisodeEnabled;
+      updatePreTranslateButtonAppearance();
+      chrome.storage.sync.set({
+        preTranslateEpisode: preTranslateEpisodeEnabled,
+      }).catch((error) => {
+        console.error("FinnishStreamingDualSubExtension: Error saving pre-translate episode setting:", error);
+      });
+      if (preTranslateEpisodeEnabled) {
+        queueSubtitleTrackForTranslation();
+      } else {
+        updatePreTranslationProgress();
+      }
+    });
+  }
+  updatePreTranslationProgress();
+
+  // Export subtitles menu logic
+  const exportMenuButton = document.getElementById(`${platformId}-dual-sub-export-menu-btn`);
+  const exportDropdown = document.getElementById(`${platformId}-dual-sub-export-dropdown`);
+  if (exportMenuButton && exportDropdown) {
+    exportMenuButton.addEventListener('click', () => {
+      exportDropdown.classList.toggle('open');
+    });
+
+    exportDropdown.addEventListener('click', (e) => {
+      const exportFormatButton = /** @type {HTMLElement} */ (e.target).closest('button[data-export-format]');
+      if (!exportFormatButton) { return; }
+      exportDropdown.classList.remove('open');
+
+      if (!currentMovieName) {
+        alert("Cannot export subtitles: movie name is not found yet.");
+        return;
+      }
+      const exportFormat = exportFormatButton.dataset.exportFormat;
+      fetchEpisodeSubtitleExport(currentMovieName, targetLanguage, exportFormat)
+        .then((exportResult) => {
+          if (exportResult[0] === false) {
+            alert(`Cannot export subtitles: ${exportResult[1]}`);
+            return;
+          }
+          downloadTextFile(exportResult[1].fileName, exportResult[1].fileContent);
+        }).catch((error) => {
+          console.error("FinnishStreamingDualSubExtension: Error exporting subtitles:", error);
+          alert(`Cannot export subtitles: ${error?.message || "Unknown error"}`);
+        });
+    });
+
+    document.addEventListener('click', (e) => {
+      // @ts-ignore - EventTarget is used as Node at runtime
+      if (!exportMenuButton.contains(e.target) && !exportDropdown.contains(e.target)) {
+        exportDropdown.classList.remove('open');
+      }
+    }, true);
+  }
+
+  // Reload subtitle button logic
+  const reloadSubtitleButton = document.getElementById(`${platformId}-dual-sub-reload-subtitle-button`);
+  if (reloadSubtitleButton) {
+    reloadSubtitleButton.addEventListener('click', () => {
+      const isConfirmed = confirm(
+        "This will clear cached subtitles and re-translate the entire episode. " +
+        "It may improve translation accuracy but will use additional translation quota. " +
+        "Continue?"
+      );
+
+      if (isConfirmed) {
+        sharedTranslationMap.clear();
+        if (currentMovieName) {
+          callDatabaseInBackground('clearSubtitlesByMovieName', currentMovieName).then(() => {
+            console.info(`FinnishStreamingDualSubExtension: Cleared cached subtitles for movie: ${currentMovieName}`);
+          }).catch((error) => {
+            console.error("FinnishStreamingDualSubExtension: Error clearing cached subtitles for current movie:", error);
+            alert(`Error clearing cache: ${error?.message || "Unknown error"}`);
+          }).finally(() => {
+            alert("We need to reload the page to apply changes.");
+            location.reload();
+          });
+        } else {
+          console.warn(
+            "FinnishStreamingDualSubExtension: No current movie name found. " +
+            "Cannot clear cached subtitles from database."
+          );
+          alert("We need to reload the page to apply changes.");
+          location.reload();
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Get video title once the video player is loaded
+ * @returns {Promise<string | null>}
+ */
+async function getVideoTitle() {
+  const title = await waitForPlayerElement(activePlatformAdapter.findVideoTitle, 1200);
+  if (!title) {
+    console.error("FinnishStreamingDualSubExtension: Cannot get movie name. Title Element is null.");
+    return null;
+  }
+  return title;
+}
+
+// ==================================
+// END SECTION
+// ==================================
+
+// =========================================
+// MAIN SECTION: OBSERVERS & EVENT LISTENERS
+// =========================================
+
+/**
+ * This function acts as a handler when new movie is played.
+ * It will load that movie's subtitle from database and update metadata.
+ * @returns {Promise<void>}
+ */
+async function loadMovieCacheAndUpdateMetadata() {
+
+  await legacyDatabaseMigrationPromise;
+
+  currentMovieName = await getVideoTitle();
+  if (!currentMovieName) {
+    return;
+  }
+  saveCurrentEpisodeCues();
+  await reloadKnownVocabularyWords();
+
+  /** @type {Array<SubtitleRecord>} */
+  const subtitleRecords = await callDatabaseInBackground(
+    'loadSubtitlesByMovieName',
+    currentMovieName,
+    targetLanguage
+  );
+  if (Array.isArray(subtitleRecords)) {
+    console.info(`FinnishStreamingDualSubExtension: Loaded ${subtitleRecords.length} cached subtitles for movie: ${currentMovieName}`);
+  }
+  for (const subtitleRecord of subtitleRecords) {
+    sharedTranslationMap.set(
+      subtitleRecord.originalText,
+      subtitleRecord.translatedText
+    );
+  }
+  updatePreTranslationProgress();
+  updateTranscriptTranslations();
+
+  const lastAccessedDays = Math.floor(Date.now() / (1000 * 60 * 60 * 24));
+
+  await callDatabaseInBackground('upsertMovieMetadata', currentMovieName, lastAccessedDays);
+}
+
+/**
+ * Save the intercepted subtitle track of the current movie, so it can be exported with original timings.
+ * Track and movie name arrive in any order, the track is saved once both are known.
+ */
+function saveCurrentEpisodeCues() {
+  if (!currentMovieName || currentSubtitleTrackCues.length === 0) {
+    return;
+  }
+  callDatabaseInBackground('saveEpisodeCues', currentMovieName, currentSubtitleTrackCues)
+    .catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error saving episode subtitle track:", error);
+    });
+}
+
+/**
+ * Set up dual subtitles for a video which just appeared:
+ * follow the site subtitles, add the toolbar and load the movie cache
+ * @returns {void}
+ */
+function initializeDualSubForVideo() {
+  const video = getActiveVideoElement();
+  if (video) {
+    activePlatformAdapter.initializeSubtitleSource(video);
+  } else {
+    console.error("FinnishStreamingDualSubExtension: Video element not found during initialization");
+  }
+  addDualSubExtensionSection().then(() => { }).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error adding dual sub extension section:", error);
+  });
+  loadMovieCacheAndUpdateMetadata().then(() => { }).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error populating shared translation map from cache:", error);
+  });
+}
+
+const observer = new MutationObserver((mutations) => {
+  mutations.forEach((mutation) => {
+    if (mutation.type === "childList") {
+      if (activePlatformAdapter.handleSubtitleMutation(mutation)) {
+        return;
+      }
+      if (isVideoElementAppearMutation(mutation)) {
+        initializeDualSubForVideo();
+      }
+    }
+  });
+});
+
+/**
+ * Start dual subtitles on the streaming site of this content script
+ * @param {PlatformAdapter} platformAdapter
+ * @returns {void}
+ */
+// eslint-disable-next-line no-unused-vars
+function startDualSubOnPlatform(platformAdapter) {
+  activePlatformAdapter = platformAdapter;
+
+  if (platformAdapter.hasLegacyPageDatabase) {
+    legacyDatabaseMigrationPromise = migrateLegacyPageDatabaseToBackground().catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Failed to migrate page database to extension database: ", error);
+    });
+  }
+
+  // Start observing the document for added nodes
+  if (document.body instanceof Node) {
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+    });
+  }
+}
+
+document.addEventListener("sendSubtitleTrackEvent", (e) => {
+  /**
+   * Listening for the whole subtitle track loaded into video player from injected.js
+   * Send raw Finnish texts from subtitle track to a translation queue
+   * @param {CustomEvent} e
+   */
+  const cues = parseSubtitleTrackEventDetail(/** @type {CustomEvent} */ (e).detail);
+  if (cues.length === 0) {
+    return;
+  }
+  currentSubtitleTrackCues = cues;
+  saveCurrentEpisodeCues();
+  queueSubtitleTrackForTranslation();
+  renderTranscriptLines();
+});
+
+/** @type {Object<string, string>} keyboard key => one of SubtitleLineNavigation */
+const SUBTITLE_LINE_NAVIGATION_BY_KEY = {
+  '<': SubtitleLineNavigation.PREVIOUS,
+  'r': SubtitleLineNavigation.REPLAY,
+  '>': SubtitleLineNavigation.NEXT,
+};
+
+document.addEventListener("keydown", (e) => {
+  /**
+   * Keyboard shortcuts of subtitle line navigation, shadowing mode and loop. Registered once, not with the toolbar,
+   * so adding the toolbar again for a new video does not make one key press jump several lines.
+   * @param {KeyboardEvent} e
+   */
+  if (e.ctrlKey || e.metaKey || e.altKey || !document.querySelector(".dual-sub-extension-section")) {
+    return;
+  }
+  const target = /** @type {HTMLElement} */ (e.target);
+  if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+    return;
+  }
+  if (e.key === 'Enter' && isShadowingPauseActive) {
+    e.preventDefault();
+    resumeFromShadowingPause();
+    return;
+  }
+  if (e.key === 'l') {
+    e.preventDefault();
+    if (activeLoop) {
+      stopLoop();
+    } else {
+      loopCurrentSubtitleLine();
+    }
+    return;
+  }
+  const navigation = SUBTITLE_LINE_NAVIGATION_BY_KEY[e.key];
+  if (navigation) {
+    e.preventDefault();
+    seekToSubtitleLine(navigation);
+  }
+});
+
+document.addEventListener("seeking", (e) => {
+  /**
+   * Media events do not bubble, so listen in capture phase to catch seeking of any video element.
+   * Re-prioritise pending translations around the new playback position.
+   * @param {Event} e
+   */
+  if (!(e.target instanceof HTMLVideoElement)) {
+    return;
+  }
+  // A line replayed or jumped to pauses at its end again
+  shadowingPausedLine = null;
+  // Seeking out of the loop range ends the loop
+  const seekTime = e.target.currentTime;
+  if (activeLoop && (seekTime < activeLoop.startTime - LOOP_RANGE_SEEK_TOLERANCE_SECONDS ||
+    seekTime > activeLoop.endTime + LOOP_RANGE_SEEK_TOLERANCE_SECONDS)) {
+    stopLoop();
+  }
+  translationQueue.reprioritize(e.target.currentTime);
+  translationQueue.processQueue().then(() => {
+  }).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error processing translation queue after seeking:", error);
+  });
+}, true);
+
+/**
+ * Media events do not bubble, so listen in capture phase like "seeking".
+ * Keep the shadowing pause and the loop repeat scheduled at the end of the line or range,
+ * and the transcript panel highlight on the line being played.
+ * @param {Event} e
+ */
+function handlePracticeMediaEvent(e) {
+  if (!(e.target instanceof HTMLVideoElement) || e.target !== getActiveVideoElement()) {
+    return;
+  }
+  // Playing again by any means, Enter, the site player or the resume delay, ends the pause
+  if (e.type === "play" && isShadowingPauseActive) {
+    endShadowingPause();
+  }
+  scheduleShadowingPause(e.target);
+  scheduleLoopRepeat(e.target);
+  if (e.type === "ratechange" && activeLoop) {
+    updateLoopIndicator();
+  }
+  if (e.type === "timeupdate") {
+    updateTranscriptActiveLine(e.target.currentTime);
+  }
+}
+document.addEventListener("timeupdate", handlePracticeMediaEvent, true);
+document.addEventListener("play", handlePracticeMediaEvent, true);
+document.addEventListener("pause", handlePracticeMediaEvent, true);
+document.addEventListener("ratechange", handlePracticeMediaEvent, true);
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  /**
+   * Listen for user setting changes for translation service / key selection in Options page
+   * @param {Object} changes
+   * @param {string} namespace
+   */
+  if (namespace === 'sync' &&
+    (changes.tokenInfos || changes.translationProvider || changes.translationProviderConfigs)) {
+    loadTranslationProviderSettingsFromChromeStorageSync().then((translationProviderSettings) => {
+      const hasSelectedToken = translationProviderSettings.config !== null;
+      _handleDualSubBehaviourBasedOnSelectedToken(hasSelectedToken);
+    }).catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error reloading translation provider settings:", error);
+    });
+  }
+  if (namespace === 'sync' && changes.contextWindowSize) {
+    loadContextWindowSizeFromChromeStorageSync().then((loadedContextWindowSize) => {
+      contextWindowSize = loadedContextWindowSize;
+    }).catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error reloading context window size:", error);
+    });
+  }
+  if (namespace === 'sync' && changes.sentenceMergingMode) {
+    loadSentenceMergingModeFromChromeStorageSync().then((loadedSentenceMergingMode) => {
+      sentenceMergingMode = loadedSentenceMergingMode;
+      queueSubtitleTrackForTranslation();
+    }).catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error reloading sentence merging mode:", error);
+    });
+  }
+  if (namespace === 'sync' && changes.shadowingMode) {
+    shadowingModeEnabled = changes.shadowingMode.newValue === true;
+    if (!shadowingModeEnabled && isShadowingPauseActive) {
+      endShadowingPause();
+    }
+    updateShadowingIndicator();
+  }
+  if (namespace === 'sync' && changes.shadowingResumeDelayFactor) {
+    loadShadowingResumeDelayFactorFromChromeStorageSync().then((loadedResumeDelayFactor) => {
+      shadowingResumeDelayFactor = loadedResumeDelayFactor;
+    }).catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error reloading shadowing resume delay:", error);
+    });
+  }
+  if (namespace === 'sync' && changes.readingMode) {
+    loadReadingModeFromChromeStorageSync().then((loadedReadingMode) => {
+      readingModeEnabled = loadedReadingMode;
+      return reloadKnownVocabularyWords();
+    }).catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error reloading reading mode setting:", error);
+    });
+  }
+  if (namespace === 'sync' && changes.targetLanguage) {
+    if (changes.targetLanguage.newValue && typeof changes.targetLanguage.newValue === 'string') {
+      alert(`Your target language has changed to ${changes.targetLanguage.newValue}. ` +
+        `We need to reload the page for the change to work.`);
+      location.reload();
+    }
+  }
+});
+
+chrome.runtime.onMessage.addListener((msg) => {
+  const appendTarget = getLookupPopupAppendTarget();
+  const lookupEpisode = { movieName: currentMovieName, videoTime: getPlayheadTime() };
+  handleLookupMessage(msg, targetLanguage, appendTarget, lookupEpisode).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error handling lookup message:", error);
+  });
+  handleTranslationKeySwitchedMessage(msg, appendTarget);
+});
+
+document.addEventListener("change", (e) => {
+  /**
+   * Listen for user interaction events in the streaming site page,
+   * for example: dual sub switch change event
+   * @param {Event} e
+   */
+  if (e.target.id === "dual-sub-switch") {
+    dualSubEnabled = e.target.checked;
+    if (!activePlatformAdapter.setDualSubDisplayed(dualSubEnabled)) {
+      console.error(
+        "FinnishStreamingDualSubExtension: This should not happen: " +
+        "When the video is loaded the subtitles should be there"
+      );
+      e.target.checked = false;
+      dualSubEnabled = false;
+      return;
+    }
+    if (dualSubEnabled) {
+      translationQueue.processQueue().then(() => { }).catch((error) => {
+        console.error("FinnishStreamingDualSubExtension: Error processing translation queue after enabling dual subtitles:", error);
+      });
+    }
+  }
+});
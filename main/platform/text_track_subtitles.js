@@ -0,0 +1,230 @@
+/* global dualSubEnabled, closeLookupPopup, setFinnishSubtitleRowText */
+/* global addWordClickListenerToFinnishSubtitleRow, getDisplayedTranslation, getActiveVideoElement */
+
+// Dual subtitles for players which play subtitles as text tracks of the video
+// (Ruutu, MTV Katsomo, any HTML5 video in generic mode):
+// the extension adds its own subtitle rows on top of the video and follows cue changes.
+
+// Track text tracks hidden by extension so we can restore them when dual sub is disabled
+/** @type {Set<TextTrack>} */
+const tracksHiddenByExtension = new Set();
+
+/**
+ * @param {TextTrack} textTrack
+ * @returns {boolean} true if the track is subtitles or captions, not chapters or metadata
+ */
+function isSubtitleTextTrack(textTrack) {
+  return textTrack.kind === 'captions' || textTrack.kind === 'subtitles';
+}
+
+/**
+ * Set up TextTrack listeners on the video element.
+ * If dual sub is enabled, hides native subtitle rendering by setting track.mode = 'hidden'.
+ * Also handles tracks added dynamically (HLS adds tracks after video load).
+ * @param {HTMLVideoElement} video
+ */
+// eslint-disable-next-line no-unused-vars
+function setupTextTrackListeners(video) {
+  /**
+   * @param {TextTrack} textTrack 
+   * Add event listener to text track if it is either caption or subtitle
+   * When cue changes, we update `finnish-subtitle-row` and `target-language-subtitle-row` accordingly
+   */
+  function addListenerToTextTrack(textTrack) {
+    if (isSubtitleTextTrack(textTrack)) {
+      textTrack.addEventListener('cuechange', () => {
+        closeLookupPopup();
+
+        /** @type string[] */
+        const finnishSubtitles = [];
+        for (const activeCue of Array.from(textTrack.activeCues)) {
+          if (activeCue instanceof VTTCue) {
+            finnishSubtitles.push(activeCue.text);
+          }
+        }
+
+        if (finnishSubtitles.length > 0) {
+          const displayedFinnishSubtitles = [];
+          const targetLanguageSubtitles = [];
+          for (const finnishSubtitle of finnishSubtitles) {
+            const displayedFinnishSubtitle = finnishSubtitle.replace(/\n/g, ' ').replace(/\s+/g, ' ').trim();
+            const targetLanguageSubtitle = getDisplayedTranslation(displayedFinnishSubtitle);
+            displayedFinnishSubtitles.push(displayedFinnishSubtitle);
+            targetLanguageSubtitles.push(targetLanguageSubtitle);
+          }
+
+          const displayedFinnishSubtitle = displayedFinnishSubtitles.join(". ");
+          const targetLanguageSubtitle = targetLanguageSubtitles.join(". ");
+
+          // Update Finnish subtitle
+          const finnishSubRow = document.getElementById('finnish-subtitle-row');
+          if (finnishSubRow) {
+            setFinnishSubtitleRowText(finnishSubRow, displayedFinnishSubtitle);
+          }
+          const targetLanguageRow = document.getElementById('target-language-subtitle-row');
+          if (targetLanguageRow) {
+            targetLanguageRow.textContent = targetLanguageSubtitle;
+          }
+        } else {
+          const finnishSubRow = document.getElementById('finnish-subtitle-row');
+          const targetLanguageRow = document.getElementById('target-language-subtitle-row');
+          if (finnishSubRow) { finnishSubRow.textContent = ''; }
+          if (targetLanguageRow) { targetLanguageRow.textContent = ''; }
+        }
+      });
+    }
+  }
+  for (const track of Array.from(video.textTracks)) {
+    addListenerToTextTrack(track);
+  }
+
+  video.textTracks.addEventListener('addtrack', (e) => {
+    const track = e.track;
+    addListenerToTextTrack(track);
+  })
+
+  video.textTracks.addEventListener('change', () => {
+    const showingTrack = Array.from(video.textTracks).filter(t => t.mode === "showing")[0];
+    const isHidden = Array.from(video.textTracks).filter(t => t.mode === "hidden").length >= 1;
+    if (showingTrack) {
+      // There is one track in showing mode
+      if (dualSubEnabled) {
+        showingTrack.mode = "hidden";
+        tracksHiddenByExtension.add(showingTrack);
+      }
+    } else if (isHidden) {
+      // There is at least one track in hidden mode
+      // Ignore
+    } else {
+      // All tracks are disabled
+      const finnishSubRow = document.getElementById('finnish-subtitle-row');
+      const targetLanguageRow = document.getElementById('target-language-subtitle-row');
+      if (finnishSubRow) { finnishSubRow.textContent = ''; }
+      if (targetLanguageRow) { targetLanguageRow.textContent = ''; }
+    }
+  })
+}
+
+/**
+ * Create a container div to hold Finnish subtitle and its translation.
+ * Reasons for creating div:
+ * - Allows displaying dual subtitles (Finnish + translation) side by side
+ * - Enables custom styling, blur effects, and dynamic font sizing
+ * - Allows hiding native subtitles while showing our custom ones
+ * - Provides full control over subtitle positioning and appearance
+ * @param {HTMLVideoElement} video
+ * @returns {HTMLElement | null} The subtitle container element, or null if video has no parent
+ */
+// eslint-disable-next-line no-unused-vars
+function initializeContainerForSubtitleRows(video) {
+  const videoContainer = video.parentElement;
+  if (!videoContainer) {
+    console.error("FinnishStreamingDualSubExtension: Could not find video parent element");
+    return null;
+  }
+
+  // Check if container already exists to avoid duplicates
+  let subtitleContainer = document.getElementById('displayed-subtitles-rows-wrapper');
+  if (subtitleContainer) {
+    return subtitleContainer;
+  }
+
+  subtitleContainer = document.createElement('div');
+  subtitleContainer.id = 'displayed-subtitles-rows-wrapper';
+  subtitleContainer.className = 'dual-sub-subtitle-wrapper';
+  subtitleContainer.setAttribute('aria-live', 'polite');
+  subtitleContainer.setAttribute('aria-atomic', 'true');
+  subtitleContainer.style.display = dualSubEnabled ? 'flex' : 'none';
+
+  /**
+   * Update subtitle font size based on video width
+   */
+  function updateSubtitleFontSize() {
+    if (!video || !subtitleContainer) { return; }
+    const videoWidth = video.offsetWidth;
+    // Scale: 2.5% of video width, clamped between 18-32px
+    const fontSize = Math.max(18, Math.min(videoWidth * 0.02, 32));
+    const fontSizeString = String(fontSize);
+    subtitleContainer.style.fontSize = `${fontSizeString}px`;
+  }
+
+  // Set initial font size
+  updateSubtitleFontSize();
+
+  // Update on window resize
+  window.addEventListener('resize', updateSubtitleFontSize);
+
+  // Update on fullscreen change
+  document.addEventListener('fullscreenchange', updateSubtitleFontSize);
+
+  // Update on video loadedmetadata
+  video.addEventListener('loadedmetadata', updateSubtitleFontSize);
+
+  // Create Finnish subtitle row
+  const finnishSubtitleRow = document.createElement('div');
+  finnishSubtitleRow.id = 'finnish-subtitle-row';
+  finnishSubtitleRow.className = 'dual-sub-subtitle-row';
+  addWordClickListenerToFinnishSubtitleRow(finnishSubtitleRow);
+
+  // Create translated subtitle row
+  const translatedSubtitleRow = document.createElement('div');
+  translatedSubtitleRow.id = 'target-language-subtitle-row';
+  translatedSubtitleRow.className = 'dual-sub-subtitle-row translated-subtitle-row';
+
+  // Append subtitle rows to container
+  subtitleContainer.appendChild(finnishSubtitleRow);
+  subtitleContainer.appendChild(translatedSubtitleRow);
+
+  for (const eventType of ['mousedown', 'mouseup', 'click']) {
+    subtitleContainer.addEventListener(eventType, (/** @type {Event} */ e) => {
+      e.stopPropagation();
+    });
+  }
+
+  // Insert into video container with position: relative to be the positioning context
+  videoContainer.style.position = 'relative';
+  videoContainer.appendChild(subtitleContainer);
+
+  return subtitleContainer;
+}
+
+/**
+ * Hide text tracks shown by the video and show the dual subtitle rows instead, or the other way round
+ * @param {boolean} enabled
+ * @returns {boolean} always true, the subtitle rows are created with the video
+ */
+// eslint-disable-next-line no-unused-vars
+function setTextTrackDualSubDisplayed(enabled) {
+  const subtitleContainer = document.getElementById('displayed-subtitles-rows-wrapper');
+  const video = getActiveVideoElement();
+  if (enabled) {
+    if (video) {
+      for (const track of Array.from(video.textTracks)) {
+        if (track.mode === 'showing') {
+          track.mode = 'hidden';
+          tracksHiddenByExtension.add(track);
+        }
+      }
+    }
+    // Show subtitle container
+    if (subtitleContainer) {
+      subtitleContainer.style.display = 'flex';
+    }
+    return true;
+  }
+
+  if (video) {
+    for (const track of Array.from(video.textTracks)) {
+      if (track.mode === 'hidden' && tracksHiddenByExtension.has(track)) {
+        track.mode = 'showing';
+        tracksHiddenByExtension.delete(track);
+      }
+    }
+  }
+  tracksHiddenByExtension.clear();
+  // Hide subtitle container
+  if (subtitleContainer) {
+    subtitleContainer.style.display = 'none';
+  }
+  return true;
+}
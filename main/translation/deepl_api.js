@@ -1,26 +1,9 @@
-/* global sleep, calculateBackoffDelay */ // defined in shared.js
+/* global TranslationProviderError */ // defined in shared.js
 
 const DEEPL_PAID_ENDPOINT = 'https://api.deepl.com/v2/translate';
 const DEEPL_FREE_ENDPOINT = 'https://api-free.deepl.com/v2/translate';
 
 
-class DeepLTranslationError {
-  /**
-   * Init DeepLTranslationError for DeepL API translation request failures
-   * @param {number} status - The HTTP status code from the failed request
-   */
-  constructor(status) {
-    if (typeof status !== "number" || isNaN(status)) {
-      throw new Error("Status must be a valid number");
-    }
-    /**
-     * @type {number}
-     * @description The HTTP status code from the failed request
-     */
-    this.status = status;
-  }
-}
-
 /**
    * Get a user-friendly error message based on the HTTP status code
    * @param {number} status - The HTTP status code
@@ -61,7 +44,7 @@ function getDeepLErrorMessage(status) {
  * @param {Array<string>} rawSubtitleFinnishTexts - Array of Finnish texts to translate
  * @param {string} targetLanguage - target language code (exp: "EN-US", "VI", "GE", ...)
  * @param {string} context - context for more accurate translation
- * @returns {Promise<[true, Array<string>]|[false, DeepLTranslationError]|[false, string]>} -
+ * @returns {Promise<[true, Array<string>]|[false, TranslationProviderError]|[false, string]>} -
  * Returns a tuple where the first element indicates success and the second is either translated texts, translation error or an error message.
  */
 async function translateTextsWithDeepL(apiKey, isDeepLPro, rawSubtitleFinnishTexts, targetLanguage, context = "") {
@@ -83,8 +66,7 @@ async function translateTextsWithDeepL(apiKey, isDeepLPro, rawSubtitleFinnishTex
       })
     });
     if (!response.ok) {
-      const deepLTranslationError = new DeepLTranslationError(response.status);
-      return [false, deepLTranslationError];
+      return [false, new TranslationProviderError(response.status)];
     }
 
     const data = await response.json();
@@ -99,60 +81,92 @@ async function translateTextsWithDeepL(apiKey, isDeepLPro, rawSubtitleFinnishTex
 };
 
 /**
- * Translate DeepL text with proper error handling
- *
- * @param {string} apiKey - DeepL API key
- * @param {boolean} isDeepLPro - Whether the key is a Pro key
- * @param {string[]} rawSubtitleFinnishTexts
- * @param {string} targetLanguage (exp, "EN-US", "VI")
- * @param {string} context - context for more accurate translation
- * @returns {Promise<[true, Array<string>]|[false, string]>} - Returns a tuple where the first element
- * indicates success and the second is either translated texts or an error message.
+ * @type {TranslationProvider}
  */
-async function translateTextsWithErrorHandlingWithDeepL(
-  apiKey,
-  isDeepLPro,
-  rawSubtitleFinnishTexts,
-  targetLanguage,
-  context = ""
-) {
-  const MAX_RETRIES = 3;
+const DEEPL_TRANSLATION_PROVIDER = {
+  id: "deepl",
+  displayName: "DeepL",
+  retryableStatuses: [413, 429, 503, 504, 529],
+  /**
+   * @param {{key: string, isPro: boolean}} config - selected DeepL token
+   */
+  translateTexts: (config, rawSubtitleFinnishTexts, targetLanguage, context) =>
+    translateTextsWithDeepL(
+      config.key, config.isPro, rawSubtitleFinnishTexts, targetLanguage, context
+    ),
+  getErrorMessage: getDeepLErrorMessage,
+};
 
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    const [isSucceeded, translationResponse] = await translateTextsWithDeepL(
-      apiKey,
-      isDeepLPro,
-      rawSubtitleFinnishTexts,
-      targetLanguage,
-      context,
-    );
+/**
+ * DeepL statuses meaning the key itself cannot be used anymore,
+ * so the next stored key should be tried: 403 (invalid key), 456 (quota exceeded)
+ */
+const DEEPL_KEY_FAILOVER_STATUSES = [403, 456];
 
-    if (isSucceeded) {
-      return [true, translationResponse];
-    }
+/**
+ * @param {number} status - DeepL HTTP status code, one of DEEPL_KEY_FAILOVER_STATUSES
+ * @returns {"invalid-key" | "quota-exceeded"}
+ */
+function toDeepLKeyFailoverReason(status) {
+  return status === 403 ? "invalid-key" : "quota-exceeded";
+}
 
-    if (translationResponse instanceof DeepLTranslationError) {
-      const deepLTranslationError = translationResponse;
-      const errorStatusCode = deepLTranslationError.status;
+/**
+ * DeepL resets the character count every monthly billing period. The period start is unknown here,
+ * so a key out of quota is tried again once a whole period has passed since it failed over.
+ */
+const DEEPL_BILLING_PERIOD_MS = 31 * 24 * 60 * 60 * 1000;
 
-      // Retry on transient errors
-      if ([413, 429, 503, 504, 529].includes(errorStatusCode)) {
-        if (attempt < MAX_RETRIES - 1) {
-          const backoffDelay = calculateBackoffDelay(attempt);
-          await sleep(backoffDelay);
-          continue;
-        } else {
-          return [false, getDeepLErrorMessage(errorStatusCode)];
-        }
-      } else {
-        // Non-retryable error (e.g., 403 invalid key)
-        return [false, getDeepLErrorMessage(errorStatusCode)];
-      }
-    } else {
-      const errorMessage = String(translationResponse);
-      return [false, errorMessage];
-    }
+/**
+ * @param {DeepLTokenInfoInStorage} tokenInfo
+ * @param {number} now - epoch milliseconds
+ * @returns {boolean} false for a key the extension switched away from, until its quota may be reset
+ */
+function isDeepLTokenHealthy(tokenInfo, now) {
+  if (!tokenInfo.failoverReason) {
+    return true;
+  }
+  if (tokenInfo.failoverReason === "invalid-key") {
+    return false;
   }
-  // Should not reach here, but just in case
-  return [false, "Translation failed after 3 retry attempts."];
+  const failoverTime = new Date(tokenInfo.failoverAt).getTime();
+  return isNaN(failoverTime) || now - failoverTime >= DEEPL_BILLING_PERIOD_MS;
+}
+
+/**
+ * Pick the next healthy DeepL key to rotate to: not tried yet in this request,
+ * not switched away from before (unless its quota may be reset since), and with the most characters left.
+ * @param {DeepLTokenInfoInStorage[]} tokenInfos
+ * @param {Set<string>} triedKeys - keys which already failed for the current request
+ * @param {number} [now] - epoch milliseconds
+ * @returns {DeepLTokenInfoInStorage | null}
+ */
+function pickNextHealthyDeepLToken(tokenInfos, triedKeys, now = Date.now()) {
+  const candidates = tokenInfos.filter(
+    (tokenInfo) => !triedKeys.has(tokenInfo.key) && isDeepLTokenHealthy(tokenInfo, now)
+  );
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates.reduce((best, current) => {
+    const bestCharacterLeft = Number(best.characterLimit) - Number(best.characterCount);
+    const currentCharacterLeft = Number(current.characterLimit) - Number(current.characterCount);
+    return currentCharacterLeft > bestCharacterLeft ? current : best;
+  });
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    getDeepLErrorMessage,
+    translateTextsWithDeepL,
+    DEEPL_TRANSLATION_PROVIDER,
+    DEEPL_KEY_FAILOVER_STATUSES,
+    toDeepLKeyFailoverReason,
+    DEEPL_BILLING_PERIOD_MS,
+    isDeepLTokenHealthy,
+    pickNextHealthyDeepLToken,
+  };
 }
+// In browser extension (background), functions are automatically global
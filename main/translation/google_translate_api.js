@@ -0,0 +1,115 @@
+/* global TranslationProviderError */ // defined in shared.js
+
+const GOOGLE_TRANSLATE_ENDPOINT = 'https://translation.googleapis.com/language/translate/v2';
+
+/**
+ * Convert DeepL style target language code (which is what we store in chrome storage)
+ * into the language code Google Cloud Translation expects
+ * @param {string} targetLanguage - DeepL target language code (exp: "EN-US", "ZH-HANT", "PT-BR")
+ * @returns {string} Google language code (exp: "en", "zh-TW", "pt")
+ */
+function toGoogleLanguageCode(targetLanguage) {
+  switch (targetLanguage) {
+    case "ZH":
+    case "ZH-HANS":
+      return "zh-CN";
+    case "ZH-HANT":
+      return "zh-TW";
+    case "PT-PT":
+      return "pt-PT";
+    case "NB":
+      return "no";
+    default:
+      return targetLanguage.split("-")[0].toLowerCase();
+  }
+}
+
+/**
+ * Get a user-friendly error message based on the HTTP status code
+ * @param {number} status - The HTTP status code
+ * @returns {string} A descriptive error message
+ */
+function getGoogleTranslateErrorMessage(status) {
+  switch (status) {
+    case 400:
+      return "Translation request is invalid. Please check your Google Cloud API key in settings. Consider reloading the page.";
+    case 401:
+    case 403:
+      return "This API key is invalid, restricted or the Cloud Translation API is not enabled for its project. Please check your Google Cloud settings.";
+    case 429:
+      return "You're translating too quickly or the daily quota is used up. Please wait a moment and try again.";
+    case 500:
+      return "Google Cloud Translation is having technical problems. Please try again in a few minutes.";
+    case 503:
+      return "Google Cloud Translation is temporarily unavailable. Please try again in a few minutes.";
+    default:
+      return `Translation failed (error ${status}). Please try again later. Consider reloading the page.`;
+  }
+}
+
+/**
+ * Translate text using Google Cloud Translation API (Basic, v2)
+ * @param {string} apiKey - Google Cloud API key with Cloud Translation API enabled
+ * @param {Array<string>} rawSubtitleFinnishTexts - Array of Finnish texts to translate
+ * @param {string} targetLanguage - target language code (exp: "EN-US", "VI", "DE", ...)
+ * @returns {Promise<[true, Array<string>]|[false, TranslationProviderError]|[false, string]>} -
+ * Returns a tuple where the first element indicates success and the second is either translated texts, translation error or an error message.
+ */
+async function translateTextsWithGoogle(apiKey, rawSubtitleFinnishTexts, targetLanguage) {
+  const url = `${GOOGLE_TRANSLATE_ENDPOINT}?key=${encodeURIComponent(apiKey)}`;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        q: rawSubtitleFinnishTexts,
+        source: "fi",
+        target: toGoogleLanguageCode(targetLanguage),
+        format: "text",
+      })
+    });
+    if (!response.ok) {
+      return [false, new TranslationProviderError(response.status)];
+    }
+
+    const data = await response.json();
+    const translatedTexts = data["data"]["translations"].map(t => t["translatedText"]);
+    return [true, translatedTexts];
+
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Google translation failed:', error);
+    const errorMessage = 'Translation failed. Please check network or contact developers.';
+    return [false, errorMessage];
+  }
+}
+
+/**
+ * @type {TranslationProvider}
+ */
+const GOOGLE_TRANSLATION_PROVIDER = {
+  id: "google",
+  displayName: "Google Cloud Translation",
+  retryableStatuses: [429, 500, 503],
+  /**
+   * Google Cloud Translation has no equivalent of DeepL `context`, so it is ignored.
+   * @param {{apiKey: string}} config
+   */
+  translateTexts: (config, rawSubtitleFinnishTexts, targetLanguage, _context) =>
+    translateTextsWithGoogle(config.apiKey, rawSubtitleFinnishTexts, targetLanguage),
+  getErrorMessage: getGoogleTranslateErrorMessage,
+};
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    toGoogleLanguageCode,
+    getGoogleTranslateErrorMessage,
+    translateTextsWithGoogle,
+    GOOGLE_TRANSLATION_PROVIDER,
+  };
+}
+// In browser extension (background), functions are automatically global
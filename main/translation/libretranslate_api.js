@@ -0,0 +1,120 @@
+/* global TranslationProviderError */ // defined in shared.js
+
+/**
+ * Convert DeepL style target language code (which is what we store in chrome storage)
+ * into the language code LibreTranslate expects
+ * @param {string} targetLanguage - DeepL target language code (exp: "EN-US", "ZH-HANT", "PT-BR")
+ * @returns {string} LibreTranslate language code (exp: "en", "zh-Hant", "pt")
+ */
+function toLibreTranslateLanguageCode(targetLanguage) {
+  switch (targetLanguage) {
+    case "ZH":
+    case "ZH-HANS":
+      return "zh";
+    case "ZH-HANT":
+      return "zh-Hant";
+    default:
+      return targetLanguage.split("-")[0].toLowerCase();
+  }
+}
+
+/**
+ * Get a user-friendly error message based on the HTTP status code
+ * @param {number} status - The HTTP status code
+ * @returns {string} A descriptive error message
+ */
+function getLibreTranslateErrorMessage(status) {
+  switch (status) {
+    case 400:
+      return "Translation request is invalid. Your LibreTranslate server may not support Finnish or the target language.";
+    case 403:
+      return "Your LibreTranslate server rejected the request. Please check the API key in settings.";
+    case 404:
+      return "Cannot find the translate endpoint. Please check your LibreTranslate URL in settings (exp: http://localhost:5000/translate).";
+    case 429:
+      return "You're translating too quickly for your LibreTranslate server. Please wait a moment and try again.";
+    case 500:
+      return "Your LibreTranslate server failed to translate. Please check the server logs.";
+    default:
+      return `Translation failed (error ${status}). Please check your LibreTranslate server.`;
+  }
+}
+
+/**
+ * Translate text using a self-hosted LibreTranslate compatible server
+ * @param {string} url - translate endpoint (exp: "http://localhost:5000/translate")
+ * @param {string} apiKey - optional API key, empty string if the server does not require one
+ * @param {Array<string>} rawSubtitleFinnishTexts - Array of Finnish texts to translate
+ * @param {string} targetLanguage - target language code (exp: "EN-US", "VI", "DE", ...)
+ * @returns {Promise<[true, Array<string>]|[false, TranslationProviderError]|[false, string]>} -
+ * Returns a tuple where the first element indicates success and the second is either translated texts, translation error or an error message.
+ */
+async function translateTextsWithLibreTranslate(
+  url,
+  apiKey,
+  rawSubtitleFinnishTexts,
+  targetLanguage,
+) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        q: rawSubtitleFinnishTexts,
+        source: "fi",
+        target: toLibreTranslateLanguageCode(targetLanguage),
+        format: "text",
+        ...(apiKey ? { api_key: apiKey } : {}),
+      })
+    });
+    if (!response.ok) {
+      return [false, new TranslationProviderError(response.status)];
+    }
+
+    const data = await response.json();
+    /** @type {string | string[]} */
+    const translatedText = data["translatedText"];
+    const translatedTexts = Array.isArray(translatedText) ? translatedText : [translatedText];
+    if (translatedTexts.length !== rawSubtitleFinnishTexts.length) {
+      return [false, 'Your LibreTranslate server returned an unexpected response. Please check its version.'];
+    }
+    return [true, translatedTexts];
+
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: LibreTranslate translation failed:', error);
+    const errorMessage = 'Cannot reach your LibreTranslate server. Please check that it is running and the URL in settings is correct.';
+    return [false, errorMessage];
+  }
+}
+
+/**
+ * @type {TranslationProvider}
+ */
+const LIBRETRANSLATE_TRANSLATION_PROVIDER = {
+  id: "libretranslate",
+  displayName: "LibreTranslate",
+  retryableStatuses: [429, 503],
+  /**
+   * LibreTranslate has no equivalent of DeepL `context`, so it is ignored.
+   * @param {{url: string, apiKey?: string}} config
+   */
+  translateTexts: (config, rawSubtitleFinnishTexts, targetLanguage, _context) =>
+    translateTextsWithLibreTranslate(
+      config.url, config.apiKey || "", rawSubtitleFinnishTexts, targetLanguage
+    ),
+  getErrorMessage: getLibreTranslateErrorMessage,
+};
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    toLibreTranslateLanguageCode,
+    getLibreTranslateErrorMessage,
+    translateTextsWithLibreTranslate,
+    LIBRETRANSLATE_TRANSLATION_PROVIDER,
+  };
+}
+// In browser extension (background), functions are automatically global
@@ -17,3 +17,86 @@ function calculateBackoffDelay(attempt) {
   const jitter = Math.random() * (exponentialDelay / 2);
   return exponentialDelay + jitter;
 }
+
+class TranslationProviderError {
+  /**
+   * Init TranslationProviderError for translation request failures of any provider
+   * @param {number} status - The HTTP status code from the failed request
+   */
+  constructor(status) {
+    if (typeof status !== "number" || isNaN(status)) {
+      throw new Error("Status must be a valid number");
+    }
+    /**
+     * @type {number}
+     * @description The HTTP status code from the failed request
+     */
+    this.status = status;
+  }
+}
+
+// TranslationProvider, the contract every translation backend implements, is declared in globals.d.ts
+
+/**
+ * Translate texts with the given provider, retrying transient errors with exponential backoff
+ *
+ * @param {TranslationProvider} provider
+ * @param {Object} config - provider specific configuration (API key, endpoint, ...)
+ * @param {string[]} rawSubtitleFinnishTexts
+ * @param {string} targetLanguage (exp, "EN-US", "VI")
+ * @param {string} context - context for more accurate translation (ignored by providers without support)
+ * @returns {Promise<[true, Array<string>]|[false, string]|[false, string, number]>} - Returns a tuple
+ * where the first element indicates success and the second is either translated texts or an error message.
+ * When the provider answered with an HTTP error, its status code is the third element.
+ */
+async function translateTextsWithErrorHandling(
+  provider,
+  config,
+  rawSubtitleFinnishTexts,
+  targetLanguage,
+  context = ""
+) {
+  const MAX_RETRIES = 3;
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const [isSucceeded, translationResponse] = await provider.translateTexts(
+      config,
+      rawSubtitleFinnishTexts,
+      targetLanguage,
+      context,
+    );
+
+    if (isSucceeded) {
+      return [true, translationResponse];
+    }
+
+    if (translationResponse instanceof TranslationProviderError) {
+      const errorStatusCode = translationResponse.status;
+
+      // Retry on transient errors
+      if (provider.retryableStatuses.includes(errorStatusCode) && attempt < MAX_RETRIES - 1) {
+        const backoffDelay = calculateBackoffDelay(attempt);
+        await sleep(backoffDelay);
+        continue;
+      }
+      // Non-retryable error (e.g., 403 invalid key) or out of retries
+      return [false, provider.getErrorMessage(errorStatusCode), errorStatusCode];
+    } else {
+      const errorMessage = String(translationResponse);
+      return [false, errorMessage];
+    }
+  }
+  // Should not reach here, but just in case
+  return [false, `Translation failed after ${MAX_RETRIES} retry attempts.`];
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    calculateBackoffDelay,
+    TranslationProviderError,
+    translateTextsWithErrorHandling,
+  };
+}
+// In browser extension (background), functions are automatically global
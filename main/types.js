@@ -7,6 +7,15 @@
  * @property {string} characterLimit - The character limit for this token.
  * @property {string} lastUsageCheckedAt - The timestamp when the token usage was last checked.
  * @property {boolean} selected - Whether this token is selected for use.
+ * @property {"invalid-key" | "quota-exceeded"} [failoverReason] - Why the extension automatically switched away from this token.
+ * @property {string} [failoverAt] - ISO timestamp of the automatic switch.
+ */
+
+/**
+ * @typedef TranslationProviderSettings
+ * @type {object}
+ * @property {string} providerId - The active translation provider id, exp: "deepl", "google".
+ * @property {Object | null} config - Provider specific configuration (key, endpoint, ...), null if not configured.
  */
 
 export { };
@@ -0,0 +1,114 @@
+// Builder for an Anki-importable deck from the word lookup history.
+// Used by the background service worker, kept free of chrome APIs so it can be unit tested.
+
+/** Tag added to every exported note, so imported cards are easy to find in Anki */
+const ANKI_NOTE_TAG = "finnish-dual-sub";
+
+/**
+ * @param {string} text
+ * @returns {string} text safe inside an HTML field of a tab separated line
+ */
+function toAnkiFieldHtml(text) {
+  return text
+    .replace(/[\t\r\n]+/g, " ")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Highlight the first occurrence of the looked up word in its sentence
+ * @param {string} sentence
+ * @param {string} word
+ * @returns {string} HTML
+ */
+function highlightWordInSentence(sentence, word) {
+  const wordStartIndex = sentence.toLowerCase().indexOf(word.toLowerCase());
+  if (!word || wordStartIndex < 0) {
+    return toAnkiFieldHtml(sentence);
+  }
+  const wordEndIndex = wordStartIndex + word.length;
+  const beforeWordHtml = toAnkiFieldHtml(sentence.slice(0, wordStartIndex));
+  const wordHtml = toAnkiFieldHtml(sentence.slice(wordStartIndex, wordEndIndex));
+  const afterWordHtml = toAnkiFieldHtml(sentence.slice(wordEndIndex));
+  return `${beforeWordHtml}<b>${wordHtml}</b>${afterWordHtml}`;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} exp: "4:05", "1:02:05"
+ */
+function formatVideoTime(seconds) {
+  const totalSeconds = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const wholeSeconds = String(totalSeconds % 60).padStart(2, "0");
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, "0")}:${wholeSeconds}`;
+  }
+  return `${minutes}:${wholeSeconds}`;
+}
+
+/**
+ * Keep only the latest lookup of the same word in the same sentence
+ * @param {LookupRecord[]} lookups - oldest first
+ * @returns {LookupRecord[]} oldest first
+ */
+function dedupeLookups(lookups) {
+  /** @type {Map<string, LookupRecord>} */
+  const latestLookups = new Map();
+  for (const lookup of lookups) {
+    const lookupKey = `${lookup.word.trim().toLowerCase()}\n${lookup.sentence.trim().toLowerCase()}`;
+    latestLookups.delete(lookupKey);
+    latestLookups.set(lookupKey, lookup);
+  }
+  return Array.from(latestLookups.values());
+}
+
+/**
+ * Build a tab separated deck for Anki "File > Import", using the built-in "Basic" note type.
+ * Front: the word, with its Finnish sentence as context.
+ * Back: the translation, the sentence translation, episode name and video time.
+ * @param {LookupRecord[]} lookups - oldest first
+ * @returns {string} file content
+ */
+function buildAnkiTsvDeck(lookups) {
+  const header = [
+    "#separator:tab",
+    "#html:true",
+    "#notetype:Basic",
+    "#tags column:3",
+  ];
+
+  const notes = dedupeLookups(lookups).map((lookup) => {
+    const word = lookup.word.trim();
+    const wordHtml = toAnkiFieldHtml(word);
+    const sentenceHtml = highlightWordInSentence(lookup.sentence.trim(), word);
+    const front = `<b>${wordHtml}</b><br><br><i>${sentenceHtml}</i>`;
+
+    const backParts = [toAnkiFieldHtml(lookup.translation.trim())];
+    if (lookup.sentenceTranslation) {
+      backParts.push(`<i>${toAnkiFieldHtml(lookup.sentenceTranslation.trim())}</i>`);
+    }
+    if (lookup.movieName) {
+      backParts.push(
+        `<small>${toAnkiFieldHtml(lookup.movieName)} · ${formatVideoTime(lookup.videoTime)}</small>`
+      );
+    }
+    const back = backParts.join("<br><br>");
+
+    return [front, back, ANKI_NOTE_TAG].join("\t");
+  });
+
+  return [...header, ...notes, ""].join("\n");
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    formatVideoTime,
+    buildAnkiTsvDeck,
+  };
+}
+// In browser extension (background service worker), functions are automatically global
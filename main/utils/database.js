@@ -7,6 +7,37 @@
  * @property {string} translatedText - The translated text in target language
  */
 
+/**
+ * @typedef {Object} EpisodeCuesRecord
+ * @property {string} movieName - The movie name (e.g., "Series Title | Episode Name")
+ * @property {Array<SubtitleCue>} cues - Whole Finnish subtitle track with original timings
+ */
+
+/**
+ * @typedef {Object} LookupRecord
+ * @property {number} [id] - Auto incremented key, set by IndexedDB
+ * @property {string} word - The looked up Finnish word or phrase
+ * @property {string} sentence - The Finnish subtitle line the word was looked up in
+ * @property {string} translation - Translation of the looked up word or phrase
+ * @property {string} sentenceTranslation - Translation of the subtitle line, empty if not shown
+ * @property {string} targetLanguage - Target language code (e.g., "EN-US")
+ * @property {string | null} movieName - The movie name, null if not detected
+ * @property {number} videoTime - Video current time in seconds when looked up
+ * @property {string} lookedUpAt - ISO timestamp of the lookup
+ */
+
+/**
+ * @typedef {Object} VocabularyWord
+ * @property {string} word - The saved Finnish word or phrase, lower case (key with targetLanguage)
+ * @property {string} translation - Translation of the word
+ * @property {string} sentence - The Finnish subtitle line the word was saved from
+ * @property {string} targetLanguage - Target language code (e.g., "EN-US"), a word has one entry per language
+ * @property {string | null} movieName - The movie name, null if not detected
+ * @property {string} savedAt - ISO timestamp of the first save
+ * @property {Array<string>} tags - User defined tags
+ * @property {boolean} known - Whether the user marked the word as known
+ */
+
 /**
  * @typedef {Object} MovieMetadata
  * @property {string} movieName - The movie name (e.g., "Series Title | Episode Name")
@@ -17,6 +48,22 @@ const DATABASE = "YleDualSubCache"
 const SUBTITLE_CACHE_OBJECT_STORE = "SubtitlesCache"
 const DEPRECATED_ENGLISH_SUBTITLE_CACHE_OBJECT_STORE = "EnglishSubtitlesCache"
 const MOVIE_METADATA_OBJECT_STORE = "MovieMetadata"
+const EPISODE_CUES_OBJECT_STORE = "EpisodeCues"
+const LOOKUP_HISTORY_OBJECT_STORE = "LookupHistory"
+const VOCABULARY_OBJECT_STORE = "Vocabulary"
+const DICTIONARY_OBJECT_STORE = "Dictionary"
+
+/**
+ * @param {IDBDatabase} db - Database being upgraded
+ * @returns {IDBObjectStore} The created vocabulary store
+ */
+function createVocabularyObjectStore(db) {
+    const vocabularyObjectStore = db.createObjectStore(VOCABULARY_OBJECT_STORE, {
+        keyPath: ['word', 'targetLanguage'],
+    });
+    vocabularyObjectStore.createIndex('vocabularyByWord', 'word', { unique: false });
+    return vocabularyObjectStore;
+}
 
 /**
  * Open or create the IndexedDB database for subtitle caching
@@ -25,7 +72,7 @@ const MOVIE_METADATA_OBJECT_STORE = "MovieMetadata"
 async function openDatabase() {
     return new Promise((resolve, reject) => {
 
-        const DBOpenRequest = indexedDB.open(DATABASE, 2);
+        const DBOpenRequest = indexedDB.open(DATABASE, 7);
 
         // Handle errors
         DBOpenRequest.onerror = (_event) => {
@@ -61,6 +108,49 @@ async function openDatabase() {
                 subtitlesObjectStore.createIndex('movieSubtitlesByLanguage', ['movieName', 'originalLanguage', 'targetLanguage'], { unique: false });
             }
 
+            // Create episode cues store if it doesn't exist
+            if (!db.objectStoreNames.contains(EPISODE_CUES_OBJECT_STORE)) {
+                console.info(`FinnishStreamingDualSubExtension: Creating ${EPISODE_CUES_OBJECT_STORE} object store...`);
+                db.createObjectStore(EPISODE_CUES_OBJECT_STORE, {
+                    keyPath: 'movieName',
+                });
+            }
+
+            // Create lookup history store if it doesn't exist
+            if (!db.objectStoreNames.contains(LOOKUP_HISTORY_OBJECT_STORE)) {
+                console.info(`FinnishStreamingDualSubExtension: Creating ${LOOKUP_HISTORY_OBJECT_STORE} object store...`);
+                db.createObjectStore(LOOKUP_HISTORY_OBJECT_STORE, {
+                    keyPath: 'id',
+                    autoIncrement: true,
+                });
+            }
+
+            // Create vocabulary store if it doesn't exist
+            if (!db.objectStoreNames.contains(VOCABULARY_OBJECT_STORE)) {
+                console.info(`FinnishStreamingDualSubExtension: Creating ${VOCABULARY_OBJECT_STORE} object store...`);
+                createVocabularyObjectStore(db);
+            } else if (DBOpenRequest.transaction.objectStore(VOCABULARY_OBJECT_STORE).keyPath === 'word') {
+                // Version 6 keyed words alone, so saving a word in another target language overwrote it
+                console.info(`FinnishStreamingDualSubExtension: Keying ${VOCABULARY_OBJECT_STORE} object store by word and target language...`);
+                const DBGetAllVocabularyWordsRequest = DBOpenRequest.transaction
+                    .objectStore(VOCABULARY_OBJECT_STORE).getAll();
+                DBGetAllVocabularyWordsRequest.onsuccess = (_event) => {
+                    db.deleteObjectStore(VOCABULARY_OBJECT_STORE);
+                    const vocabularyObjectStore = createVocabularyObjectStore(db);
+                    for (const vocabularyWord of DBGetAllVocabularyWordsRequest.result) {
+                        vocabularyObjectStore.put(vocabularyWord);
+                    }
+                };
+            }
+
+            // Create offline dictionary store if it doesn't exist
+            if (!db.objectStoreNames.contains(DICTIONARY_OBJECT_STORE)) {
+                console.info(`FinnishStreamingDualSubExtension: Creating ${DICTIONARY_OBJECT_STORE} object store...`);
+                db.createObjectStore(DICTIONARY_OBJECT_STORE, {
+                    keyPath: 'word',
+                });
+            }
+
             // Delete deprecated old subtitle cache if it exists
             if (db.objectStoreNames.contains(DEPRECATED_ENGLISH_SUBTITLE_CACHE_OBJECT_STORE)) {
                 console.info(`FinnishStreamingDualSubExtension: Deleting deprecated ${DEPRECATED_ENGLISH_SUBTITLE_CACHE_OBJECT_STORE} object store...`);
@@ -106,6 +196,49 @@ async function loadSubtitlesByMovieName(db, movieName, targetLanguage) {
     });
 }
 
+/**
+ * Load the cached subtitles of every movie for a target language, to search them all at once
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {string} targetLanguage - Target language (e.g., "EN-US", "VI")
+ * @returns {Promise<Array<SubtitleRecord>>} Subtitles sorted by movie name
+ */
+async function loadSubtitlesByTargetLanguage(db, targetLanguage) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([SUBTITLE_CACHE_OBJECT_STORE], 'readonly');
+            const objectStore = transaction.objectStore(SUBTITLE_CACHE_OBJECT_STORE);
+
+            /** @type {Array<SubtitleRecord>} */
+            const subtitleRecords = [];
+            // No index by target language, walk the store instead of loading other languages too
+            const DBOpenCursorRequest = objectStore.openCursor();
+
+            DBOpenCursorRequest.onsuccess = (_event) => {
+                const cursor = DBOpenCursorRequest.result;
+                if (!cursor) {
+                    resolve(subtitleRecords);
+                    return;
+                }
+                /** @type {SubtitleRecord} */
+                const subtitleRecord = cursor.value;
+                if (subtitleRecord.targetLanguage === targetLanguage) {
+                    subtitleRecords.push(subtitleRecord);
+                }
+                cursor.continue();
+            };
+
+            DBOpenCursorRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: loadSubtitlesByTargetLanguage: Error loading subtitles:", DBOpenCursorRequest.error);
+                reject(DBOpenCursorRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: loadSubtitlesByTargetLanguage: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
 /**
  * Save a subtitle translation to IndexedDB
  * @param {IDBDatabase} db - Opening database instance
@@ -265,6 +398,677 @@ async function clearSubtitlesByMovieName(db, movieName) {
     });
 }
 
+/**
+ * Save the whole subtitle track of a movie, replacing the previously saved one
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {string} movieName - The movie name
+ * @param {Array<SubtitleCue>} cues - Subtitle cues with original timings
+ * @returns {Promise<void>}
+ */
+async function saveEpisodeCues(db, movieName, cues) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([EPISODE_CUES_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(EPISODE_CUES_OBJECT_STORE);
+
+            /**
+             * @type {EpisodeCuesRecord}
+             */
+            const episodeCues = {
+                movieName,
+                cues: cues.map(cue => ({
+                    startTime: cue.startTime,
+                    endTime: cue.endTime,
+                    text: cue.text,
+                })),
+            };
+
+            const DBSaveEpisodeCuesRequest = objectStore.put(episodeCues);
+
+            DBSaveEpisodeCuesRequest.onsuccess = (_event) => {
+                resolve();
+            };
+
+            DBSaveEpisodeCuesRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: saveEpisodeCues: Error saving episode cues:", DBSaveEpisodeCuesRequest.error);
+                reject(DBSaveEpisodeCuesRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: saveEpisodeCues: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Load the whole subtitle track of a movie
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {string} movieName - The movie name
+ * @returns {Promise<Array<SubtitleCue>|null>} Subtitle cues or null if the track was never saved
+ */
+async function loadEpisodeCues(db, movieName) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([EPISODE_CUES_OBJECT_STORE], 'readonly');
+            const objectStore = transaction.objectStore(EPISODE_CUES_OBJECT_STORE);
+
+            const DBGetEpisodeCuesRequest = objectStore.get(movieName);
+
+            DBGetEpisodeCuesRequest.onsuccess = (_event) => {
+                /**
+                 * @type {EpisodeCuesRecord | undefined}
+                 */
+                const episodeCues = DBGetEpisodeCuesRequest.result;
+                resolve(episodeCues ? episodeCues.cues : null);
+            };
+
+            DBGetEpisodeCuesRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: loadEpisodeCues: Error loading episode cues:", DBGetEpisodeCuesRequest.error);
+                reject(DBGetEpisodeCuesRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: loadEpisodeCues: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Get names of all movies having a saved subtitle track
+ * @param {IDBDatabase} db - Opening database instance
+ * @returns {Promise<Array<string>>} Movie names sorted alphabetically
+ */
+async function getAllEpisodeCuesMovieNames(db) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([EPISODE_CUES_OBJECT_STORE], 'readonly');
+            const objectStore = transaction.objectStore(EPISODE_CUES_OBJECT_STORE);
+
+            const DBGetAllKeysRequest = objectStore.getAllKeys();
+
+            DBGetAllKeysRequest.onsuccess = (_event) => {
+                const movieNames = DBGetAllKeysRequest.result.map(key => String(key));
+                resolve(movieNames.sort((a, b) => a.localeCompare(b)));
+            };
+
+            DBGetAllKeysRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: getAllEpisodeCuesMovieNames: Error getting movie names:", DBGetAllKeysRequest.error);
+                reject(DBGetAllKeysRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: getAllEpisodeCuesMovieNames: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Delete the saved subtitle track of a movie
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {string} movieName - The movie name
+ * @returns {Promise<void>}
+ */
+async function deleteEpisodeCues(db, movieName) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([EPISODE_CUES_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(EPISODE_CUES_OBJECT_STORE);
+
+            const DBDeleteEpisodeCuesRequest = objectStore.delete(movieName);
+
+            DBDeleteEpisodeCuesRequest.onsuccess = (_event) => {
+                resolve();
+            };
+
+            DBDeleteEpisodeCuesRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: deleteEpisodeCues: Error deleting episode cues:", DBDeleteEpisodeCuesRequest.error);
+                reject(DBDeleteEpisodeCuesRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: deleteEpisodeCues: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Save a word lookup to the lookup history
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {LookupRecord} lookup - Lookup without id
+ * @returns {Promise<number>} Id of the saved lookup
+ */
+async function saveLookup(db, lookup) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([LOOKUP_HISTORY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(LOOKUP_HISTORY_OBJECT_STORE);
+
+            const { id: _id, ...lookupWithoutId } = lookup;
+            const DBAddLookupRequest = objectStore.add(lookupWithoutId);
+
+            DBAddLookupRequest.onsuccess = (_event) => {
+                resolve(Number(DBAddLookupRequest.result));
+            };
+
+            DBAddLookupRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: saveLookup: Error saving lookup:", DBAddLookupRequest.error);
+                reject(DBAddLookupRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: saveLookup: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Get the whole lookup history
+ * @param {IDBDatabase} db - Opening database instance
+ * @returns {Promise<Array<LookupRecord>>} Lookups, oldest first
+ */
+async function getAllLookups(db) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([LOOKUP_HISTORY_OBJECT_STORE], 'readonly');
+            const objectStore = transaction.objectStore(LOOKUP_HISTORY_OBJECT_STORE);
+
+            const DBGetAllLookupsRequest = objectStore.getAll();
+
+            DBGetAllLookupsRequest.onsuccess = (_event) => {
+                resolve(DBGetAllLookupsRequest.result);
+            };
+
+            DBGetAllLookupsRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: getAllLookups: Error getting lookups:", DBGetAllLookupsRequest.error);
+                reject(DBGetAllLookupsRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: getAllLookups: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Delete a lookup from the lookup history
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {number} id - Lookup id
+ * @returns {Promise<void>}
+ */
+async function deleteLookup(db, id) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([LOOKUP_HISTORY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(LOOKUP_HISTORY_OBJECT_STORE);
+
+            const DBDeleteLookupRequest = objectStore.delete(id);
+
+            DBDeleteLookupRequest.onsuccess = (_event) => {
+                resolve();
+            };
+
+            DBDeleteLookupRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: deleteLookup: Error deleting lookup:", DBDeleteLookupRequest.error);
+                reject(DBDeleteLookupRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: deleteLookup: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Delete the whole lookup history
+ * @param {IDBDatabase} db - Opening database instance
+ * @returns {Promise<void>}
+ */
+async function clearLookupHistory(db) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([LOOKUP_HISTORY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(LOOKUP_HISTORY_OBJECT_STORE);
+
+            const DBClearLookupsRequest = objectStore.clear();
+
+            DBClearLookupsRequest.onsuccess = (_event) => {
+                resolve();
+            };
+
+            DBClearLookupsRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: clearLookupHistory: Error clearing lookups:", DBClearLookupsRequest.error);
+                reject(DBClearLookupsRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: clearLookupHistory: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Save a word to the vocabulary notebook, once per target language.
+ * Saving an already saved word updates its translation and context, but keeps its tags,
+ * known state and first save time.
+ * A word saved in another target language takes the known state of the entries already saved.
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {{word: string, translation: string, sentence: string, targetLanguage: string, movieName: string | null}} vocabularyWord
+ * @returns {Promise<VocabularyWord>} The saved vocabulary word
+ */
+async function saveVocabularyWord(db, vocabularyWord) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([VOCABULARY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(VOCABULARY_OBJECT_STORE);
+
+            const word = vocabularyWord.word.trim().toLowerCase();
+            const DBGetVocabularyWordRequest = objectStore.index('vocabularyByWord').getAll(word);
+
+            DBGetVocabularyWordRequest.onsuccess = (_event) => {
+                /** @type {Array<VocabularyWord>} */
+                const savedEntriesOfWord = DBGetVocabularyWordRequest.result;
+                const existingVocabularyWord = savedEntriesOfWord.find(savedEntry =>
+                    savedEntry.targetLanguage === vocabularyWord.targetLanguage
+                );
+
+                /** @type {VocabularyWord} */
+                const savedVocabularyWord = {
+                    word,
+                    translation: vocabularyWord.translation,
+                    sentence: vocabularyWord.sentence,
+                    targetLanguage: vocabularyWord.targetLanguage,
+                    movieName: vocabularyWord.movieName,
+                    savedAt: existingVocabularyWord?.savedAt || new Date().toISOString(),
+                    tags: existingVocabularyWord?.tags || [],
+                    known: savedEntriesOfWord.some(savedEntry => savedEntry.known),
+                };
+
+                const DBPutVocabularyWordRequest = objectStore.put(savedVocabularyWord);
+
+                DBPutVocabularyWordRequest.onsuccess = (_event) => {
+                    resolve(savedVocabularyWord);
+                };
+
+                DBPutVocabularyWordRequest.onerror = (_event) => {
+                    console.error("FinnishStreamingDualSubExtension: saveVocabularyWord: Error saving vocabulary word:", DBPutVocabularyWordRequest.error);
+                    reject(DBPutVocabularyWordRequest.error);
+                };
+            };
+
+            DBGetVocabularyWordRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: saveVocabularyWord: Error getting vocabulary word:", DBGetVocabularyWordRequest.error);
+                reject(DBGetVocabularyWordRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: saveVocabularyWord: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Get all words of the vocabulary notebook
+ * @param {IDBDatabase} db - Opening database instance
+ * @returns {Promise<Array<VocabularyWord>>} Vocabulary words sorted by word, then target language
+ */
+async function getAllVocabularyWords(db) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([VOCABULARY_OBJECT_STORE], 'readonly');
+            const objectStore = transaction.objectStore(VOCABULARY_OBJECT_STORE);
+
+            const DBGetAllVocabularyWordsRequest = objectStore.getAll();
+
+            DBGetAllVocabularyWordsRequest.onsuccess = (_event) => {
+                resolve(DBGetAllVocabularyWordsRequest.result);
+            };
+
+            DBGetAllVocabularyWordsRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: getAllVocabularyWords: Error getting vocabulary words:", DBGetAllVocabularyWordsRequest.error);
+                reject(DBGetAllVocabularyWordsRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: getAllVocabularyWords: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Update tags or known state of a saved vocabulary word.
+ * Tags belong to the entry of the target language, the known state to the Finnish word,
+ * so it is updated in the entries of every target language.
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {string} word - The saved word
+ * @param {string} targetLanguage - Target language of the entry
+ * @param {{tags?: Array<string>, known?: boolean}} changes
+ * @returns {Promise<VocabularyWord | null>} The updated vocabulary word or null if the word is not saved
+ */
+async function updateVocabularyWord(db, word, targetLanguage, changes) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([VOCABULARY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(VOCABULARY_OBJECT_STORE);
+
+            const DBGetVocabularyWordRequest = objectStore.index('vocabularyByWord').getAll(word.trim().toLowerCase());
+
+            DBGetVocabularyWordRequest.onsuccess = (_event) => {
+                /** @type {Array<VocabularyWord>} */
+                const savedEntriesOfWord = DBGetVocabularyWordRequest.result;
+                const existingVocabularyWord = savedEntriesOfWord.find(savedEntry =>
+                    savedEntry.targetLanguage === targetLanguage
+                );
+                if (!existingVocabularyWord) {
+                    resolve(null);
+                    return;
+                }
+
+                /** @type {VocabularyWord} */
+                const updatedVocabularyWord = { ...existingVocabularyWord };
+                if (Array.isArray(changes.tags)) {
+                    updatedVocabularyWord.tags = changes.tags;
+                }
+                if (typeof changes.known === 'boolean') {
+                    updatedVocabularyWord.known = changes.known;
+                    for (const savedEntry of savedEntriesOfWord) {
+                        if (savedEntry !== existingVocabularyWord) {
+                            objectStore.put({ ...savedEntry, known: changes.known });
+                        }
+                    }
+                }
+
+                const DBPutVocabularyWordRequest = objectStore.put(updatedVocabularyWord);
+
+                DBPutVocabularyWordRequest.onsuccess = (_event) => {
+                    resolve(updatedVocabularyWord);
+                };
+
+                DBPutVocabularyWordRequest.onerror = (_event) => {
+                    console.error("FinnishStreamingDualSubExtension: updateVocabularyWord: Error saving vocabulary word:", DBPutVocabularyWordRequest.error);
+                    reject(DBPutVocabularyWordRequest.error);
+                };
+            };
+
+            DBGetVocabularyWordRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: updateVocabularyWord: Error getting vocabulary word:", DBGetVocabularyWordRequest.error);
+                reject(DBGetVocabularyWordRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: updateVocabularyWord: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Mark a word as known or unknown in the entries of every target language,
+ * adding it to the vocabulary notebook when not saved yet,
+ * so words clicked in the subtitles are remembered without being looked up first
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {{word: string, sentence: string, targetLanguage: string, movieName: string | null}} vocabularyWord
+ * @param {boolean} known
+ * @returns {Promise<Array<VocabularyWord>>} The saved entries of the word
+ */
+async function setVocabularyWordKnown(db, vocabularyWord, known) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([VOCABULARY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(VOCABULARY_OBJECT_STORE);
+
+            const word = vocabularyWord.word.trim().toLowerCase();
+            const DBGetVocabularyWordRequest = objectStore.index('vocabularyByWord').getAll(word);
+
+            DBGetVocabularyWordRequest.onsuccess = (_event) => {
+                /** @type {Array<VocabularyWord>} */
+                const savedEntriesOfWord = DBGetVocabularyWordRequest.result;
+
+                /** @type {Array<VocabularyWord>} */
+                const savedVocabularyWords = savedEntriesOfWord.length > 0 ?
+                    savedEntriesOfWord.map(savedEntry => ({ ...savedEntry, known })) :
+                    [{
+                        word,
+                        translation: "",
+                        sentence: vocabularyWord.sentence,
+                        targetLanguage: vocabularyWord.targetLanguage,
+                        movieName: vocabularyWord.movieName,
+                        savedAt: new Date().toISOString(),
+                        tags: [],
+                        known,
+                    }];
+
+                for (const savedVocabularyWord of savedVocabularyWords) {
+                    objectStore.put(savedVocabularyWord);
+                }
+
+                transaction.oncomplete = (_event) => {
+                    resolve(savedVocabularyWords);
+                };
+
+                transaction.onerror = (_event) => {
+                    console.error("FinnishStreamingDualSubExtension: setVocabularyWordKnown: Error saving vocabulary word:", transaction.error);
+                    reject(transaction.error);
+                };
+            };
+
+            DBGetVocabularyWordRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: setVocabularyWordKnown: Error getting vocabulary word:", DBGetVocabularyWordRequest.error);
+                reject(DBGetVocabularyWordRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: setVocabularyWordKnown: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Delete a word from the vocabulary notebook
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {string} word - The saved word
+ * @param {string} targetLanguage - Target language of the entry to delete
+ * @returns {Promise<void>}
+ */
+async function deleteVocabularyWord(db, word, targetLanguage) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([VOCABULARY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(VOCABULARY_OBJECT_STORE);
+
+            const DBDeleteVocabularyWordRequest = objectStore.delete(
+                [word.trim().toLowerCase(), targetLanguage]
+            );
+
+            DBDeleteVocabularyWordRequest.onsuccess = (_event) => {
+                resolve();
+            };
+
+            DBDeleteVocabularyWordRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: deleteVocabularyWord: Error deleting vocabulary word:", DBDeleteVocabularyWordRequest.error);
+                reject(DBDeleteVocabularyWordRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: deleteVocabularyWord: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Save imported dictionary entries in a single transaction.
+ * Senses of an already saved word are kept, new senses are appended,
+ * so importing the same dump twice or a word split over several batches is safe.
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {Array<DictionaryEntry>} dictionaryEntries - Entries with lower case words, one per word
+ * @returns {Promise<number>} Number of entries saved
+ */
+async function saveDictionaryEntries(db, dictionaryEntries) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([DICTIONARY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(DICTIONARY_OBJECT_STORE);
+
+            let savedCount = 0;
+
+            transaction.oncomplete = () => {
+                resolve(savedCount);
+            };
+
+            transaction.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: saveDictionaryEntries: Transaction error:", transaction.error);
+                reject(transaction.error);
+            };
+
+            transaction.onabort = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: saveDictionaryEntries: Transaction aborted:", transaction.error);
+                reject(transaction.error);
+            };
+
+            for (const dictionaryEntry of dictionaryEntries) {
+                const DBGetDictionaryEntryRequest = objectStore.get(dictionaryEntry.word);
+
+                // eslint-disable-next-line no-loop-func
+                DBGetDictionaryEntryRequest.onsuccess = (_event) => {
+                    /** @type {DictionaryEntry | undefined} */
+                    const existingDictionaryEntry = DBGetDictionaryEntryRequest.result;
+                    const senses = existingDictionaryEntry?.senses || [];
+                    for (const sense of dictionaryEntry.senses) {
+                        const isDuplicate = senses.some(savedSense =>
+                            savedSense.partOfSpeech === sense.partOfSpeech &&
+                            savedSense.gloss === sense.gloss
+                        );
+                        if (!isDuplicate) {
+                            senses.push(sense);
+                        }
+                    }
+
+                    const DBPutDictionaryEntryRequest = objectStore.put({
+                        word: dictionaryEntry.word,
+                        senses,
+                    });
+                    DBPutDictionaryEntryRequest.onsuccess = (_event) => {
+                        savedCount++;
+                    };
+                };
+            }
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: saveDictionaryEntries: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Find the first of several word forms in the offline dictionary,
+ * exp: the looked up word first, then its base form
+ * @param {IDBDatabase} db - Opening database instance
+ * @param {Array<string>} words - Word forms in order of preference
+ * @returns {Promise<DictionaryEntry | null>} The first found entry or null if no form is in the dictionary
+ */
+async function findDictionaryEntry(db, words) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([DICTIONARY_OBJECT_STORE], 'readonly');
+            const objectStore = transaction.objectStore(DICTIONARY_OBJECT_STORE);
+
+            const lookupWords = words.map(word => word.trim().toLowerCase()).filter(Boolean);
+            /** @type {Array<DictionaryEntry | undefined>} */
+            const foundEntries = [];
+
+            transaction.oncomplete = () => {
+                resolve(foundEntries.find(Boolean) || null);
+            };
+
+            transaction.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: findDictionaryEntry: Error getting dictionary entry:", transaction.error);
+                reject(transaction.error);
+            };
+
+            lookupWords.forEach((word, i) => {
+                const DBGetDictionaryEntryRequest = objectStore.get(word);
+                DBGetDictionaryEntryRequest.onsuccess = (_event) => {
+                    foundEntries[i] = DBGetDictionaryEntryRequest.result;
+                };
+            });
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: findDictionaryEntry: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Count words in the offline dictionary
+ * @param {IDBDatabase} db - Opening database instance
+ * @returns {Promise<number>} Number of dictionary entries, 0 if nothing is imported
+ */
+async function countDictionaryEntries(db) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([DICTIONARY_OBJECT_STORE], 'readonly');
+            const objectStore = transaction.objectStore(DICTIONARY_OBJECT_STORE);
+
+            const DBCountDictionaryEntriesRequest = objectStore.count();
+
+            DBCountDictionaryEntriesRequest.onsuccess = (_event) => {
+                resolve(DBCountDictionaryEntriesRequest.result);
+            };
+
+            DBCountDictionaryEntriesRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: countDictionaryEntries: Error counting dictionary entries:", DBCountDictionaryEntriesRequest.error);
+                reject(DBCountDictionaryEntriesRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: countDictionaryEntries: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Delete the whole offline dictionary
+ * @param {IDBDatabase} db - Opening database instance
+ * @returns {Promise<void>}
+ */
+async function clearDictionary(db) {
+    return new Promise((resolve, reject) => {
+        try {
+            const transaction = db.transaction([DICTIONARY_OBJECT_STORE], 'readwrite');
+            const objectStore = transaction.objectStore(DICTIONARY_OBJECT_STORE);
+
+            const DBClearDictionaryRequest = objectStore.clear();
+
+            DBClearDictionaryRequest.onsuccess = (_event) => {
+                resolve();
+            };
+
+            DBClearDictionaryRequest.onerror = (_event) => {
+                console.error("FinnishStreamingDualSubExtension: clearDictionary: Error clearing dictionary:", DBClearDictionaryRequest.error);
+                reject(DBClearDictionaryRequest.error);
+            };
+
+        } catch (error) {
+            console.error("FinnishStreamingDualSubExtension: clearDictionary: Error in transaction:", error);
+            reject(error);
+        }
+    });
+}
+
 /**
  * Get movie metadata from IndexedDB
  * @param {IDBDatabase} db - Opening database instance
@@ -423,6 +1227,7 @@ async function cleanupOldMovieData(db, maxAgeDays = 365) {
         oldMovieMetadatas.map(async (metadata) => {
             try {
                 await clearSubtitlesByMovieName(db, metadata.movieName);
+                await deleteEpisodeCues(db, metadata.movieName);
                 await deleteMovieMetadata(db, metadata.movieName);
                 console.info(`FinnishStreamingDualSubExtension: cleanupOldMovieData: Cleaned up movie: ${metadata.movieName}`);
                 return 1;
@@ -436,6 +1241,80 @@ async function cleanupOldMovieData(db, maxAgeDays = 365) {
 
 }
 
+/**
+ * Read all records of the database created by older versions inside the streaming site origin.
+ * Content scripts used to open IndexedDB themselves, so the cache lives in the page origin,
+ * while the database is now owned by the background service worker.
+ * Must be called from a content script.
+ * @returns {Promise<{subtitleRecords: Array<SubtitleRecord>, movieMetadataRecords: Array<MovieMetadata>} | null>}
+ * Records of the legacy database or null if the page origin has no legacy database
+ */
+async function loadLegacyPageDatabaseRecords() {
+    const databaseInfos = await indexedDB.databases();
+    if (!databaseInfos.some(databaseInfo => databaseInfo.name === DATABASE)) {
+        return null;
+    }
+
+    /** @type {IDBDatabase} */
+    const db = await new Promise((resolve, reject) => {
+        // Open without version, so an existing legacy database is never upgraded
+        const DBOpenRequest = indexedDB.open(DATABASE);
+        DBOpenRequest.onsuccess = (_event) => resolve(DBOpenRequest.result);
+        DBOpenRequest.onerror = (_event) => {
+            console.error("FinnishStreamingDualSubExtension: loadLegacyPageDatabaseRecords: Database error:", DBOpenRequest.error);
+            reject(DBOpenRequest.error);
+        };
+    });
+
+    /**
+     * @param {string} objectStoreName
+     * @returns {Promise<Array<any>>}
+     */
+    const getAllRecords = (objectStoreName) => new Promise((resolve, reject) => {
+        if (!db.objectStoreNames.contains(objectStoreName)) {
+            resolve([]);
+            return;
+        }
+        const DBGetAllRequest = db.transaction([objectStoreName], 'readonly')
+            .objectStore(objectStoreName)
+            .getAll();
+        DBGetAllRequest.onsuccess = (_event) => resolve(DBGetAllRequest.result);
+        DBGetAllRequest.onerror = (_event) => {
+            console.error(`FinnishStreamingDualSubExtension: loadLegacyPageDatabaseRecords: Error reading ${objectStoreName}:`, DBGetAllRequest.error);
+            reject(DBGetAllRequest.error);
+        };
+    });
+
+    try {
+        const subtitleRecords = await getAllRecords(SUBTITLE_CACHE_OBJECT_STORE);
+        const movieMetadataRecords = await getAllRecords(MOVIE_METADATA_OBJECT_STORE);
+        return { subtitleRecords, movieMetadataRecords };
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Delete the legacy database from the streaming site origin once its records are migrated
+ * @returns {Promise<void>}
+ * @throws {Error} if another tab of the site still has the legacy database open.
+ * The browser deletes it once that tab closes, a later migration copies the same records again otherwise.
+ */
+async function deleteLegacyPageDatabase() {
+    return new Promise((resolve, reject) => {
+        const DBDeleteRequest = indexedDB.deleteDatabase(DATABASE);
+        DBDeleteRequest.onsuccess = (_event) => resolve();
+        DBDeleteRequest.onerror = (_event) => {
+            console.error("FinnishStreamingDualSubExtension: deleteLegacyPageDatabase: Error deleting legacy database:", DBDeleteRequest.error);
+            reject(DBDeleteRequest.error);
+        };
+        DBDeleteRequest.onblocked = (_event) => {
+            console.warn("FinnishStreamingDualSubExtension: deleteLegacyPageDatabase: Deletion blocked by an open connection");
+            reject(new Error("Legacy database deletion is blocked by an open connection"));
+        };
+    });
+}
+
 // Conditional export for testing
 // Check for module.exports first (CommonJS/Node.js environment)
 // @ts-ignore - module may not be defined in browser
@@ -446,12 +1325,32 @@ if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
         saveSubtitle,
         saveSubtitlesBatch,
         loadSubtitlesByMovieName,
+        loadSubtitlesByTargetLanguage,
         clearSubtitlesByMovieName,
         getMovieMetadata,
         upsertMovieMetadata,
         getAllMovieMetadata,
         deleteMovieMetadata,
-        cleanupOldMovieData
+        saveEpisodeCues,
+        loadEpisodeCues,
+        getAllEpisodeCuesMovieNames,
+        deleteEpisodeCues,
+        saveLookup,
+        getAllLookups,
+        deleteLookup,
+        clearLookupHistory,
+        saveVocabularyWord,
+        getAllVocabularyWords,
+        updateVocabularyWord,
+        setVocabularyWordKnown,
+        deleteVocabularyWord,
+        saveDictionaryEntries,
+        findDictionaryEntry,
+        countDictionaryEntries,
+        clearDictionary,
+        cleanupOldMovieData,
+        loadLegacyPageDatabaseRecords,
+        deleteLegacyPageDatabase
     };
 }
 // In browser extension (content script), functions are automatically global
\ No newline at end of file
@@ -0,0 +1,159 @@
+// Offline Finnish-English dictionary imported by the user from a Wiktionary dump
+// (one JSON object per line, as published by kaikki.org), used for single word lookups.
+// Kept free of chrome APIs so they can be unit tested.
+
+/**
+ * @typedef {Object} DictionarySense
+ * @property {string} partOfSpeech - exp: "noun", "verb"
+ * @property {string} gloss - English meaning
+ */
+
+/**
+ * @typedef {Object} DictionaryEntry
+ * @property {string} word - Finnish headword, lower case (key)
+ * @property {Array<DictionarySense>} senses
+ */
+
+/**
+ * Wiktionary part of speech abbreviations that read badly in the lookup popup
+ * @type {Object<string, string>}
+ */
+const DICTIONARY_PART_OF_SPEECH_LABELS = {
+  adj: 'adjective',
+  adv: 'adverb',
+  conj: 'conjunction',
+  intj: 'interjection',
+  name: 'proper noun',
+  num: 'numeral',
+  postp: 'postposition',
+  prep: 'preposition',
+  pron: 'pronoun',
+};
+
+/**
+ * Senses shown in the lookup popup, the rest is usually rare or archaic meanings
+ */
+const MAX_DICTIONARY_SENSES_IN_POPUP = 6;
+
+/**
+ * Parse one line of a Wiktionary dump into a dictionary entry
+ * @param {string} line - JSON object with "word", "pos" and "senses[].glosses", exp:
+ * {"word": "talo", "pos": "noun", "lang_code": "fi", "senses": [{"glosses": ["house"]}]}
+ * @returns {DictionaryEntry | null} null for empty or malformed lines, non Finnish words
+ * and words without any meaning
+ */
+function parseWiktionaryDictionaryLine(line) {
+  const trimmedLine = line.trim();
+  if (!trimmedLine) {
+    return null;
+  }
+
+  let wiktionaryWord;
+  try {
+    wiktionaryWord = JSON.parse(trimmedLine);
+  } catch {
+    return null;
+  }
+  if (!wiktionaryWord || typeof wiktionaryWord.word !== 'string' || !Array.isArray(wiktionaryWord.senses)) {
+    return null;
+  }
+  if (wiktionaryWord.lang_code && wiktionaryWord.lang_code !== 'fi') {
+    return null;
+  }
+
+  const partOfSpeech = DICTIONARY_PART_OF_SPEECH_LABELS[wiktionaryWord.pos] || wiktionaryWord.pos || '';
+  /** @type {Array<DictionarySense>} */
+  const senses = [];
+  for (const wiktionarySense of wiktionaryWord.senses) {
+    const glosses = Array.isArray(wiktionarySense?.glosses) ? wiktionarySense.glosses : [];
+    // Sub senses repeat the parent meaning first, the last gloss is the most specific one
+    const gloss = glosses[glosses.length - 1];
+    if (typeof gloss === 'string' && gloss.trim()) {
+      senses.push({ partOfSpeech, gloss: gloss.trim() });
+    }
+  }
+
+  const word = wiktionaryWord.word.trim().toLowerCase();
+  if (!word || senses.length === 0) {
+    return null;
+  }
+  return { word, senses };
+}
+
+/**
+ * Merge entries of the same word, a dump has one line per word and part of speech
+ * @param {Array<DictionaryEntry>} dictionaryEntries
+ * @returns {Array<DictionaryEntry>} one entry per word, senses in input order without duplicates
+ */
+function mergeDictionaryEntries(dictionaryEntries) {
+  /** @type {Map<string, DictionaryEntry>} */
+  const mergedEntries = new Map();
+  for (const dictionaryEntry of dictionaryEntries) {
+    const mergedEntry = mergedEntries.get(dictionaryEntry.word);
+    if (!mergedEntry) {
+      mergedEntries.set(dictionaryEntry.word, {
+        word: dictionaryEntry.word,
+        senses: [...dictionaryEntry.senses],
+      });
+      continue;
+    }
+    for (const sense of dictionaryEntry.senses) {
+      const isDuplicate = mergedEntry.senses.some(mergedSense =>
+        mergedSense.partOfSpeech === sense.partOfSpeech && mergedSense.gloss === sense.gloss
+      );
+      if (!isDuplicate) {
+        mergedEntry.senses.push(sense);
+      }
+    }
+  }
+  return Array.from(mergedEntries.values());
+}
+
+/**
+ * Build lookup popup rows of a dictionary entry, one row per part of speech
+ * @param {DictionaryEntry} dictionaryEntry
+ * @returns {Array<{key: string, val: string}>} exp: [{key: "noun", val: "1. house 2. building"}]
+ */
+function toDictionaryEntryRows(dictionaryEntry) {
+  /** @type {Map<string, string[]>} */
+  const glossesByPartOfSpeech = new Map();
+  for (const sense of dictionaryEntry.senses.slice(0, MAX_DICTIONARY_SENSES_IN_POPUP)) {
+    const partOfSpeech = sense.partOfSpeech || 'meaning';
+    if (!glossesByPartOfSpeech.has(partOfSpeech)) {
+      glossesByPartOfSpeech.set(partOfSpeech, []);
+    }
+    glossesByPartOfSpeech.get(partOfSpeech).push(sense.gloss);
+  }
+  return Array.from(glossesByPartOfSpeech, ([partOfSpeech, glosses]) => ({
+    key: partOfSpeech,
+    val: glosses.length === 1 ?
+      glosses[0] :
+      glosses.map((gloss, i) => `${i + 1}. ${gloss}`).join(' '),
+  }));
+}
+
+/**
+ * Short translation of a dictionary entry for the lookup history and vocabulary notebook
+ * @param {DictionaryEntry} dictionaryEntry
+ * @returns {string} first meanings of the first part of speech, exp: "house; building"
+ */
+function toDictionaryEntryTranslation(dictionaryEntry) {
+  const firstPartOfSpeech = dictionaryEntry.senses[0]?.partOfSpeech;
+  return dictionaryEntry.senses
+    .filter(sense => sense.partOfSpeech === firstPartOfSpeech)
+    .slice(0, 3)
+    .map(sense => sense.gloss)
+    .join('; ');
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    parseWiktionaryDictionaryLine,
+    mergeDictionaryEntries,
+    toDictionaryEntryRows,
+    toDictionaryEntryTranslation,
+  };
+}
+// In browser extension (content script, background), functions are automatically global
@@ -0,0 +1,713 @@
+// Offline Finnish morphology for the lookup popup: base form (lemma), case, number, possessive
+// suffix, clitic and common verb forms of a single word.
+// Rule based suffix stripping, a small bundled list of common lemmas decides between ambiguous
+// analyses. Shared by every platform content script, kept free of DOM access so it can be unit tested.
+
+/** @enum {string} */
+const FinnishCase = Object.freeze({
+  NOMINATIVE: "Nominative (subject)",
+  NOMINATIVE_OR_GENITIVE: "Nominative or genitive",
+  GENITIVE: "Genitive (of, 's)",
+  PARTITIVE: "Partitive (some, part of)",
+  INESSIVE: "Inessive (in)",
+  ELATIVE: "Elative (out of, from, about)",
+  ILLATIVE: "Illative (into)",
+  ADESSIVE: "Adessive (on, at, has)",
+  ABLATIVE: "Ablative (off, from)",
+  ALLATIVE: "Allative (onto, to)",
+  ESSIVE: "Essive (as)",
+  TRANSLATIVE: "Translative (becoming, into)",
+  ABESSIVE: "Abessive (without)",
+  COMITATIVE: "Comitative (together with)",
+});
+
+/** @enum {string} */
+const FinnishNumber = Object.freeze({
+  SINGULAR: "Singular",
+  PLURAL: "Plural",
+  SINGULAR_OR_PLURAL: "Singular or plural",
+});
+
+/**
+ * @typedef {Object} FinnishWordAnalysis
+ * @property {string} lemma - Base form, exp: "talo"
+ * @property {"noun" | "pronoun" | "verb"} partOfSpeech - nouns include adjectives and numerals
+ * @property {string | null} case - One of FinnishCase values, null for verbs
+ * @property {string | null} number - One of FinnishNumber values, null for verbs
+ * @property {string | null} possessive - exp: "1st person plural (our)"
+ * @property {string | null} verbForm - exp: "Past, 1st person singular"
+ * @property {string | null} clitic - exp: "-kin (also, too)"
+ */
+
+/**
+ * @typedef {Object} FinnishWordAnalysisCandidate
+ * @property {FinnishWordAnalysis} analysis
+ * @property {number} score - higher is more likely
+ */
+
+const FRONT_VOWEL_HARMONY_PATTERN = /^[^aou]*$/;
+const ENDS_WITH_VOWEL_PATTERN = /[aeiouyäö]$/;
+// Score bonus of an analysis whose lemma is in the bundled lemma lists,
+// larger than any sum of suffix weights
+const KNOWN_LEMMA_SCORE = 10;
+// Analyses of unknown lemmas scoring lower are not shown, nothing was recognised in the word
+const MINIMUM_UNKNOWN_LEMMA_SCORE = 0.5;
+
+// Common nouns, adjectives and numerals in base form
+const COMMON_NOUN_LEMMAS = new Set([
+  "talo", "koti", "kissa", "koira", "auto", "kirja", "kauppa", "katu", "kaupunki", "maa",
+  "vesi", "käsi", "kieli", "suomi", "ihminen", "mies", "nainen", "lapsi", "äiti", "isä",
+  "veli", "sisko", "sisar", "ystävä", "perhe", "työ", "koulu", "päivä", "yö", "ilta",
+  "aamu", "aika", "vuosi", "kuukausi", "viikko", "tunti", "minuutti", "hetki", "raha", "ruoka",
+  "kahvi", "tee", "leipä", "maito", "olut", "viini", "pöytä", "tuoli", "huone", "ovi",
+  "ikkuna", "sänky", "keittiö", "sauna", "järvi", "meri", "metsä", "puu", "kukka", "taivas",
+  "aurinko", "kuu", "tähti", "sade", "lumi", "tuuli", "kesä", "talvi", "kevät", "syksy",
+  "kylä", "tie", "juna", "bussi", "laiva", "asema", "sairaala", "poliisi", "lääkäri", "opettaja",
+  "oppilas", "tyttö", "poika", "vaimo", "kuningas", "sota", "rauha", "elämä", "kuolema", "rakkaus",
+  "sydän", "pää", "silmä", "korva", "suu", "jalka", "nimi", "sana", "kysymys", "vastaus",
+  "asia", "ongelma", "paikka", "kirkko", "kirje", "puhelin", "tietokone", "elokuva", "ohjelma", "uutinen",
+  "peli", "murha", "rikos", "totuus", "syy", "kerta", "osa", "tapa", "kone", "valo",
+  "väri", "ääni", "musiikki", "laulu", "kuva", "tarina", "maailma", "valtio", "hallitus", "presidentti",
+  "yritys", "kaveri", "juttu", "homma", "ruotsi", "suomalainen", "ruotsalainen", "ystävällinen", "hyvä", "paha",
+  "iso", "pieni", "uusi", "vanha", "nuori", "kaunis", "suuri", "pitkä", "lyhyt", "kylmä",
+  "kuuma", "lämmin", "valmis", "oikea", "väärä", "tärkeä", "helppo", "vaikea", "kallis", "halpa",
+  "onnellinen", "surullinen", "yksi", "kaksi", "kolme", "neljä", "viisi", "kuusi", "seitsemän", "kahdeksan",
+  "yhdeksän", "kymmenen", "sata", "tuhat", "kylpylä", "linna", "saari", "kivi", "joki", "vene",
+  "helsinki", "turku", "tampere", "espoo", "oulu", "venäjä", "eurooppa", "amerikka", "saksa", "ranska",
+]);
+
+// Common verbs in infinitive
+const COMMON_VERB_LEMMAS = new Set([
+  "olla", "tehdä", "nähdä", "mennä", "tulla", "sanoa", "puhua", "tietää", "haluta", "voida",
+  "saada", "ottaa", "antaa", "pitää", "tuntea", "ajatella", "uskoa", "luulla", "muistaa", "unohtaa",
+  "ymmärtää", "kysyä", "vastata", "kuulla", "katsoa", "odottaa", "etsiä", "löytää", "auttaa", "tarvita",
+  "alkaa", "lopettaa", "jatkaa", "yrittää", "osata", "oppia", "opettaa", "lukea", "kirjoittaa", "syödä",
+  "juoda", "nukkua", "istua", "seisoa", "kävellä", "juosta", "ajaa", "lähteä", "palata", "jäädä",
+  "asua", "elää", "kuolla", "tappaa", "rakastaa", "tykätä", "pelätä", "itkeä", "nauraa", "soittaa",
+  "laulaa", "pelata", "käydä", "maksaa", "ostaa", "myydä", "tavata", "tarkoittaa", "tapahtua", "näyttää",
+  "kertoa", "selittää", "päättää", "valita", "luvata", "tuoda", "viedä", "avata", "pestä", "nousta",
+  "kuunnella", "toivoa", "pyytää", "kiittää", "hoitaa", "käyttää", "muuttaa", "saattaa", "pystyä", "jaksaa",
+  "ehtiä", "onnistua", "herätä", "istuutua", "leikkiä", "tanssia", "uida", "lentää", "matkustaa",
+]);
+
+// Stems not restorable by rules, inflected stem => lemma
+const NOUN_STEM_EXCEPTIONS = Object.freeze({
+  miehe: "mies", mieh: "mies", kuninkaa: "kuningas", kuninka: "kuningas", taivaa: "taivas",
+  taivai: "taivas", sydäme: "sydän", sydäm: "sydän", kevää: "kevät", kevä: "kevät",
+  tuhanne: "tuhat", tuhans: "tuhat", kahde: "kaksi", kahte: "kaksi", yhde: "yksi",
+  yhte: "yksi", viide: "viisi", viite: "viisi", kuude: "kuusi", kuute: "kuusi",
+  totuude: "totuus", rakkaude: "rakkaus", oppilaa: "oppilas", oppila: "oppilas",
+  lämpimä: "lämmin", lyhye: "lyhyt", kaunii: "kaunis", kaune: "kaunis", valmii: "valmis",
+  kallii: "kallis", hetke: "hetki", uude: "uusi", uute: "uusi", lume: "lumi",
+  puhelime: "puhelin", puhelim: "puhelin", ääne: "ääni", tuule: "tuuli", vuode: "vuosi",
+});
+
+/**
+ * Pronouns and the most common irregular verb forms, word form => analysis
+ * @type {Readonly<Object<string, Partial<FinnishWordAnalysis>>>}
+ */
+const IRREGULAR_WORD_FORMS = Object.freeze(buildIrregularWordForms());
+
+// Conjunctions, adverbs and particles, never inflected in a way worth showing
+const UNINFLECTED_WORDS = new Set([
+  "ja", "tai", "mutta", "että", "kun", "jos", "niin", "kuin", "vain", "myös",
+  "nyt", "sitten", "jo", "vielä", "aina", "koskaan", "ehkä", "kyllä", "joo", "no",
+  "tänään", "huomenna", "eilen", "täällä", "tuolla", "siellä", "täältä", "sieltä", "tänne",
+  "sinne", "kotona", "kotiin", "ulos", "ulkona", "sisään", "paljon", "vähän", "hyvin", "liian",
+  "aivan", "ihan", "tosi", "todella", "heti", "mitään", "ketään", "jotain", "jotakin", "kaikki",
+  "koska", "vaikka", "jotta", "eli", "siis", "kanssa", "ilman", "kautta", "takia", "jälkeen",
+  "ennen", "aikana", "missä", "mihin", "mistä", "miksi", "miten", "milloin", "kuinka", "anteeksi",
+  "kiitos", "hei", "moi", "terve", "okei",
+]);
+
+/**
+ * @returns {Object<string, Partial<FinnishWordAnalysis>>}
+ */
+function buildIrregularWordForms() {
+  /** @type {Object<string, Partial<FinnishWordAnalysis>>} */
+  const irregularWordForms = {};
+
+  const pronounCaseForms = {
+    minä: ["minä", "minun", "minua", "minussa", "minusta", "minuun", "minulla", "minulta", "minulle"],
+    sinä: ["sinä", "sinun", "sinua", "sinussa", "sinusta", "sinuun", "sinulla", "sinulta", "sinulle"],
+    hän: ["hän", "hänen", "häntä", "hänessä", "hänestä", "häneen", "hänellä", "häneltä", "hänelle"],
+    me: ["me", "meidän", "meitä", "meissä", "meistä", "meihin", "meillä", "meiltä", "meille"],
+    te: ["te", "teidän", "teitä", "teissä", "teistä", "teihin", "teillä", "teiltä", "teille"],
+    he: ["he", "heidän", "heitä", "heissä", "heistä", "heihin", "heillä", "heiltä", "heille"],
+    se: ["se", "sen", "sitä", "siinä", "siitä", "siihen", "sillä", "siltä", "sille"],
+    ne: ["ne", "niiden", "niitä", "niissä", "niistä", "niihin", "niillä", "niiltä", "niille"],
+    tämä: ["tämä", "tämän", "tätä", "tässä", "tästä", "tähän", "tällä", "tältä", "tälle"],
+    nämä: ["nämä", "näiden", "näitä", "näissä", "näistä", "näihin", "näillä", "näiltä", "näille"],
+    tuo: ["tuo", "tuon", "tuota", "tuossa", "tuosta", "tuohon", "tuolla", "tuolta", "tuolle"],
+    mikä: ["mikä", "minkä", "mitä", null, null, null, "millä", "miltä", "mille"],
+    kuka: ["kuka", "kenen", "ketä", "kenessä", "kenestä", "keneen", "kenellä", "keneltä", "kenelle"],
+    joka: ["joka", "jonka", "jota", "jossa", "josta", "johon", "jolla", "jolta", "jolle"],
+    jotka: ["jotka", "joiden", "joita", "joissa", "joista", "joihin", "joilla", "joilta", "joille"],
+  };
+  const pronounCases = [
+    FinnishCase.NOMINATIVE, FinnishCase.GENITIVE, FinnishCase.PARTITIVE,
+    FinnishCase.INESSIVE, FinnishCase.ELATIVE, FinnishCase.ILLATIVE,
+    FinnishCase.ADESSIVE, FinnishCase.ABLATIVE, FinnishCase.ALLATIVE,
+  ];
+  const pluralPronouns = new Set(["me", "te", "he", "ne", "nämä", "jotka"]);
+  for (const [lemma, caseForms] of Object.entries(pronounCaseForms)) {
+    caseForms.forEach((caseForm, caseIndex) => {
+      if (!caseForm) { return; }
+      irregularWordForms[caseForm] = {
+        lemma,
+        partOfSpeech: "pronoun",
+        case: pronounCases[caseIndex],
+        number: pluralPronouns.has(lemma) ? FinnishNumber.PLURAL : FinnishNumber.SINGULAR,
+      };
+    });
+  }
+  // Spoken forms common in subtitles
+  const spokenPronounForms = {
+    mä: ["minä", FinnishCase.NOMINATIVE], mun: ["minä", FinnishCase.GENITIVE],
+    mulla: ["minä", FinnishCase.ADESSIVE], mulle: ["minä", FinnishCase.ALLATIVE],
+    sä: ["sinä", FinnishCase.NOMINATIVE], sun: ["sinä", FinnishCase.GENITIVE],
+    sulla: ["sinä", FinnishCase.ADESSIVE], sulle: ["sinä", FinnishCase.ALLATIVE],
+  };
+  for (const [spokenForm, [lemma, pronounCase]] of Object.entries(spokenPronounForms)) {
+    irregularWordForms[spokenForm] = {
+      lemma, partOfSpeech: "pronoun", case: pronounCase, number: FinnishNumber.SINGULAR,
+    };
+  }
+
+  const verbForms = {
+    olla: {
+      olen: "Present, 1st person singular", olet: "Present, 2nd person singular",
+      on: "Present, 3rd person singular", olemme: "Present, 1st person plural",
+      olette: "Present, 2nd person plural", ovat: "Present, 3rd person plural",
+      olin: "Past, 1st person singular", olit: "Past, 2nd person singular",
+      oli: "Past, 3rd person singular", olimme: "Past, 1st person plural",
+      olitte: "Past, 2nd person plural", olivat: "Past, 3rd person plural",
+      olisin: "Conditional, 1st person singular", olisi: "Conditional, 3rd person singular",
+      ollut: "Past participle", olleet: "Past participle, plural",
+      ollaan: "Passive present", oltiin: "Passive past", olkaa: "Imperative, 2nd person plural",
+    },
+    ei: {
+      en: "Negative, 1st person singular", et: "Negative, 2nd person singular",
+      ei: "Negative, 3rd person singular", emme: "Negative, 1st person plural",
+      ette: "Negative, 2nd person plural", eivät: "Negative, 3rd person plural",
+    },
+    tehdä: {
+      teen: "Present, 1st person singular", teet: "Present, 2nd person singular",
+      tekee: "Present, 3rd person singular", teemme: "Present, 1st person plural",
+      tekevät: "Present, 3rd person plural", tein: "Past, 1st person singular",
+      teki: "Past, 3rd person singular", tehnyt: "Past participle", tehdään: "Passive present",
+      tehtiin: "Passive past",
+    },
+    nähdä: {
+      näen: "Present, 1st person singular", näet: "Present, 2nd person singular",
+      näkee: "Present, 3rd person singular", näemme: "Present, 1st person plural",
+      näkevät: "Present, 3rd person plural", näin: "Past, 1st person singular",
+      näki: "Past, 3rd person singular", nähnyt: "Past participle", nähdään: "Passive present",
+      nähtiin: "Passive past",
+    },
+  };
+  for (const [lemma, forms] of Object.entries(verbForms)) {
+    for (const [verbForm, verbFormDescription] of Object.entries(forms)) {
+      irregularWordForms[verbForm] = { lemma, partOfSpeech: "verb", verbForm: verbFormDescription };
+    }
+  }
+  return irregularWordForms;
+}
+
+/**
+ * @param {string} word
+ * @returns {"a" | "ä"} vowel matching the vowel harmony of the word
+ */
+function harmonizedA(word) {
+  return FRONT_VOWEL_HARMONY_PATTERN.test(word) ? "ä" : "a";
+}
+
+// Consonant gradation, strong grade => weak grade, longest first
+const STRONG_TO_WEAK_GRADE = [
+  ["kk", "k"], ["pp", "p"], ["tt", "t"], ["nt", "nn"], ["lt", "ll"], ["rt", "rr"],
+  ["mp", "mm"], ["nk", "ng"], ["ht", "hd"], ["t", "d"], ["p", "v"],
+];
+
+/**
+ * Stems with the consonant before the last vowels in the other grade,
+ * exp: "kadu" => ["katu"], "tapaa" => ["tavaa"]
+ * @param {string} stem
+ * @returns {string[]}
+ */
+function toOtherGradeStems(stem) {
+  const stemEndMatch = stem.match(/([^aeiouyäö]+)([aeiouyäö]*)$/);
+  if (!stemEndMatch) { return []; }
+  const [, consonants, vowels] = stemEndMatch;
+  const beforeConsonants = stem.slice(0, stem.length - consonants.length - vowels.length);
+  /** @type {string[]} */
+  const otherGradeStems = [];
+  for (const [strongGrade, weakGrade] of STRONG_TO_WEAK_GRADE) {
+    for (const [fromGrade, toGrade] of [[weakGrade, strongGrade], [strongGrade, weakGrade]]) {
+      if (consonants.endsWith(fromGrade)) {
+        const ungradedConsonants = consonants.slice(0, consonants.length - fromGrade.length);
+        const gradedConsonants = ungradedConsonants + toGrade;
+        otherGradeStems.push(beforeConsonants + gradedConsonants + vowels);
+      }
+    }
+  }
+  return otherGradeStems;
+}
+
+/**
+ * @param {string[]} lemmas
+ * @returns {string[]} lemmas followed by their other consonant grade, without duplicates
+ */
+function withOtherGrades(lemmas) {
+  return [...new Set([...lemmas, ...lemmas.flatMap(toOtherGradeStems)])];
+}
+
+/**
+ * Base form candidates of a singular inflected stem, most likely first
+ * @param {string} stem - exp: "kysymykse", "ihmise", "kadu"
+ * @returns {string[]}
+ */
+function restoreSingularNounLemmas(stem) {
+  if (NOUN_STEM_EXCEPTIONS[stem]) { return [NOUN_STEM_EXCEPTIONS[stem]]; }
+  const lemmas = [stem];
+  if (/ise$/.test(stem)) { lemmas.push(`${stem.slice(0, -2)}nen`); }
+  if (/is$/.test(stem)) { lemmas.push(`${stem.slice(0, -1)}nen`); }
+  if (/kse$/.test(stem)) { lemmas.push(`${stem.slice(0, -3)}s`); }
+  if (/([aeiouyäö])\1$/.test(stem) && stem.length > 3) { lemmas.push(stem.slice(0, -1)); }
+  if (/[dt]e$/.test(stem)) { lemmas.push(`${stem.slice(0, -2)}si`); }
+  if (/e$/.test(stem)) { lemmas.push(`${stem.slice(0, -1)}i`); }
+  if (/^[^aeiouyäö]*[aeiouyäö]$/.test(stem)) { lemmas.push(stem + stem.slice(-1)); }
+  return withOtherGrades(lemmas);
+}
+
+/**
+ * Base form candidates of a plural inflected stem (before the plural i/j), most likely first
+ * @param {string} stem - exp: "talo", "kisso", "koir", "ihmis"
+ * @returns {string[]}
+ */
+function restorePluralNounLemmas(stem) {
+  if (NOUN_STEM_EXCEPTIONS[stem]) { return [NOUN_STEM_EXCEPTIONS[stem]]; }
+  /** @type {string[]} */
+  const lemmas = [];
+  if (ENDS_WITH_VOWEL_PATTERN.test(stem)) {
+    lemmas.push(stem);
+    if (/[oö]$/.test(stem)) { lemmas.push(stem.slice(0, -1) + harmonizedA(stem)); }
+    if (/^[^aeiouyäö]*[aeiouyäö]$/.test(stem)) { lemmas.push(stem + stem.slice(-1)); }
+  } else {
+    if (/is$/.test(stem)) { lemmas.push(`${stem.slice(0, -1)}nen`); }
+    if (/ks$/.test(stem)) { lemmas.push(`${stem.slice(0, -2)}s`); }
+    lemmas.push(stem + harmonizedA(stem), `${stem}i`, `${stem}e`);
+  }
+  return withOtherGrades(lemmas);
+}
+
+/**
+ * Infinitive candidates of a verb stem, exp: "puhu" => "puhua", "tule" => "tulla",
+ * "halua" => "haluta", "tiedä" => "tietää"
+ * @param {string} stem
+ * @returns {string[]}
+ */
+function restoreVerbLemmas(stem) {
+  /** @type {string[]} */
+  const lemmas = [];
+  for (const gradedStem of withOtherGrades([stem])) {
+    const a = harmonizedA(gradedStem);
+    if (ENDS_WITH_VOWEL_PATTERN.test(gradedStem)) {
+      lemmas.push(gradedStem + a, `${gradedStem}d${a}`);
+      if (/[oö]$/.test(gradedStem)) { lemmas.push(gradedStem.slice(0, -1) + a + a); }
+      if (/[aeiouyäö][aä]$/.test(gradedStem)) { lemmas.push(`${gradedStem.slice(0, -1)}t${a}`); }
+      if (/itse$/.test(gradedStem)) { lemmas.push(`${gradedStem.slice(0, -3)}t${a}`); }
+      const stemConsonant = gradedStem.slice(-2, -1);
+      if (gradedStem.endsWith("e") && "lnr".includes(stemConsonant)) {
+        lemmas.push(gradedStem.slice(0, -1) + stemConsonant + a);
+      }
+      if (gradedStem.endsWith("se")) { lemmas.push(`${gradedStem.slice(0, -1)}t${a}`); }
+    } else {
+      const stemConsonant = gradedStem.slice(-1);
+      if ("lnr".includes(stemConsonant)) { lemmas.push(gradedStem + stemConsonant + a); }
+      if (stemConsonant === "s") {
+        lemmas.push(`${gradedStem}t${a}`, `${gradedStem.slice(0, -1)}t${a}`);
+      }
+      lemmas.push(gradedStem + a + a);
+    }
+  }
+  return lemmas;
+}
+
+// Clitics attached at the very end of a word
+const CLITIC_RULES = [
+  { suffix: /(kaan|kään)$/, description: "-kaan (not ... either, ever)", weight: 1 },
+  { suffix: /kin$/, description: "-kin (also, too)", weight: 1 },
+  { suffix: /(ko|kö)$/, description: "-ko (question)", weight: 0.5 },
+  { suffix: /(han|hän)$/, description: "-han (emphasis, after all)", weight: 0 },
+  { suffix: /(pa|pä)$/, description: "-pa (emphasis)", weight: 0 },
+];
+
+// Possessive suffixes, attached after the case ending
+const POSSESSIVE_RULES = [
+  { suffix: /mme$/, description: "1st person plural (our)", weight: 1 },
+  { suffix: /nne$/, description: "2nd person plural (your)", weight: 1 },
+  { suffix: /(nsa|nsä)$/, description: "3rd person (his, her, their)", weight: 1 },
+  { suffix: /ni$/, description: "1st person singular (my)", weight: 0 },
+  { suffix: /si$/, description: "2nd person singular (your)", weight: 0 },
+  // Lengthened vowel of the case ending + n, exp: "talossaan"
+  { suffix: /(?<=([aeiouyäö]))\1n$/, description: "3rd person (his, her, their)", weight: 0.5 },
+];
+
+/**
+ * Case endings, matched on the word without clitic and possessive suffix.
+ * `plural` rules match the plural i/j before the ending, their stem is restored as plural stem.
+ * `afterPossessive`: true if the ending only appears before a possessive suffix,
+ * false if it never does.
+ * @type {Array<{suffix: RegExp, case: string, number: string, weight: number,
+ * plural?: boolean, afterPossessive?: boolean, stemEndsWithVowel?: boolean}>}
+ */
+const CASE_RULES = [
+  {
+    suffix: /i(ssa|ssä)$/, case: FinnishCase.INESSIVE, number: FinnishNumber.PLURAL, weight: 2.5,
+    plural: true,
+  },
+  { suffix: /(ssa|ssä)$/, case: FinnishCase.INESSIVE, number: FinnishNumber.SINGULAR, weight: 2 },
+  {
+    suffix: /i(sta|stä)$/, case: FinnishCase.ELATIVE, number: FinnishNumber.PLURAL, weight: 2.5,
+    plural: true,
+  },
+  { suffix: /(sta|stä)$/, case: FinnishCase.ELATIVE, number: FinnishNumber.SINGULAR, weight: 2 },
+  {
+    suffix: /i(lla|llä)$/, case: FinnishCase.ADESSIVE, number: FinnishNumber.PLURAL, weight: 2.5,
+    plural: true,
+  },
+  { suffix: /(lla|llä)$/, case: FinnishCase.ADESSIVE, number: FinnishNumber.SINGULAR, weight: 2 },
+  {
+    suffix: /i(lta|ltä)$/, case: FinnishCase.ABLATIVE, number: FinnishNumber.PLURAL, weight: 2.5,
+    plural: true,
+  },
+  { suffix: /(lta|ltä)$/, case: FinnishCase.ABLATIVE, number: FinnishNumber.SINGULAR, weight: 2 },
+  {
+    suffix: /ille$/, case: FinnishCase.ALLATIVE, number: FinnishNumber.PLURAL, weight: 2.5,
+    plural: true,
+  },
+  { suffix: /lle$/, case: FinnishCase.ALLATIVE, number: FinnishNumber.SINGULAR, weight: 2 },
+  {
+    suffix: /iksi$/, case: FinnishCase.TRANSLATIVE, number: FinnishNumber.PLURAL, weight: 2.5,
+    plural: true, afterPossessive: false,
+  },
+  {
+    suffix: /ksi$/, case: FinnishCase.TRANSLATIVE, number: FinnishNumber.SINGULAR, weight: 2,
+    afterPossessive: false,
+  },
+  {
+    suffix: /ikse$/, case: FinnishCase.TRANSLATIVE, number: FinnishNumber.PLURAL, weight: 2.5,
+    plural: true, afterPossessive: true,
+  },
+  {
+    suffix: /kse$/, case: FinnishCase.TRANSLATIVE, number: FinnishNumber.SINGULAR, weight: 2,
+    afterPossessive: true,
+  },
+  {
+    suffix: /i(tta|ttä)$/, case: FinnishCase.ABESSIVE, number: FinnishNumber.PLURAL, weight: 1.5,
+    plural: true,
+  },
+  { suffix: /(tta|ttä)$/, case: FinnishCase.ABESSIVE, number: FinnishNumber.SINGULAR, weight: 1 },
+  {
+    suffix: /ine$/, case: FinnishCase.COMITATIVE, number: FinnishNumber.PLURAL, weight: 1.5,
+    plural: true, afterPossessive: true,
+  },
+  {
+    suffix: /i(na|nä)$/, case: FinnishCase.ESSIVE, number: FinnishNumber.PLURAL, weight: 1,
+    plural: true,
+  },
+  {
+    suffix: /(na|nä)$/, case: FinnishCase.ESSIVE, number: FinnishNumber.SINGULAR, weight: 0,
+    stemEndsWithVowel: true,
+  },
+  {
+    suffix: /isiin$/, case: FinnishCase.ILLATIVE, number: FinnishNumber.PLURAL, weight: 2,
+    plural: true,
+  },
+  {
+    suffix: /ihin$/, case: FinnishCase.ILLATIVE, number: FinnishNumber.PLURAL, weight: 2,
+    plural: true,
+  },
+  {
+    suffix: /iin$/, case: FinnishCase.ILLATIVE, number: FinnishNumber.PLURAL, weight: 1.5,
+    plural: true,
+  },
+  { suffix: /seen$/, case: FinnishCase.ILLATIVE, number: FinnishNumber.SINGULAR, weight: 1.5 },
+  // "maahan", "työhön": h + last vowel of the stem + n
+  {
+    suffix: /(?<=([aeiouyäö]))h\1n$/, case: FinnishCase.ILLATIVE, number: FinnishNumber.SINGULAR,
+    weight: 1.5,
+  },
+  // "taloon", "kirjaan": lengthened last vowel of the stem + n
+  {
+    suffix: /(?<=([aeiouyäö]))\1n$/, case: FinnishCase.ILLATIVE, number: FinnishNumber.SINGULAR,
+    weight: 1.5,
+  },
+  {
+    suffix: /(iden|itten)$/, case: FinnishCase.GENITIVE, number: FinnishNumber.PLURAL, weight: 1.5,
+    plural: true, afterPossessive: false,
+  },
+  {
+    suffix: /(jen|ien)$/, case: FinnishCase.GENITIVE, number: FinnishNumber.PLURAL, weight: 1.5,
+    plural: true, afterPossessive: false,
+  },
+  {
+    suffix: /ten$/, case: FinnishCase.GENITIVE, number: FinnishNumber.PLURAL, weight: 1,
+    afterPossessive: false,
+  },
+  {
+    suffix: /n$/, case: FinnishCase.GENITIVE, number: FinnishNumber.SINGULAR, weight: 0.5,
+    afterPossessive: false, stemEndsWithVowel: true,
+  },
+  {
+    suffix: /(ita|itä)$/, case: FinnishCase.PARTITIVE, number: FinnishNumber.PLURAL, weight: 1.5,
+    plural: true,
+  },
+  {
+    suffix: /(ja|jä)$/, case: FinnishCase.PARTITIVE, number: FinnishNumber.PLURAL, weight: 1.5,
+    plural: true,
+  },
+  {
+    suffix: /(ia|iä)$/, case: FinnishCase.PARTITIVE, number: FinnishNumber.PLURAL, weight: 1,
+    plural: true,
+  },
+  // "maata", "ihmistä": after a long vowel or the s of -nen words
+  {
+    suffix: /(?<=([aeiouyäö][aeiouyäö]|is))(ta|tä)$/, case: FinnishCase.PARTITIVE,
+    number: FinnishNumber.SINGULAR, weight: 1,
+  },
+  {
+    suffix: /(a|ä)$/, case: FinnishCase.PARTITIVE, number: FinnishNumber.SINGULAR, weight: 1,
+    stemEndsWithVowel: true,
+  },
+  {
+    suffix: /t$/, case: FinnishCase.NOMINATIVE, number: FinnishNumber.PLURAL, weight: 1,
+    afterPossessive: false, stemEndsWithVowel: true,
+  },
+];
+
+// Verb endings, matched on the word without clitic
+const VERB_RULES = [
+  { suffix: /(ttiin|tiin)$/, verbForm: "Passive past", weight: 2 },
+  // "mennään", "tullaan": doubled last consonant of the stem
+  { suffix: /(?<=([lnr]))\1(aan|ään)$/, verbForm: "Passive present", weight: 2 },
+  { suffix: /(taan|tään|daan|dään)$/, verbForm: "Passive present", weight: 2 },
+  { suffix: /(nnut|nnyt)$/, verbForm: "Past participle", weight: 2, type4: true },
+  { suffix: /(nut|nyt|lut|lyt|rut|ryt|sut|syt)$/, verbForm: "Past participle", weight: 2 },
+  { suffix: /(neet|leet|reet|seet)$/, verbForm: "Past participle, plural", weight: 2 },
+  { suffix: /isin$/, verbForm: "Conditional, 1st person singular", weight: 2 },
+  { suffix: /isit$/, verbForm: "Conditional, 2nd person singular", weight: 2 },
+  { suffix: /isimme$/, verbForm: "Conditional, 1st person plural", weight: 2 },
+  { suffix: /isitte$/, verbForm: "Conditional, 2nd person plural", weight: 2 },
+  { suffix: /isi(vat|vät)$/, verbForm: "Conditional, 3rd person plural", weight: 2 },
+  { suffix: /isi$/, verbForm: "Conditional, 3rd person singular", weight: 1.5 },
+  { suffix: /(kaa|kää)$/, verbForm: "Imperative, 2nd person plural", weight: 1.5 },
+  { suffix: /imme$/, verbForm: "Past, 1st person plural", weight: 1.5 },
+  { suffix: /itte$/, verbForm: "Past, 2nd person plural", weight: 1.5 },
+  { suffix: /i(vat|vät)$/, verbForm: "Past, 3rd person plural", weight: 1.5 },
+  { suffix: /in$/, verbForm: "Past, 1st person singular", weight: 1 },
+  { suffix: /it$/, verbForm: "Past, 2nd person singular", weight: 1 },
+  { suffix: /i$/, verbForm: "Past, 3rd person singular", weight: 0.5 },
+  { suffix: /mme$/, verbForm: "Present, 1st person plural", weight: 1 },
+  { suffix: /tte$/, verbForm: "Present, 2nd person plural", weight: 1 },
+  { suffix: /(vat|vät)$/, verbForm: "Present, 3rd person plural", weight: 1 },
+  { suffix: /n$/, verbForm: "Present, 1st person singular", weight: 1 },
+  { suffix: /t$/, verbForm: "Present, 2nd person singular", weight: 1 },
+  // "puhuu", "tulee": lengthened last vowel of the stem
+  { suffix: /(?<=([aeiouyäö]))\1$/, verbForm: "Present, 3rd person singular", weight: 1 },
+];
+
+/**
+ * @param {string} word
+ * @param {RegExp} suffix
+ * @returns {string | null} word without the suffix, null if the suffix does not match
+ */
+function stripSuffix(word, suffix) {
+  const suffixMatch = word.match(suffix);
+  if (!suffixMatch) { return null; }
+  return word.slice(0, suffixMatch.index);
+}
+
+/**
+ * @param {string} word - lower case, without clitic
+ * @param {string | null} clitic
+ * @param {number} cliticWeight
+ * @returns {FinnishWordAnalysisCandidate[]}
+ */
+function analyzeNounCandidates(word, clitic, cliticWeight) {
+  /** @type {FinnishWordAnalysisCandidate[]} */
+  const candidates = [];
+  /** @type {Array<{form: string, possessive: string | null, weight: number}>} */
+  const possessiveSplits = [{ form: word, possessive: null, weight: 0 }];
+  for (const possessiveRule of POSSESSIVE_RULES) {
+    const form = stripSuffix(word, possessiveRule.suffix);
+    if (form && form.length >= 3 && ENDS_WITH_VOWEL_PATTERN.test(form)) {
+      possessiveSplits.push({
+        form, possessive: possessiveRule.description, weight: possessiveRule.weight,
+      });
+    }
+  }
+
+  for (const possessiveSplit of possessiveSplits) {
+    const hasPossessive = possessiveSplit.possessive !== null;
+    const baseWeight = cliticWeight + possessiveSplit.weight;
+    /** @type {(lemma: string, nounCase: string, number: string, weight: number) => void} */
+    const addCandidate = (lemma, nounCase, number, weight) => {
+      candidates.push({
+        analysis: {
+          lemma,
+          partOfSpeech: "noun",
+          case: nounCase,
+          number,
+          possessive: possessiveSplit.possessive,
+          verbForm: null,
+          clitic,
+        },
+        score: baseWeight + weight + (COMMON_NOUN_LEMMAS.has(lemma) ? KNOWN_LEMMA_SCORE : 0),
+      });
+    };
+
+    for (const caseRule of CASE_RULES) {
+      if (caseRule.afterPossessive !== undefined && caseRule.afterPossessive !== hasPossessive) {
+        continue;
+      }
+      const stem = stripSuffix(possessiveSplit.form, caseRule.suffix);
+      if (!stem || stem.length < 2) { continue; }
+      if (caseRule.stemEndsWithVowel && !ENDS_WITH_VOWEL_PATTERN.test(stem)) { continue; }
+      const lemmas = caseRule.plural ?
+        restorePluralNounLemmas(stem) :
+        restoreSingularNounLemmas(stem);
+      // Plural stems ending with a consonant are rare, "koiria", unless the lemma is known
+      const weight = caseRule.plural && !ENDS_WITH_VOWEL_PATTERN.test(stem) ?
+        caseRule.weight - 1 :
+        caseRule.weight;
+      for (const lemma of lemmas) {
+        addCandidate(lemma, caseRule.case, caseRule.number, weight);
+      }
+    }
+
+    // Genitive -n and plural -t are dropped before a possessive suffix
+    const nominativeCase = hasPossessive ?
+      FinnishCase.NOMINATIVE_OR_GENITIVE :
+      FinnishCase.NOMINATIVE;
+    const nominativeNumber = hasPossessive ?
+      FinnishNumber.SINGULAR_OR_PLURAL :
+      FinnishNumber.SINGULAR;
+    for (const lemma of hasPossessive ? restoreSingularNounLemmas(possessiveSplit.form) : [word]) {
+      addCandidate(lemma, nominativeCase, nominativeNumber, 0);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Verb analyses are only kept for lemmas in the bundled list, verb endings are too ambiguous
+ * @param {string} word - lower case, without clitic
+ * @param {string | null} clitic
+ * @param {number} cliticWeight
+ * @returns {FinnishWordAnalysisCandidate[]}
+ */
+function analyzeVerbCandidates(word, clitic, cliticWeight) {
+  /** @type {FinnishWordAnalysisCandidate[]} */
+  const candidates = [];
+  /** @type {(lemma: string, verbForm: string, weight: number) => void} */
+  const addCandidate = (lemma, verbForm, weight) => {
+    if (!COMMON_VERB_LEMMAS.has(lemma)) { return; }
+    candidates.push({
+      analysis: { lemma, partOfSpeech: "verb", case: null, number: null, possessive: null, verbForm, clitic },
+      score: cliticWeight + weight + KNOWN_LEMMA_SCORE,
+    });
+  };
+
+  addCandidate(word, "Infinitive", 0.5);
+  for (const verbRule of VERB_RULES) {
+    const strippedWord = stripSuffix(word, verbRule.suffix);
+    if (!strippedWord || strippedWord.length < 2) { continue; }
+    const lemmas = verbRule.type4 ?
+      [`${strippedWord}t${harmonizedA(strippedWord)}`] :
+      restoreVerbLemmas(strippedWord);
+    for (const lemma of lemmas) {
+      addCandidate(lemma, verbRule.verbForm, verbRule.weight);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Analyze a single Finnish word offline
+ * @param {string} word - exp: "taloissamme"
+ * @returns {FinnishWordAnalysis | null} most likely analysis, null if nothing was recognised
+ */
+function analyzeFinnishWord(word) {
+  const normalizedWord = word.trim().toLowerCase();
+  if (!normalizedWord || /[^a-zåäö'-]/.test(normalizedWord)) { return null; }
+
+  const irregularWordForm = IRREGULAR_WORD_FORMS[normalizedWord];
+  if (irregularWordForm) {
+    return {
+      lemma: irregularWordForm.lemma,
+      partOfSpeech: irregularWordForm.partOfSpeech,
+      case: irregularWordForm.case || null,
+      number: irregularWordForm.number || null,
+      possessive: null,
+      verbForm: irregularWordForm.verbForm || null,
+      clitic: null,
+    };
+  }
+  if (UNINFLECTED_WORDS.has(normalizedWord)) { return null; }
+
+  /** @type {Array<{form: string, clitic: string | null, weight: number}>} */
+  const cliticSplits = [{ form: normalizedWord, clitic: null, weight: 0 }];
+  for (const cliticRule of CLITIC_RULES) {
+    const form = stripSuffix(normalizedWord, cliticRule.suffix);
+    if (form && form.length >= 3 && /[aeiouyäönt]$/.test(form)) {
+      cliticSplits.push({ form, clitic: cliticRule.description, weight: cliticRule.weight });
+    }
+  }
+
+  /** @type {FinnishWordAnalysisCandidate | null} */
+  let bestCandidate = null;
+  for (const cliticSplit of cliticSplits) {
+    const candidates = [
+      ...analyzeVerbCandidates(cliticSplit.form, cliticSplit.clitic, cliticSplit.weight),
+      ...analyzeNounCandidates(cliticSplit.form, cliticSplit.clitic, cliticSplit.weight),
+    ];
+    for (const candidate of candidates) {
+      if (!bestCandidate || candidate.score > bestCandidate.score) {
+        bestCandidate = candidate;
+      }
+    }
+  }
+
+  if (!bestCandidate || bestCandidate.score < MINIMUM_UNKNOWN_LEMMA_SCORE) {
+    return null;
+  }
+  return bestCandidate.analysis;
+}
+
+/**
+ * Rows shown in the lookup popup for a word analysis
+ * @param {FinnishWordAnalysis} analysis
+ * @returns {Array<{key: string, val: string}>}
+ */
+function toFinnishWordAnalysisRows(analysis) {
+  const rows = [{ key: "Lemma", val: analysis.lemma }];
+  if (analysis.case) { rows.push({ key: "Case", val: analysis.case }); }
+  if (analysis.number) { rows.push({ key: "Number", val: analysis.number }); }
+  if (analysis.verbForm) { rows.push({ key: "Verb form", val: analysis.verbForm }); }
+  if (analysis.possessive) { rows.push({ key: "Possessive", val: analysis.possessive }); }
+  if (analysis.clitic) { rows.push({ key: "Clitic", val: analysis.clitic }); }
+  return rows;
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    FinnishCase,
+    FinnishNumber,
+    analyzeFinnishWord,
+    toFinnishWordAnalysisRows,
+  };
+}
+// In browser extension (content script), functions are automatically global
@@ -0,0 +1,225 @@
+// Builders for bilingual subtitle files (Finnish + translation) exported from the episode cache.
+// Used by the background service worker, kept free of chrome APIs so they can be unit tested.
+
+/** @enum {string} */
+const SubtitleExportFormat = Object.freeze({
+  SRT: "srt",
+  VTT: "vtt",
+  ASS: "ass",
+});
+
+/**
+ * @param {number} seconds
+ * @returns {{hours: number, minutes: number, seconds: number, milliseconds: number}}
+ */
+function splitSubtitleTimestamp(seconds) {
+  const totalMilliseconds = Math.max(0, Math.round(seconds * 1000));
+  return {
+    hours: Math.floor(totalMilliseconds / 3600000),
+    minutes: Math.floor(totalMilliseconds / 60000) % 60,
+    seconds: Math.floor(totalMilliseconds / 1000) % 60,
+    milliseconds: totalMilliseconds % 1000,
+  };
+}
+
+/**
+ * @param {number} value
+ * @param {number} length
+ * @returns {string}
+ */
+function padTimestampPart(value, length) {
+  return String(value).padStart(length, "0");
+}
+
+/**
+ * @param {number} seconds
+ * @param {string} millisecondSeparator - "," for SRT, "." for WebVTT
+ * @returns {string} exp: "01:02:03,456"
+ */
+function formatSrtOrVttTimestamp(seconds, millisecondSeparator) {
+  const timestamp = splitSubtitleTimestamp(seconds);
+  const hours = padTimestampPart(timestamp.hours, 2);
+  const minutes = padTimestampPart(timestamp.minutes, 2);
+  const wholeSeconds = padTimestampPart(timestamp.seconds, 2);
+  const milliseconds = padTimestampPart(timestamp.milliseconds, 3);
+  return `${hours}:${minutes}:${wholeSeconds}${millisecondSeparator}${milliseconds}`;
+}
+
+/**
+ * ASS timestamps have centisecond precision and a single digit hour
+ * @param {number} seconds
+ * @returns {string} exp: "1:02:03.46"
+ */
+function formatAssTimestamp(seconds) {
+  const timestamp = splitSubtitleTimestamp(Math.round(seconds * 100) / 100);
+  const minutes = padTimestampPart(timestamp.minutes, 2);
+  const wholeSeconds = padTimestampPart(timestamp.seconds, 2);
+  const centiseconds = padTimestampPart(Math.floor(timestamp.milliseconds / 10), 2);
+  return `${timestamp.hours}:${minutes}:${wholeSeconds}.${centiseconds}`;
+}
+
+/**
+ * Split cue text into non empty lines, so an empty line never ends a SRT/WebVTT cue early
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toSubtitleLines(text) {
+  return text.split("\n").map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeVttText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Curly braces start override tags in ASS and cannot be escaped
+ * @param {string} text
+ * @returns {string}
+ */
+function toAssDialogueText(text) {
+  return toSubtitleLines(text)
+    .join("\\N")
+    .replace(/\{/g, "(")
+    .replace(/\}/g, ")");
+}
+
+/**
+ * Pair each cue with its cached translation
+ * @param {SubtitleCue[]} cues
+ * @param {Map<string, string>} translationMap - normalized Finnish text => translated text
+ * @param {(rawSubtitleFinnishText: string) => string} toTranslationKey
+ * @returns {Array<{cue: SubtitleCue, translatedText: string}>} sorted by start time,
+ * `translatedText` is empty for lines never translated
+ */
+function pairCuesWithTranslations(cues, translationMap, toTranslationKey) {
+  return [...cues]
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(cue => ({ cue, translatedText: translationMap.get(toTranslationKey(cue.text)) || "" }));
+}
+
+/**
+ * @param {Array<{cue: SubtitleCue, translatedText: string}>} pairedCues
+ * @returns {string}
+ */
+function buildBilingualSrt(pairedCues) {
+  return pairedCues
+    .map(({ cue, translatedText }, index) => [
+      String(index + 1),
+      `${formatSrtOrVttTimestamp(cue.startTime, ",")} --> ${formatSrtOrVttTimestamp(cue.endTime, ",")}`,
+      ...toSubtitleLines(cue.text),
+      ...toSubtitleLines(translatedText),
+      "",
+    ].join("\n"))
+    .join("\n");
+}
+
+/**
+ * @param {Array<{cue: SubtitleCue, translatedText: string}>} pairedCues
+ * @returns {string}
+ */
+function buildBilingualVtt(pairedCues) {
+  const vttCues = pairedCues
+    .map(({ cue, translatedText }) => [
+      `${formatSrtOrVttTimestamp(cue.startTime, ".")} --> ${formatSrtOrVttTimestamp(cue.endTime, ".")}`,
+      ...toSubtitleLines(cue.text).map(escapeVttText),
+      ...toSubtitleLines(translatedText).map(escapeVttText),
+      "",
+    ].join("\n"));
+  return ["WEBVTT\n", ...vttCues].join("\n");
+}
+
+/**
+ * Finnish lines use the bottom "Finnish" style, translations the top "Translation" style,
+ * so players render both at the same time without overlapping
+ * @param {Array<{cue: SubtitleCue, translatedText: string}>} pairedCues
+ * @param {string} title
+ * @returns {string}
+ */
+function buildBilingualAss(pairedCues, title) {
+  const header = [
+    "[Script Info]",
+    `Title: ${title.replace(/\n/g, " ")}`,
+    "ScriptType: v4.00+",
+    "WrapStyle: 0",
+    "PlayResX: 1920",
+    "PlayResY: 1080",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, " +
+    "Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, " +
+    "Alignment, MarginL, MarginR, MarginV, Encoding",
+    "Style: Finnish,Arial,64,&H00FFFFFF,&H000000FF,&H00000000,&H80000000," +
+    "0,0,0,0,100,100,0,0,1,3,1,2,60,60,60,1",
+    "Style: Translation,Arial,56,&H0000FFFF,&H000000FF,&H00000000,&H80000000," +
+    "0,0,0,0,100,100,0,0,1,3,1,8,60,60,60,1",
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ];
+
+  /** @type {string[]} */
+  const dialogues = [];
+  for (const { cue, translatedText } of pairedCues) {
+    const start = formatAssTimestamp(cue.startTime);
+    const end = formatAssTimestamp(cue.endTime);
+    dialogues.push(`Dialogue: 0,${start},${end},Finnish,,0,0,0,,${toAssDialogueText(cue.text)}`);
+    if (translatedText) {
+      dialogues.push(`Dialogue: 0,${start},${end},Translation,,0,0,0,,${toAssDialogueText(translatedText)}`);
+    }
+  }
+  return [...header, ...dialogues, ""].join("\n");
+}
+
+/**
+ * Build a bilingual subtitle file with the original timings
+ * @param {SubtitleCue[]} cues - whole Finnish subtitle track
+ * @param {Map<string, string>} translationMap - normalized Finnish text => translated text
+ * @param {(rawSubtitleFinnishText: string) => string} toTranslationKey
+ * @param {string} format - one of SubtitleExportFormat values
+ * @param {string} title - movie name, written into formats having a title field
+ * @returns {string} file content
+ */
+function buildBilingualSubtitleFile(cues, translationMap, toTranslationKey, format, title) {
+  const pairedCues = pairCuesWithTranslations(cues, translationMap, toTranslationKey);
+  switch (format) {
+    case SubtitleExportFormat.SRT:
+      return buildBilingualSrt(pairedCues);
+    case SubtitleExportFormat.VTT:
+      return buildBilingualVtt(pairedCues);
+    case SubtitleExportFormat.ASS:
+      return buildBilingualAss(pairedCues, title);
+    default:
+      throw new Error(`Unsupported subtitle export format: ${format}`);
+  }
+}
+
+/**
+ * @param {string} movieName - exp: "Series Title | Episode Name"
+ * @param {string} targetLanguage - exp: "EN-US"
+ * @param {string} format - one of SubtitleExportFormat values
+ * @returns {string} exp: "Series Title - Episode Name.FI-EN-US.srt"
+ */
+function toSubtitleExportFileName(movieName, targetLanguage, format) {
+  const safeMovieName = movieName
+    .replace(/\s*\|\s*/g, " - ")
+    .replace(/[\\/:*?"<>|]/g, "-")
+    .trim();
+  return `${safeMovieName || "episode"}.FI-${targetLanguage}.${format}`;
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    SubtitleExportFormat,
+    formatSrtOrVttTimestamp,
+    formatAssTimestamp,
+    buildBilingualSubtitleFile,
+    toSubtitleExportFileName,
+  };
+}
+// In browser extension (background service worker), functions are automatically global
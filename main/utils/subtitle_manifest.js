@@ -0,0 +1,327 @@
+// HLS playlists and DASH manifests helpers, so injected.js can find the Finnish subtitle track
+// of a stream and reassemble it when it is delivered in segments.
+// Kept free of chrome APIs so they can be unit tested.
+
+/** @enum {string} */
+const SubtitleManifestType = Object.freeze({
+  HLS: "hls",
+  DASH: "dash",
+});
+
+/** @type {Object<string, string>} */
+const SUBTITLE_MANIFEST_TYPE_BY_CONTENT_TYPE = {
+  'application/vnd.apple.mpegurl': SubtitleManifestType.HLS,
+  'application/x-mpegurl': SubtitleManifestType.HLS,
+  'audio/mpegurl': SubtitleManifestType.HLS,
+  'audio/x-mpegurl': SubtitleManifestType.HLS,
+  'application/dash+xml': SubtitleManifestType.DASH,
+};
+
+// exp: TYPE=SUBTITLES,NAME="Suomi",LANGUAGE="fi",URI="subs/fi.m3u8"
+const HLS_ATTRIBUTE_PATTERN = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+// "fi", "fin", "fi-FI", but not "fil" (Filipino)
+const FINNISH_LANGUAGE_PATTERN = /^(fi|fin)(-|_|$)/i;
+const FINNISH_TRACK_NAME_PATTERN = /suomi|finnish/i;
+// Segments of HLS WebVTT subtitles map their cue times to the video with this header
+const HLS_SEGMENT_TIMESTAMP_MAP_HEADER = 'X-TIMESTAMP-MAP';
+// exp: X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000
+const HLS_SEGMENT_TIMESTAMP_MAP_PATTERN = /^X-TIMESTAMP-MAP=(.*)$/m;
+// exp: "00:00:01.500", hours are optional
+const WEBVTT_TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/;
+// MPEG-2 presentation timestamps count at 90 kHz
+const MPEGTS_TICKS_PER_SECOND = 90000;
+
+/**
+ * @typedef {Object} SubtitleManifestTrack
+ * @property {string} url - HLS media playlist or DASH subtitle file, absolute
+ * @property {string} language - exp: "fi", "" if the manifest does not tell
+ * @property {string} name - exp: "Suomi", "" if the manifest does not tell
+ */
+
+/**
+ * @param {string} contentType - Content-Type header, "" if unknown
+ * @param {string} url
+ * @returns {SubtitleManifestType | null} null if it is neither an HLS playlist nor a DASH manifest
+ */
+function detectSubtitleManifestType(contentType, url) {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  if (SUBTITLE_MANIFEST_TYPE_BY_CONTENT_TYPE[mimeType]) {
+    return SUBTITLE_MANIFEST_TYPE_BY_CONTENT_TYPE[mimeType];
+  }
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  if (path.endsWith('.m3u8')) {
+    return SubtitleManifestType.HLS;
+  }
+  if (path.endsWith('.mpd')) {
+    return SubtitleManifestType.DASH;
+  }
+  return null;
+}
+
+/**
+ * @param {string} relativeUrl
+ * @param {string} baseUrl
+ * @returns {string} absolute URL, relativeUrl itself if it cannot be resolved
+ */
+function resolveManifestUrl(relativeUrl, baseUrl) {
+  try {
+    return new URL(relativeUrl, baseUrl).href;
+  } catch {
+    return relativeUrl;
+  }
+}
+
+/**
+ * @param {string} attributeList - exp: TYPE=SUBTITLES,LANGUAGE="fi"
+ * @returns {Object<string, string>} exp: {TYPE: "SUBTITLES", LANGUAGE: "fi"}
+ */
+function parseHlsAttributeList(attributeList) {
+  /** @type {Object<string, string>} */
+  const attributes = {};
+  for (const [, name, value] of attributeList.matchAll(HLS_ATTRIBUTE_PATTERN)) {
+    attributes[name] = value.replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+/**
+ * Subtitle tracks listed in an HLS master playlist
+ * @param {string} playlistText
+ * @param {string} playlistUrl - to resolve relative URIs
+ * @returns {SubtitleManifestTrack[]} empty for media playlists and masters without subtitles
+ */
+function parseHlsSubtitleTracks(playlistText, playlistUrl) {
+  /** @type {SubtitleManifestTrack[]} */
+  const subtitleTracks = [];
+  for (const line of playlistText.split(/\r?\n/)) {
+    if (!line.startsWith('#EXT-X-MEDIA:')) {
+      continue;
+    }
+    const attributes = parseHlsAttributeList(line.slice('#EXT-X-MEDIA:'.length));
+    if (attributes.TYPE !== 'SUBTITLES' || !attributes.URI) {
+      continue;
+    }
+    subtitleTracks.push({
+      url: resolveManifestUrl(attributes.URI, playlistUrl),
+      language: attributes.LANGUAGE || '',
+      name: attributes.NAME || '',
+    });
+  }
+  return subtitleTracks;
+}
+
+/**
+ * Segment URLs of an HLS media playlist
+ * @param {string} playlistText
+ * @param {string} playlistUrl - to resolve relative URIs
+ * @returns {string[]} absolute segment URLs in playback order, empty for master playlists
+ */
+function parseHlsMediaPlaylistSegments(playlistText, playlistUrl) {
+  if (!playlistText.includes('#EXTINF')) {
+    return [];
+  }
+  return playlistText.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+    .map(segmentUri => resolveManifestUrl(segmentUri, playlistUrl));
+}
+
+/**
+ * Subtitle tracks of a DASH manifest delivered as one file per track (sidecar WebVTT or TTML).
+ * Subtitles segmented into MP4 fragments are binary and not supported.
+ * @param {string} mpdText
+ * @param {string} mpdUrl - to resolve relative BaseURLs
+ * @returns {SubtitleManifestTrack[]}
+ */
+function parseDashSubtitleTracks(mpdText, mpdUrl) {
+  const mpdDocument = new DOMParser().parseFromString(mpdText, 'application/xml');
+  const mpdElement = mpdDocument.documentElement;
+  if (!mpdElement || mpdElement.localName !== 'MPD') {
+    return [];
+  }
+
+  /**
+   * @param {Element} element
+   * @param {string} localName
+   * @returns {Element[]}
+   */
+  const getChildren = (element, localName) =>
+    Array.from(element.children).filter(child => child.localName === localName);
+  /**
+   * @param {Element} element
+   * @param {string} baseUrl
+   * @returns {string} baseUrl resolved against the BaseURL child of the element, if any
+   */
+  const resolveBaseUrl = (element, baseUrl) => {
+    const baseUrlElement = getChildren(element, 'BaseURL')[0];
+    if (!baseUrlElement) {
+      return baseUrl;
+    }
+    return resolveManifestUrl(baseUrlElement.textContent.trim(), baseUrl);
+  };
+
+  /** @type {SubtitleManifestTrack[]} */
+  const subtitleTracks = [];
+  const mpdBaseUrl = resolveBaseUrl(mpdElement, mpdUrl);
+  for (const period of getChildren(mpdElement, 'Period')) {
+    const periodBaseUrl = resolveBaseUrl(period, mpdBaseUrl);
+    for (const adaptationSet of getChildren(period, 'AdaptationSet')) {
+      const adaptationSetBaseUrl = resolveBaseUrl(adaptationSet, periodBaseUrl);
+      for (const representation of getChildren(adaptationSet, 'Representation')) {
+        const mimeType = representation.getAttribute('mimeType') ||
+          adaptationSet.getAttribute('mimeType') ||
+          '';
+        const isSubtitleFile = mimeType === 'text/vtt' || mimeType === 'application/ttml+xml';
+        const isSegmented = getChildren(representation, 'SegmentTemplate').length > 0 ||
+          getChildren(adaptationSet, 'SegmentTemplate').length > 0 ||
+          getChildren(representation, 'SegmentList').length > 0;
+        const hasBaseUrl = getChildren(representation, 'BaseURL').length > 0;
+        if (!isSubtitleFile || isSegmented || !hasBaseUrl) {
+          continue;
+        }
+        subtitleTracks.push({
+          url: resolveBaseUrl(representation, adaptationSetBaseUrl),
+          language: adaptationSet.getAttribute('lang') || representation.getAttribute('lang') || '',
+          name: getChildren(adaptationSet, 'Label')[0]?.textContent.trim() || '',
+        });
+      }
+    }
+  }
+  return subtitleTracks;
+}
+
+/**
+ * @param {SubtitleManifestTrack} subtitleTrack
+ * @returns {boolean | null} null if the manifest does not tell the language of the track
+ */
+function isFinnishSubtitleTrack(subtitleTrack) {
+  if (FINNISH_LANGUAGE_PATTERN.test(subtitleTrack.language) ||
+    FINNISH_TRACK_NAME_PATTERN.test(subtitleTrack.name)) {
+    return true;
+  }
+  return subtitleTrack.language || subtitleTrack.name ? false : null;
+}
+
+/**
+ * Pick the track to translate: the first Finnish one, or the only track if its language is unknown
+ * @param {SubtitleManifestTrack[]} subtitleTracks
+ * @returns {SubtitleManifestTrack | null}
+ */
+function chooseFinnishSubtitleTrack(subtitleTracks) {
+  const finnishTrack = subtitleTracks.find(subtitleTrack => isFinnishSubtitleTrack(subtitleTrack));
+  if (finnishTrack) {
+    return finnishTrack;
+  }
+  if (subtitleTracks.length === 1 && isFinnishSubtitleTrack(subtitleTracks[0]) === null) {
+    return subtitleTracks[0];
+  }
+  return null;
+}
+
+/**
+ * @param {string} subtitleText - WebVTT file
+ * @returns {string} lines before the first cue
+ */
+function getWebVttHeader(subtitleText) {
+  const headerEnd = subtitleText.search(/\r?\n\r?\n/);
+  return headerEnd === -1 ? subtitleText : subtitleText.slice(0, headerEnd);
+}
+
+/**
+ * @param {string} subtitleText - WebVTT file
+ * @returns {boolean} true if it is a segment of an HLS subtitle track, not a whole track
+ */
+function isHlsSubtitleSegment(subtitleText) {
+  return getWebVttHeader(subtitleText).includes(HLS_SEGMENT_TIMESTAMP_MAP_HEADER);
+}
+
+/**
+ * Offset of the cue times of an HLS WebVTT segment from the video time. Its X-TIMESTAMP-MAP header
+ * tells that the LOCAL cue time plays at the MPEGTS presentation time of the stream.
+ * @param {string} subtitleText - WebVTT segment
+ * @returns {number} seconds to add to the cue times, 0 without the header
+ */
+function getHlsSegmentTimeOffset(subtitleText) {
+  const timestampMapMatch = HLS_SEGMENT_TIMESTAMP_MAP_PATTERN.exec(getWebVttHeader(subtitleText));
+  if (!timestampMapMatch) {
+    return 0;
+  }
+  let mpegTsSeconds = 0;
+  let localSeconds = 0;
+  // exp: "MPEGTS:900000", "LOCAL:00:00:00.000", the time itself holds colons
+  for (const mapping of timestampMapMatch[1].split(',')) {
+    const separatorIndex = mapping.indexOf(':');
+    const name = mapping.slice(0, separatorIndex).trim();
+    const value = mapping.slice(separatorIndex + 1).trim();
+    if (name === 'MPEGTS') {
+      mpegTsSeconds = (Number(value) || 0) / MPEGTS_TICKS_PER_SECOND;
+    } else if (name === 'LOCAL') {
+      const localMatch = WEBVTT_TIMESTAMP_PATTERN.exec(value);
+      if (localMatch) {
+        const [, hours, minutes, seconds, milliseconds] = localMatch;
+        localSeconds = Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) +
+          Number(milliseconds) / 1000;
+      }
+    }
+  }
+  return mpegTsSeconds - localSeconds;
+}
+
+/**
+ * @param {SubtitleCue[]} cues
+ * @param {number} offset - seconds, exp: from getHlsSegmentTimeOffset
+ * @returns {SubtitleCue[]} new cues, the same ones if offset is 0
+ */
+function shiftSubtitleCues(cues, offset) {
+  if (offset === 0) {
+    return cues;
+  }
+  return cues.map(cue => ({
+    ...cue,
+    startTime: cue.startTime + offset,
+    endTime: cue.endTime + offset,
+  }));
+}
+
+/**
+ * Add cues of subtitle segments to the cues reassembled so far. Cues crossing a segment boundary
+ * are repeated in both segments and kept once.
+ * @param {SubtitleCue[]} reassembledCues
+ * @param {SubtitleCue[]} segmentCues - of one segment or a batch of segments, timed like the video
+ * @returns {SubtitleCue[]} new array sorted by start time
+ */
+function mergeSubtitleSegmentCues(reassembledCues, segmentCues) {
+  /** @param {SubtitleCue} cue */
+  const toCueKey = cue =>
+    `${Math.round(cue.startTime * 1000)}|${Math.round(cue.endTime * 1000)}|${cue.text}`;
+  const cueKeys = new Set(reassembledCues.map(toCueKey));
+  const mergedCues = [...reassembledCues];
+  for (const segmentCue of segmentCues) {
+    const cueKey = toCueKey(segmentCue);
+    if (!cueKeys.has(cueKey)) {
+      cueKeys.add(cueKey);
+      mergedCues.push(segmentCue);
+    }
+  }
+  return mergedCues.sort((cueA, cueB) => cueA.startTime - cueB.startTime);
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    SubtitleManifestType,
+    detectSubtitleManifestType,
+    parseHlsAttributeList,
+    parseHlsSubtitleTracks,
+    parseHlsMediaPlaylistSegments,
+    parseDashSubtitleTracks,
+    isFinnishSubtitleTrack,
+    chooseFinnishSubtitleTrack,
+    isHlsSubtitleSegment,
+    getHlsSegmentTimeOffset,
+    shiftSubtitleCues,
+    mergeSubtitleSegmentCues,
+  };
+}
+// In browser extension (content script, background), functions are automatically global
@@ -0,0 +1,328 @@
+// Parsers of subtitle files: intercepted by injected.js on streaming sites, or loaded by the user
+// in the local video player page. Every format produces the same normalized cues with timings.
+// Kept free of chrome APIs so they can be unit tested.
+
+/* global WebVTTParser */ // defined in webvtt_parser.js
+
+/** @enum {string} */
+const SubtitleFormat = Object.freeze({
+  WEBVTT: "webvtt",
+  SRT: "srt",
+  // TTML, its older name DFXP, and IMSC1 text profile, which is a subset of TTML
+  TTML: "ttml",
+});
+
+/** @type {Object<string, string>} */
+const SUBTITLE_FORMAT_BY_CONTENT_TYPE = {
+  'text/vtt': SubtitleFormat.WEBVTT,
+  'application/x-subrip': SubtitleFormat.SRT,
+  'application/srt': SubtitleFormat.SRT,
+  'text/srt': SubtitleFormat.SRT,
+  'application/ttml+xml': SubtitleFormat.TTML,
+  'application/ttaf+xml': SubtitleFormat.TTML,
+};
+
+/** @type {Object<string, string>} */
+const SUBTITLE_FORMAT_BY_FILE_EXTENSION = {
+  vtt: SubtitleFormat.WEBVTT,
+  webvtt: SubtitleFormat.WEBVTT,
+  srt: SubtitleFormat.SRT,
+  ttml: SubtitleFormat.TTML,
+  dfxp: SubtitleFormat.TTML,
+};
+
+// Generic content types some servers use for subtitles, the format is sniffed from the body
+const SNIFFABLE_SUBTITLE_CONTENT_TYPES = ['', 'text/plain', 'text/xml', 'application/xml'];
+// URLs of subtitle files without a file extension, exp: "/api/subtitles/123", "/subs/fi?v=2"
+const SUBTITLE_URL_PATTERN = /subtitle|caption|tekstity|texttrack|\bsubs?\b/i;
+
+// exp: "00:01:02,500" or "00:01:02.500", hours are optional in some SRT files
+const SRT_TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})/;
+const SRT_TIMING_LINE_PATTERN = /-->/;
+// exp: "00:01:02.500", "00:01:02:12" (frames)
+const TTML_CLOCK_TIME_PATTERN = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/;
+// exp: "62.5s", "1500ms", "90f" (frames), "625000t" (ticks)
+const TTML_OFFSET_TIME_PATTERN = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/;
+// Start of a file, after an optional XML declaration and comments
+const TTML_ROOT_PATTERN = /^(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*)*<(\w+:)?tt[\s>]/;
+// Optional cue index, then the timing line of the first cue
+const SRT_START_PATTERN = /^(\d+\s*\r?\n)?[\d:]+[,.]\d+\s*-->/;
+
+/**
+ * @param {string} timestamp - exp: "00:01:02,500"
+ * @returns {number | null} seconds, null if it is not a timestamp
+ */
+function parseSrtTimestamp(timestamp) {
+  const match = SRT_TIMESTAMP_PATTERN.exec(timestamp);
+  if (!match) {
+    return null;
+  }
+  const [, hours, minutes, seconds, milliseconds] = match;
+  return Number(hours || 0) * 3600 +
+    Number(minutes) * 60 +
+    Number(seconds) +
+    Number(milliseconds.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Text of a subtitle cue as shown in one subtitle row: formatting tags removed, lines joined
+ * @param {string} cueText - exp: "<i>Mitä sinä</i>\nteet?"
+ * @returns {string} exp: "Mitä sinä teet?"
+ */
+function normalizeSubtitleCueText(cueText) {
+  return cueText
+    // HTML-like tags (<i>, <font color="...">, <c.yellow>) and ASS overrides ({\an8})
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/\n/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a SubRip (.srt) subtitle file
+ * @param {string} srtText
+ * @returns {SubtitleCue[]} cues with non empty text, in file order
+ */
+function parseSrtSubtitles(srtText) {
+  /** @type {SubtitleCue[]} */
+  const cues = [];
+  const blocks = srtText.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim().length > 0);
+    const timingLineIndex = lines.findIndex(line => SRT_TIMING_LINE_PATTERN.test(line));
+    if (timingLineIndex === -1) {
+      continue;
+    }
+    const [startTimestamp, endTimestamp] = lines[timingLineIndex].split('-->');
+    const startTime = parseSrtTimestamp(startTimestamp);
+    const endTime = parseSrtTimestamp(endTimestamp);
+    const text = normalizeSubtitleCueText(lines.slice(timingLineIndex + 1).join('\n'));
+    if (startTime === null || endTime === null || text.length === 0) {
+      continue;
+    }
+    cues.push({ startTime, endTime, text });
+  }
+  return cues;
+}
+
+/**
+ * Parse a WebVTT (.vtt) subtitle file with the parser shared with injected.js
+ * @param {string} vttText
+ * @returns {SubtitleCue[]} cues with non empty text, in file order
+ */
+function parseVttSubtitles(vttText) {
+  const vttFileTree = new WebVTTParser().parse(vttText);
+  /** @type {SubtitleCue[]} */
+  const cues = [];
+  for (const cue of vttFileTree.cues) {
+    if (cue && typeof cue.text === 'string') {
+      const text = normalizeSubtitleCueText(cue.text);
+      if (text.length > 0) {
+        cues.push({ startTime: cue.startTime, endTime: cue.endTime, text });
+      }
+    }
+  }
+  return cues;
+}
+
+/**
+ * Parse a TTML time expression
+ * @param {string | null} timeExpression - clock time "00:01:02.500", "00:01:02:12" (frames)
+ * or offset time "62.5s", "1500ms", "90f", "625000t"
+ * @param {{frameRate: number, tickRate: number}} timeBase - from ttp: attributes of the document
+ * @returns {number | null} seconds, null if missing or malformed
+ */
+function parseTtmlTime(timeExpression, timeBase) {
+  if (!timeExpression) {
+    return null;
+  }
+  const trimmedTimeExpression = timeExpression.trim();
+  const clockTime = TTML_CLOCK_TIME_PATTERN.exec(trimmedTimeExpression);
+  if (clockTime) {
+    const [, hours, minutes, seconds, frames] = clockTime;
+    return Number(hours) * 3600 +
+      Number(minutes) * 60 +
+      Number(seconds) +
+      (frames ? Number(frames) / timeBase.frameRate : 0);
+  }
+  const offsetTime = TTML_OFFSET_TIME_PATTERN.exec(trimmedTimeExpression);
+  if (!offsetTime) {
+    return null;
+  }
+  const value = Number(offsetTime[1]);
+  switch (offsetTime[2]) {
+    case 'h': return value * 3600;
+    case 'm': return value * 60;
+    case 's': return value;
+    case 'ms': return value / 1000;
+    case 'f': return value / timeBase.frameRate;
+    default: return value / timeBase.tickRate;
+  }
+}
+
+/**
+ * Text of a TTML element, <br/> as line break and nested <span> text in order
+ * @param {Node} node
+ * @returns {string}
+ */
+function getTtmlText(node) {
+  let text = '';
+  for (const childNode of Array.from(node.childNodes)) {
+    if (childNode.nodeType === Node.TEXT_NODE) {
+      text += childNode.nodeValue;
+    } else if (childNode.nodeType === Node.ELEMENT_NODE) {
+      text += /** @type {Element} */ (childNode).localName === 'br' ? '\n' : getTtmlText(childNode);
+    }
+  }
+  return text;
+}
+
+/**
+ * Parse a TTML, DFXP or IMSC1 text profile subtitle file
+ * @param {string} ttmlText - XML document with a <tt> root
+ * @returns {SubtitleCue[]} cues with non empty text, in document order
+ */
+function parseTtmlSubtitles(ttmlText) {
+  const ttmlDocument = new DOMParser().parseFromString(ttmlText, 'application/xml');
+  const ttElement = ttmlDocument.documentElement;
+  if (!ttElement || ttElement.localName !== 'tt') {
+    return [];
+  }
+
+  // ttp: attributes are namespaced, match them by local name to accept TTML and DFXP namespaces
+  /** @param {string} localName */
+  const getTtParameter = (localName) => Array.from(ttElement.attributes)
+    .find(attribute => attribute.localName === localName)?.value;
+  const frameRate = Number(getTtParameter('frameRate')) || 30;
+  const [multiplierNumerator, multiplierDenominator] =
+    (getTtParameter('frameRateMultiplier') || '1 1').split(/\s+/).map(Number);
+  const timeBase = {
+    frameRate: frameRate * ((multiplierNumerator || 1) / (multiplierDenominator || 1)),
+    tickRate: Number(getTtParameter('tickRate')) || 1,
+  };
+
+  /** @type {SubtitleCue[]} */
+  const cues = [];
+  for (const paragraph of Array.from(ttmlDocument.getElementsByTagNameNS('*', 'p'))) {
+    // Times of a paragraph are relative to begin times of its <div> and <body>
+    let parentBegin = 0;
+    for (let ancestor = paragraph.parentElement; ancestor; ancestor = ancestor.parentElement) {
+      parentBegin += parseTtmlTime(ancestor.getAttribute('begin'), timeBase) || 0;
+    }
+    const begin = parseTtmlTime(paragraph.getAttribute('begin'), timeBase);
+    let end = parseTtmlTime(paragraph.getAttribute('end'), timeBase);
+    const duration = parseTtmlTime(paragraph.getAttribute('dur'), timeBase);
+    if (end === null && begin !== null && duration !== null) {
+      end = begin + duration;
+    }
+    const text = normalizeSubtitleCueText(getTtmlText(paragraph));
+    if (begin === null || end === null || text.length === 0) {
+      continue;
+    }
+    cues.push({ startTime: parentBegin + begin, endTime: parentBegin + end, text });
+  }
+  return cues;
+}
+
+/**
+ * Tell the subtitle format of a response or file, by content type first, then by file extension,
+ * then by the text itself
+ * @param {string} contentType - Content-Type header, exp: "text/vtt; charset=utf-8", "" if unknown
+ * @param {string} url - URL or file name, exp: "https://example.com/subs/fi.dfxp?token=1"
+ * @param {string | null} text - body, null if not read yet
+ * @returns {SubtitleFormat | null} null if it is not a subtitle format we can parse
+ */
+function detectSubtitleFormat(contentType, url, text) {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  if (SUBTITLE_FORMAT_BY_CONTENT_TYPE[mimeType]) {
+    return SUBTITLE_FORMAT_BY_CONTENT_TYPE[mimeType];
+  }
+
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  const fileExtension = path.includes('.') ? path.slice(path.lastIndexOf('.') + 1) : '';
+  if (SUBTITLE_FORMAT_BY_FILE_EXTENSION[fileExtension]) {
+    return SUBTITLE_FORMAT_BY_FILE_EXTENSION[fileExtension];
+  }
+
+  if (text === null) {
+    return null;
+  }
+  const textStart = text.replace(/^\uFEFF/, '').trimStart().slice(0, 1000);
+  if (textStart.startsWith('WEBVTT')) {
+    return SubtitleFormat.WEBVTT;
+  }
+  if (TTML_ROOT_PATTERN.test(textStart)) {
+    return SubtitleFormat.TTML;
+  }
+  if (SRT_START_PATTERN.test(textStart)) {
+    return SubtitleFormat.SRT;
+  }
+  return null;
+}
+
+/**
+ * Whether a response of this content type may be a subtitle file, to sniff its format from the body,
+ * so video segments and JSON responses are never decoded
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+function canSniffSubtitleFormat(contentType) {
+  return SNIFFABLE_SUBTITLE_CONTENT_TYPES.includes(contentType.split(';')[0].trim().toLowerCase());
+}
+
+/**
+ * Generic content types are used by video segments and APIs too, so a response of them is only
+ * read when its URL names subtitles
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSubtitleUrl(url) {
+  return SUBTITLE_URL_PATTERN.test(url);
+}
+
+/**
+ * @param {string} text
+ * @param {SubtitleFormat} subtitleFormat
+ * @returns {SubtitleCue[]}
+ */
+function parseSubtitleText(text, subtitleFormat) {
+  switch (subtitleFormat) {
+    case SubtitleFormat.WEBVTT: return parseVttSubtitles(text);
+    case SubtitleFormat.SRT: return parseSrtSubtitles(text);
+    case SubtitleFormat.TTML: return parseTtmlSubtitles(text);
+    default: return [];
+  }
+}
+
+/**
+ * Parse a subtitle file in the format given by its extension, or by its content if the extension
+ * is unknown
+ * @param {string} fileText
+ * @param {string} fileName - exp: "jakso-1.fi.srt"
+ * @returns {SubtitleCue[]} empty if the format is not supported
+ */
+function parseSubtitleFile(fileText, fileName) {
+  const subtitleFormat = detectSubtitleFormat('', fileName, fileText);
+  return subtitleFormat ? parseSubtitleText(fileText, subtitleFormat) : [];
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    SubtitleFormat,
+    parseSrtTimestamp,
+    normalizeSubtitleCueText,
+    parseSrtSubtitles,
+    parseVttSubtitles,
+    parseTtmlTime,
+    parseTtmlSubtitles,
+    detectSubtitleFormat,
+    canSniffSubtitleFormat,
+    isSubtitleUrl,
+    parseSubtitleText,
+    parseSubtitleFile,
+  };
+}
+// In browser extension (content script, background), functions are automatically global
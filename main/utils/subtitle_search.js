@@ -0,0 +1,148 @@
+// Search of the subtitle lines cached across all episodes, to answer "where have I heard this before?".
+// Run by subtitle_search_worker.js for the options page, kept free of chrome APIs so it can be unit tested.
+
+/** @enum {string} */
+const SubtitleSearchMode = Object.freeze({
+  // Every word of the query as a whole word, in any order
+  WORDS: "words",
+  // The query as typed, anywhere in the line, also inside longer words
+  PHRASE: "phrase",
+  // The query is a regular expression
+  REGEX: "regex",
+});
+
+/** Lines returned by one search, so a very common word does not send the whole cache to the options page */
+const MAX_SUBTITLE_SEARCH_RESULTS = 500;
+
+// \b only knows ASCII letters, so "ä" and "ö" would end a Finnish word
+const NOT_AFTER_WORD_CHARACTER = '(?<![\\p{L}\\p{N}])';
+const NOT_BEFORE_WORD_CHARACTER = '(?![\\p{L}\\p{N}])';
+
+/**
+ * @typedef {Object} SubtitleSearchLine
+ * @property {string} originalText - Finnish subtitle line as cached (normalized)
+ * @property {string} translatedText
+ * @property {Array<[number, number]>} matchRanges - start and end index of every match in originalText
+ */
+
+/**
+ * @typedef {Object} SubtitleSearchEpisode
+ * @property {string} movieName
+ * @property {Array<SubtitleSearchLine>} lines
+ */
+
+/**
+ * @typedef {Object} SubtitleSearchResult
+ * @property {Array<SubtitleSearchEpisode>} episodes - sorted by movie name
+ * @property {number} lineCount - lines returned
+ * @property {boolean} isTruncated - whether more lines matched than MAX_SUBTITLE_SEARCH_RESULTS
+ */
+
+/**
+ * @param {string} text
+ * @returns {string} text matching itself inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {string} searchQuery - as typed by the user
+ * @param {string} searchMode - one of SubtitleSearchMode
+ * @returns {RegExp[]} patterns a line must all match, empty for an empty query
+ * @throws {SyntaxError} if the query is not a valid regular expression in regex mode
+ */
+function buildSubtitleSearchPatterns(searchQuery, searchMode) {
+  const trimmedQuery = searchQuery.trim();
+  if (!trimmedQuery) {
+    return [];
+  }
+  if (searchMode === SubtitleSearchMode.REGEX) {
+    return [new RegExp(trimmedQuery, 'giu')];
+  }
+  const queryWords = trimmedQuery.split(/\s+/).map(escapeRegExp);
+  if (searchMode === SubtitleSearchMode.PHRASE) {
+    return [new RegExp(queryWords.join('\\s+'), 'giu')];
+  }
+  return queryWords.map(queryWord =>
+    new RegExp(`${NOT_AFTER_WORD_CHARACTER}${queryWord}${NOT_BEFORE_WORD_CHARACTER}`, 'giu')
+  );
+}
+
+/**
+ * @param {string} text
+ * @param {RegExp[]} searchPatterns - global patterns from buildSubtitleSearchPatterns
+ * @returns {Array<[number, number]> | null} sorted ranges to highlight, null if a pattern does not match
+ */
+function findSubtitleSearchMatches(text, searchPatterns) {
+  /** @type {Array<[number, number]>} */
+  const matchRanges = [];
+  for (const searchPattern of searchPatterns) {
+    const matches = Array.from(text.matchAll(searchPattern));
+    if (matches.length === 0) {
+      return null;
+    }
+    for (const match of matches) {
+      // A regex like "a*" also matches nothing, which is a match but nothing to highlight
+      if (match[0].length > 0) {
+        matchRanges.push([match.index, match.index + match[0].length]);
+      }
+    }
+  }
+  return matchRanges.sort((rangeA, rangeB) => rangeA[0] - rangeB[0]);
+}
+
+/**
+ * Find the cached lines matching every pattern, grouped by episode
+ * @param {SubtitleRecord[]} subtitleRecords
+ * @param {RegExp[]} searchPatterns - from buildSubtitleSearchPatterns
+ * @param {number} [maxResults]
+ * @returns {SubtitleSearchResult}
+ */
+function searchSubtitleRecords(
+  subtitleRecords,
+  searchPatterns,
+  maxResults = MAX_SUBTITLE_SEARCH_RESULTS
+) {
+  /** @type {Map<string, SubtitleSearchLine[]>} */
+  const linesByMovieName = new Map();
+  let lineCount = 0;
+  let isTruncated = false;
+  if (searchPatterns.length > 0) {
+    for (const subtitleRecord of subtitleRecords) {
+      const matchRanges = findSubtitleSearchMatches(subtitleRecord.originalText, searchPatterns);
+      if (!matchRanges) {
+        continue;
+      }
+      if (lineCount >= maxResults) {
+        isTruncated = true;
+        break;
+      }
+      if (!linesByMovieName.has(subtitleRecord.movieName)) {
+        linesByMovieName.set(subtitleRecord.movieName, []);
+      }
+      linesByMovieName.get(subtitleRecord.movieName).push({
+        originalText: subtitleRecord.originalText,
+        translatedText: subtitleRecord.translatedText,
+        matchRanges,
+      });
+      lineCount++;
+    }
+  }
+  const episodes = Array.from(linesByMovieName, ([movieName, lines]) => ({ movieName, lines }))
+    .sort((episodeA, episodeB) => episodeA.movieName.localeCompare(episodeB.movieName));
+  return { episodes, lineCount, isTruncated };
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    SubtitleSearchMode,
+    MAX_SUBTITLE_SEARCH_RESULTS,
+    buildSubtitleSearchPatterns,
+    findSubtitleSearchMatches,
+    searchSubtitleRecords,
+  };
+}
+// In browser extension (content script, background), functions are automatically global
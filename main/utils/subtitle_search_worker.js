@@ -0,0 +1,20 @@
+// Dedicated worker started by the options page for each subtitle search. A regular expression
+// typed by the user can backtrack for ever on some lines, exp: "(a+)+$", so the search runs here
+// where the options page can terminate it, never in the background service worker.
+
+/* global importScripts, buildSubtitleSearchPatterns, searchSubtitleRecords */
+importScripts('subtitle_search.js');
+
+/**
+ * @param {MessageEvent<{subtitleRecords: SubtitleRecord[], searchQuery: string, searchMode: string}>} event
+ */
+self.onmessage = (event) => {
+  const { subtitleRecords, searchQuery, searchMode } = event.data;
+  try {
+    const searchPatterns = buildSubtitleSearchPatterns(searchQuery, searchMode);
+    self.postMessage([true, searchSubtitleRecords(subtitleRecords, searchPatterns)]);
+  } catch (error) {
+    // Invalid regular expression typed by the user
+    self.postMessage([false, error?.message || String(error)]);
+  }
+};
@@ -0,0 +1,510 @@
+// Helpers for the whole subtitle track intercepted by injected.js.
+// Shared by every platform content script, kept free of DOM access so they can be unit tested.
+
+/**
+ * Number of lines sent per translation request in pre-translate episode mode.
+ * Much larger than the on-demand batch, so a whole episode needs only a handful of requests.
+ */
+const PRE_TRANSLATION_BATCH_SIZE = 50;
+
+/** @enum {string} */
+const SentenceMergingMode = Object.freeze({
+  OFF: "off",
+  // Translate merged sentence once, then split the translation across its cues by length
+  PROPORTIONAL: "proportional",
+  // Translate merged sentence once, then show the whole translation under each of its cues
+  SPANNING: "spanning",
+});
+
+// Cues further apart than this are never considered the same sentence
+const SENTENCE_MERGE_MAX_GAP_SECONDS = 1.5;
+// Upper bound of cues in one merged sentence, so a track without punctuation does not become one unit
+const SENTENCE_MERGE_MAX_CUES = 4;
+
+/** @enum {string} */
+const SubtitleLineNavigation = Object.freeze({
+  PREVIOUS: "previous",
+  REPLAY: "replay",
+  NEXT: "next",
+});
+
+// Seeking does not always land exactly on the requested time, so a playhead slightly before
+// the start of a line already counts as being on that line
+const SUBTITLE_LINE_START_TOLERANCE_SECONDS = 0.3;
+
+// Shadowing mode never resumes sooner than this, so even a one word line can be repeated
+const SHADOWING_MINIMUM_RESUME_DELAY_MS = 1000;
+
+/** @enum {string} */
+const LoopPlaybackRateSchedule = Object.freeze({
+  NORMAL: "normal",
+  SLOW_THEN_NORMAL: "slow-then-normal",
+  SLOWER_THEN_NORMAL: "slower-then-normal",
+});
+// Playback rate of each repeat of a loop, relative to the speed the viewer watches at.
+// The last rate is kept for the remaining repeats.
+const LOOP_PLAYBACK_RATES_BY_SCHEDULE = {
+  [LoopPlaybackRateSchedule.NORMAL]: [1],
+  [LoopPlaybackRateSchedule.SLOW_THEN_NORMAL]: [0.75, 1],
+  [LoopPlaybackRateSchedule.SLOWER_THEN_NORMAL]: [0.5, 0.75, 1],
+};
+// A-B marks closer than this are a double click, not a range worth looping
+const LOOP_MINIMUM_RANGE_SECONDS = 0.5;
+
+/**
+ * Parse `detail` of "sendSubtitleTrackEvent" dispatched by injected.js.
+ * Detail is a JSON string, because objects cannot cross from page world to content script world.
+ * @param {unknown} eventDetail
+ * @returns {SubtitleCue[]} valid cues with non empty text, empty array if detail is malformed
+ */
+function parseSubtitleTrackEventDetail(eventDetail) {
+  if (typeof eventDetail !== "string") {
+    return [];
+  }
+  let parsedDetail;
+  try {
+    parsedDetail = JSON.parse(eventDetail);
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Cannot parse subtitle track event detail:", error);
+    return [];
+  }
+  if (!parsedDetail || !Array.isArray(parsedDetail.cues)) {
+    return [];
+  }
+
+  /** @type {SubtitleCue[]} */
+  const cues = [];
+  for (const cue of parsedDetail.cues) {
+    if (
+      cue &&
+      typeof cue.startTime === "number" &&
+      typeof cue.endTime === "number" &&
+      typeof cue.text === "string" &&
+      cue.text.trim().length > 0
+    ) {
+      cues.push({ startTime: cue.startTime, endTime: cue.endTime, text: cue.text });
+    }
+  }
+  return cues;
+}
+
+/**
+ * Order cues so the ones the viewer is about to see come first:
+ * cues not finished yet at `currentTime` by start time, then already passed cues,
+ * nearest to the playhead first (for users rewinding).
+ * @param {SubtitleCue[]} cues
+ * @param {number} currentTime - video current time in seconds
+ * @returns {SubtitleCue[]} new array, input is not modified
+ */
+function orderCuesAroundPlayhead(cues, currentTime) {
+  const upcomingCues = cues
+    .filter(cue => cue.endTime >= currentTime)
+    .sort((a, b) => a.startTime - b.startTime);
+  const passedCues = cues
+    .filter(cue => cue.endTime < currentTime)
+    .sort((a, b) => b.startTime - a.startTime);
+  return [...upcomingCues, ...passedCues];
+}
+
+/**
+ * Take the next translation batch from pending cues, nearest to the playhead first.
+ * Cues repeating a line already in the batch are dropped, they share the same translation.
+ * @param {SubtitleCue[]} pendingCues
+ * @param {number} currentTime - video current time in seconds
+ * @param {number} batchMaximumSize - maximum number of distinct lines in the batch
+ * @param {(rawSubtitleFinnishText: string) => string} toTranslationKey
+ * @returns {{batch: SubtitleCue[], remainingCues: SubtitleCue[]}} remaining cues keep priority order
+ */
+function takeNextTranslationBatch(pendingCues, currentTime, batchMaximumSize, toTranslationKey) {
+  const orderedCues = orderCuesAroundPlayhead(pendingCues, currentTime);
+
+  /** @type {Set<string>} */
+  const batchTranslationKeys = new Set();
+  /** @type {SubtitleCue[]} */
+  const batch = [];
+  for (const cue of orderedCues) {
+    if (batch.length >= batchMaximumSize) {
+      break;
+    }
+    const translationKey = toTranslationKey(cue.text);
+    if (!batchTranslationKeys.has(translationKey)) {
+      batchTranslationKeys.add(translationKey);
+      batch.push(cue);
+    }
+  }
+
+  const remainingCues = orderedCues.filter(
+    cue => !batchTranslationKeys.has(toTranslationKey(cue.text))
+  );
+  return { batch, remainingCues };
+}
+
+/**
+ * Build translation context for a batch from the neighbouring lines of each batch cue.
+ * Finnish subtitles often split one sentence across two cues, so the previous and next lines
+ * (batch lines included) let the translation service see the whole sentence.
+ * @param {SubtitleCue[]} batch - cues from `trackCues` (or sentences merged from them) to translate
+ * @param {SubtitleCue[]} trackCues - whole subtitle track, sorted by start time
+ * @param {number} contextWindowSize - number of previous and next lines per cue, 0 disables context
+ * @returns {string} context lines in track order separated by new lines, empty string if none
+ */
+function buildTranslationContext(batch, trackCues, contextWindowSize) {
+  if (contextWindowSize <= 0 || batch.length === 0) {
+    return "";
+  }
+
+  const batchCues = new Set(batch.flatMap(cue => cue.sourceCues || [cue]));
+  /** @type {Set<number>} */
+  const contextIndices = new Set();
+  trackCues.forEach((cue, index) => {
+    if (!batchCues.has(cue)) {
+      return;
+    }
+    const firstIndex = Math.max(0, index - contextWindowSize);
+    const lastIndex = Math.min(trackCues.length - 1, index + contextWindowSize);
+    for (let contextIndex = firstIndex; contextIndex <= lastIndex; contextIndex++) {
+      contextIndices.add(contextIndex);
+    }
+  });
+
+  return Array.from(contextIndices)
+    .sort((a, b) => a - b)
+    .map(contextIndex => trackCues[contextIndex].text)
+    .join("\n");
+}
+
+/**
+ * Whether `nextCue` continues the sentence which `previousCue` started:
+ * previous line has no terminal punctuation, next line is not a new speaker ("- ...")
+ * and the gap between them is short.
+ * @param {SubtitleCue} previousCue
+ * @param {SubtitleCue} nextCue
+ * @param {number} maxGapSeconds
+ * @returns {boolean}
+ */
+function isSentenceContinuedByCue(previousCue, nextCue, maxGapSeconds) {
+  const previousText = previousCue.text.trim();
+  const nextText = nextCue.text.trim();
+  if (!/[a-zäöå]/i.test(previousText) || !/[a-zäöå]/i.test(nextText)) {
+    return false;
+  }
+  if (/[.!?…]["'”»)\]]*$/.test(previousText)) {
+    return false;
+  }
+  if (/^[-–—]/.test(nextText)) {
+    return false;
+  }
+  return nextCue.startTime - previousCue.endTime <= maxGapSeconds;
+}
+
+/**
+ * Merge consecutive cues forming one sentence into a single translation unit.
+ * Merged unit spans the timings of its cues, its text is the cue texts joined,
+ * and `sourceCues` keeps the original cues so the translation can be mapped back.
+ * Cues which are a sentence on their own are returned as is.
+ * @param {SubtitleCue[]} cues - sorted by start time
+ * @param {number} [maxGapSeconds]
+ * @returns {SubtitleCue[]}
+ */
+function mergeCuesIntoSentences(cues, maxGapSeconds = SENTENCE_MERGE_MAX_GAP_SECONDS) {
+  /** @type {SubtitleCue[][]} */
+  const sentenceGroups = [];
+  /** @type {SubtitleCue[]} */
+  let currentGroup = [];
+  for (const cue of cues) {
+    const previousCue = currentGroup[currentGroup.length - 1];
+    if (
+      previousCue &&
+      (currentGroup.length >= SENTENCE_MERGE_MAX_CUES ||
+        !isSentenceContinuedByCue(previousCue, cue, maxGapSeconds))
+    ) {
+      sentenceGroups.push(currentGroup);
+      currentGroup = [];
+    }
+    currentGroup.push(cue);
+  }
+  if (currentGroup.length > 0) {
+    sentenceGroups.push(currentGroup);
+  }
+
+  return sentenceGroups.map((sentenceGroup) => {
+    if (sentenceGroup.length === 1) {
+      return sentenceGroup[0];
+    }
+    return {
+      startTime: sentenceGroup[0].startTime,
+      endTime: sentenceGroup[sentenceGroup.length - 1].endTime,
+      text: sentenceGroup.map(cue => cue.text.trim()).join(" "),
+      sourceCues: sentenceGroup,
+    };
+  });
+}
+
+/**
+ * Split a translated sentence into parts, one per source text, proportionally to
+ * the length of each source text. Words are never cut in the middle.
+ * @param {string} translatedText
+ * @param {string[]} sourceTexts
+ * @returns {string[]} same length as `sourceTexts`, parts may be empty if translation is too short
+ */
+function splitTranslationProportionally(translatedText, sourceTexts) {
+  const words = translatedText.trim().split(/\s+/).filter(word => word.length > 0);
+  const weights = sourceTexts.map(sourceText => Math.max(sourceText.trim().length, 1));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  /** @type {string[]} */
+  const parts = [];
+  let startWordIndex = 0;
+  let cumulativeWeight = 0;
+  weights.forEach((weight, index) => {
+    cumulativeWeight += weight;
+    const remainingPartsCount = weights.length - index - 1;
+    let endWordIndex = remainingPartsCount === 0 ?
+      words.length :
+      Math.round(words.length * cumulativeWeight / totalWeight);
+    // Keep at least one word per part while there are enough words for the following parts,
+    // when there are not, earlier parts get the words first
+    const lastAllowedWordIndex = Math.max(
+      words.length - remainingPartsCount,
+      Math.min(startWordIndex + 1, words.length),
+    );
+    endWordIndex = Math.min(Math.max(endWordIndex, startWordIndex + 1), lastAllowedWordIndex);
+    parts.push(words.slice(startWordIndex, endWordIndex).join(" "));
+    startWordIndex = endWordIndex;
+  });
+  return parts;
+}
+
+/**
+ * Map the translation of a translation unit back to the original cue texts
+ * @param {SubtitleCue} cue - single cue, or merged sentence from `mergeCuesIntoSentences`
+ * @param {string} translatedText
+ * @param {string} sentenceMergingMode - one of SentenceMergingMode values
+ * @returns {Array<{text: string, translatedText: string}>}
+ */
+function distributeTranslationToSourceCues(cue, translatedText, sentenceMergingMode) {
+  if (!cue.sourceCues) {
+    return [{ text: cue.text, translatedText }];
+  }
+  const sourceTexts = cue.sourceCues.map(sourceCue => sourceCue.text);
+  if (sentenceMergingMode === SentenceMergingMode.PROPORTIONAL) {
+    const translatedParts = splitTranslationProportionally(translatedText, sourceTexts);
+    return sourceTexts.map((text, index) => ({ text, translatedText: translatedParts[index] }));
+  }
+  return sourceTexts.map(text => ({ text, translatedText }));
+}
+
+/**
+ * Count how many distinct subtitle lines of the track already have a translation
+ * @param {SubtitleCue[]} cues
+ * @param {Map<string, string>} translationMap - normalized Finnish text => translated text
+ * @param {(rawSubtitleFinnishText: string) => string} toTranslationKey
+ * @returns {{translatedCount: number, totalCount: number}}
+ */
+function countTranslatedSubtitleLines(cues, translationMap, toTranslationKey) {
+  const translationKeys = new Set(cues.map(cue => toTranslationKey(cue.text)));
+  let translatedCount = 0;
+  for (const translationKey of translationKeys) {
+    if (translationMap.has(translationKey)) {
+      translatedCount++;
+    }
+  }
+  return { translatedCount, totalCount: translationKeys.size };
+}
+
+/**
+ * Find where to seek to land exactly on the start of a subtitle line.
+ * The current line is the last one started at `currentTime`, even if it has already ended,
+ * so replaying between two lines repeats the line just heard.
+ * @param {SubtitleCue[]} cues - in any order, cues starting together count as one line
+ * @param {number} currentTime - video current time in seconds
+ * @param {SubtitleLineNavigation} navigation
+ * @returns {number | null} start time of the target line, null if there is no such line
+ */
+function findSubtitleLineSeekTime(cues, currentTime, navigation) {
+  const lineStartTimes = [...new Set(cues.map(cue => cue.startTime))].sort((a, b) => a - b);
+  let currentLineIndex = -1;
+  while (currentLineIndex + 1 < lineStartTimes.length &&
+    lineStartTimes[currentLineIndex + 1] <= currentTime + SUBTITLE_LINE_START_TOLERANCE_SECONDS) {
+    currentLineIndex++;
+  }
+
+  const targetLineIndex = {
+    [SubtitleLineNavigation.PREVIOUS]: currentLineIndex - 1,
+    [SubtitleLineNavigation.REPLAY]: currentLineIndex,
+    [SubtitleLineNavigation.NEXT]: currentLineIndex + 1,
+  }[navigation];
+  return lineStartTimes[targetLineIndex] ?? null;
+}
+
+/**
+ * Find the subtitle line on screen at `currentTime`, the latest started one if lines overlap
+ * @param {SubtitleCue[]} cues - in any order, cues starting together count as one line
+ * @param {number} currentTime - video current time in seconds
+ * @returns {{startTime: number, endTime: number} | null} null between lines
+ */
+function findCurrentSubtitleLine(cues, currentTime) {
+  /** @type {{startTime: number, endTime: number} | null} */
+  let currentLine = null;
+  for (const cue of cues) {
+    if (cue.startTime > currentTime || cue.endTime <= currentTime) {
+      continue;
+    }
+    if (!currentLine || cue.startTime > currentLine.startTime) {
+      currentLine = { startTime: cue.startTime, endTime: cue.endTime };
+    } else if (cue.startTime === currentLine.startTime) {
+      currentLine.endTime = Math.max(currentLine.endTime, cue.endTime);
+    }
+  }
+  return currentLine;
+}
+
+/**
+ * @param {{startTime: number, endTime: number}} subtitleLine - line the video paused at
+ * @param {number} resumeDelayFactor - multiple of the line duration, 0 waits for a key press
+ * @returns {number | null} milliseconds to wait before resuming, null to wait for a key press
+ */
+function getShadowingResumeDelayMs(subtitleLine, resumeDelayFactor) {
+  if (resumeDelayFactor <= 0) {
+    return null;
+  }
+  const lineDurationMs = (subtitleLine.endTime - subtitleLine.startTime) * 1000;
+  const resumeDelayMs = Math.round(lineDurationMs * resumeDelayFactor);
+  return Math.max(SHADOWING_MINIMUM_RESUME_DELAY_MS, resumeDelayMs);
+}
+
+/**
+ * Find the subtitle line to loop: the one on screen, otherwise the one just heard
+ * @param {SubtitleCue[]} cues
+ * @param {number} currentTime - video current time in seconds
+ * @returns {{startTime: number, endTime: number} | null} null before the first line
+ */
+function findSubtitleLineToRepeat(cues, currentTime) {
+  const currentLine = findCurrentSubtitleLine(cues, currentTime);
+  if (currentLine) {
+    return currentLine;
+  }
+  const passedCues = cues.filter(cue => cue.endTime <= currentTime);
+  if (passedCues.length === 0) {
+    return null;
+  }
+  const lastPassedStartTime = Math.max(...passedCues.map(cue => cue.startTime));
+  return findCurrentSubtitleLine(passedCues, lastPassedStartTime);
+}
+
+/**
+ * @param {number} markA - seconds
+ * @param {number} markB - seconds, may be before markA
+ * @returns {{startTime: number, endTime: number} | null} null if the marks are too close
+ */
+function toLoopRange(markA, markB) {
+  if (Math.abs(markB - markA) < LOOP_MINIMUM_RANGE_SECONDS) {
+    return null;
+  }
+  return { startTime: Math.min(markA, markB), endTime: Math.max(markA, markB) };
+}
+
+/**
+ * @param {LoopPlaybackRateSchedule} playbackRateSchedule
+ * @param {number} repeatIndex - 0 for the first play of the loop
+ * @param {number} normalPlaybackRate - speed the viewer watches at outside the loop
+ * @returns {number} playback rate of this repeat
+ */
+function getLoopRepeatPlaybackRate(playbackRateSchedule, repeatIndex, normalPlaybackRate) {
+  const playbackRates = LOOP_PLAYBACK_RATES_BY_SCHEDULE[playbackRateSchedule] ||
+    LOOP_PLAYBACK_RATES_BY_SCHEDULE[LoopPlaybackRateSchedule.NORMAL];
+  return playbackRates[Math.min(repeatIndex, playbackRates.length - 1)] * normalPlaybackRate;
+}
+
+/**
+ * Lines of the transcript panel: every line of the track once, in playback order, with its translation
+ * @param {SubtitleCue[]} cues
+ * @param {Map<string, string>} translationMap - normalized Finnish text => translated text
+ * @param {(rawSubtitleFinnishText: string) => string} toTranslationKey
+ * @returns {TranscriptLine[]} translatedText is "" for lines not translated yet
+ */
+function buildTranscriptLines(cues, translationMap, toTranslationKey) {
+  const seenLineKeys = new Set();
+  /** @type {TranscriptLine[]} */
+  const transcriptLines = [];
+  for (const cue of [...cues].sort((a, b) => a.startTime - b.startTime)) {
+    const lineKey = `${cue.startTime}|${cue.text}`;
+    if (cue.text.length === 0 || seenLineKeys.has(lineKey)) {
+      continue;
+    }
+    seenLineKeys.add(lineKey);
+    transcriptLines.push({
+      startTime: cue.startTime,
+      endTime: cue.endTime,
+      text: cue.text,
+      translatedText: translationMap.get(toTranslationKey(cue.text)) || '',
+    });
+  }
+  return transcriptLines;
+}
+
+/**
+ * @param {TranscriptLine} transcriptLine
+ * @param {string} searchQuery - as typed by the viewer
+ * @returns {boolean} whether the Finnish line or its translation contains the query, ignoring case
+ */
+function matchesTranscriptSearch(transcriptLine, searchQuery) {
+  const normalizedQuery = searchQuery.trim().toLowerCase();
+  if (normalizedQuery.length === 0) {
+    return true;
+  }
+  return transcriptLine.text.toLowerCase().includes(normalizedQuery) ||
+    transcriptLine.translatedText.toLowerCase().includes(normalizedQuery);
+}
+
+/**
+ * Find the line to highlight in the transcript: the last one started, so the highlight stays
+ * on the line just heard until the next one starts
+ * @param {TranscriptLine[]} transcriptLines - sorted by start time
+ * @param {number} currentTime - video current time in seconds
+ * @returns {number} index in transcriptLines, -1 before the first line
+ */
+function findActiveTranscriptLineIndex(transcriptLines, currentTime) {
+  let low = 0;
+  let high = transcriptLines.length - 1;
+  let activeLineIndex = -1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (transcriptLines[middle].startTime <= currentTime) {
+      activeLineIndex = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return activeLineIndex;
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    PRE_TRANSLATION_BATCH_SIZE,
+    parseSubtitleTrackEventDetail,
+    orderCuesAroundPlayhead,
+    takeNextTranslationBatch,
+    SentenceMergingMode,
+    mergeCuesIntoSentences,
+    splitTranslationProportionally,
+    distributeTranslationToSourceCues,
+    buildTranslationContext,
+    countTranslatedSubtitleLines,
+    SubtitleLineNavigation,
+    findSubtitleLineSeekTime,
+    findCurrentSubtitleLine,
+    getShadowingResumeDelayMs,
+    LoopPlaybackRateSchedule,
+    findSubtitleLineToRepeat,
+    toLoopRange,
+    getLoopRepeatPlaybackRate,
+    buildTranscriptLines,
+    matchesTranscriptSearch,
+    findActiveTranscriptLineIndex,
+  };
+}
+// In browser extension (content script), functions are automatically global
@@ -0,0 +1,154 @@
+// Word level helpers for the Finnish subtitle row: tokenizing with positions and reading mode rendering.
+// Shared by every platform content script, kept free of chrome APIs so they can be unit tested.
+
+/**
+ * A word starts with a letter and may continue with letters, digits and inner joiners,
+ * exp: "maa-alue", "EU:n", "rock'n'roll"
+ */
+const SUBTITLE_WORD_PATTERN = /\p{L}[\p{L}\p{M}\p{N}]*(?:[-'’:][\p{L}\p{M}\p{N}]+)*/gu;
+
+/**
+ * @typedef {Object} SubtitleToken
+ * @property {string} text - Token text, exactly as in the subtitle line
+ * @property {number} start - Index of the first character in the subtitle line
+ * @property {number} end - Index after the last character in the subtitle line
+ * @property {boolean} isWord - false for whitespace, punctuation and numbers between words
+ */
+
+/**
+ * Split a subtitle line into words and the text between them.
+ * Joining every token text gives back the original line.
+ * @param {string} text
+ * @returns {SubtitleToken[]}
+ */
+function tokenizeSubtitleText(text) {
+  /** @type {SubtitleToken[]} */
+  const tokens = [];
+  let previousWordEnd = 0;
+  for (const wordMatch of text.matchAll(SUBTITLE_WORD_PATTERN)) {
+    const wordStart = wordMatch.index;
+    const wordEnd = wordStart + wordMatch[0].length;
+    if (wordStart > previousWordEnd) {
+      tokens.push({
+        text: text.slice(previousWordEnd, wordStart),
+        start: previousWordEnd,
+        end: wordStart,
+        isWord: false,
+      });
+    }
+    tokens.push({ text: wordMatch[0], start: wordStart, end: wordEnd, isWord: true });
+    previousWordEnd = wordEnd;
+  }
+  if (previousWordEnd < text.length) {
+    tokens.push({
+      text: text.slice(previousWordEnd),
+      start: previousWordEnd,
+      end: text.length,
+      isWord: false,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} words without surrounding punctuation
+ */
+function splitIntoWords(text) {
+  return tokenizeSubtitleText(text)
+    .filter(token => token.isWord)
+    .map(token => token.text);
+}
+
+/**
+ * @param {string} word
+ * @returns {string} key of the word in the vocabulary notebook
+ */
+function toVocabularyKey(word) {
+  return word.trim().toLowerCase();
+}
+
+/**
+ * Replace the content of the Finnish subtitle row with one clickable span per word,
+ * unknown words get "dual-sub-word--unknown" class to be coloured differently.
+ * Text between words is kept as text nodes, so textContent of the row stays the subtitle line.
+ * @param {HTMLElement} subtitleRowElement
+ * @param {string} text
+ * @param {Set<string> | null} knownWords - vocabulary keys of words marked as known,
+ * null when reading mode is off and no word is marked as unknown
+ */
+function renderSubtitleWords(subtitleRowElement, text, knownWords) {
+  const fragment = document.createDocumentFragment();
+  for (const token of tokenizeSubtitleText(text)) {
+    if (!token.isWord) {
+      fragment.appendChild(document.createTextNode(token.text));
+      continue;
+    }
+    const wordElement = document.createElement('span');
+    wordElement.className = 'dual-sub-word';
+    wordElement.dataset.word = toVocabularyKey(token.text);
+    wordElement.dataset.start = String(token.start);
+    wordElement.textContent = token.text;
+    if (knownWords) {
+      wordElement.classList.toggle('dual-sub-word--unknown', !knownWords.has(wordElement.dataset.word));
+    }
+    fragment.appendChild(wordElement);
+  }
+  subtitleRowElement.replaceChildren(fragment);
+}
+
+/**
+ * Update colour of every rendered span of a word after its known status changed
+ * @param {Document | Element} root
+ * @param {string} vocabularyKey
+ * @param {boolean} known
+ */
+function updateRenderedWordKnownStatus(root, vocabularyKey, known) {
+  for (const wordElement of Array.from(root.querySelectorAll('.dual-sub-word'))) {
+    if (/** @type {HTMLElement} */ (wordElement).dataset.word === vocabularyKey) {
+      wordElement.classList.toggle('dual-sub-word--unknown', !known);
+    }
+  }
+}
+
+/**
+ * Create a range over characters of an element's text, even when the text is split across
+ * several text nodes, exp: words rendered as spans in reading mode
+ * @param {Node} element
+ * @param {number} startIndex - index in element textContent
+ * @param {number} endIndex - index in element textContent
+ * @returns {Range | null} null if indexes are outside of the text
+ */
+function createTextRange(element, startIndex, endIndex) {
+  const range = document.createRange();
+  const textNodeWalker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  let textNodeStartIndex = 0;
+  let isStartSet = false;
+  for (let textNode = textNodeWalker.nextNode(); textNode; textNode = textNodeWalker.nextNode()) {
+    const textNodeEndIndex = textNodeStartIndex + textNode.textContent.length;
+    if (!isStartSet && startIndex <= textNodeEndIndex) {
+      range.setStart(textNode, startIndex - textNodeStartIndex);
+      isStartSet = true;
+    }
+    if (isStartSet && endIndex <= textNodeEndIndex) {
+      range.setEnd(textNode, endIndex - textNodeStartIndex);
+      return range;
+    }
+    textNodeStartIndex = textNodeEndIndex;
+  }
+  return null;
+}
+
+// Conditional export for testing
+// @ts-ignore - module may not be defined in browser
+if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
+  module.exports = {
+    tokenizeSubtitleText,
+    splitIntoWords,
+    toVocabularyKey,
+    renderSubtitleWords,
+    updateRenderedWordKnownStatus,
+    createTextRange,
+  };
+}
+// In browser extension (content script), functions are automatically global
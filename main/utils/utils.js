@@ -1,10 +1,52 @@
+/* global loadLegacyPageDatabaseRecords, deleteLegacyPageDatabase */ // defined in database.js
+/* global splitIntoWords, createTextRange, updateRenderedWordKnownStatus */ // defined in subtitle_words.js
+/* global analyzeFinnishWord, toFinnishWordAnalysisRows */ // defined in finnish_morphology.js
+/* global toDictionaryEntryRows, toDictionaryEntryTranslation */ // defined in dictionary.js
+
 const DEFAULT_TARGET_LANGUAGE = 'EN-US';
+const DEFAULT_TRANSLATION_PROVIDER = 'deepl';
+const DEFAULT_CONTEXT_WINDOW_SIZE = 2;
+const DEFAULT_SENTENCE_MERGING_MODE = 'off';
+const SENTENCE_MERGING_MODES = ['off', 'proportional', 'spanning'];
+// Shadowing mode waits this many times the line duration before resuming, 0 waits for a key press
+const DEFAULT_SHADOWING_RESUME_DELAY_FACTOR = 0;
+const SHADOWING_RESUME_DELAY_FACTORS = [0, 1, 1.5, 2, 3];
+
+/**
+ * Load all stored DeepL tokens from Chrome storage sync
+ * @returns {Promise<DeepLTokenInfoInStorage[]>} Returns an empty array if there is none
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadAllDeepLTokenInfosFromChromeStorageSync() {
+  try {
+    const result = await chrome.storage.sync.get("tokenInfos");
+    if (result && result.tokenInfos && Array.isArray(result.tokenInfos)) {
+      return result.tokenInfos;
+    }
+    return [];
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Error loading DeepL tokens from storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Mask a confidential translation key for display, exp: "fcb8779e-...-1ac7255d2ed2:fx" => "fcb***5d2ed2:fx"
+ * @param {string} key
+ * @returns {string}
+ */
+// eslint-disable-next-line no-unused-vars
+function maskTranslationKey(key) {
+  if (key.length <= 9) {
+    return key;
+  }
+  return `${key.slice(0, 3)}***${key.slice(-9)}`;
+}
 
 /**
  * Load selected DeepL token from Chrome storage sync
  * @returns {Promise<{key: string, isPro: boolean} | null>} Returns token info or null if not found
  */
-// eslint-disable-next-line no-unused-vars
 async function loadSelectedTokenFromChromeStorageSync() {
   try {
     const result = await chrome.storage.sync.get("tokenInfos");
@@ -34,6 +76,168 @@ async function loadSelectedTokenFromChromeStorageSync() {
   }
 }
 
+/**
+ * Check whether a provider configuration has everything needed to send translation requests
+ * @param {string} providerId - exp: "deepl", "google", "libretranslate"
+ * @param {Object | null | undefined} config
+ * @returns {boolean}
+ */
+function isTranslationProviderConfigComplete(providerId, config) {
+  if (!config || typeof config !== 'object') {
+    return false;
+  }
+  switch (providerId) {
+    case 'deepl':
+      return typeof config.key === 'string' && config.key.length > 0;
+    case 'google':
+      return typeof config.apiKey === 'string' && config.apiKey.length > 0;
+    case 'libretranslate':
+      return typeof config.url === 'string' && config.url.length > 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Load the active translation provider and its configuration from Chrome storage sync.
+ * DeepL keeps using `tokenInfos` (selected token), other providers are stored in
+ * `translationProviderConfigs`, keyed by provider id.
+ * @returns {Promise<TranslationProviderSettings>} config is null when the active provider
+ * is not configured yet
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadTranslationProviderSettingsFromChromeStorageSync() {
+  /** @type {string} */
+  let providerId = DEFAULT_TRANSLATION_PROVIDER;
+  try {
+    const result = await chrome.storage.sync.get(["translationProvider", "translationProviderConfigs"]);
+    if (result && typeof result.translationProvider === 'string' && result.translationProvider.length > 0) {
+      providerId = result.translationProvider;
+    }
+
+    if (providerId === 'deepl') {
+      const selectedTokenInfo = await loadSelectedTokenFromChromeStorageSync();
+      return { providerId, config: selectedTokenInfo };
+    }
+
+    const providerConfigs = result && result.translationProviderConfigs &&
+      typeof result.translationProviderConfigs === 'object' ? result.translationProviderConfigs : {};
+    const config = providerConfigs[providerId];
+    if (!isTranslationProviderConfigComplete(providerId, config)) {
+      console.info(`FinnishStreamingDualSubExtension: Translation provider ${providerId} is not configured`);
+      return { providerId, config: null };
+    }
+    return { providerId, config };
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Error loading translation provider settings from storage:', error);
+    return { providerId, config: null };
+  }
+}
+
+/**
+ * Load whether pre-translate episode mode is turned on
+ * @returns {Promise<boolean>}
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadPreTranslateEpisodeFromChromeStorageSync() {
+  try {
+    const result = await chrome.storage.sync.get("preTranslateEpisode");
+    return result?.preTranslateEpisode === true;
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Error loading pre-translate episode setting from storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Load how many previous/next subtitle lines are sent as context with each translation batch
+ * @returns {Promise<number>} 0 means context is disabled
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadContextWindowSizeFromChromeStorageSync() {
+  try {
+    const result = await chrome.storage.sync.get("contextWindowSize");
+    const contextWindowSize = result?.contextWindowSize;
+    if (typeof contextWindowSize === 'number' && Number.isInteger(contextWindowSize) &&
+      contextWindowSize >= 0) {
+      return contextWindowSize;
+    }
+    return DEFAULT_CONTEXT_WINDOW_SIZE;
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Error loading context window size from storage:', error);
+    return DEFAULT_CONTEXT_WINDOW_SIZE;
+  }
+}
+
+/**
+ * Load how subtitle cues forming one sentence are merged before translation
+ * @returns {Promise<string>} "off", "proportional" or "spanning"
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadSentenceMergingModeFromChromeStorageSync() {
+  try {
+    const result = await chrome.storage.sync.get("sentenceMergingMode");
+    const sentenceMergingMode = result?.sentenceMergingMode;
+    if (typeof sentenceMergingMode === 'string' && SENTENCE_MERGING_MODES.includes(sentenceMergingMode)) {
+      return sentenceMergingMode;
+    }
+    return DEFAULT_SENTENCE_MERGING_MODE;
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Error loading sentence merging mode from storage:', error);
+    return DEFAULT_SENTENCE_MERGING_MODE;
+  }
+}
+
+/**
+ * Load whether reading mode (unknown words coloured in Finnish subtitles) is turned on
+ * @returns {Promise<boolean>}
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadReadingModeFromChromeStorageSync() {
+  try {
+    const result = await chrome.storage.sync.get("readingMode");
+    return result?.readingMode === true;
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Error loading reading mode setting from storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Load whether shadowing mode (video paused at the end of every subtitle line) is turned on
+ * @returns {Promise<boolean>}
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadShadowingModeFromChromeStorageSync() {
+  try {
+    const result = await chrome.storage.sync.get("shadowingMode");
+    return result?.shadowingMode === true;
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Error loading shadowing mode setting from storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Load how long shadowing mode waits before resuming, relative to the duration of the paused line
+ * @returns {Promise<number>} 0 means the video resumes only on a key press
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadShadowingResumeDelayFactorFromChromeStorageSync() {
+  try {
+    const result = await chrome.storage.sync.get("shadowingResumeDelayFactor");
+    const shadowingResumeDelayFactor = result?.shadowingResumeDelayFactor;
+    if (typeof shadowingResumeDelayFactor === 'number' &&
+      SHADOWING_RESUME_DELAY_FACTORS.includes(shadowingResumeDelayFactor)) {
+      return shadowingResumeDelayFactor;
+    }
+    return DEFAULT_SHADOWING_RESUME_DELAY_FACTOR;
+  } catch (error) {
+    console.error('FinnishStreamingDualSubExtension: Error loading shadowing resume delay from storage:', error);
+    return DEFAULT_SHADOWING_RESUME_DELAY_FACTOR;
+  }
+}
+
 /**
  * Load all information
  * @returns {Promise<string>} return target language code (e.g., 'EN-US')
@@ -85,14 +289,237 @@ async function fetchTranslation(rawSubtitleFinnishTexts, targetLanguage, context
 }
 
 /**
- * @param {string} text
- * @returns {string[]}
+ * Normalize raw Finnish subtitle text into the key of translation maps and subtitle cache
+ * @param {string} rawSubtitleFinnishText
+ * @returns {string}
+ */
+// eslint-disable-next-line no-unused-vars
+function toTranslationKey(rawSubtitleFinnishText) {
+  return rawSubtitleFinnishText.replace(/\n/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Run a database.js function in the background service worker.
+ * The database lives in the extension origin, so the options page can read what content scripts saved.
+ * @param {string} operation - database.js function name, exp: "loadSubtitlesByMovieName"
+ * @param {...any} args - function arguments after the database instance
+ * @returns {Promise<any>} result of the database function
+ * @throws {Error} if the operation failed in background
+ */
+async function callDatabaseInBackground(operation, ...args) {
+  /**
+   * @type {[true, any] | [false, string]}
+   */
+  const response = await chrome.runtime.sendMessage({
+    action: 'database',
+    data: { operation, args }
+  });
+  if (!response) {
+    throw new Error(`No response from background for database operation ${operation}`);
+  }
+  if (response[0] === false) {
+    throw new Error(response[1]);
+  }
+  return response[1];
+}
+
+/**
+ * Move the subtitle cache created by older versions in the streaming site origin
+ * to the background database, then delete it
+ * @returns {Promise<void>}
  */
-function splitIntoWords(text) {
-  return text
-    .split(/\s+/)
-    .map(word => word.replace(/[^a-zA-ZÀ-ÿ]/g, ''))
-    .filter(word => word.length > 0);
+// eslint-disable-next-line no-unused-vars
+async function migrateLegacyPageDatabaseToBackground() {
+  // Extension pages (local player) share the origin of the extension database itself,
+  // which must never be taken for a legacy page database and deleted
+  if (location.protocol === 'chrome-extension:') {
+    return;
+  }
+  const legacyRecords = await loadLegacyPageDatabaseRecords();
+  if (!legacyRecords) {
+    return;
+  }
+
+  if (legacyRecords.subtitleRecords.length > 0) {
+    await callDatabaseInBackground('saveSubtitlesBatch', legacyRecords.subtitleRecords);
+  }
+  for (const movieMetadata of legacyRecords.movieMetadataRecords) {
+    await callDatabaseInBackground(
+      'upsertMovieMetadata',
+      movieMetadata.movieName,
+      movieMetadata.lastAccessedDays
+    );
+  }
+  await deleteLegacyPageDatabase();
+  console.info(
+    `FinnishStreamingDualSubExtension: Migrated ${legacyRecords.subtitleRecords.length} cached subtitles ` +
+    "from page database to extension database"
+  );
+}
+
+/**
+ * Ask background to build a bilingual subtitle file of a movie from its cached track and translations
+ * @param {string} movieName
+ * @param {string} targetLanguage
+ * @param {string} format - "srt", "vtt" or "ass"
+ * @returns {Promise<[true, {fileName: string, fileContent: string}] | [false, string]>}
+ */
+// eslint-disable-next-line no-unused-vars
+async function fetchEpisodeSubtitleExport(movieName, targetLanguage, format) {
+  try {
+    /**
+     * @type {[true, {fileName: string, fileContent: string}] | [false, string]}
+     */
+    const response = await chrome.runtime.sendMessage({
+      action: 'exportEpisodeSubtitles',
+      data: { movieName, targetLanguage, format }
+    });
+    return response;
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Error sending message to background for subtitle export:", error);
+    return [false, error.message || String(error)];
+  }
+}
+
+/**
+ * Let the browser download text as a file
+ * @param {string} fileName
+ * @param {string} fileContent
+ */
+// eslint-disable-next-line no-unused-vars
+function downloadTextFile(fileName, fileContent) {
+  const fileUrl = URL.createObjectURL(new Blob([fileContent], { type: 'text/plain;charset=utf-8' }));
+  const downloadLink = document.createElement('a');
+  downloadLink.href = fileUrl;
+  downloadLink.download = fileName;
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  downloadLink.remove();
+  setTimeout(() => URL.revokeObjectURL(fileUrl), 1000);
+}
+
+/**
+ * Load words marked as known in the vocabulary notebook
+ * @returns {Promise<Set<string>>} vocabulary keys of known words
+ */
+// eslint-disable-next-line no-unused-vars
+async function loadKnownVocabularyWords() {
+  /** @type {VocabularyWord[]} */
+  const vocabularyWords = await callDatabaseInBackground('getAllVocabularyWords');
+  return new Set(
+    vocabularyWords
+      .filter(vocabularyWord => vocabularyWord.known)
+      .map(vocabularyWord => vocabularyWord.word)
+  );
+}
+
+/**
+ * Toggle known status of a word in the Finnish subtitle row, then store it in the vocabulary notebook
+ * @param {string} vocabularyKey
+ * @param {Set<string>} knownWords - vocabulary keys of known words, updated in place
+ * @param {string} targetLanguage
+ * @param {string | null} movieName
+ */
+async function toggleKnownWord(vocabularyKey, knownWords, targetLanguage, movieName) {
+  const known = !knownWords.has(vocabularyKey);
+  if (known) {
+    knownWords.add(vocabularyKey);
+  } else {
+    knownWords.delete(vocabularyKey);
+  }
+  updateRenderedWordKnownStatus(document, vocabularyKey, known);
+
+  try {
+    await callDatabaseInBackground('setVocabularyWordKnown', {
+      word: vocabularyKey,
+      sentence: document.getElementById('finnish-subtitle-row')?.textContent || '',
+      targetLanguage,
+      movieName,
+    }, known);
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Error saving known word to vocabulary notebook:", error);
+    if (known) {
+      knownWords.delete(vocabularyKey);
+    } else {
+      knownWords.add(vocabularyKey);
+    }
+    updateRenderedWordKnownStatus(document, vocabularyKey, !known);
+  }
+}
+
+/**
+ * Video paused by clicking a subtitle word, resumed when the lookup popup closes.
+ * @type {HTMLVideoElement | null}
+ */
+let videoPausedByLookupPopup = null;
+
+/**
+ * Close the lookup popup, resuming the video if the popup paused it
+ */
+function closeLookupPopup() {
+  document.getElementById('dual-sub-lookup-popup')?.remove();
+  if (videoPausedByLookupPopup) {
+    videoPausedByLookupPopup.play().catch((error) => {
+      console.error("FinnishStreamingDualSubExtension: Error resuming video after lookup:", error);
+    });
+    videoPausedByLookupPopup = null;
+  }
+}
+
+/**
+ * @param {EventTarget} eventTarget
+ * @returns {boolean} whether the event target is a word of the Finnish subtitle row
+ */
+// eslint-disable-next-line no-unused-vars
+function isSubtitleWordElement(eventTarget) {
+  return eventTarget instanceof Element && eventTarget.closest('.dual-sub-word') !== null;
+}
+
+/**
+ * Handle click on a word of the Finnish subtitle row: look the word up with its subtitle line
+ * as context, pausing the video until the popup closes.
+ * Shift+click toggles known status of the word instead, in reading mode.
+ * Clicks ending a text selection are ignored, so several words can still be selected
+ * and looked up from the context menu.
+ * @param {MouseEvent} event
+ * @param {string} targetLanguage
+ * @param {Element} appendTarget
+ * @param {HTMLVideoElement | null} video - video the subtitles belong to, paused during the lookup
+ * @param {{movieName: string | null, videoTime: number}} lookupEpisode
+ * @param {Set<string> | null} knownWords - vocabulary keys of known words, updated in place,
+ * null when reading mode is off
+ */
+// eslint-disable-next-line no-unused-vars
+async function handleSubtitleWordClick(
+  event,
+  targetLanguage,
+  appendTarget,
+  video,
+  lookupEpisode,
+  knownWords
+) {
+  const wordElement = /** @type {HTMLElement} */ (event.target).closest('.dual-sub-word');
+  if (!wordElement || !window.getSelection()?.isCollapsed) { return; }
+  event.stopPropagation();
+
+  if (event.shiftKey && knownWords) {
+    const movieName = lookupEpisode.movieName;
+    await toggleKnownWord(wordElement.dataset.word, knownWords, targetLanguage, movieName);
+    return;
+  }
+
+  if (video && !video.paused) {
+    video.pause();
+    videoPausedByLookupPopup = video;
+  }
+  await lookUpSubtitleText(
+    wordElement.textContent,
+    Number(wordElement.dataset.start),
+    document.getElementById('finnish-subtitle-row')?.textContent || '',
+    targetLanguage,
+    appendTarget,
+    lookupEpisode
+  );
 }
 
 /**
@@ -102,8 +529,16 @@ function splitIntoWords(text) {
  * @param {number} selectedTextStartIndex
  * @param {number} selectedTextEndIndex
  * @param {Element} appendTarget
+ * @param {(() => Promise<void>) | null} [onSave] - saves the looked up word to vocabulary notebook,
+ * the popup has no "Save" button when not given
  */
-function showLookupPopup(rows, selectedTextStartIndex, selectedTextEndIndex, appendTarget) {
+function showLookupPopup(
+  rows,
+  selectedTextStartIndex,
+  selectedTextEndIndex,
+  appendTarget,
+  onSave = null
+) {
 
   document.getElementById('dual-sub-lookup-popup')?.remove();
 
@@ -120,11 +555,9 @@ function showLookupPopup(rows, selectedTextStartIndex, selectedTextEndIndex, app
     return;
   }
 
-  const textNode = finnishSubtitleRow.firstChild;
-  const range = document.createRange();
-  range.setStart(textNode, selectedTextStartIndex);
-  range.setEnd(textNode, selectedTextEndIndex);
-  const rect = range.getBoundingClientRect();
+  // Finnish row is split into word spans in reading mode
+  const range = createTextRange(finnishSubtitleRow, selectedTextStartIndex, selectedTextEndIndex);
+  const rect = range ? range.getBoundingClientRect() : finnishSubtitleRow.getBoundingClientRect();
 
   const popup = document.createElement('div');
   popup.id = 'dual-sub-lookup-popup';
@@ -137,7 +570,10 @@ function showLookupPopup(rows, selectedTextStartIndex, selectedTextEndIndex, app
         <span class="dual-sub-lookup-title-icon">ⓘ</span>
         <span class="dual-sub-lookup-title">Explanation</span>
       </div>
-      <button class="dual-sub-lookup-close" aria-label="Close">✕</button>
+      <div class="dual-sub-lookup-header-right">
+        <button class="dual-sub-lookup-save" style="display: none;">Save</button>
+        <button class="dual-sub-lookup-close" aria-label="Close">✕</button>
+      </div>
     </div>
     <div class="dual-sub-lookup-divider"></div>
     <div class="dual-sub-lookup-body"></div>
@@ -161,16 +597,35 @@ function showLookupPopup(rows, selectedTextStartIndex, selectedTextEndIndex, app
   appendTarget.appendChild(popup);
 
   popup.addEventListener('click', (e) => e.stopPropagation());
-  popup.querySelector('.dual-sub-lookup-close').addEventListener('click', () => popup.remove());
+  popup.querySelector('.dual-sub-lookup-close').addEventListener('click', closeLookupPopup);
+
+  if (onSave) {
+    /** @type {HTMLButtonElement} */
+    const saveButton = popup.querySelector('.dual-sub-lookup-save');
+    saveButton.style.display = '';
+    saveButton.addEventListener('click', () => {
+      saveButton.disabled = true;
+      onSave().then(() => {
+        saveButton.textContent = 'Saved ✓';
+      }).catch((error) => {
+        console.error("FinnishStreamingDualSubExtension: Error saving word to vocabulary notebook:", error);
+        saveButton.textContent = 'Save failed';
+        saveButton.disabled = false;
+      });
+    });
+  }
 }
 
 /**
+ * Look up text selected in the Finnish subtitle row from the "lookup-word" context menu
  * @param {{type: string, text: string}} msg
  * @param {string} targetLanguage
  * @param {Element} appendTarget
+ * @param {{movieName: string | null, videoTime: number}} lookupEpisode - where the lookup happened,
+ * saved with the lookup in lookup history
  */
 // eslint-disable-next-line no-unused-vars
-async function handleLookupMessage(msg, targetLanguage, appendTarget) {
+async function handleLookupMessage(msg, targetLanguage, appendTarget, lookupEpisode) {
   if (msg.type !== 'lookup') { return; }
 
   /** @type {string} */
@@ -188,26 +643,167 @@ async function handleLookupMessage(msg, targetLanguage, appendTarget) {
     return;
   }
 
-  const words = splitIntoWords(selectedText);
-  let toTranslate = words;
-  if (words.length > 1) {
-    toTranslate = [...words, selectedText];
-  }
-  const [isSucceeded, translations] = await fetchTranslation(
-    toTranslate, targetLanguage, wholeSentence
+  await lookUpSubtitleText(
+    selectedText,
+    selectedTextStartIndex,
+    wholeSentence,
+    targetLanguage,
+    appendTarget,
+    lookupEpisode
   );
+}
 
+/**
+ * Find a looked up word in the offline dictionary, as written first, then by its base form.
+ * Dictionary meanings are English, so other target languages always use the translation provider.
+ * @param {string} word
+ * @param {FinnishWordAnalysis | null} wordAnalysis
+ * @param {string} targetLanguage
+ * @returns {Promise<DictionaryEntry | null>} null if the word is not found or the dictionary cannot be read
+ */
+async function findWordInOfflineDictionary(word, wordAnalysis, targetLanguage) {
+  if (!targetLanguage.toUpperCase().startsWith('EN')) {
+    return null;
+  }
+  const wordForms = wordAnalysis ? [word, wordAnalysis.lemma] : [word];
+  try {
+    return await callDatabaseInBackground('findDictionaryEntry', wordForms);
+  } catch (error) {
+    console.error("FinnishStreamingDualSubExtension: Error reading offline dictionary:", error);
+    return null;
+  }
+}
+
+/**
+ * Translate a word or phrase of the Finnish subtitle row with the row as context,
+ * show the result in the lookup popup and save it to lookup history.
+ * A single word found in the offline dictionary is not sent to the translation provider.
+ * @param {string} selectedText
+ * @param {number} selectedTextStartIndex - index of the text in the Finnish subtitle row
+ * @param {string} wholeSentence - text of the Finnish subtitle row
+ * @param {string} targetLanguage
+ * @param {Element} appendTarget
+ * @param {{movieName: string | null, videoTime: number}} lookupEpisode - where the lookup happened,
+ * saved with the lookup in lookup history
+ */
+async function lookUpSubtitleText(
+  selectedText,
+  selectedTextStartIndex,
+  wholeSentence,
+  targetLanguage,
+  appendTarget,
+  lookupEpisode
+) {
+  const words = splitIntoWords(selectedText);
   const selectedTextEndIndex = selectedTextStartIndex + selectedText.length;
 
-  if (isSucceeded) {
-    const rows = toTranslate.map((word, i) => ({ key: word, val: translations[i] }));
-    showLookupPopup(rows, selectedTextStartIndex, selectedTextEndIndex, appendTarget);
+  // Offline morphology of a single word, shown even when translation fails
+  const wordAnalysis = words.length === 1 ? analyzeFinnishWord(words[0]) : null;
+  const wordAnalysisRows = wordAnalysis ? toFinnishWordAnalysisRows(wordAnalysis) : [];
+
+  const dictionaryEntry = words.length === 1 ?
+    await findWordInOfflineDictionary(words[0], wordAnalysis, targetLanguage) :
+    null;
+
+  /** @type {Array<{key: string, val: string}>} */
+  let rows;
+  /** @type {string} */
+  let selectedTextTranslation;
+  if (dictionaryEntry) {
+    rows = [...toDictionaryEntryRows(dictionaryEntry), ...wordAnalysisRows];
+    selectedTextTranslation = toDictionaryEntryTranslation(dictionaryEntry);
   } else {
-    showLookupPopup(
-      [{ key: 'Error', val: String(translations) }],
-      selectedTextStartIndex,
-      selectedTextEndIndex,
-      appendTarget
+    let toTranslate = words;
+    if (words.length > 1) {
+      toTranslate = [...words, selectedText];
+    }
+    const [isSucceeded, translations] = await fetchTranslation(
+      toTranslate, targetLanguage, wholeSentence
     );
+
+    if (!isSucceeded) {
+      showLookupPopup(
+        [{ key: 'Error', val: String(translations) }, ...wordAnalysisRows],
+        selectedTextStartIndex,
+        selectedTextEndIndex,
+        appendTarget
+      );
+      return;
+    }
+
+    rows = [
+      ...toTranslate.map((word, i) => ({ key: word, val: translations[i] })),
+      ...wordAnalysisRows,
+    ];
+    // Last translation is the whole selection when several words are selected
+    selectedTextTranslation = translations[translations.length - 1];
   }
+
+  const saveToVocabularyNotebook = async () => {
+    await callDatabaseInBackground('saveVocabularyWord', {
+      word: selectedText,
+      translation: selectedTextTranslation,
+      sentence: wholeSentence,
+      targetLanguage,
+      movieName: lookupEpisode.movieName,
+    });
+  };
+  showLookupPopup(
+    rows,
+    selectedTextStartIndex,
+    selectedTextEndIndex,
+    appendTarget,
+    saveToVocabularyNotebook
+  );
+
+  /** @type {LookupRecord} */
+  const lookup = {
+    word: selectedText.trim(),
+    sentence: wholeSentence,
+    translation: selectedTextTranslation,
+    sentenceTranslation: document.getElementById('target-language-subtitle-row')?.textContent || '',
+    targetLanguage,
+    movieName: lookupEpisode.movieName,
+    videoTime: lookupEpisode.videoTime,
+    lookedUpAt: new Date().toISOString(),
+  };
+  callDatabaseInBackground('saveLookup', lookup).catch((error) => {
+    console.error("FinnishStreamingDualSubExtension: Error saving lookup to lookup history:", error);
+  });
+}
+
+/**
+ * Show a short-lived notice over the video player, replacing the previous one if still visible
+ * @param {string} message
+ * @param {Element} appendTarget
+ * @param {number} [durationMs]
+ */
+function showDualSubNotice(message, appendTarget, durationMs = 6000) {
+  document.getElementById('dual-sub-notice')?.remove();
+
+  const notice = document.createElement('div');
+  notice.id = 'dual-sub-notice';
+  notice.setAttribute('role', 'status');
+  notice.textContent = message;
+  appendTarget.appendChild(notice);
+
+  setTimeout(() => notice.remove(), durationMs);
+}
+
+/**
+ * Tell the user that background switched to another DeepL key after the previous one failed
+ * @param {{type: string, maskedKey: string, reason: "invalid-key" | "quota-exceeded"}} msg
+ * @param {Element} appendTarget
+ */
+// eslint-disable-next-line no-unused-vars
+function handleTranslationKeySwitchedMessage(msg, appendTarget) {
+  if (msg.type !== 'translationKeySwitched') { return; }
+
+  const reasonText = msg.reason === 'invalid-key' ?
+    'was rejected by DeepL' :
+    'ran out of quota';
+  showDualSubNotice(
+    `DualSub: previous DeepL key ${reasonText}. Switched to key ${msg.maskedKey}.`,
+    appendTarget
+  );
 }
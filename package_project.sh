@@ -3,4 +3,5 @@ zip -r finnish-streaming-dual-sub-extension.zip \
   icons/ \
   main/ \
   extension-popup/ \
+  extension-local-player/ \
   extension-options-page/dist/
@@ -0,0 +1,98 @@
+/**
+ * Anki export tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// anki_export.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    formatVideoTime,
+    buildAnkiTsvDeck
+} = require('../../main/utils/anki_export.js');
+
+function createLookup(overrides) {
+    return {
+        id: 1,
+        word: 'kissan',
+        sentence: 'Minä näin kissan eilen.',
+        translation: 'cat',
+        sentenceTranslation: 'I saw a cat yesterday.',
+        targetLanguage: 'EN-US',
+        movieName: 'Series | Episode 1',
+        videoTime: 125.7,
+        lookedUpAt: '2026-01-01T10:00:00.000Z',
+        ...overrides
+    };
+}
+
+describe('Anki Export', () => {
+
+    describe('formatVideoTime', () => {
+        test('should format minutes and seconds', () => {
+            expect(formatVideoTime(125.7)).toBe('2:05');
+            expect(formatVideoTime(0)).toBe('0:00');
+        });
+
+        test('should include hours for long videos', () => {
+            expect(formatVideoTime(3725)).toBe('1:02:05');
+        });
+    });
+
+    describe('buildAnkiTsvDeck', () => {
+        test('should start with Anki import headers', () => {
+            const lines = buildAnkiTsvDeck([]).split('\n');
+
+            expect(lines).toEqual([
+                '#separator:tab',
+                '#html:true',
+                '#notetype:Basic',
+                '#tags column:3',
+                ''
+            ]);
+        });
+
+        test('should build a note with the sentence as context', () => {
+            const lines = buildAnkiTsvDeck([createLookup()]).split('\n');
+
+            expect(lines[4].split('\t')).toEqual([
+                '<b>kissan</b><br><br><i>Minä näin <b>kissan</b> eilen.</i>',
+                'cat<br><br><i>I saw a cat yesterday.</i><br><br><small>Series | Episode 1 · 2:05</small>',
+                'finnish-dual-sub'
+            ]);
+        });
+
+        test('should escape HTML and never break the tab separated line', () => {
+            const lookup = createLookup({
+                word: 'a<b',
+                sentence: 'x\ta<b\ny',
+                translation: 'one & two',
+                sentenceTranslation: '',
+                movieName: null
+            });
+
+            const lines = buildAnkiTsvDeck([lookup]).split('\n');
+
+            expect(lines).toHaveLength(6);
+            expect(lines[4].split('\t')).toEqual([
+                '<b>a&lt;b</b><br><br><i>x <b>a&lt;b</b> y</i>',
+                'one &amp; two',
+                'finnish-dual-sub'
+            ]);
+        });
+
+        test('should keep only the latest lookup of the same word in the same sentence', () => {
+            const lookups = [
+                createLookup({ id: 1, translation: 'old' }),
+                createLookup({ id: 2, word: 'eilen', translation: 'yesterday' }),
+                createLookup({ id: 3, word: 'Kissan', translation: 'new' })
+            ];
+
+            const notes = buildAnkiTsvDeck(lookups).split('\n').slice(4, -1);
+
+            expect(notes).toHaveLength(2);
+            expect(notes[0]).toContain('yesterday');
+            expect(notes[1]).toContain('new');
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Background service worker tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKGROUND_DIRECTORY = path.join(__dirname, '../../main/background');
+
+/**
+ * Run scripts of the service worker as classic scripts sharing the global scope, like importScripts does
+ * @param {...string} scriptPaths - relative to main/background
+ */
+function importBackgroundScripts(...scriptPaths) {
+    for (const scriptPath of scriptPaths) {
+        const scriptElement = document.createElement('script');
+        scriptElement.textContent = fs.readFileSync(path.join(BACKGROUND_DIRECTORY, scriptPath), 'utf8');
+        document.body.appendChild(scriptElement);
+    }
+}
+
+/**
+ * @param {string} key
+ * @param {number} characterCount
+ */
+function tokenInfo(key, characterCount) {
+    return {
+        key,
+        type: 'free',
+        characterCount: String(characterCount),
+        characterLimit: '500000',
+        lastUsageCheckedAt: '',
+        selected: key === 'first-key:fx'
+    };
+}
+
+/**
+ * @param {number} status
+ * @param {Object} [body]
+ */
+function deepLResponse(status, body = {}) {
+    return { ok: status === 200, status, json: async () => body };
+}
+
+describe('Background', () => {
+    /** @type {{tokenInfos: Object[]}} */
+    let storageSync;
+
+    beforeAll(() => {
+        const addListener = () => { };
+        global.chrome = {
+            storage: {
+                sync: {
+                    get: jest.fn(async () => structuredClone(storageSync)),
+                    set: jest.fn(async (items) => { Object.assign(storageSync, items); })
+                },
+                onChanged: { addListener }
+            },
+            runtime: { onStartup: { addListener }, onMessage: { addListener }, onInstalled: { addListener } },
+            contextMenus: { onClicked: { addListener } },
+            tabs: { sendMessage: jest.fn(async () => { }) }
+        };
+        window.importScripts = importBackgroundScripts;
+        importBackgroundScripts('background.js');
+    });
+
+    afterAll(() => {
+        delete global.chrome;
+        delete window.importScripts;
+    });
+
+    beforeEach(() => {
+        storageSync = { tokenInfos: [tokenInfo('first-key:fx', 0), tokenInfo('second-key:fx', 100000)] };
+        chrome.storage.sync.set.mockClear();
+        chrome.tabs.sendMessage.mockClear();
+    });
+
+    describe('translateTextsWithDeepLKeyFailover', () => {
+        test.each([
+            [403, 'invalid-key'],
+            [456, 'quota-exceeded']
+        ])('should switch to the next key when DeepL answers %i', async (status, failoverReason) => {
+            window.fetch = jest.fn(async (url, request) => request.headers.Authorization.includes('first-key') ?
+                deepLResponse(status) :
+                deepLResponse(200, { translations: [{ text: 'Hello' }] }));
+
+            const translationResult = await window.translateTextsWithDeepLKeyFailover(
+                { key: 'first-key:fx', isPro: false }, ['Hei'], 'EN-US', '', 7
+            );
+
+            expect(translationResult).toEqual([true, ['Hello']]);
+            expect(storageSync.tokenInfos[0]).toMatchObject({ selected: false, failoverReason });
+            expect(storageSync.tokenInfos[1].selected).toBe(true);
+            expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, expect.objectContaining({
+                type: 'translationKeySwitched',
+                reason: failoverReason
+            }));
+        });
+
+        test.each([400, 500])('should keep the key when DeepL answers %i', async (status) => {
+            window.fetch = jest.fn(async () => deepLResponse(status));
+
+            const translationResult = await window.translateTextsWithDeepLKeyFailover(
+                { key: 'first-key:fx', isPro: false }, ['Hei'], 'EN-US', '', 7
+            );
+
+            expect(translationResult[0]).toBe(false);
+            expect(translationResult[2]).toBe(status);
+            expect(window.fetch).toHaveBeenCalledTimes(1);
+            expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+            expect(storageSync.tokenInfos[0].selected).toBe(true);
+            expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+        });
+
+        test('should switch back to a key out of quota once its billing period is over', async () => {
+            Object.assign(storageSync.tokenInfos[1], {
+                failoverReason: 'quota-exceeded',
+                failoverAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString()
+            });
+            window.fetch = jest.fn(async (url, request) => request.headers.Authorization.includes('first-key') ?
+                deepLResponse(456) :
+                deepLResponse(200, { translations: [{ text: 'Hello' }] }));
+
+            const translationResult = await window.translateTextsWithDeepLKeyFailover(
+                { key: 'first-key:fx', isPro: false }, ['Hei'], 'EN-US', '', 7
+            );
+
+            expect(translationResult).toEqual([true, ['Hello']]);
+            expect(storageSync.tokenInfos[1].selected).toBe(true);
+            expect(storageSync.tokenInfos[1].failoverReason).toBeUndefined();
+            expect(storageSync.tokenInfos[1].failoverAt).toBeUndefined();
+        });
+
+        test('should return the error when every key failed', async () => {
+            window.fetch = jest.fn(async () => deepLResponse(456));
+
+            const translationResult = await window.translateTextsWithDeepLKeyFailover(
+                { key: 'first-key:fx', isPro: false }, ['Hei'], 'EN-US', '', 7
+            );
+
+            expect(translationResult[0]).toBe(false);
+            expect(translationResult[2]).toBe(456);
+            expect(window.fetch).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * MTV Katsomo content script tests, run on a fixture of the Katsomo player
+ *
+ * To run these tests:
+ * npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIRECTORY = path.join(__dirname, '../..');
+
+/**
+ * Run the content scripts of a site in manifest order, as classic scripts sharing the global scope
+ * @param {string} siteMatch - exp: "https://www.katsomo.fi/*"
+ */
+function runManifestContentScripts(siteMatch) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT_DIRECTORY, 'manifest.json'), 'utf8'));
+    const contentScript = manifest.content_scripts.find(entry => entry.matches.includes(siteMatch));
+    for (const scriptPath of contentScript.js) {
+        const scriptElement = document.createElement('script');
+        scriptElement.textContent = fs.readFileSync(path.join(ROOT_DIRECTORY, scriptPath), 'utf8');
+        document.body.appendChild(scriptElement);
+    }
+}
+
+/**
+ * The core waits for the player with timers and promises, poll until it is done
+ * @param {() => any} condition
+ */
+async function waitUntil(condition) {
+    for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(condition()).toBeTruthy();
+}
+
+// The adapter relies only on the video element and the page heading, never on class names
+// of the Katsomo player, so the fixture uses made up class names
+const KATSOMO_PLAYER_FIXTURE = `
+    <div class="x7f3a-player">
+        <div class="x7f3a-media"><video></video></div>
+        <div class="x7f3a-controls"></div>
+    </div>
+    <h1>
+        Salatut elämät | Jakso 1234
+    </h1>`;
+
+describe('MTV Katsomo content script', () => {
+    /** @type {jest.Mock} */
+    let sendMessage;
+    /** @type {HTMLVideoElement} */
+    let video;
+
+    beforeAll(async () => {
+        sendMessage = jest.fn(async (message) => {
+            if (message.action === 'database') {
+                return [true, []];
+            }
+            return [false, 'Not available in tests'];
+        });
+        global.chrome = {
+            storage: {
+                sync: { get: jest.fn(async () => ({})), set: jest.fn(async () => { }) },
+                onChanged: { addListener: jest.fn() },
+            },
+            runtime: {
+                sendMessage,
+                onMessage: { addListener: jest.fn() },
+                getURL: jest.fn(resourcePath => `chrome-extension://test/${resourcePath}`)
+            },
+        };
+        runManifestContentScripts('https://www.katsomo.fi/*');
+
+        const page = document.createElement('main');
+        page.innerHTML = KATSOMO_PLAYER_FIXTURE;
+        video = page.querySelector('video');
+        // jsdom has no text tracks
+        Object.defineProperty(video, 'textTracks', {
+            value: Object.assign(new EventTarget(), { length: 0 })
+        });
+        document.body.appendChild(page);
+
+        await waitUntil(() => document.querySelector('.dual-sub-extension-section'));
+    });
+
+    afterAll(async () => {
+        // Remove the player while the window is alive, the mutation observer of the core reads location
+        document.body.replaceChildren();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        delete global.chrome;
+    });
+
+    test('should float the toolbar and the subtitle rows over the video, in its parent', () => {
+        expect(video.parentElement.querySelector(':scope > .dual-sub-extension-section')).not.toBeNull();
+        expect(video.parentElement.querySelector(':scope > #displayed-subtitles-rows-wrapper')).not.toBeNull();
+        expect(document.getElementById('katsomo-dual-sub-rewind-button')).not.toBeNull();
+    });
+
+    test('should take the movie name from the page heading', async () => {
+        await waitUntil(() => sendMessage.mock.calls.some(([message]) =>
+            message.data?.operation === 'loadSubtitlesByMovieName'));
+
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'database',
+            data: { operation: 'loadSubtitlesByMovieName', args: ['Salatut elämät | Jakso 1234', 'EN-US'] }
+        });
+    });
+
+    test('should take the movie name from the document title on pages without heading', async () => {
+        document.querySelector('h1').remove();
+        document.title = ' Salatut elämät - Jakso 1235 | MTV Katsomo ';
+        sendMessage.mockClear();
+
+        await window.loadMovieCacheAndUpdateMetadata();
+
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'database',
+            data: {
+                operation: 'loadSubtitlesByMovieName',
+                args: ['Salatut elämät - Jakso 1235 | MTV Katsomo', 'EN-US']
+            }
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Ruutu content script tests, run on a fixture of the Ruutu player
+ *
+ * To run these tests:
+ * npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIRECTORY = path.join(__dirname, '../..');
+
+/**
+ * Run the content scripts of a site in manifest order, as classic scripts sharing the global scope
+ * @param {string} siteMatch - exp: "https://www.ruutu.fi/*"
+ */
+function runManifestContentScripts(siteMatch) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT_DIRECTORY, 'manifest.json'), 'utf8'));
+    const contentScript = manifest.content_scripts.find(entry => entry.matches.includes(siteMatch));
+    for (const scriptPath of contentScript.js) {
+        const scriptElement = document.createElement('script');
+        scriptElement.textContent = fs.readFileSync(path.join(ROOT_DIRECTORY, scriptPath), 'utf8');
+        document.body.appendChild(scriptElement);
+    }
+}
+
+/**
+ * The core waits for the player with timers and promises, poll until it is done
+ * @param {() => any} condition
+ */
+async function waitUntil(condition) {
+    for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(condition()).toBeTruthy();
+}
+
+// jsdom has neither text tracks nor their cues
+class VTTCue {
+    constructor(startTime, endTime, text) {
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.text = text;
+    }
+}
+
+class FakeTextTrack extends EventTarget {
+    /**
+     * @param {string} language
+     * @param {VTTCue[]} cues
+     */
+    constructor(language, cues) {
+        super();
+        this.kind = 'subtitles';
+        this.language = language;
+        this.mode = 'showing';
+        this.cues = cues;
+        this.activeCues = [];
+    }
+}
+
+// Trimmed markup of a Ruutu episode page, with the class names the adapter relies on
+const RUUTU_PLAYER_FIXTURE = `
+    <div data-test-id="videoContainer">
+        <div class="rp-video"><video></video></div>
+        <div class="rp-controls">
+            <div class="rp-left"><button class="rp-play"></button></div>
+            <div class="rp-right"></div>
+        </div>
+    </div>
+    <div data-item="PlayerSummary"><h1>Putous | Jakso 3</h1></div>`;
+
+describe('Ruutu content script', () => {
+    /** @type {jest.Mock} */
+    let sendMessage;
+
+    beforeAll(() => {
+        window.VTTCue = VTTCue;
+        sendMessage = jest.fn(async (message) => {
+            if (message.action === 'fetchTranslation') {
+                return [true, message.data.rawSubtitleFinnishTexts.map(text => `EN: ${text}`)];
+            }
+            if (message.data.operation === 'findDictionaryEntry') {
+                return [true, null];
+            }
+            if (message.action === 'database') {
+                return [true, []];
+            }
+            return [false, 'Not available in tests'];
+        });
+        global.chrome = {
+            storage: {
+                sync: {
+                    get: jest.fn(async () => ({
+                        translationProvider: 'libretranslate',
+                        translationProviderConfigs: { libretranslate: { url: 'http://localhost:5000' } }
+                    })),
+                    set: jest.fn(async () => { })
+                },
+                onChanged: { addListener: jest.fn() },
+            },
+            runtime: {
+                sendMessage,
+                onMessage: { addListener: jest.fn() },
+                getURL: jest.fn(resourcePath => `chrome-extension://test/${resourcePath}`)
+            },
+        };
+        runManifestContentScripts('https://www.ruutu.fi/*');
+    });
+
+    afterAll(async () => {
+        // Remove the player while the window is alive, the mutation observer of the core reads location
+        document.body.replaceChildren();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        delete global.chrome;
+        delete window.VTTCue;
+    });
+
+    test('should not add the toolbar to videos outside episode pages', async () => {
+        const teaser = document.createElement('div');
+        teaser.innerHTML = '<video></video><div class="rp-left"></div>';
+        document.body.appendChild(teaser);
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        expect(document.querySelector('.dual-sub-extension-section')).toBeNull();
+        teaser.remove();
+    });
+
+    test('should add the toolbar to the player of an episode page and show its lines translated', async () => {
+        window.history.pushState({}, '', '/video/3721541');
+        const finnishTrack = new FakeTextTrack('fi', [new VTTCue(5, 7, 'Mennään\nkotiin.')]);
+        const page = document.createElement('main');
+        page.innerHTML = RUUTU_PLAYER_FIXTURE;
+        Object.defineProperty(page.querySelector('video'), 'textTracks', {
+            value: Object.assign(new EventTarget(), { length: 1, 0: finnishTrack })
+        });
+        document.body.appendChild(page);
+
+        await waitUntil(() => document.querySelector('.rp-left > .dual-sub-extension-section'));
+        expect(document.getElementById('ruutu-dual-sub-rewind-button')).not.toBeNull();
+        expect(document.querySelector('.rp-video > #displayed-subtitles-rows-wrapper')).not.toBeNull();
+        await waitUntil(() => sendMessage.mock.calls.some(([message]) =>
+            message.data?.operation === 'loadSubtitlesByMovieName'));
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'database',
+            data: { operation: 'loadSubtitlesByMovieName', args: ['Putous | Jakso 3', 'EN-US'] }
+        });
+
+        await waitUntil(() => !document.getElementById('dual-sub-switch').disabled);
+        document.getElementById('dual-sub-switch').click();
+        document.dispatchEvent(new CustomEvent('sendSubtitleTrackEvent', {
+            detail: JSON.stringify({ cues: [{ startTime: 5, endTime: 7, text: 'Mennään\nkotiin.' }] })
+        }));
+        await waitUntil(() => window.getDisplayedTranslation('Mennään kotiin.') !== 'Translating...');
+
+        finnishTrack.activeCues = finnishTrack.cues;
+        finnishTrack.dispatchEvent(new Event('cuechange'));
+
+        // Ruutu subtitles are rendered by the video, dual subtitles replace them
+        expect(finnishTrack.mode).toBe('hidden');
+        expect(document.getElementById('finnish-subtitle-row').textContent).toBe('Mennään kotiin.');
+        expect(document.getElementById('target-language-subtitle-row').textContent).toBe('EN: Mennään kotiin.');
+    });
+
+    test('should show the word lookup popup inside the video container, visible in fullscreen', async () => {
+        // jsdom has no layout
+        document.createRange = () => Object.assign(new Range(), { getBoundingClientRect: () => new DOMRect() });
+        document.querySelector('#finnish-subtitle-row .dual-sub-word[data-word="kotiin"]').click();
+
+        await waitUntil(() => document.getElementById('dual-sub-lookup-popup'));
+        expect(document.getElementById('dual-sub-lookup-popup').parentElement)
+            .toBe(document.querySelector('[data-test-id="videoContainer"]'));
+    });
+});
@@ -16,12 +16,32 @@ const {
     saveSubtitle,
     saveSubtitlesBatch,
     loadSubtitlesByMovieName,
+    loadSubtitlesByTargetLanguage,
     clearSubtitlesByMovieName,
     getMovieMetadata,
     upsertMovieMetadata,
     getAllMovieMetadata,
     deleteMovieMetadata,
-    cleanupOldMovieData
+    saveEpisodeCues,
+    loadEpisodeCues,
+    getAllEpisodeCuesMovieNames,
+    deleteEpisodeCues,
+    saveLookup,
+    getAllLookups,
+    deleteLookup,
+    clearLookupHistory,
+    saveVocabularyWord,
+    getAllVocabularyWords,
+    updateVocabularyWord,
+    setVocabularyWordKnown,
+    deleteVocabularyWord,
+    saveDictionaryEntries,
+    findDictionaryEntry,
+    countDictionaryEntries,
+    clearDictionary,
+    cleanupOldMovieData,
+    loadLegacyPageDatabaseRecords,
+    deleteLegacyPageDatabase
 } = require('../../main/utils/database.js');
 
 // Helper function to delete database
@@ -58,12 +78,16 @@ describe('Database Functions', () => {
         test('should open database successfully', async () => {
             expect(db).toBeDefined();
             expect(db.name).toBe('YleDualSubCache');
-            expect(db.version).toBe(2);
+            expect(db.version).toBe(7);
         });
 
         test('should have correct object stores', () => {
             expect(db.objectStoreNames.contains('SubtitlesCache')).toBe(true);
             expect(db.objectStoreNames.contains('MovieMetadata')).toBe(true);
+            expect(db.objectStoreNames.contains('EpisodeCues')).toBe(true);
+            expect(db.objectStoreNames.contains('LookupHistory')).toBe(true);
+            expect(db.objectStoreNames.contains('Vocabulary')).toBe(true);
+            expect(db.objectStoreNames.contains('Dictionary')).toBe(true);
         });
     });
 
@@ -147,6 +171,35 @@ describe('Database Functions', () => {
         });
     });
 
+    describe('loadSubtitlesByTargetLanguage', () => {
+        test('should load subtitles of every movie in the target language only', async () => {
+            // Arrange
+            await saveSubtitle(db, 'Movie B', 'EN-US', 'kuitenkin', 'however');
+            await saveSubtitle(db, 'Movie A', 'EN-US', 'hei', 'hello');
+            await saveSubtitle(db, 'Movie A', 'VI', 'hei', 'xin chào');
+
+            // Act
+            const results = await loadSubtitlesByTargetLanguage(db, 'EN-US');
+
+            // Assert
+            expect(results.map(result => [result.movieName, result.translatedText])).toEqual([
+                ['Movie A', 'hello'],
+                ['Movie B', 'however']
+            ]);
+        });
+
+        test('should return empty array when nothing is cached in the target language', async () => {
+            // Arrange
+            await saveSubtitle(db, 'Movie A', 'VI', 'hei', 'xin chào');
+
+            // Act
+            const results = await loadSubtitlesByTargetLanguage(db, 'EN-US');
+
+            // Assert
+            expect(results).toHaveLength(0);
+        });
+    });
+
     describe('saveSubtitlesBatch', () => {
         test('should save multiple subtitles in a batch', async () => {
             // Arrange
@@ -349,6 +402,330 @@ describe('Database Functions', () => {
         });
     });
 
+    describe('Episode Cues Functions', () => {
+        const cues = [
+            { startTime: 1, endTime: 2.5, text: 'Hei maailma' },
+            { startTime: 3, endTime: 4, text: 'Mitä kuuluu?' }
+        ];
+
+        test('should save and load the subtitle track of a movie', async () => {
+            await saveEpisodeCues(db, 'Test Movie', cues);
+
+            const loadedCues = await loadEpisodeCues(db, 'Test Movie');
+
+            expect(loadedCues).toEqual(cues);
+        });
+
+        test('should replace previously saved track and drop extra cue fields', async () => {
+            await saveEpisodeCues(db, 'Test Movie', cues);
+            await saveEpisodeCues(db, 'Test Movie', [{ ...cues[0], sourceCues: [cues[0]] }]);
+
+            const loadedCues = await loadEpisodeCues(db, 'Test Movie');
+
+            expect(loadedCues).toEqual([cues[0]]);
+        });
+
+        test('should return null for movie without saved track', async () => {
+            expect(await loadEpisodeCues(db, 'Non-existent Movie')).toBeNull();
+        });
+
+        test('should list movie names with saved track alphabetically', async () => {
+            await saveEpisodeCues(db, 'Series B | Episode 1', cues);
+            await saveEpisodeCues(db, 'Series A | Episode 2', cues);
+
+            const movieNames = await getAllEpisodeCuesMovieNames(db);
+
+            expect(movieNames).toEqual(['Series A | Episode 2', 'Series B | Episode 1']);
+        });
+
+        test('should delete saved track', async () => {
+            await saveEpisodeCues(db, 'Test Movie', cues);
+
+            await deleteEpisodeCues(db, 'Test Movie');
+
+            expect(await loadEpisodeCues(db, 'Test Movie')).toBeNull();
+        });
+    });
+
+    describe('Lookup History Functions', () => {
+        function createLookup(word) {
+            return {
+                word,
+                sentence: `Minä näin ${word} eilen.`,
+                translation: `translation of ${word}`,
+                sentenceTranslation: '',
+                targetLanguage: 'EN-US',
+                movieName: 'Test Movie',
+                videoTime: 42.5,
+                lookedUpAt: '2026-01-01T10:00:00.000Z'
+            };
+        }
+
+        test('should save lookups with generated ids and load them oldest first', async () => {
+            const firstId = await saveLookup(db, createLookup('kissan'));
+            const secondId = await saveLookup(db, createLookup('koiran'));
+
+            const lookups = await getAllLookups(db);
+
+            expect(secondId).toBeGreaterThan(firstId);
+            expect(lookups).toEqual([
+                { ...createLookup('kissan'), id: firstId },
+                { ...createLookup('koiran'), id: secondId }
+            ]);
+        });
+
+        test('should ignore id of the saved lookup', async () => {
+            const existingId = await saveLookup(db, createLookup('kissan'));
+
+            const newId = await saveLookup(db, { ...createLookup('koiran'), id: existingId });
+
+            expect(newId).not.toBe(existingId);
+            expect(await getAllLookups(db)).toHaveLength(2);
+        });
+
+        test('should delete a single lookup', async () => {
+            const firstId = await saveLookup(db, createLookup('kissan'));
+            await saveLookup(db, createLookup('koiran'));
+
+            await deleteLookup(db, firstId);
+
+            const lookups = await getAllLookups(db);
+            expect(lookups.map(lookup => lookup.word)).toEqual(['koiran']);
+        });
+
+        test('should clear the whole lookup history', async () => {
+            await saveLookup(db, createLookup('kissan'));
+            await saveLookup(db, createLookup('koiran'));
+
+            await clearLookupHistory(db);
+
+            expect(await getAllLookups(db)).toEqual([]);
+        });
+
+        test('should keep lookups when cleaning up old movie data', async () => {
+            const nowDays = Math.floor(Date.now() / (1000 * 60 * 60 * 24));
+            await upsertMovieMetadata(db, 'Test Movie', nowDays - 400);
+            await saveLookup(db, createLookup('kissan'));
+
+            await cleanupOldMovieData(db);
+
+            expect(await getAllLookups(db)).toHaveLength(1);
+        });
+    });
+
+    describe('Vocabulary Functions', () => {
+        function createVocabularyWord(word, translation = `translation of ${word}`, targetLanguage = 'EN-US') {
+            return {
+                word,
+                translation,
+                sentence: `Minä näin ${word} eilen.`,
+                targetLanguage,
+                movieName: 'Test Movie'
+            };
+        }
+
+        test('should save a new word lower case, untagged and not known', async () => {
+            const savedWord = await saveVocabularyWord(db, createVocabularyWord(' Kissan '));
+
+            expect(savedWord).toMatchObject({
+                word: 'kissan',
+                translation: 'translation of  Kissan ',
+                targetLanguage: 'EN-US',
+                movieName: 'Test Movie',
+                tags: [],
+                known: false
+            });
+            expect(typeof savedWord.savedAt).toBe('string');
+            expect(await getAllVocabularyWords(db)).toEqual([savedWord]);
+        });
+
+        test('should keep tags, known state and save time when saving the word again', async () => {
+            const firstSavedWord = await saveVocabularyWord(db, createVocabularyWord('kissan', 'cat'));
+            await updateVocabularyWord(db, 'kissan', 'EN-US', { tags: ['animals'], known: true });
+
+            const secondSavedWord = await saveVocabularyWord(db, createVocabularyWord('Kissan', 'of a cat'));
+
+            expect(secondSavedWord).toMatchObject({
+                word: 'kissan',
+                translation: 'of a cat',
+                tags: ['animals'],
+                known: true,
+                savedAt: firstSavedWord.savedAt
+            });
+            expect(await getAllVocabularyWords(db)).toHaveLength(1);
+        });
+
+        test('should list words sorted by word', async () => {
+            await saveVocabularyWord(db, createVocabularyWord('talo'));
+            await saveVocabularyWord(db, createVocabularyWord('auto'));
+
+            const vocabularyWords = await getAllVocabularyWords(db);
+
+            expect(vocabularyWords.map(vocabularyWord => vocabularyWord.word)).toEqual(['auto', 'talo']);
+        });
+
+        test('should update only the given fields', async () => {
+            await saveVocabularyWord(db, createVocabularyWord('kissan'));
+            await updateVocabularyWord(db, 'kissan', 'EN-US', { tags: ['animals', 'genitive'] });
+
+            const updatedWord = await updateVocabularyWord(db, 'Kissan', 'EN-US', { known: true });
+
+            expect(updatedWord.tags).toEqual(['animals', 'genitive']);
+            expect(updatedWord.known).toBe(true);
+        });
+
+        test('should return null when updating a word not saved', async () => {
+            expect(await updateVocabularyWord(db, 'kissan', 'EN-US', { known: true })).toBeNull();
+        });
+
+        test('should add a word not saved yet when marking it as known', async () => {
+            const [knownWord] = await setVocabularyWordKnown(db, createVocabularyWord('Kissan'), true);
+
+            expect(knownWord).toMatchObject({
+                word: 'kissan',
+                translation: '',
+                tags: [],
+                known: true
+            });
+            expect(await getAllVocabularyWords(db)).toEqual([knownWord]);
+        });
+
+        test('should keep translation and tags when marking a saved word as unknown', async () => {
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'cat'));
+            await updateVocabularyWord(db, 'kissan', 'EN-US', { tags: ['animals'], known: true });
+
+            const [unknownWord] = await setVocabularyWordKnown(db, createVocabularyWord('kissan'), false);
+
+            expect(unknownWord).toMatchObject({ translation: 'cat', tags: ['animals'], known: false });
+        });
+
+        test('should delete a word', async () => {
+            await saveVocabularyWord(db, createVocabularyWord('kissan'));
+            await saveVocabularyWord(db, createVocabularyWord('koiran'));
+
+            await deleteVocabularyWord(db, 'KISSAN', 'EN-US');
+
+            const vocabularyWords = await getAllVocabularyWords(db);
+            expect(vocabularyWords.map(vocabularyWord => vocabularyWord.word)).toEqual(['koiran']);
+        });
+
+        test('should keep one entry per target language', async () => {
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'of a cat', 'EN-US'));
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'con mèo', 'VI'));
+
+            const vocabularyWords = await getAllVocabularyWords(db);
+
+            expect(vocabularyWords.map(({ targetLanguage, translation }) => [targetLanguage, translation])).toEqual([
+                ['EN-US', 'of a cat'],
+                ['VI', 'con mèo']
+            ]);
+        });
+
+        test('should update tags of the target language only, known state of every target language', async () => {
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'of a cat', 'EN-US'));
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'con mèo', 'VI'));
+
+            await updateVocabularyWord(db, 'kissan', 'VI', { tags: ['animals'], known: true });
+
+            const [englishWord, vietnameseWord] = await getAllVocabularyWords(db);
+            expect(englishWord).toMatchObject({ tags: [], known: true });
+            expect(vietnameseWord).toMatchObject({ tags: ['animals'], known: true });
+        });
+
+        test('should mark every target language as known and give it to words saved later', async () => {
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'of a cat', 'EN-US'));
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'con mèo', 'VI'));
+
+            const knownWords = await setVocabularyWordKnown(db, createVocabularyWord('kissan', '', 'VI'), true);
+            const germanWord = await saveVocabularyWord(db, createVocabularyWord('kissan', 'der Katze', 'DE'));
+
+            expect(knownWords.map(knownWord => [knownWord.targetLanguage, knownWord.known])).toEqual([
+                ['EN-US', true],
+                ['VI', true]
+            ]);
+            expect(germanWord.known).toBe(true);
+        });
+
+        test('should delete the entry of the target language only', async () => {
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'of a cat', 'EN-US'));
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'con mèo', 'VI'));
+
+            await deleteVocabularyWord(db, 'kissan', 'VI');
+
+            const vocabularyWords = await getAllVocabularyWords(db);
+            expect(vocabularyWords.map(vocabularyWord => vocabularyWord.targetLanguage)).toEqual(['EN-US']);
+        });
+
+        test('should keep words saved by version 6 when keying them by target language', async () => {
+            db.close();
+            await deleteDB('YleDualSubCache');
+            const savedWord = { ...createVocabularyWord('kissan', 'cat'), savedAt: '2026-01-01T00:00:00.000Z', tags: [], known: true };
+            await new Promise((resolve, reject) => {
+                const request = indexedDB.open('YleDualSubCache', 6);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('Vocabulary', { keyPath: 'word' }).put(savedWord);
+                };
+                request.onsuccess = () => {
+                    request.result.close();
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+            });
+
+            db = await openDatabase();
+
+            expect(await getAllVocabularyWords(db)).toEqual([savedWord]);
+            await saveVocabularyWord(db, createVocabularyWord('kissan', 'con mèo', 'VI'));
+            expect(await getAllVocabularyWords(db)).toHaveLength(2);
+        });
+    });
+
+    describe('Dictionary Functions', () => {
+        test('should find the first saved form of a word', async () => {
+            const savedCount = await saveDictionaryEntries(db, [
+                { word: 'talo', senses: [{ partOfSpeech: 'noun', gloss: 'house' }] },
+                { word: 'kissa', senses: [{ partOfSpeech: 'noun', gloss: 'cat' }] }
+            ]);
+
+            expect(savedCount).toBe(2);
+            expect(await countDictionaryEntries(db)).toBe(2);
+            expect(await findDictionaryEntry(db, ['Talossa', 'talo'])).toEqual({
+                word: 'talo',
+                senses: [{ partOfSpeech: 'noun', gloss: 'house' }]
+            });
+            expect(await findDictionaryEntry(db, ['koira'])).toBeNull();
+        });
+
+        test('should append new senses of an already saved word', async () => {
+            await saveDictionaryEntries(db, [
+                { word: 'kuusi', senses: [{ partOfSpeech: 'numeral', gloss: 'six' }] }
+            ]);
+
+            await saveDictionaryEntries(db, [
+                {
+                    word: 'kuusi',
+                    senses: [
+                        { partOfSpeech: 'numeral', gloss: 'six' },
+                        { partOfSpeech: 'noun', gloss: 'spruce' }
+                    ]
+                }
+            ]);
+
+            const dictionaryEntry = await findDictionaryEntry(db, ['kuusi']);
+            expect(dictionaryEntry.senses.map(sense => sense.gloss)).toEqual(['six', 'spruce']);
+        });
+
+        test('should clear the dictionary', async () => {
+            await saveDictionaryEntries(db, [
+                { word: 'talo', senses: [{ partOfSpeech: 'noun', gloss: 'house' }] }
+            ]);
+
+            await clearDictionary(db);
+
+            expect(await countDictionaryEntries(db)).toBe(0);
+        });
+    });
+
     describe('cleanupOldMovieData', () => {
         test('should cleanup old movies based on access time', async () => {
             // Arrange
@@ -359,6 +736,7 @@ describe('Database Functions', () => {
             // Create old movie (40 days ago)
             await upsertMovieMetadata(db, oldMovieName, nowDays - 40);
             await saveSubtitle(db, oldMovieName, 'EN-US', 'hei', 'hello');
+            await saveEpisodeCues(db, oldMovieName, [{ startTime: 0, endTime: 1, text: 'Hei' }]);
 
             // Create recent movie (10 days ago)
             await upsertMovieMetadata(db, recentMovieName, nowDays - 10);
@@ -378,6 +756,7 @@ describe('Database Functions', () => {
             expect(recentMovieMetadata).not.toBeNull();
             expect(oldMovieSubtitles).toHaveLength(0);
             expect(recentMovieSubtitles).toHaveLength(1);
+            expect(await loadEpisodeCues(db, oldMovieName)).toBeNull();
         });
 
         test('should handle custom maxAgeDays parameter', async () => {
@@ -405,4 +784,49 @@ describe('Database Functions', () => {
             expect(cleanedCount).toBe(0);
         });
     });
+
+    describe('Legacy page database migration', () => {
+        test('should read all records of existing database', async () => {
+            const nowDays = Math.floor(Date.now() / (1000 * 60 * 60 * 24));
+            await saveSubtitle(db, 'Test Movie', 'EN-US', 'hei', 'hello');
+            await upsertMovieMetadata(db, 'Test Movie', nowDays);
+
+            const legacyRecords = await loadLegacyPageDatabaseRecords();
+
+            expect(legacyRecords.subtitleRecords).toEqual([{
+                movieName: 'Test Movie',
+                originalLanguage: 'FI',
+                targetLanguage: 'EN-US',
+                originalText: 'hei',
+                translatedText: 'hello'
+            }]);
+            expect(legacyRecords.movieMetadataRecords).toEqual([
+                { movieName: 'Test Movie', lastAccessedDays: nowDays }
+            ]);
+        });
+
+        test('should return null when there is no database', async () => {
+            db.close();
+            db = null;
+            await deleteDB('YleDualSubCache');
+
+            expect(await loadLegacyPageDatabaseRecords()).toBeNull();
+        });
+
+        test('should delete the database', async () => {
+            db.close();
+            db = null;
+
+            await deleteLegacyPageDatabase();
+
+            const databaseInfos = await indexedDB.databases();
+            expect(databaseInfos.map(databaseInfo => databaseInfo.name)).not.toContain('YleDualSubCache');
+        });
+
+        test('should reject when another connection blocks the deletion', async () => {
+            // db stays open, like the database of another tab running an older version
+
+            await expect(deleteLegacyPageDatabase()).rejects.toThrow('blocked by an open connection');
+        });
+    });
 });
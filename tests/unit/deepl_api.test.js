@@ -0,0 +1,100 @@
+/**
+ * DeepL key failover tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// deepl_api.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    DEEPL_KEY_FAILOVER_STATUSES,
+    DEEPL_BILLING_PERIOD_MS,
+    toDeepLKeyFailoverReason,
+    isDeepLTokenHealthy,
+    pickNextHealthyDeepLToken
+} = require('../../main/translation/deepl_api.js');
+
+const NOW = Date.parse('2026-03-15T12:00:00.000Z');
+
+/**
+ * @param {string} key
+ * @param {number} characterCount
+ * @param {Object} [failover] - failoverReason and failoverAt
+ */
+function tokenInfo(key, characterCount, failover = {}) {
+    return {
+        key,
+        type: 'free',
+        characterCount: String(characterCount),
+        characterLimit: '500000',
+        lastUsageCheckedAt: '',
+        selected: false,
+        ...failover
+    };
+}
+
+describe('DeepL API', () => {
+    describe('failover statuses', () => {
+        test('should fail over on invalid key and exceeded quota only', () => {
+            expect(DEEPL_KEY_FAILOVER_STATUSES).toEqual([403, 456]);
+            expect(toDeepLKeyFailoverReason(403)).toBe('invalid-key');
+            expect(toDeepLKeyFailoverReason(456)).toBe('quota-exceeded');
+        });
+    });
+
+    describe('isDeepLTokenHealthy', () => {
+        test('should keep a key without failover healthy', () => {
+            expect(isDeepLTokenHealthy(tokenInfo('a', 0), NOW)).toBe(true);
+        });
+
+        test('should never take an invalid key back', () => {
+            const invalidKey = tokenInfo('a', 0, { failoverReason: 'invalid-key', failoverAt: '2025-01-01T00:00:00.000Z' });
+
+            expect(isDeepLTokenHealthy(invalidKey, NOW)).toBe(false);
+        });
+
+        test('should take a key out of quota back once a billing period has passed', () => {
+            const failoverAt = new Date(NOW - DEEPL_BILLING_PERIOD_MS).toISOString();
+            const quotaExceededKey = tokenInfo('a', 500000, { failoverReason: 'quota-exceeded', failoverAt });
+
+            expect(isDeepLTokenHealthy(quotaExceededKey, NOW - 1)).toBe(false);
+            expect(isDeepLTokenHealthy(quotaExceededKey, NOW)).toBe(true);
+        });
+
+        test('should take a key out of quota back when the failover time is unreadable', () => {
+            expect(isDeepLTokenHealthy(tokenInfo('a', 0, { failoverReason: 'quota-exceeded' }), NOW)).toBe(true);
+        });
+    });
+
+    describe('pickNextHealthyDeepLToken', () => {
+        test('should pick the untried key with the most characters left', () => {
+            const tokenInfos = [tokenInfo('a', 0), tokenInfo('b', 400000), tokenInfo('c', 100000)];
+
+            expect(pickNextHealthyDeepLToken(tokenInfos, new Set(['a']), NOW).key).toBe('c');
+        });
+
+        test('should compare characters left as numbers, not as the stored strings', () => {
+            const tokenInfos = [tokenInfo('a', 100000), tokenInfo('b', 99999)];
+
+            expect(pickNextHealthyDeepLToken(tokenInfos, new Set(), NOW).key).toBe('b');
+        });
+
+        test('should skip keys switched away from until their quota may be reset', () => {
+            const recentFailover = { failoverReason: 'quota-exceeded', failoverAt: new Date(NOW - 1000).toISOString() };
+            const tokenInfos = [tokenInfo('a', 0, recentFailover), tokenInfo('b', 450000)];
+
+            expect(pickNextHealthyDeepLToken(tokenInfos, new Set(), NOW).key).toBe('b');
+            expect(pickNextHealthyDeepLToken(tokenInfos, new Set(), NOW + DEEPL_BILLING_PERIOD_MS).key).toBe('a');
+        });
+
+        test('should return null when no key is left', () => {
+            const tokenInfos = [
+                tokenInfo('a', 0),
+                tokenInfo('b', 0, { failoverReason: 'invalid-key', failoverAt: new Date(NOW).toISOString() })
+            ];
+
+            expect(pickNextHealthyDeepLToken(tokenInfos, new Set(['a']), NOW)).toBeNull();
+            expect(pickNextHealthyDeepLToken([], new Set(), NOW)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Offline dictionary tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// dictionary.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    parseWiktionaryDictionaryLine,
+    mergeDictionaryEntries,
+    toDictionaryEntryRows,
+    toDictionaryEntryTranslation
+} = require('../../main/utils/dictionary.js');
+
+describe('Offline Dictionary', () => {
+    describe('parseWiktionaryDictionaryLine', () => {
+        test('should parse word, part of speech and the most specific gloss of each sense', () => {
+            const line = JSON.stringify({
+                word: 'Talo',
+                pos: 'noun',
+                lang_code: 'fi',
+                senses: [
+                    { glosses: ['house'] },
+                    { glosses: ['building', 'company, firm (in compounds)'] },
+                    { tags: ['no-gloss'] }
+                ]
+            });
+
+            expect(parseWiktionaryDictionaryLine(line)).toEqual({
+                word: 'talo',
+                senses: [
+                    { partOfSpeech: 'noun', gloss: 'house' },
+                    { partOfSpeech: 'noun', gloss: 'company, firm (in compounds)' }
+                ]
+            });
+        });
+
+        test('should spell out abbreviated parts of speech', () => {
+            const line = JSON.stringify({ word: 'kaunis', pos: 'adj', senses: [{ glosses: ['beautiful'] }] });
+
+            expect(parseWiktionaryDictionaryLine(line).senses[0].partOfSpeech).toBe('adjective');
+        });
+
+        test('should skip empty, malformed, non Finnish and meaningless lines', () => {
+            expect(parseWiktionaryDictionaryLine('   ')).toBeNull();
+            expect(parseWiktionaryDictionaryLine('{"word": "talo",')).toBeNull();
+            expect(parseWiktionaryDictionaryLine(JSON.stringify({
+                word: 'hus',
+                pos: 'noun',
+                lang_code: 'sv',
+                senses: [{ glosses: ['house'] }]
+            }))).toBeNull();
+            expect(parseWiktionaryDictionaryLine(JSON.stringify({ word: 'talo', pos: 'noun', senses: [] })))
+                .toBeNull();
+        });
+    });
+
+    describe('mergeDictionaryEntries', () => {
+        test('should merge parts of speech of the same word without duplicate senses', () => {
+            const mergedEntries = mergeDictionaryEntries([
+                { word: 'kuusi', senses: [{ partOfSpeech: 'numeral', gloss: 'six' }] },
+                { word: 'talo', senses: [{ partOfSpeech: 'noun', gloss: 'house' }] },
+                {
+                    word: 'kuusi',
+                    senses: [
+                        { partOfSpeech: 'noun', gloss: 'spruce' },
+                        { partOfSpeech: 'numeral', gloss: 'six' }
+                    ]
+                }
+            ]);
+
+            expect(mergedEntries).toEqual([
+                {
+                    word: 'kuusi',
+                    senses: [
+                        { partOfSpeech: 'numeral', gloss: 'six' },
+                        { partOfSpeech: 'noun', gloss: 'spruce' }
+                    ]
+                },
+                { word: 'talo', senses: [{ partOfSpeech: 'noun', gloss: 'house' }] }
+            ]);
+        });
+    });
+
+    describe('toDictionaryEntryRows and toDictionaryEntryTranslation', () => {
+        const dictionaryEntry = {
+            word: 'kuusi',
+            senses: [
+                { partOfSpeech: 'numeral', gloss: 'six' },
+                { partOfSpeech: 'noun', gloss: 'spruce' },
+                { partOfSpeech: 'noun', gloss: 'Christmas tree' }
+            ]
+        };
+
+        test('should build one popup row per part of speech with numbered senses', () => {
+            expect(toDictionaryEntryRows(dictionaryEntry)).toEqual([
+                { key: 'numeral', val: 'six' },
+                { key: 'noun', val: '1. spruce 2. Christmas tree' }
+            ]);
+        });
+
+        test('should translate with meanings of the first part of speech', () => {
+            expect(toDictionaryEntryTranslation(dictionaryEntry)).toBe('six');
+        });
+    });
+});
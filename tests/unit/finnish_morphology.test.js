@@ -0,0 +1,125 @@
+/**
+ * Finnish morphology tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// finnish_morphology.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    FinnishCase,
+    FinnishNumber,
+    analyzeFinnishWord,
+    toFinnishWordAnalysisRows
+} = require('../../main/utils/finnish_morphology.js');
+
+describe('Finnish Morphology', () => {
+    describe('analyzeFinnishWord nouns', () => {
+        test('should strip plural, case and possessive suffix', () => {
+            expect(analyzeFinnishWord('taloissamme')).toEqual({
+                lemma: 'talo',
+                partOfSpeech: 'noun',
+                case: FinnishCase.INESSIVE,
+                number: FinnishNumber.PLURAL,
+                possessive: '1st person plural (our)',
+                verbForm: null,
+                clitic: null
+            });
+        });
+
+        test.each([
+            ['talossa', 'talo', FinnishCase.INESSIVE, FinnishNumber.SINGULAR],
+            ['Suomessa', 'suomi', FinnishCase.INESSIVE, FinnishNumber.SINGULAR],
+            ['kadulla', 'katu', FinnishCase.ADESSIVE, FinnishNumber.SINGULAR],
+            ['taloon', 'talo', FinnishCase.ILLATIVE, FinnishNumber.SINGULAR],
+            ['maahan', 'maa', FinnishCase.ILLATIVE, FinnishNumber.SINGULAR],
+            ['kysymyksen', 'kysymys', FinnishCase.GENITIVE, FinnishNumber.SINGULAR],
+            ['kirjaa', 'kirja', FinnishCase.PARTITIVE, FinnishNumber.SINGULAR],
+            ['ihmisiä', 'ihminen', FinnishCase.PARTITIVE, FinnishNumber.PLURAL],
+            ['kissoja', 'kissa', FinnishCase.PARTITIVE, FinnishNumber.PLURAL],
+            ['koirien', 'koira', FinnishCase.GENITIVE, FinnishNumber.PLURAL],
+            ['suomalaiset', 'suomalainen', FinnishCase.NOMINATIVE, FinnishNumber.PLURAL],
+            ['vedessä', 'vesi', FinnishCase.INESSIVE, FinnishNumber.SINGULAR],
+            ['Helsingissä', 'helsinki', FinnishCase.INESSIVE, FinnishNumber.SINGULAR]
+        ])('should analyze %s as %s', (word, lemma, nounCase, number) => {
+            expect(analyzeFinnishWord(word)).toMatchObject({ lemma, case: nounCase, number });
+        });
+
+        test('should keep case of an unknown word from its ending', () => {
+            expect(analyzeFinnishWord('linnassa')).toMatchObject({
+                lemma: 'linna',
+                case: FinnishCase.INESSIVE
+            });
+        });
+
+        test('should not strip a possessive suffix from a base form', () => {
+            expect(analyzeFinnishWord('kuusi')).toMatchObject({
+                lemma: 'kuusi',
+                case: FinnishCase.NOMINATIVE,
+                possessive: null
+            });
+        });
+
+        test('should tell that genitive and plural are lost before a possessive suffix', () => {
+            expect(analyzeFinnishWord('kissani')).toMatchObject({
+                lemma: 'kissa',
+                case: FinnishCase.NOMINATIVE_OR_GENITIVE,
+                number: FinnishNumber.SINGULAR_OR_PLURAL,
+                possessive: '1st person singular (my)'
+            });
+        });
+
+        test('should recognize the lengthened vowel possessive suffix and clitics', () => {
+            expect(analyzeFinnishWord('talossaan')).toMatchObject({
+                lemma: 'talo',
+                possessive: '3rd person (his, her, their)'
+            });
+            expect(analyzeFinnishWord('autollakin')).toMatchObject({
+                lemma: 'auto',
+                case: FinnishCase.ADESSIVE,
+                clitic: '-kin (also, too)'
+            });
+        });
+    });
+
+    describe('analyzeFinnishWord verbs and pronouns', () => {
+        test.each([
+            ['sanoin', 'sanoa', 'Past, 1st person singular'],
+            ['tiedän', 'tietää', 'Present, 1st person singular'],
+            ['ymmärrän', 'ymmärtää', 'Present, 1st person singular'],
+            ['tulee', 'tulla', 'Present, 3rd person singular'],
+            ['tullut', 'tulla', 'Past participle'],
+            ['mennään', 'mennä', 'Passive present'],
+            ['haluaisin', 'haluta', 'Conditional, 1st person singular'],
+            ['on', 'olla', 'Present, 3rd person singular']
+        ])('should analyze %s as %s', (word, lemma, verbForm) => {
+            expect(analyzeFinnishWord(word)).toMatchObject({ lemma, partOfSpeech: 'verb', verbForm, case: null });
+        });
+
+        test('should analyze pronoun forms from the bundled table', () => {
+            expect(analyzeFinnishWord('minulle')).toMatchObject({
+                lemma: 'minä',
+                partOfSpeech: 'pronoun',
+                case: FinnishCase.ALLATIVE,
+                number: FinnishNumber.SINGULAR
+            });
+        });
+
+        test('should return null for particles and non Finnish text', () => {
+            expect(analyzeFinnishWord('että')).toBeNull();
+            expect(analyzeFinnishWord('EU:n')).toBeNull();
+            expect(analyzeFinnishWord('')).toBeNull();
+        });
+    });
+
+    describe('toFinnishWordAnalysisRows', () => {
+        test('should build popup rows for known fields only', () => {
+            expect(toFinnishWordAnalysisRows(analyzeFinnishWord('taloissamme'))).toEqual([
+                { key: 'Lemma', val: 'talo' },
+                { key: 'Case', val: FinnishCase.INESSIVE },
+                { key: 'Number', val: FinnishNumber.PLURAL },
+                { key: 'Possessive', val: '1st person plural (our)' }
+            ]);
+        });
+    });
+});
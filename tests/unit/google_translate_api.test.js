@@ -0,0 +1,94 @@
+/**
+ * Google Cloud Translation provider tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// Translation files use conditional exports: CommonJS in Node.js, global functions in browser
+const { TranslationProviderError } = require('../../main/translation/shared.js');
+const {
+    toGoogleLanguageCode,
+    getGoogleTranslateErrorMessage,
+    GOOGLE_TRANSLATION_PROVIDER
+} = require('../../main/translation/google_translate_api.js');
+
+describe('Google Translate API', () => {
+    beforeAll(() => {
+        // shared.js is loaded before google_translate_api.js in the service worker
+        global.TranslationProviderError = TranslationProviderError;
+    });
+
+    afterAll(() => {
+        delete global.TranslationProviderError;
+        delete global.fetch;
+    });
+
+    describe('toGoogleLanguageCode', () => {
+        test('should map DeepL target language codes to Google language codes', () => {
+            expect(toGoogleLanguageCode('EN-US')).toBe('en');
+            expect(toGoogleLanguageCode('VI')).toBe('vi');
+            expect(toGoogleLanguageCode('PT-BR')).toBe('pt');
+            expect(toGoogleLanguageCode('PT-PT')).toBe('pt-PT');
+            expect(toGoogleLanguageCode('ZH-HANS')).toBe('zh-CN');
+            expect(toGoogleLanguageCode('ZH-HANT')).toBe('zh-TW');
+            expect(toGoogleLanguageCode('NB')).toBe('no');
+        });
+    });
+
+    describe('translateTexts', () => {
+        test('should send the texts in one request with the key in the URL, ignoring context', async () => {
+            global.fetch = jest.fn(async () => ({
+                ok: true,
+                json: async () => ({
+                    data: { translations: [{ translatedText: 'Hello' }, { translatedText: 'How are you?' }] }
+                })
+            }));
+
+            const translationResult = await GOOGLE_TRANSLATION_PROVIDER.translateTexts(
+                { apiKey: 'AIza key/1' }, ['Hei', 'Mitä kuuluu?'], 'ZH-HANT', 'Moi.'
+            );
+
+            expect(translationResult).toEqual([true, ['Hello', 'How are you?']]);
+            const [url, request] = global.fetch.mock.calls[0];
+            expect(url).toBe('https://translation.googleapis.com/language/translate/v2?key=AIza%20key%2F1');
+            expect(request.method).toBe('POST');
+            expect(JSON.parse(request.body)).toEqual({
+                q: ['Hei', 'Mitä kuuluu?'],
+                source: 'fi',
+                target: 'zh-TW',
+                format: 'text'
+            });
+        });
+
+        test('should return the HTTP status of a failed request as TranslationProviderError', async () => {
+            global.fetch = jest.fn(async () => ({ ok: false, status: 403 }));
+
+            const [isSucceeded, translationError] = await GOOGLE_TRANSLATION_PROVIDER.translateTexts(
+                { apiKey: 'key' }, ['Hei'], 'EN-US', ''
+            );
+
+            expect(isSucceeded).toBe(false);
+            expect(translationError).toBeInstanceOf(TranslationProviderError);
+            expect(translationError.status).toBe(403);
+        });
+
+        test('should return an error message when the request cannot be sent', async () => {
+            global.fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+
+            expect(await GOOGLE_TRANSLATION_PROVIDER.translateTexts({ apiKey: 'key' }, ['Hei'], 'EN-US', '')).toEqual([
+                false,
+                'Translation failed. Please check network or contact developers.'
+            ]);
+        });
+    });
+
+    describe('getErrorMessage', () => {
+        test('should explain key problems and fall back to the status for others', () => {
+            expect(getGoogleTranslateErrorMessage(401)).toBe(getGoogleTranslateErrorMessage(403));
+            expect(getGoogleTranslateErrorMessage(403)).toContain('API key is invalid');
+            expect(getGoogleTranslateErrorMessage(418)).toContain('error 418');
+            expect(GOOGLE_TRANSLATION_PROVIDER.getErrorMessage).toBe(getGoogleTranslateErrorMessage);
+        });
+    });
+});
@@ -0,0 +1,284 @@
+/**
+ * Page world subtitle interception tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TextDecoder } = require('util');
+
+// Same order as inject.js, injected.js uses the parsers of the files before it
+const PAGE_WORLD_SCRIPT_PATHS = [
+    'main/utils/webvtt_parser.js',
+    'main/utils/subtitle_parser.js',
+    'main/utils/subtitle_manifest.js',
+    'main/background/injected.js'
+];
+
+const SEGMENTED_TRACK_DISPATCH_DELAY_MS = 500;
+
+/**
+ * @param {string} showPath - distinct per test, the reassembled playlist is kept between tests
+ * @returns {string}
+ */
+function masterPlaylist(showPath) {
+    return [
+        '#EXTM3U',
+        `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",URI="${showPath}/en.m3u8"`,
+        `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="Suomi",LANGUAGE="fi",URI="${showPath}/fi.m3u8"`,
+        '#EXT-X-STREAM-INF:BANDWIDTH=2000000,SUBTITLES="subs"',
+        'video/720p.m3u8',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {string[]} segmentPaths
+ * @returns {string}
+ */
+function mediaPlaylist(segmentPaths) {
+    return [
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:6',
+        ...segmentPaths.flatMap(segmentPath => ['#EXTINF:6.000,', segmentPath]),
+        '#EXT-X-ENDLIST',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {string[]} cueLines - "start --> end|text"
+ * @param {number} mpegTs - presentation time of the cue time 0, in 90 kHz ticks
+ * @returns {string} WebVTT segment of an HLS subtitle playlist
+ */
+function subtitleSegment(cueLines, mpegTs = 0) {
+    const cueBlocks = cueLines.map((cueLine) => {
+        const [timing, text] = cueLine.split('|');
+        return `${timing}\n${text}`;
+    });
+    return [`WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${mpegTs},LOCAL:00:00:00.000`, ...cueBlocks, ''].join('\n\n');
+}
+
+describe('Page world subtitle interception', () => {
+    /** @type {Record<string, string>} response bodies by URL, other URLs answer 404 */
+    let responseTexts;
+    /** @type {Record<string, string>} Content-Type headers by URL, "" if not listed */
+    let responseContentTypes;
+    /** @type {jest.Mock} reads of response bodies by URL */
+    let readResponseText;
+    /** @type {number} */
+    let pendingFetchCount;
+    /** @type {number} */
+    let maxPendingFetchCount;
+    /** @type {jest.Mock} */
+    let fetchMock;
+    /** @type {Array<Array<{startTime: number, endTime: number, text: string}>>} */
+    let dispatchedTracks;
+
+    /** @param {Event} e */
+    function onSubtitleTrack(e) {
+        dispatchedTracks.push(JSON.parse(/** @type {CustomEvent} */ (e).detail).cues);
+    }
+
+    beforeAll(() => {
+        // jsdom has neither, the page world has both
+        window.TextDecoder = TextDecoder;
+        fetchMock = jest.fn(async (url) => {
+            pendingFetchCount++;
+            maxPendingFetchCount = Math.max(maxPendingFetchCount, pendingFetchCount);
+            await Promise.resolve();
+            pendingFetchCount--;
+            const responseText = responseTexts[url];
+            const response = {
+                ok: responseText !== undefined,
+                status: responseText !== undefined ? 200 : 404,
+                url,
+                headers: { get: () => responseContentTypes[url] || '' },
+                clone: () => response,
+                text: async () => readResponseText(url)
+            };
+            return response;
+        });
+        readResponseText = jest.fn(url => responseTexts[url]);
+        window.fetch = fetchMock;
+
+        for (const scriptPath of PAGE_WORLD_SCRIPT_PATHS) {
+            const scriptElement = document.createElement('script');
+            scriptElement.textContent = fs.readFileSync(path.join(__dirname, '../..', scriptPath), 'utf8');
+            document.body.appendChild(scriptElement);
+        }
+        document.addEventListener('sendSubtitleTrackEvent', onSubtitleTrack);
+    });
+
+    afterAll(() => {
+        document.removeEventListener('sendSubtitleTrackEvent', onSubtitleTrack);
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        responseTexts = {};
+        responseContentTypes = {};
+        dispatchedTracks = [];
+        pendingFetchCount = 0;
+        maxPendingFetchCount = 0;
+        fetchMock.mockClear();
+        readResponseText.mockClear();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('handleHlsPlaylist', () => {
+        test('should fetch every segment of the Finnish playlist and dispatch the reassembled track once', async () => {
+            responseTexts = {
+                'https://cdn.example/a/fi.m3u8': mediaPlaylist(['fi-0.vtt', 'fi-1.vtt']),
+                'https://cdn.example/a/fi-0.vtt': subtitleSegment([
+                    '00:00:01.000 --> 00:00:03.000|Hei vaan.',
+                    '00:00:05.000 --> 00:00:07.000|Mitä kuuluu?'
+                ]),
+                // A cue crossing the segment boundary is repeated in both segments
+                'https://cdn.example/a/fi-1.vtt': subtitleSegment([
+                    '00:00:05.000 --> 00:00:07.000|Mitä kuuluu?',
+                    '00:00:08.000 --> 00:00:10.000|Hyvää.'
+                ])
+            };
+
+            window.handleHlsPlaylist('https://cdn.example/master.m3u8', masterPlaylist('a'));
+            await jest.advanceTimersByTimeAsync(SEGMENTED_TRACK_DISPATCH_DELAY_MS);
+
+            expect(fetchMock.mock.calls.map(call => call[0])).toEqual([
+                'https://cdn.example/a/fi.m3u8',
+                'https://cdn.example/a/fi-0.vtt',
+                'https://cdn.example/a/fi-1.vtt'
+            ]);
+            expect(dispatchedTracks).toHaveLength(1);
+            expect(dispatchedTracks[0].map(cue => [cue.startTime, cue.text])).toEqual([
+                [1, 'Hei vaan.'],
+                [5, 'Mitä kuuluu?'],
+                [8, 'Hyvää.']
+            ]);
+        });
+
+        test('should time cues like the video by the timestamp map of each segment', async () => {
+            responseTexts = {
+                'https://cdn.example/f/fi.m3u8': mediaPlaylist(['fi-0.vtt']),
+                // Streams often start at the presentation time of 10 s
+                'https://cdn.example/f/fi-0.vtt': subtitleSegment(['00:00:01.000 --> 00:00:03.000|Hei vaan.'], 900000)
+            };
+
+            window.handleHlsPlaylist('https://cdn.example/master.m3u8', masterPlaylist('f'));
+            await jest.advanceTimersByTimeAsync(SEGMENTED_TRACK_DISPATCH_DELAY_MS);
+
+            expect(dispatchedTracks[0].map(cue => [cue.startTime, cue.endTime])).toEqual([[11, 13]]);
+        });
+
+        test('should fetch segments a few at a time and dispatch them once', async () => {
+            const segmentPaths = Array.from({ length: 14 }, (_, segmentIndex) => `fi-${segmentIndex}.vtt`);
+            responseTexts = { 'https://cdn.example/g/fi.m3u8': mediaPlaylist(segmentPaths) };
+            segmentPaths.forEach((segmentPath, segmentIndex) => {
+                const startTime = `00:00:${String(segmentIndex * 2).padStart(2, '0')}.000`;
+                responseTexts[`https://cdn.example/g/${segmentPath}`] = subtitleSegment([
+                    `${startTime} --> ${startTime}|Rivi ${segmentIndex}.`
+                ]);
+            });
+
+            window.handleHlsPlaylist('https://cdn.example/master.m3u8', masterPlaylist('g'));
+            await jest.advanceTimersByTimeAsync(SEGMENTED_TRACK_DISPATCH_DELAY_MS);
+
+            expect(fetchMock).toHaveBeenCalledTimes(1 + segmentPaths.length);
+            expect(maxPendingFetchCount).toBe(6);
+            expect(dispatchedTracks).toHaveLength(1);
+            expect(dispatchedTracks[0]).toHaveLength(segmentPaths.length);
+        });
+
+        test('should fetch subtitles without credentials, as CDNs allowing any origin reject them', async () => {
+            responseTexts = {
+                'https://cdn.example/b/fi.m3u8': mediaPlaylist(['fi-0.vtt']),
+                'https://cdn.example/b/fi-0.vtt': subtitleSegment(['00:00:01.000 --> 00:00:02.000|Moi.'])
+            };
+
+            window.handleHlsPlaylist('https://cdn.example/master.m3u8', masterPlaylist('b'));
+            await jest.advanceTimersByTimeAsync(SEGMENTED_TRACK_DISPATCH_DELAY_MS);
+
+            expect(fetchMock).toHaveBeenCalledTimes(2);
+            for (const [, fetchOptions] of fetchMock.mock.calls) {
+                expect(fetchOptions?.credentials).not.toBe('include');
+            }
+        });
+
+        test('should keep the cues of other segments when one segment fails to load', async () => {
+            responseTexts = {
+                'https://cdn.example/c/fi.m3u8': mediaPlaylist(['fi-0.vtt', 'fi-1.vtt']),
+                'https://cdn.example/c/fi-1.vtt': subtitleSegment(['00:00:08.000 --> 00:00:10.000|Hyvää.'])
+            };
+
+            window.handleHlsPlaylist('https://cdn.example/master.m3u8', masterPlaylist('c'));
+            await jest.advanceTimersByTimeAsync(SEGMENTED_TRACK_DISPATCH_DELAY_MS);
+
+            expect(dispatchedTracks).toHaveLength(1);
+            expect(dispatchedTracks[0].map(cue => cue.text)).toEqual(['Hyvää.']);
+        });
+
+        test('should ignore segments of subtitle playlists in other languages', async () => {
+            responseTexts = {
+                'https://cdn.example/d/fi.m3u8': mediaPlaylist([])
+            };
+            window.handleHlsPlaylist('https://cdn.example/master.m3u8', masterPlaylist('d'));
+            await jest.advanceTimersByTimeAsync(0);
+            fetchMock.mockClear();
+
+            // The player loads the English playlist and its segments itself
+            window.handleHlsPlaylist('https://cdn.example/d/en.m3u8', mediaPlaylist(['en-0.vtt']));
+            window.handleSubtitleResponse(
+                'https://cdn.example/d/en-0.vtt',
+                'text/vtt',
+                subtitleSegment(['00:00:01.000 --> 00:00:02.000|Hello.'])
+            );
+            await jest.advanceTimersByTimeAsync(SEGMENTED_TRACK_DISPATCH_DELAY_MS);
+
+            expect(fetchMock).not.toHaveBeenCalled();
+            expect(dispatchedTracks).toEqual([]);
+        });
+    });
+
+    describe('handleSubtitleResponse', () => {
+        test('should dispatch a whole subtitle file right away', () => {
+            window.handleSubtitleResponse(
+                'https://cdn.example/e/fi.srt',
+                '',
+                '1\n00:00:01,000 --> 00:00:02,500\nTervetuloa.\n'
+            );
+
+            expect(dispatchedTracks).toHaveLength(1);
+            expect(dispatchedTracks[0].map(cue => [cue.startTime, cue.endTime, cue.text])).toEqual([
+                [1, 2.5, 'Tervetuloa.']
+            ]);
+        });
+    });
+
+    describe('fetch interception', () => {
+        test('should not read responses of generic content types from URLs not naming subtitles', async () => {
+            responseTexts = { 'https://api.example/v1/episode': '1\n00:00:01,000 --> 00:00:02,000\nEi tämä.\n' };
+            responseContentTypes = { 'https://api.example/v1/episode': 'text/plain' };
+
+            await window.fetch('https://api.example/v1/episode');
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(readResponseText).not.toHaveBeenCalled();
+            expect(dispatchedTracks).toEqual([]);
+        });
+
+        test('should sniff responses of generic content types from URLs naming subtitles', async () => {
+            responseTexts = { 'https://api.example/v1/subtitles/fi': '1\n00:00:01,000 --> 00:00:02,000\nTervetuloa.\n' };
+            responseContentTypes = { 'https://api.example/v1/subtitles/fi': 'text/plain; charset=utf-8' };
+
+            await window.fetch('https://api.example/v1/subtitles/fi');
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(dispatchedTracks.map(cues => cues.map(cue => cue.text))).toEqual([['Tervetuloa.']]);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * LibreTranslate provider tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// Translation files use conditional exports: CommonJS in Node.js, global functions in browser
+const { TranslationProviderError } = require('../../main/translation/shared.js');
+const {
+    toLibreTranslateLanguageCode,
+    getLibreTranslateErrorMessage,
+    LIBRETRANSLATE_TRANSLATION_PROVIDER
+} = require('../../main/translation/libretranslate_api.js');
+
+const LIBRETRANSLATE_URL = 'http://localhost:5000/translate';
+
+/**
+ * @param {Object} responseBody
+ */
+function mockLibreTranslateResponse(responseBody) {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => responseBody }));
+}
+
+/**
+ * @returns {Object} JSON body of the request sent to the server
+ */
+function sentRequestBody() {
+    return JSON.parse(global.fetch.mock.calls[0][1].body);
+}
+
+describe('LibreTranslate API', () => {
+    beforeAll(() => {
+        // shared.js is loaded before libretranslate_api.js in the service worker
+        global.TranslationProviderError = TranslationProviderError;
+    });
+
+    afterAll(() => {
+        delete global.TranslationProviderError;
+        delete global.fetch;
+    });
+
+    describe('toLibreTranslateLanguageCode', () => {
+        test('should map DeepL target language codes to LibreTranslate language codes', () => {
+            expect(toLibreTranslateLanguageCode('EN-GB')).toBe('en');
+            expect(toLibreTranslateLanguageCode('DE')).toBe('de');
+            expect(toLibreTranslateLanguageCode('ZH')).toBe('zh');
+            expect(toLibreTranslateLanguageCode('ZH-HANS')).toBe('zh');
+            expect(toLibreTranslateLanguageCode('ZH-HANT')).toBe('zh-Hant');
+        });
+    });
+
+    describe('translateTexts', () => {
+        test('should post the texts to the configured URL, without API key when none is set', async () => {
+            mockLibreTranslateResponse({ translatedText: ['Hello', 'How are you?'] });
+
+            const translationResult = await LIBRETRANSLATE_TRANSLATION_PROVIDER.translateTexts(
+                { url: LIBRETRANSLATE_URL }, ['Hei', 'Mitä kuuluu?'], 'EN-US', 'Moi.'
+            );
+
+            expect(translationResult).toEqual([true, ['Hello', 'How are you?']]);
+            expect(global.fetch.mock.calls[0][0]).toBe(LIBRETRANSLATE_URL);
+            expect(global.fetch.mock.calls[0][1].method).toBe('POST');
+            expect(sentRequestBody()).toEqual({
+                q: ['Hei', 'Mitä kuuluu?'],
+                source: 'fi',
+                target: 'en',
+                format: 'text'
+            });
+        });
+
+        test('should send the API key when one is set', async () => {
+            mockLibreTranslateResponse({ translatedText: ['Hello'] });
+
+            await LIBRETRANSLATE_TRANSLATION_PROVIDER.translateTexts(
+                { url: LIBRETRANSLATE_URL, apiKey: 'secret' }, ['Hei'], 'EN-US', ''
+            );
+
+            expect(sentRequestBody().api_key).toBe('secret');
+        });
+
+        test('should accept a single translated text from older servers', async () => {
+            mockLibreTranslateResponse({ translatedText: 'Hello' });
+
+            expect(await LIBRETRANSLATE_TRANSLATION_PROVIDER.translateTexts(
+                { url: LIBRETRANSLATE_URL }, ['Hei'], 'EN-US', ''
+            )).toEqual([true, ['Hello']]);
+        });
+
+        test('should reject a response with another number of texts than sent', async () => {
+            mockLibreTranslateResponse({ translatedText: 'Hello How are you?' });
+
+            const [isSucceeded, errorMessage] = await LIBRETRANSLATE_TRANSLATION_PROVIDER.translateTexts(
+                { url: LIBRETRANSLATE_URL }, ['Hei', 'Mitä kuuluu?'], 'EN-US', ''
+            );
+
+            expect(isSucceeded).toBe(false);
+            expect(errorMessage).toContain('unexpected response');
+        });
+
+        test('should return the HTTP status of a failed request as TranslationProviderError', async () => {
+            global.fetch = jest.fn(async () => ({ ok: false, status: 403 }));
+
+            const [isSucceeded, translationError] = await LIBRETRANSLATE_TRANSLATION_PROVIDER.translateTexts(
+                { url: LIBRETRANSLATE_URL, apiKey: 'wrong' }, ['Hei'], 'EN-US', ''
+            );
+
+            expect(isSucceeded).toBe(false);
+            expect(translationError).toBeInstanceOf(TranslationProviderError);
+            expect(translationError.status).toBe(403);
+        });
+
+        test('should tell the server cannot be reached when the request cannot be sent', async () => {
+            global.fetch = jest.fn(async () => { throw new TypeError('Failed to fetch'); });
+
+            const [isSucceeded, errorMessage] = await LIBRETRANSLATE_TRANSLATION_PROVIDER.translateTexts(
+                { url: LIBRETRANSLATE_URL }, ['Hei'], 'EN-US', ''
+            );
+
+            expect(isSucceeded).toBe(false);
+            expect(errorMessage).toContain('Cannot reach your LibreTranslate server');
+        });
+    });
+
+    describe('getErrorMessage', () => {
+        test('should point to the settings for key and URL problems', () => {
+            expect(getLibreTranslateErrorMessage(403)).toContain('check the API key');
+            expect(getLibreTranslateErrorMessage(404)).toContain('check your LibreTranslate URL');
+            expect(getLibreTranslateErrorMessage(502)).toBe(
+                'Translation failed (error 502). Please check your LibreTranslate server.'
+            );
+            expect(LIBRETRANSLATE_TRANSLATION_PROVIDER.getErrorMessage).toBe(getLibreTranslateErrorMessage);
+        });
+    });
+});
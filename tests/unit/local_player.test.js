@@ -0,0 +1,104 @@
+/**
+ * Local video player page tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PLAYER_HTML_PATH = path.join(__dirname, '../../extension-local-player/player.html');
+
+/**
+ * Run the scripts of the local player page as classic scripts sharing the global scope, like the browser does
+ * @param {string[]} scriptPaths - relative to player.html
+ */
+function runPlayerPageScripts(scriptPaths) {
+    for (const scriptPath of scriptPaths) {
+        const scriptElement = document.createElement('script');
+        scriptElement.textContent = fs.readFileSync(path.join(path.dirname(PLAYER_HTML_PATH), scriptPath), 'utf8');
+        document.body.appendChild(scriptElement);
+    }
+}
+
+describe('Local Player', () => {
+    /** @type {jest.Mock} */
+    let sendMessage;
+
+    beforeAll(() => {
+        const playerHtml = fs.readFileSync(PLAYER_HTML_PATH, 'utf8');
+        const scriptPaths = Array.from(playerHtml.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+        document.body.innerHTML = playerHtml.match(/<body>([\s\S]*)<\/body>/)[1].replace(/<script[^>]*><\/script>/g, '');
+        // jsdom has no text tracks, the player only listens to them here
+        Object.defineProperty(document.getElementById('localVideo'), 'textTracks', {
+            value: Object.assign(new EventTarget(), { length: 0 })
+        });
+
+        sendMessage = jest.fn(async (message) => {
+            if (message.action === 'database') {
+                return [true, []];
+            }
+            return [false, 'Not available in tests'];
+        });
+        global.chrome = {
+            storage: {
+                sync: { get: jest.fn(async () => ({})), set: jest.fn(async () => { }) },
+                onChanged: { addListener: jest.fn() },
+            },
+            runtime: { sendMessage, onMessage: { addListener: jest.fn() } },
+        };
+
+        // database.js first, so its legacy database functions can be watched before the core starts
+        runPlayerPageScripts(scriptPaths.slice(0, 1));
+        jest.spyOn(window, 'loadLegacyPageDatabaseRecords');
+        jest.spyOn(window, 'deleteLegacyPageDatabase');
+        runPlayerPageScripts(scriptPaths.slice(1));
+    });
+
+    afterAll(() => {
+        delete global.chrome;
+    });
+
+    // The player page runs in the extension origin, its IndexedDB is the extension database itself
+    test('should never take the extension database for a legacy page database', async () => {
+        await window.loadMovieCacheAndUpdateMetadata();
+
+        expect(window.loadLegacyPageDatabaseRecords).not.toHaveBeenCalled();
+        expect(window.deleteLegacyPageDatabase).not.toHaveBeenCalled();
+    });
+
+    test('should load the movie cache of the chosen video from background', async () => {
+        URL.createObjectURL = jest.fn(() => 'blob:local-video');
+        const videoFileInput = document.getElementById('localVideoFileInput');
+        Object.defineProperty(videoFileInput, 'files', { value: [new File([''], 'jakso-1.mp4')] });
+        videoFileInput.dispatchEvent(new Event('change'));
+
+        await window.loadMovieCacheAndUpdateMetadata();
+
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'database',
+            data: { operation: 'loadSubtitlesByMovieName', args: ['jakso-1.mp4', 'EN-US'] }
+        });
+        expect(window.deleteLegacyPageDatabase).not.toHaveBeenCalled();
+    });
+
+    test('should pause the video of the player on word lookup, not the first video of the page', () => {
+        const localVideo = document.getElementById('localVideo');
+        const otherVideo = document.createElement('video');
+        document.body.prepend(otherVideo);
+        for (const video of [localVideo, otherVideo]) {
+            Object.defineProperty(video, 'paused', { value: false, configurable: true });
+            video.pause = jest.fn();
+        }
+        const finnishSubtitleRow = document.createElement('div');
+        finnishSubtitleRow.innerHTML = '<span class="dual-sub-word" data-word="moi" data-start="0">Moi</span>';
+        window.addWordClickListenerToFinnishSubtitleRow(finnishSubtitleRow);
+
+        finnishSubtitleRow.querySelector('.dual-sub-word').click();
+
+        expect(localVideo.pause).toHaveBeenCalled();
+        expect(otherVideo.pause).not.toHaveBeenCalled();
+        otherVideo.remove();
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Extension popup and generic mode injection tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIRECTORY = path.join(__dirname, '../..');
+const POPUP_HTML_PATH = path.join(ROOT_DIRECTORY, 'extension-popup/popup.html');
+
+/**
+ * Run scripts as classic scripts sharing the global scope, like the browser does.
+ * The popup and the page of the active tab share this document here.
+ * @param {string[]} scriptPaths - relative to the extension root
+ */
+function runScripts(scriptPaths) {
+    for (const scriptPath of scriptPaths) {
+        const scriptElement = document.createElement('script');
+        scriptElement.textContent = fs.readFileSync(path.join(ROOT_DIRECTORY, scriptPath), 'utf8');
+        document.body.appendChild(scriptElement);
+    }
+}
+
+// Let the promise chain of a click settle
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// jsdom has neither text tracks nor their cues
+class VTTCue {
+    constructor(startTime, endTime, text) {
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.text = text;
+    }
+}
+
+class FakeTextTrack extends EventTarget {
+    /**
+     * @param {string} kind
+     * @param {string} language
+     * @param {VTTCue[]} cues
+     */
+    constructor(kind, language, cues) {
+        super();
+        this.kind = kind;
+        this.language = language;
+        this.mode = 'disabled';
+        this.cues = cues;
+        this.activeCues = [];
+    }
+}
+
+describe('Popup', () => {
+    /** @type {HTMLElement} */
+    let genericModeButton;
+    /** @type {HTMLElement} */
+    let genericModeStatus;
+
+    beforeAll(() => {
+        const popupHtml = fs.readFileSync(POPUP_HTML_PATH, 'utf8');
+        document.body.innerHTML = popupHtml.match(/<body>([\s\S]*)<\/body>/)[1].replace(/<script[^>]*><\/script>/g, '');
+        window.VTTCue = VTTCue;
+
+        global.chrome = {
+            tabs: { query: jest.fn(async () => [{ id: 7 }]), create: jest.fn() },
+            scripting: {
+                // Only the frame of this document is accessible, like activeTab grants
+                executeScript: jest.fn(async ({ func, files }) => {
+                    if (func) {
+                        return [{ frameId: 0, result: func() }];
+                    }
+                    runScripts(files);
+                    return [];
+                }),
+                insertCSS: jest.fn(async () => { })
+            },
+            permissions: { request: jest.fn(async () => true) },
+            storage: {
+                sync: { get: jest.fn(async () => ({})), set: jest.fn(async () => { }) },
+                onChanged: { addListener: jest.fn() }
+            },
+            runtime: {
+                sendMessage: jest.fn(async (message) => {
+                    if (message.action === 'database') {
+                        return [true, []];
+                    }
+                    return [false, 'Not available in tests'];
+                }),
+                onMessage: { addListener: jest.fn() },
+                openOptionsPage: jest.fn(),
+                getURL: jest.fn(resourcePath => `chrome-extension://test/${resourcePath}`)
+            }
+        };
+
+        runScripts(['extension-popup/popup.js']);
+        genericModeButton = document.getElementById('genericModeButton');
+        genericModeStatus = document.getElementById('genericModeStatus');
+    });
+
+    afterAll(() => {
+        delete global.chrome;
+        delete window.VTTCue;
+    });
+
+    test('should tell no accessible video was found, then ask access to embedded players on the next click', async () => {
+        const embeddedPlayer = document.createElement('iframe');
+        embeddedPlayer.src = 'https://player.example/embed/123';
+        document.body.appendChild(embeddedPlayer);
+
+        genericModeButton.click();
+        await flushPromises();
+
+        expect(genericModeStatus.textContent).toContain('No accessible video found');
+        expect(genericModeStatus.textContent).toContain('https://player.example');
+        expect(chrome.permissions.request).not.toHaveBeenCalled();
+
+        chrome.permissions.request.mockResolvedValueOnce(false);
+        genericModeButton.click();
+        // Right in the click, a permission prompt needs the user gesture
+        expect(chrome.permissions.request).toHaveBeenCalledWith({ origins: ['https://player.example/*'] });
+        await flushPromises();
+
+        expect(genericModeStatus.textContent).toBe('Dual Sub was not allowed on https://player.example.');
+        embeddedPlayer.remove();
+    });
+
+    test('should inject generic mode next to a video, which sends the cues of its Finnish track for translation', async () => {
+        const finnishTrack = new FakeTextTrack('subtitles', 'fi', [
+            new VTTCue(1, 2.5, 'Hyvää\nhuomenta.'),
+            new VTTCue(3, 4, 'Tänään sataa.')
+        ]);
+        const video = document.createElement('video');
+        Object.defineProperty(video, 'textTracks', {
+            value: Object.assign(new EventTarget(), { length: 1, 0: finnishTrack })
+        });
+        document.body.appendChild(document.createElement('div')).appendChild(video);
+        /** @type {Array<Array<{startTime: number, endTime: number, text: string}>>} */
+        const sentTracks = [];
+        document.addEventListener('sendSubtitleTrackEvent', (e) => {
+            sentTracks.push(JSON.parse(/** @type {CustomEvent} */ (e).detail).cues);
+        });
+
+        genericModeButton.click();
+        await flushPromises();
+
+        expect(genericModeStatus.textContent).toContain('Dual Sub added to the video');
+        expect(chrome.scripting.insertCSS).toHaveBeenCalledWith(expect.objectContaining({
+            target: { tabId: 7, frameIds: [0] }
+        }));
+        expect(window.startDualSubOnPlatform).toBeDefined();
+
+        // Cues of a track are loaded once it is shown or hidden, the first cuechange sends them
+        finnishTrack.dispatchEvent(new Event('cuechange'));
+
+        expect(sentTracks).toEqual([[
+            { startTime: 1, endTime: 2.5, text: 'Hyvää huomenta.' },
+            { startTime: 3, endTime: 4, text: 'Tänään sataa.' }
+        ]]);
+    });
+});
@@ -0,0 +1,492 @@
+/**
+ * Dual subtitle core tests, run with a stub streaming site
+ *
+ * To run these tests:
+ * npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIRECTORY = path.join(__dirname, '../..');
+
+// Content scripts of a text track site, without the site adapter
+const CORE_SCRIPT_PATHS = [
+    'main/utils/database.js',
+    'main/utils/utils.js',
+    'main/utils/subtitle_track.js',
+    'main/utils/subtitle_words.js',
+    'main/utils/finnish_morphology.js',
+    'main/utils/dictionary.js',
+    'main/platform/shared.js',
+    'main/platform/text_track_subtitles.js',
+];
+
+/**
+ * Run scripts as classic scripts sharing the global scope, like content scripts do
+ * @param {string[]} scriptPaths - relative to the extension root
+ */
+function runContentScripts(scriptPaths) {
+    for (const scriptPath of scriptPaths) {
+        const scriptElement = document.createElement('script');
+        scriptElement.textContent = fs.readFileSync(path.join(ROOT_DIRECTORY, scriptPath), 'utf8');
+        document.body.appendChild(scriptElement);
+    }
+}
+
+/**
+ * The core waits for the player with timers and promises, poll until it is done
+ * @param {() => any} condition
+ */
+async function waitUntil(condition) {
+    for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(condition()).toBeTruthy();
+}
+
+/**
+ * jsdom does not play media, fake the playback state the core reads and changes on a video.
+ * Like in a browser, seeking and changing the speed fire their media events.
+ * @param {HTMLVideoElement} video
+ * @returns {{playTo: (time: number) => void}} moves the playhead as playing does, with a time update
+ */
+function fakeVideoPlayback(video) {
+    let currentTime = 0;
+    let paused = true;
+    let playbackRate = 1;
+    Object.defineProperties(video, {
+        currentTime: {
+            get: () => currentTime,
+            set: (time) => {
+                currentTime = time;
+                video.dispatchEvent(new Event('seeking'));
+            }
+        },
+        paused: { get: () => paused },
+        playbackRate: {
+            get: () => playbackRate,
+            set: (rate) => {
+                playbackRate = rate;
+                video.dispatchEvent(new Event('ratechange'));
+            }
+        },
+    });
+    video.play = jest.fn(async () => {
+        paused = false;
+        video.dispatchEvent(new Event('play'));
+    });
+    video.pause = jest.fn(() => {
+        paused = true;
+        video.dispatchEvent(new Event('pause'));
+    });
+    return {
+        playTo: (time) => {
+            currentTime = time;
+            video.dispatchEvent(new Event('timeupdate'));
+        }
+    };
+}
+
+/**
+ * @param {string} key
+ * @param {EventTarget} [target] - element focused when the key is pressed
+ */
+function pressKey(key, target = document.body) {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+// jsdom has neither text tracks nor their cues
+class VTTCue {
+    constructor(startTime, endTime, text) {
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.text = text;
+    }
+}
+
+class FakeTextTrack extends EventTarget {
+    /**
+     * @param {string} language
+     * @param {VTTCue[]} cues
+     */
+    constructor(language, cues) {
+        super();
+        this.kind = 'subtitles';
+        this.language = language;
+        this.mode = 'showing';
+        this.cues = cues;
+        this.activeCues = [];
+    }
+}
+
+describe('Dual subtitle core', () => {
+    /** @type {jest.Mock} */
+    let sendMessage;
+    /** @type {FakeTextTrack} */
+    let finnishTrack;
+    /** @type {HTMLVideoElement} */
+    let video;
+    /** @type {{playTo: (time: number) => void}} */
+    let playback;
+
+    const subtitleCues = [
+        new VTTCue(1, 2.5, 'Hyvää huomenta.'),
+        new VTTCue(3, 4, 'Tänään sataa.'),
+        new VTTCue(6, 8, 'Mennään kotiin.'),
+    ];
+
+    /** @type {PlatformAdapter} */
+    const stubPlatformAdapter = {
+        id: 'stub',
+        activeButtonColor: '#00ff00',
+        inactiveButtonColor: 'white',
+        videoAppearDebounceMs: 0,
+        isVideoPage: () => true,
+        findToolbarMountPoint: () => document.querySelector('.stub-player-controls'),
+        findVideoTitle: () => document.querySelector('.stub-player-title')?.textContent || null,
+        getLookupPopupAppendTarget: () => document.querySelector('.stub-player'),
+        initializeSubtitleSource: (videoElement) => {
+            window.initializeContainerForSubtitleRows(videoElement);
+            window.setupTextTrackListeners(videoElement);
+        },
+        handleSubtitleMutation: () => false,
+        setDualSubDisplayed: (enabled) => window.setTextTrackDualSubDisplayed(enabled),
+        applyBlurToSiteSubtitles: jest.fn(),
+    };
+
+    beforeAll(async () => {
+        window.VTTCue = VTTCue;
+        sendMessage = jest.fn(async (message) => {
+            if (message.action === 'fetchTranslation') {
+                return [true, message.data.rawSubtitleFinnishTexts.map(text => `EN: ${text}`)];
+            }
+            if (message.action === 'database') {
+                return [true, []];
+            }
+            return [false, 'Not available in tests'];
+        });
+        global.chrome = {
+            storage: {
+                sync: {
+                    get: jest.fn(async () => ({
+                        translationProvider: 'libretranslate',
+                        translationProviderConfigs: { libretranslate: { url: 'http://localhost:5000' } }
+                    })),
+                    set: jest.fn(async () => { })
+                },
+                onChanged: { addListener: jest.fn() },
+            },
+            runtime: { sendMessage, onMessage: { addListener: jest.fn() } },
+        };
+        runContentScripts(CORE_SCRIPT_PATHS);
+
+        window.startDualSubOnPlatform(stubPlatformAdapter);
+
+        // The site renders its player after the content scripts ran
+        const player = document.createElement('div');
+        player.className = 'stub-player';
+        player.innerHTML = `
+            <div class="stub-player-video"><video></video></div>
+            <div class="stub-player-controls"></div>
+            <h2 class="stub-player-title">Sarja | Jakso 1</h2>`;
+        video = player.querySelector('video');
+        playback = fakeVideoPlayback(video);
+        finnishTrack = new FakeTextTrack('fi', subtitleCues);
+        Object.defineProperty(video, 'textTracks', {
+            value: Object.assign(new EventTarget(), { length: 1, 0: finnishTrack })
+        });
+        document.body.appendChild(player);
+
+        await waitUntil(() => document.querySelector('.dual-sub-extension-section'));
+        // Token check of the toolbar enables the switch
+        await waitUntil(() => !document.getElementById('dual-sub-switch').disabled);
+    });
+
+    afterAll(() => {
+        delete global.chrome;
+        delete window.VTTCue;
+    });
+
+    test('should mount the toolbar on the player controls and the subtitle rows next to the video', () => {
+        const toolbar = document.querySelector('.stub-player-controls > .dual-sub-extension-section');
+
+        expect(toolbar).not.toBeNull();
+        expect(toolbar.querySelector('#stub-dual-sub-rewind-button')).not.toBeNull();
+        expect(toolbar.querySelector('#stub-dual-sub-settings-button')).not.toBeNull();
+        expect(video.parentElement.querySelector('#finnish-subtitle-row')).not.toBeNull();
+        expect(document.getElementById('displayed-subtitles-rows-wrapper').style.display).toBe('none');
+    });
+
+    test('should load the movie cache of the title shown by the site', async () => {
+        await waitUntil(() => sendMessage.mock.calls.some(([message]) =>
+            message.data?.operation === 'upsertMovieMetadata'));
+
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'database',
+            data: { operation: 'loadSubtitlesByMovieName', args: ['Sarja | Jakso 1', 'EN-US'] }
+        });
+    });
+
+    test('should translate a queued subtitle track once dual sub is on and render the active line', async () => {
+        document.dispatchEvent(new CustomEvent('sendSubtitleTrackEvent', {
+            detail: JSON.stringify({ cues: subtitleCues })
+        }));
+        // Nothing is translated while dual sub is off
+        expect(sendMessage.mock.calls.some(([message]) => message.action === 'fetchTranslation')).toBe(false);
+
+        const dualSubSwitch = /** @type {HTMLInputElement} */ (document.getElementById('dual-sub-switch'));
+        dualSubSwitch.click();
+
+        expect(finnishTrack.mode).toBe('hidden');
+        expect(document.getElementById('displayed-subtitles-rows-wrapper').style.display).toBe('flex');
+        await waitUntil(() => window.getDisplayedTranslation('Tänään sataa.') !== 'Translating...');
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'fetchTranslation',
+            data: {
+                rawSubtitleFinnishTexts: ['Hyvää huomenta.', 'Tänään sataa.', 'Mennään kotiin.'],
+                targetLanguage: 'EN-US',
+                context: expect.any(String)
+            }
+        });
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'database',
+            data: {
+                operation: 'saveSubtitlesBatch',
+                args: [expect.arrayContaining([expect.objectContaining({
+                    movieName: 'Sarja | Jakso 1',
+                    originalText: 'tänään sataa.',
+                    translatedText: 'EN: Tänään sataa.'
+                })])]
+            }
+        });
+
+        finnishTrack.activeCues = [subtitleCues[1]];
+        finnishTrack.dispatchEvent(new Event('cuechange'));
+
+        expect(document.getElementById('finnish-subtitle-row').textContent).toBe('Tänään sataa.');
+        expect(document.getElementById('target-language-subtitle-row').textContent).toBe('EN: Tänään sataa.');
+    });
+
+    describe('Subtitle line navigation', () => {
+        test('should jump to the start of the next, current and previous line with keys and buttons', () => {
+            video.currentTime = 3.5;
+
+            pressKey('>');
+            expect(video.currentTime).toBe(6);
+
+            document.getElementById('stub-dual-sub-previous-line-button').click();
+            expect(video.currentTime).toBe(3);
+
+            video.currentTime = 3.5;
+            pressKey('r');
+            expect(video.currentTime).toBe(3);
+
+            pressKey('<');
+            expect(video.currentTime).toBe(1);
+
+            document.getElementById('stub-dual-sub-next-line-button').click();
+            expect(video.currentTime).toBe(3);
+        });
+
+        test('should leave keys typed in a text field to the field', () => {
+            const searchField = document.createElement('input');
+            document.body.appendChild(searchField);
+            video.currentTime = 3.5;
+
+            pressKey('>', searchField);
+
+            expect(video.currentTime).toBe(3.5);
+            searchField.remove();
+        });
+    });
+
+    describe('Shadowing mode', () => {
+        /** @type {HTMLElement} */
+        let shadowingStatus;
+
+        beforeAll(() => {
+            document.getElementById('stub-dual-sub-shadowing-button').click();
+            shadowingStatus = document.getElementById('stub-dual-sub-shadowing-status');
+        });
+
+        afterAll(() => {
+            document.getElementById('stub-dual-sub-shadowing-button').click();
+        });
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            video.play.mockClear();
+            video.pause.mockClear();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should pause just before the line ends, as scheduled on time updates, and resume on Enter', async () => {
+            video.currentTime = 1;
+            await video.play();
+            video.play.mockClear();
+            playback.playTo(2);
+
+            jest.advanceTimersByTime(300);
+            expect(video.pause).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(50);
+            expect(video.pause).toHaveBeenCalledTimes(1);
+            expect(shadowingStatus.textContent).toBe('Your turn: repeat the line, then press Enter');
+            expect(document.body.classList.contains('dual-sub-shadowing-paused')).toBe(true);
+
+            pressKey('Enter');
+
+            expect(video.play).toHaveBeenCalledTimes(1);
+            expect(shadowingStatus.textContent).toBe('');
+            expect(document.body.classList.contains('dual-sub-shadowing-paused')).toBe(false);
+            // The rest of the line plays without pausing again
+            jest.advanceTimersByTime(1000);
+            expect(video.pause).toHaveBeenCalledTimes(1);
+        });
+
+        test('should end the pause when the video is played by the site player', async () => {
+            video.currentTime = 3;
+            playback.playTo(3.5);
+            jest.advanceTimersByTime(350);
+            expect(video.pause).toHaveBeenCalledTimes(1);
+
+            await video.play();
+
+            expect(shadowingStatus.textContent).toBe('');
+            // Enter is the site shortcut again
+            pressKey('Enter');
+            expect(video.play).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Loop', () => {
+        /** @type {HTMLElement} */
+        let loopStatus;
+
+        /**
+         * @param {string} optionSelector - button of the loop menu
+         */
+        function chooseLoopOption(optionSelector) {
+            document.getElementById('stub-dual-sub-loop-menu-btn').click();
+            document.querySelector(`#stub-dual-sub-loop-dropdown ${optionSelector}`).click();
+        }
+
+        beforeAll(() => {
+            loopStatus = document.getElementById('stub-dual-sub-loop-status');
+            chooseLoopOption('button[data-loop-repeat-count="2"]');
+            chooseLoopOption('button[data-loop-rate-schedule="slow-then-normal"]');
+        });
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            // The viewer watches faster than normal
+            video.playbackRate = 1.25;
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should repeat the line at the speeds of the schedule, then restore the speed of the viewer', async () => {
+            await video.play();
+            video.currentTime = 6.5;
+
+            pressKey('l');
+
+            expect(video.currentTime).toBe(6);
+            expect(video.playbackRate).toBe(0.9375);
+            expect(loopStatus.textContent).toBe('Loop 1/2 at 0.75×');
+
+            playback.playTo(7);
+            // One second of the line is left at the slowed down speed
+            jest.advanceTimersByTime(1000);
+            expect(video.currentTime).toBe(7);
+            jest.advanceTimersByTime(100);
+            expect(video.currentTime).toBe(6);
+            expect(video.playbackRate).toBe(1.25);
+            expect(loopStatus.textContent).toBe('Loop 2/2');
+
+            playback.playTo(6.5);
+            jest.advanceTimersByTime(1200);
+
+            expect(loopStatus.textContent).toBe('');
+            expect(video.playbackRate).toBe(1.25);
+            // The video plays on after the last repeat
+            expect(video.currentTime).toBe(6.5);
+        });
+
+        test('should follow speed changes of the viewer, and end when the viewer seeks out of the loop', async () => {
+            await video.play();
+            video.currentTime = 3.5;
+            chooseLoopOption('button[data-loop-action="line"]');
+            expect(video.currentTime).toBe(3);
+
+            video.playbackRate = 1.875;
+            expect(loopStatus.textContent).toBe('Loop 1/2 at 1.5×');
+
+            video.currentTime = 10;
+
+            expect(loopStatus.textContent).toBe('');
+            expect(video.playbackRate).toBe(1.25);
+        });
+    });
+
+    describe('Transcript panel', () => {
+        /** @type {HTMLElement} */
+        let transcriptPanel;
+
+        beforeAll(async () => {
+            document.getElementById('stub-dual-sub-transcript-button').click();
+            transcriptPanel = document.getElementById('dual-sub-transcript-panel');
+            await waitUntil(() => Array.from(transcriptPanel.querySelectorAll('.dual-sub-transcript-line__translation'))
+                .every(translationElement => translationElement.textContent !== ''));
+        });
+
+        test('should list every line with its translation next to the player', () => {
+            const lineElements = transcriptPanel.querySelectorAll('.dual-sub-transcript-line');
+
+            expect(transcriptPanel.parentElement).toBe(document.querySelector('.stub-player'));
+            expect(Array.from(lineElements, lineElement => lineElement.textContent)).toEqual([
+                '0:01Hyvää huomenta.EN: Hyvää huomenta.',
+                '0:03Tänään sataa.EN: Tänään sataa.',
+                '0:06Mennään kotiin.EN: Mennään kotiin.',
+            ]);
+        });
+
+        test('should highlight the line being played and scroll it into the middle of the list', () => {
+            // jsdom has no layout, lines are 40px high in a list showing two of them
+            const listElement = transcriptPanel.querySelector('.dual-sub-transcript-panel__lines');
+            Object.defineProperty(listElement, 'clientHeight', { value: 80 });
+            Object.defineProperty(listElement, 'scrollTop', { value: 0, writable: true });
+            transcriptPanel.querySelectorAll('.dual-sub-transcript-line').forEach((lineElement, lineIndex) => {
+                Object.defineProperty(lineElement, 'offsetTop', { value: lineIndex * 40 });
+                Object.defineProperty(lineElement, 'offsetHeight', { value: 40 });
+            });
+
+            playback.playTo(3.2);
+            expect(listElement.scrollTop).toBe(20);
+            playback.playTo(6.5);
+
+            const activeLineElements = transcriptPanel.querySelectorAll('.dual-sub-transcript-line--active');
+            expect(Array.from(activeLineElements, lineElement => lineElement.textContent))
+                .toEqual(['0:06Mennään kotiin.EN: Mennään kotiin.']);
+            expect(listElement.scrollTop).toBe(60);
+        });
+
+        test('should seek the video to the start of a clicked line', () => {
+            const lineElements = transcriptPanel.querySelectorAll('.dual-sub-transcript-line');
+
+            lineElements[1].querySelector('.dual-sub-transcript-line__translation').dispatchEvent(
+                new MouseEvent('click', { bubbles: true })
+            );
+
+            expect(video.currentTime).toBe(3);
+            playback.playTo(3.2);
+            expect(lineElements[1].classList.contains('dual-sub-transcript-line--active')).toBe(true);
+            expect(lineElements[2].classList.contains('dual-sub-transcript-line--active')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Subtitle export tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// subtitle_export.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    SubtitleExportFormat,
+    formatSrtOrVttTimestamp,
+    formatAssTimestamp,
+    buildBilingualSubtitleFile,
+    toSubtitleExportFileName
+} = require('../../main/utils/subtitle_export.js');
+
+function toTranslationKey(rawSubtitleFinnishText) {
+    return rawSubtitleFinnishText.replace(/\n/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+describe('Subtitle Export', () => {
+    const cues = [
+        { startTime: 3725.5, endTime: 3727.25, text: 'Mitä kuuluu?' },
+        { startTime: 1, endTime: 2.5, text: 'Hei\nmaailma' }
+    ];
+    const translationMap = new Map([
+        ['hei maailma', 'Hello world']
+    ]);
+
+    describe('timestamps', () => {
+        test('should format SRT and WebVTT timestamps with milliseconds', () => {
+            expect(formatSrtOrVttTimestamp(3725.5, ',')).toBe('01:02:05,500');
+            expect(formatSrtOrVttTimestamp(1.0004, '.')).toBe('00:00:01.000');
+        });
+
+        test('should format ASS timestamps with centiseconds', () => {
+            expect(formatAssTimestamp(3725.456)).toBe('1:02:05.46');
+            expect(formatAssTimestamp(0)).toBe('0:00:00.00');
+        });
+    });
+
+    describe('buildBilingualSubtitleFile', () => {
+        test('should build SRT with Finnish and translation lines in track order', () => {
+            const fileContent = buildBilingualSubtitleFile(
+                cues, translationMap, toTranslationKey, SubtitleExportFormat.SRT, 'Movie'
+            );
+
+            expect(fileContent).toBe([
+                '1',
+                '00:00:01,000 --> 00:00:02,500',
+                'Hei',
+                'maailma',
+                'Hello world',
+                '',
+                '2',
+                '01:02:05,500 --> 01:02:07,250',
+                'Mitä kuuluu?',
+                ''
+            ].join('\n'));
+        });
+
+        test('should build WebVTT with two-line cues and escaped text', () => {
+            const fileContent = buildBilingualSubtitleFile(
+                [{ startTime: 1, endTime: 2, text: 'Tom & Jerry <3' }],
+                new Map([['tom & jerry <3', 'Tom & Jerry']]),
+                toTranslationKey,
+                SubtitleExportFormat.VTT,
+                'Movie'
+            );
+
+            expect(fileContent).toBe([
+                'WEBVTT',
+                '',
+                '00:00:01.000 --> 00:00:02.000',
+                'Tom &amp; Jerry &lt;3',
+                'Tom &amp; Jerry',
+                ''
+            ].join('\n'));
+        });
+
+        test('should build ASS with a dialogue per language in separate styles', () => {
+            const fileContent = buildBilingualSubtitleFile(
+                cues, translationMap, toTranslationKey, SubtitleExportFormat.ASS, 'Series | Episode'
+            );
+            const lines = fileContent.split('\n');
+
+            expect(lines).toContain('Title: Series | Episode');
+            expect(lines.filter(line => line.startsWith('Style: '))).toHaveLength(2);
+            expect(lines.filter(line => line.startsWith('Dialogue: '))).toEqual([
+                'Dialogue: 0,0:00:01.00,0:00:02.50,Finnish,,0,0,0,,Hei\\Nmaailma',
+                'Dialogue: 0,0:00:01.00,0:00:02.50,Translation,,0,0,0,,Hello world',
+                'Dialogue: 0,1:02:05.50,1:02:07.25,Finnish,,0,0,0,,Mitä kuuluu?'
+            ]);
+        });
+
+        test('should throw for unsupported format', () => {
+            expect(() => buildBilingualSubtitleFile(cues, translationMap, toTranslationKey, 'txt', 'Movie'))
+                .toThrow('Unsupported subtitle export format: txt');
+        });
+    });
+
+    describe('toSubtitleExportFileName', () => {
+        test('should build a file name safe for file systems', () => {
+            expect(toSubtitleExportFileName('Series: Part 1 | Episode 2/3', 'EN-US', 'srt'))
+                .toBe('Series- Part 1 - Episode 2-3.FI-EN-US.srt');
+        });
+    });
+});
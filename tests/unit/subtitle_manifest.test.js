@@ -0,0 +1,234 @@
+/**
+ * HLS playlist and DASH manifest helper tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// In the browser webvtt_parser.js is loaded before subtitle_parser.js and defines WebVTTParser globally
+global.WebVTTParser = require('../../main/utils/webvtt_parser.js').WebVTTParser;
+
+const { parseVttSubtitles } = require('../../main/utils/subtitle_parser.js');
+
+// subtitle_manifest.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    SubtitleManifestType,
+    detectSubtitleManifestType,
+    parseHlsAttributeList,
+    parseHlsSubtitleTracks,
+    parseHlsMediaPlaylistSegments,
+    parseDashSubtitleTracks,
+    isFinnishSubtitleTrack,
+    chooseFinnishSubtitleTrack,
+    isHlsSubtitleSegment,
+    getHlsSegmentTimeOffset,
+    shiftSubtitleCues,
+    mergeSubtitleSegmentCues
+} = require('../../main/utils/subtitle_manifest.js');
+
+const MASTER_PLAYLIST_URL = 'https://cdn.example/stream/master.m3u8?token=abc';
+
+const MASTER_PLAYLIST = [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",LANGUAGE="fi",URI="audio/fi.m3u8"',
+    '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",URI="subs/en.m3u8"',
+    '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="Suomi, tekstitys",DEFAULT=YES,LANGUAGE="fi",URI="subs/fi.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2000000,SUBTITLES="subs"',
+    'video/720p.m3u8',
+    ''
+].join('\n');
+
+const MEDIA_PLAYLIST = [
+    '#EXTM3U',
+    '#EXT-X-TARGETDURATION:6',
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXTINF:6.000,',
+    'fi-0.webvtt',
+    '#EXTINF:6.000,',
+    'fi.vtt?seg=1',
+    '#EXTINF:6.000,',
+    'https://other.example/fi-2.vtt',
+    '#EXT-X-ENDLIST',
+    ''
+].join('\r\n');
+
+const DASH_MANIFEST = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">
+  <BaseURL>https://cdn.example/episode/</BaseURL>
+  <Period>
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <SegmentTemplate media="video-$Number$.m4s"/>
+      <Representation id="video" bandwidth="2000000"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="text" mimeType="text/vtt" lang="sv">
+      <Representation id="sv"><BaseURL>subs/sv.vtt</BaseURL></Representation>
+    </AdaptationSet>
+    <AdaptationSet contentType="text" lang="fi">
+      <Label>Suomi</Label>
+      <BaseURL>subs/</BaseURL>
+      <Representation id="fi" mimeType="application/ttml+xml"><BaseURL>fi.ttml</BaseURL></Representation>
+    </AdaptationSet>
+    <AdaptationSet contentType="text" mimeType="application/mp4" lang="fi">
+      <SegmentTemplate media="fi-$Number$.m4s"/>
+      <Representation id="fi-stpp" codecs="stpp"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+/**
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {string} text
+ */
+function cue(startTime, endTime, text) {
+    return { startTime, endTime, text };
+}
+
+describe('Subtitle Manifest', () => {
+    describe('detectSubtitleManifestType', () => {
+        test('should detect HLS and DASH by content type before the URL', () => {
+            expect(detectSubtitleManifestType('application/vnd.apple.mpegurl', 'https://cdn.example/playlist'))
+                .toBe(SubtitleManifestType.HLS);
+            expect(detectSubtitleManifestType('application/dash+xml; charset=utf-8', 'https://cdn.example/x.m3u8'))
+                .toBe(SubtitleManifestType.DASH);
+        });
+
+        test('should detect HLS and DASH by file extension without query string', () => {
+            expect(detectSubtitleManifestType('', MASTER_PLAYLIST_URL)).toBe(SubtitleManifestType.HLS);
+            expect(detectSubtitleManifestType('application/octet-stream', 'https://cdn.example/Manifest.MPD'))
+                .toBe(SubtitleManifestType.DASH);
+            expect(detectSubtitleManifestType('text/vtt', 'https://cdn.example/fi.vtt?list=a.m3u8')).toBeNull();
+        });
+    });
+
+    describe('HLS playlists', () => {
+        test('should parse quoted and unquoted attributes, with commas inside quotes', () => {
+            expect(parseHlsAttributeList('TYPE=SUBTITLES,NAME="Suomi, tekstitys",DEFAULT=YES')).toEqual({
+                TYPE: 'SUBTITLES',
+                NAME: 'Suomi, tekstitys',
+                DEFAULT: 'YES'
+            });
+        });
+
+        test('should list subtitle tracks of a master playlist with absolute URLs', () => {
+            expect(parseHlsSubtitleTracks(MASTER_PLAYLIST, MASTER_PLAYLIST_URL)).toEqual([
+                { url: 'https://cdn.example/stream/subs/en.m3u8', language: 'en', name: 'English' },
+                { url: 'https://cdn.example/stream/subs/fi.m3u8', language: 'fi', name: 'Suomi, tekstitys' }
+            ]);
+            expect(parseHlsSubtitleTracks(MEDIA_PLAYLIST, MASTER_PLAYLIST_URL)).toEqual([]);
+        });
+
+        test('should list segments of a media playlist in order', () => {
+            expect(parseHlsMediaPlaylistSegments(MEDIA_PLAYLIST, 'https://cdn.example/stream/subs/fi.m3u8')).toEqual([
+                'https://cdn.example/stream/subs/fi-0.webvtt',
+                'https://cdn.example/stream/subs/fi.vtt?seg=1',
+                'https://other.example/fi-2.vtt'
+            ]);
+            expect(parseHlsMediaPlaylistSegments(MASTER_PLAYLIST, MASTER_PLAYLIST_URL)).toEqual([]);
+        });
+    });
+
+    describe('parseDashSubtitleTracks', () => {
+        test('should list sidecar subtitle files and skip segmented ones', () => {
+            expect(parseDashSubtitleTracks(DASH_MANIFEST, 'https://cdn.example/manifest.mpd')).toEqual([
+                { url: 'https://cdn.example/episode/subs/sv.vtt', language: 'sv', name: '' },
+                { url: 'https://cdn.example/episode/subs/fi.ttml', language: 'fi', name: 'Suomi' }
+            ]);
+        });
+
+        test('should return no tracks for documents which are not DASH manifests', () => {
+            expect(parseDashSubtitleTracks('<tt></tt>', 'https://cdn.example/manifest.mpd')).toEqual([]);
+            expect(parseDashSubtitleTracks('not xml', 'https://cdn.example/manifest.mpd')).toEqual([]);
+        });
+    });
+
+    describe('isFinnishSubtitleTrack and chooseFinnishSubtitleTrack', () => {
+        test.each([
+            ['fi', '', true],
+            ['fin', '', true],
+            ['fi-FI', '', true],
+            ['', 'Suomi', true],
+            ['fil', '', false],
+            ['en', 'English', false],
+            ['', '', null]
+        ])('language %p and name %p should give %p', (language, name, isFinnish) => {
+            expect(isFinnishSubtitleTrack({ url: 'https://cdn.example/subs', language, name })).toBe(isFinnish);
+        });
+
+        test('should choose the first Finnish track', () => {
+            const subtitleTracks = parseHlsSubtitleTracks(MASTER_PLAYLIST, MASTER_PLAYLIST_URL);
+
+            expect(chooseFinnishSubtitleTrack(subtitleTracks)).toBe(subtitleTracks[1]);
+        });
+
+        test('should choose the only track of unknown language, but not one of several', () => {
+            const unknownTrack = { url: 'https://cdn.example/a.m3u8', language: '', name: '' };
+            const englishTrack = { url: 'https://cdn.example/en.m3u8', language: 'en', name: '' };
+
+            expect(chooseFinnishSubtitleTrack([unknownTrack])).toBe(unknownTrack);
+            expect(chooseFinnishSubtitleTrack([unknownTrack, { ...unknownTrack }])).toBeNull();
+            expect(chooseFinnishSubtitleTrack([englishTrack])).toBeNull();
+            expect(chooseFinnishSubtitleTrack([])).toBeNull();
+        });
+    });
+
+    describe('segmented WebVTT', () => {
+        const firstSegment = [
+            'WEBVTT',
+            'X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000',
+            '',
+            '00:00:01.000 --> 00:00:02.000',
+            'Moi.',
+            '',
+            '00:00:05.000 --> 00:00:07.000',
+            'Mitä kuuluu?',
+            ''
+        ].join('\n');
+        const secondSegment = [
+            'WEBVTT',
+            'X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000',
+            '',
+            '00:00:05.000 --> 00:00:07.000',
+            'Mitä kuuluu?',
+            '',
+            '00:00:08.000 --> 00:00:09.000',
+            'Hyvää.',
+            ''
+        ].join('\n');
+
+        test('should tell segments from whole subtitle files by the timestamp map header', () => {
+            expect(isHlsSubtitleSegment(firstSegment)).toBe(true);
+            expect(isHlsSubtitleSegment('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nX-TIMESTAMP-MAP\n')).toBe(false);
+        });
+
+        test('should offset cue times by the presentation time the timestamp map gives to LOCAL', () => {
+            expect(getHlsSegmentTimeOffset(firstSegment)).toBe(10);
+            expect(getHlsSegmentTimeOffset('WEBVTT\nX-TIMESTAMP-MAP=LOCAL:00:00:02.500,MPEGTS:900000\n\n')).toBe(7.5);
+            expect(getHlsSegmentTimeOffset('WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:0,LOCAL:01:00:00.000\n\n')).toBe(-3600);
+            expect(getHlsSegmentTimeOffset('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nX-TIMESTAMP-MAP=MPEGTS:900000\n')).toBe(0);
+        });
+
+        test('should shift cues by the offset', () => {
+            expect(shiftSubtitleCues([cue(1, 2, 'Moi.')], 10)).toEqual([cue(11, 12, 'Moi.')]);
+            expect(shiftSubtitleCues([cue(1, 2, 'Moi.')], 0)).toEqual([cue(1, 2, 'Moi.')]);
+        });
+
+        test('should reassemble segments in any order into one sorted cue list without repeated cues', () => {
+            const reassembledCues = [secondSegment, firstSegment]
+                .map(parseVttSubtitles)
+                .reduce(mergeSubtitleSegmentCues, []);
+
+            expect(reassembledCues).toEqual([
+                cue(1, 2, 'Moi.'),
+                cue(5, 7, 'Mitä kuuluu?'),
+                cue(8, 9, 'Hyvää.')
+            ]);
+        });
+
+        test('should keep cues with the same text at different times', () => {
+            const reassembledCues = mergeSubtitleSegmentCues([cue(1, 2, 'Joo.')], [cue(3, 4, 'Joo.')]);
+
+            expect(reassembledCues).toEqual([cue(1, 2, 'Joo.'), cue(3, 4, 'Joo.')]);
+        });
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Subtitle file parser tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// In the browser webvtt_parser.js is loaded before subtitle_parser.js and defines WebVTTParser globally
+global.WebVTTParser = require('../../main/utils/webvtt_parser.js').WebVTTParser;
+
+// subtitle_parser.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    parseSrtTimestamp,
+    normalizeSubtitleCueText,
+    parseSrtSubtitles,
+    parseVttSubtitles,
+    parseTtmlTime,
+    parseTtmlSubtitles,
+    detectSubtitleFormat,
+    canSniffSubtitleFormat,
+    isSubtitleUrl,
+    parseSubtitleText,
+    parseSubtitleFile,
+    SubtitleFormat
+} = require('../../main/utils/subtitle_parser.js');
+
+const SRT_TEXT = [
+    '1',
+    '00:00:01,000 --> 00:00:02,500',
+    '<i>Mitä sinä</i>',
+    'teet?',
+    '',
+    '2',
+    '00:01:02,250 --> 00:01:04,000',
+    '{\\an8}Hyvää huomenta.',
+    '',
+    '3',
+    '00:01:05,000 --> 00:01:06,000',
+    '',
+    ''
+].join('\r\n');
+
+const VTT_TEXT = [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:02.500',
+    'Mitä sinä',
+    'teet?',
+    '',
+    '00:01:02.250 --> 00:01:04.000 line:0',
+    '<c.yellow>Hyvää huomenta.</c>',
+    ''
+].join('\n');
+
+const TTML_TEXT = `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:tickRate="10000000">
+  <body>
+    <div>
+      <p begin="00:00:01.000" end="00:00:02.500"><span>Mitä sinä</span><br/>teet?</p>
+      <p begin="622500000t" dur="17500000t">Hyvää huomenta.</p>
+      <p begin="00:01:05.000" end="00:01:06.000"></p>
+    </div>
+  </body>
+</tt>`;
+
+const EXPECTED_CUES = [
+    { startTime: 1, endTime: 2.5, text: 'Mitä sinä teet?' },
+    { startTime: 62.25, endTime: 64, text: 'Hyvää huomenta.' }
+];
+
+describe('Subtitle Parser', () => {
+    describe('parseSrtTimestamp and normalizeSubtitleCueText', () => {
+        test('should parse SRT timestamps with comma or dot and optional hours', () => {
+            expect(parseSrtTimestamp('01:02:03,450')).toBeCloseTo(3723.45);
+            expect(parseSrtTimestamp(' 02:03.5 ')).toBeCloseTo(123.5);
+            expect(parseSrtTimestamp('not a time')).toBeNull();
+        });
+
+        test('should remove formatting tags and join lines', () => {
+            expect(normalizeSubtitleCueText('<font color="#fff">Moi</font>\n  kaikki ')).toBe('Moi kaikki');
+        });
+    });
+
+    describe('parseSrtSubtitles', () => {
+        test('should parse cues with timings and skip cues without text', () => {
+            expect(parseSrtSubtitles(SRT_TEXT)).toEqual(EXPECTED_CUES);
+        });
+
+        test('should accept a byte order mark and blocks without index', () => {
+            const srtText = '\uFEFF00:00:01,000 --> 00:00:02,000\nMoi\n';
+
+            expect(parseSrtSubtitles(srtText)).toEqual([{ startTime: 1, endTime: 2, text: 'Moi' }]);
+        });
+    });
+
+    describe('parseTtmlTime and parseTtmlSubtitles', () => {
+        const timeBase = { frameRate: 25, tickRate: 10000000 };
+
+        test.each([
+            ['00:01:02.500', 62.5],
+            ['00:01:02:05', 62.2],
+            ['62.5s', 62.5],
+            ['1500ms', 1.5],
+            ['2m', 120],
+            ['50f', 2],
+            ['25000000t', 2.5]
+        ])('should parse %s as %s seconds', (timeExpression, seconds) => {
+            expect(parseTtmlTime(timeExpression, timeBase)).toBeCloseTo(seconds);
+        });
+
+        test('should return null for missing and malformed times', () => {
+            expect(parseTtmlTime(null, timeBase)).toBeNull();
+            expect(parseTtmlTime('soon', timeBase)).toBeNull();
+        });
+
+        test('should parse TTML paragraphs with ticks, durations and line breaks', () => {
+            expect(parseTtmlSubtitles(TTML_TEXT)).toEqual(EXPECTED_CUES);
+        });
+
+        test('should parse prefixed DFXP elements and add begin times of parent elements', () => {
+            const dfxpText = `<tt:tt xmlns:tt="http://www.w3.org/2006/10/ttaf1">
+              <tt:body><tt:div begin="10s"><tt:p begin="1s" end="2s">Moi</tt:p></tt:div></tt:body>
+            </tt:tt>`;
+
+            expect(parseTtmlSubtitles(dfxpText)).toEqual([{ startTime: 11, endTime: 12, text: 'Moi' }]);
+        });
+
+        test('should return no cues for documents which are not TTML', () => {
+            expect(parseTtmlSubtitles('<html><body><p>Moi</p></body></html>')).toEqual([]);
+            expect(parseTtmlSubtitles('not xml')).toEqual([]);
+        });
+    });
+
+    describe('detectSubtitleFormat and canSniffSubtitleFormat', () => {
+        test('should detect the format by content type before the URL', () => {
+            expect(detectSubtitleFormat('application/ttml+xml; charset=utf-8', 'https://cdn.example/subs/fi', null))
+                .toBe(SubtitleFormat.TTML);
+            expect(detectSubtitleFormat('text/vtt', 'https://cdn.example/subs/fi.srt', null)).toBe(SubtitleFormat.WEBVTT);
+        });
+
+        test('should detect the format by file extension without query string', () => {
+            expect(detectSubtitleFormat('', 'https://cdn.example/subs/fi.dfxp?token=abc.vtt', null)).toBe(SubtitleFormat.TTML);
+            expect(detectSubtitleFormat('application/octet-stream', 'https://cdn.example/fi.SRT', null)).toBe(SubtitleFormat.SRT);
+            expect(detectSubtitleFormat('', 'https://cdn.example/subs/fi', null)).toBeNull();
+        });
+
+        test('should sniff the format from the text', () => {
+            expect(detectSubtitleFormat('text/plain', 'https://cdn.example/subs', VTT_TEXT)).toBe(SubtitleFormat.WEBVTT);
+            expect(detectSubtitleFormat('application/xml', 'https://cdn.example/subs', TTML_TEXT)).toBe(SubtitleFormat.TTML);
+            expect(detectSubtitleFormat('text/plain', 'https://cdn.example/subs', SRT_TEXT)).toBe(SubtitleFormat.SRT);
+            expect(detectSubtitleFormat('text/plain', 'https://cdn.example/subs', '{"cues": []}')).toBeNull();
+        });
+
+        test('should only sniff generic text content types', () => {
+            expect(canSniffSubtitleFormat('text/plain; charset=utf-8')).toBe(true);
+            expect(canSniffSubtitleFormat('')).toBe(true);
+            expect(canSniffSubtitleFormat('video/mp4')).toBe(false);
+            expect(canSniffSubtitleFormat('application/json')).toBe(false);
+        });
+
+        test('should tell URLs naming subtitles without a file extension', () => {
+            expect(isSubtitleUrl('https://api.example/v1/subtitles/123')).toBe(true);
+            expect(isSubtitleUrl('https://cdn.example/media/captions?lang=fi')).toBe(true);
+            expect(isSubtitleUrl('https://cdn.example/subs/fi')).toBe(true);
+            expect(isSubtitleUrl('https://cdn.example/tekstitys/fi')).toBe(true);
+            expect(isSubtitleUrl('https://api.example/v1/subscriptions')).toBe(false);
+            expect(isSubtitleUrl('https://cdn.example/video/segment-12')).toBe(false);
+        });
+    });
+
+    describe('parseVttSubtitles and parseSubtitleFile', () => {
+        test('should parse WebVTT cues with the shared WebVTT parser', () => {
+            expect(parseVttSubtitles(VTT_TEXT)).toEqual(EXPECTED_CUES);
+        });
+
+        test('should pick the parser by file extension, then by content', () => {
+            expect(parseSubtitleFile(SRT_TEXT, 'Jakso 1.FI.SRT')).toEqual(EXPECTED_CUES);
+            expect(parseSubtitleFile(VTT_TEXT, 'jakso-1.vtt')).toEqual(EXPECTED_CUES);
+            expect(parseSubtitleFile(VTT_TEXT, 'jakso-1.txt')).toEqual(EXPECTED_CUES);
+            expect(parseSubtitleFile(SRT_TEXT, 'jakso-1.txt')).toEqual(EXPECTED_CUES);
+            expect(parseSubtitleFile(TTML_TEXT, 'jakso-1.xml')).toEqual(EXPECTED_CUES);
+            expect(parseSubtitleFile('Moi', 'jakso-1.txt')).toEqual([]);
+        });
+
+        test('should produce the same cues from every format', () => {
+            expect(parseSubtitleText(SRT_TEXT, SubtitleFormat.SRT))
+                .toEqual(parseSubtitleText(TTML_TEXT, SubtitleFormat.TTML));
+        });
+    });
+});
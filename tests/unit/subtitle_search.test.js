@@ -0,0 +1,170 @@
+/**
+ * Cached subtitle search tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// subtitle_search.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    SubtitleSearchMode,
+    buildSubtitleSearchPatterns,
+    findSubtitleSearchMatches,
+    searchSubtitleRecords
+} = require('../../main/utils/subtitle_search.js');
+
+/**
+ * @param {string} movieName
+ * @param {string} originalText
+ * @param {string} translatedText
+ */
+function subtitleRecord(movieName, originalText, translatedText) {
+    return { movieName, originalLanguage: 'FI', targetLanguage: 'EN-US', originalText, translatedText };
+}
+
+const SUBTITLE_RECORDS = [
+    subtitleRecord('Sorjonen | Jakso 2', 'tulen kuitenkin huomenna.', "I'll come tomorrow anyway."),
+    subtitleRecord('Sorjonen | Jakso 2', 'mitä sinä teet?', 'what are you doing?'),
+    subtitleRecord('Aallonmurtaja | Jakso 1', 'se on kuitenkin totta.', "it's true, though."),
+    subtitleRecord('Aallonmurtaja | Jakso 1', 'kuitenkinkaan en tiedä.', "i don't know, though.")
+];
+
+/**
+ * @param {string} searchQuery
+ * @param {string} searchMode
+ * @returns {string[]} Finnish lines found
+ */
+function searchLines(searchQuery, searchMode) {
+    const searchPatterns = buildSubtitleSearchPatterns(searchQuery, searchMode);
+    return searchSubtitleRecords(SUBTITLE_RECORDS, searchPatterns).episodes
+        .flatMap(episode => episode.lines.map(line => line.originalText));
+}
+
+describe('Subtitle Search', () => {
+    describe('buildSubtitleSearchPatterns', () => {
+        test('should find whole words only in words mode, Finnish letters included', () => {
+            expect(searchLines('KUITENKIN', SubtitleSearchMode.WORDS)).toEqual([
+                'se on kuitenkin totta.',
+                'tulen kuitenkin huomenna.'
+            ]);
+            expect(searchLines('teet', SubtitleSearchMode.WORDS)).toEqual(['mitä sinä teet?']);
+            expect(searchLines('mit', SubtitleSearchMode.WORDS)).toEqual([]);
+        });
+
+        test('should find every word in any order in words mode', () => {
+            expect(searchLines('totta on', SubtitleSearchMode.WORDS)).toEqual(['se on kuitenkin totta.']);
+        });
+
+        test('should find the phrase inside longer words in phrase mode', () => {
+            expect(searchLines('kuitenkin', SubtitleSearchMode.PHRASE)).toHaveLength(3);
+            expect(searchLines('on   kuitenkin', SubtitleSearchMode.PHRASE)).toEqual(['se on kuitenkin totta.']);
+            expect(searchLines('teet?', SubtitleSearchMode.PHRASE)).toEqual(['mitä sinä teet?']);
+        });
+
+        test('should search with the regular expression as typed in regex mode', () => {
+            expect(searchLines('^(se|mitä) ', SubtitleSearchMode.REGEX)).toEqual([
+                'se on kuitenkin totta.',
+                'mitä sinä teet?'
+            ]);
+            expect(() => buildSubtitleSearchPatterns('kuitenkin(', SubtitleSearchMode.REGEX)).toThrow(SyntaxError);
+        });
+
+        test('should know Unicode letters in regex mode like in the other modes', () => {
+            expect(searchLines('^\\p{L}+ä ', SubtitleSearchMode.REGEX)).toEqual(['mitä sinä teet?']);
+        });
+
+        test('should return no patterns and no results for an empty query', () => {
+            expect(buildSubtitleSearchPatterns('   ', SubtitleSearchMode.WORDS)).toEqual([]);
+            expect(searchLines('', SubtitleSearchMode.REGEX)).toEqual([]);
+        });
+    });
+
+    describe('findSubtitleSearchMatches', () => {
+        test('should return sorted ranges of every match of every pattern', () => {
+            const searchPatterns = buildSubtitleSearchPatterns('totta se', SubtitleSearchMode.WORDS);
+
+            expect(findSubtitleSearchMatches('se on kuitenkin totta.', searchPatterns)).toEqual([[0, 2], [16, 21]]);
+            expect(findSubtitleSearchMatches('se on kuitenkin.', searchPatterns)).toBeNull();
+        });
+
+        test('should match without highlighting empty regular expression matches', () => {
+            const searchPatterns = buildSubtitleSearchPatterns('x*', SubtitleSearchMode.REGEX);
+
+            expect(findSubtitleSearchMatches('moi', searchPatterns)).toEqual([]);
+        });
+    });
+
+    describe('searchSubtitleRecords', () => {
+        test('should group lines by episode sorted by movie name, with translations', () => {
+            const searchPatterns = buildSubtitleSearchPatterns('kuitenkin', SubtitleSearchMode.WORDS);
+
+            expect(searchSubtitleRecords(SUBTITLE_RECORDS, searchPatterns)).toEqual({
+                episodes: [
+                    {
+                        movieName: 'Aallonmurtaja | Jakso 1',
+                        lines: [{ originalText: 'se on kuitenkin totta.', translatedText: "it's true, though.", matchRanges: [[6, 15]] }]
+                    },
+                    {
+                        movieName: 'Sorjonen | Jakso 2',
+                        lines: [{ originalText: 'tulen kuitenkin huomenna.', translatedText: "I'll come tomorrow anyway.", matchRanges: [[6, 15]] }]
+                    }
+                ],
+                lineCount: 2,
+                isTruncated: false
+            });
+        });
+
+        test('should stop at the maximum number of lines and tell the result is truncated', () => {
+            const searchPatterns = buildSubtitleSearchPatterns('kuitenkin', SubtitleSearchMode.PHRASE);
+            const searchResult = searchSubtitleRecords(SUBTITLE_RECORDS, searchPatterns, 2);
+
+            expect(searchResult.lineCount).toBe(2);
+            expect(searchResult.isTruncated).toBe(true);
+        });
+    });
+
+    describe('subtitle_search_worker.js', () => {
+        /** @type {jest.SpyInstance} */
+        let postMessage;
+
+        beforeAll(() => {
+            // Classic scripts of the worker share its global scope, like window here
+            window.importScripts = (...scriptNames) => {
+                for (const scriptName of scriptNames) {
+                    const scriptElement = document.createElement('script');
+                    scriptElement.textContent = fs.readFileSync(path.join(__dirname, '../../main/utils', scriptName), 'utf8');
+                    document.body.appendChild(scriptElement);
+                }
+            };
+            window.importScripts('subtitle_search_worker.js');
+            postMessage = jest.spyOn(window, 'postMessage').mockImplementation(() => { });
+        });
+
+        afterAll(() => {
+            postMessage.mockRestore();
+            delete window.importScripts;
+        });
+
+        test('should post the lines found for the options page', () => {
+            window.onmessage(new MessageEvent('message', {
+                data: { subtitleRecords: SUBTITLE_RECORDS, searchQuery: 'teet', searchMode: SubtitleSearchMode.WORDS }
+            }));
+
+            expect(postMessage).toHaveBeenLastCalledWith([
+                true,
+                searchSubtitleRecords(SUBTITLE_RECORDS, buildSubtitleSearchPatterns('teet', SubtitleSearchMode.WORDS))
+            ]);
+        });
+
+        test('should post the error of an invalid regular expression', () => {
+            window.onmessage(new MessageEvent('message', {
+                data: { subtitleRecords: SUBTITLE_RECORDS, searchQuery: 'kuitenkin(', searchMode: SubtitleSearchMode.REGEX }
+            }));
+
+            expect(postMessage).toHaveBeenLastCalledWith([false, expect.stringContaining('Invalid regular expression')]);
+        });
+    });
+});
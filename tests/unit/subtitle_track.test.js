@@ -0,0 +1,469 @@
+/**
+ * Subtitle track helper tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// subtitle_track.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    parseSubtitleTrackEventDetail,
+    orderCuesAroundPlayhead,
+    takeNextTranslationBatch,
+    buildTranslationContext,
+    countTranslatedSubtitleLines,
+    SentenceMergingMode,
+    mergeCuesIntoSentences,
+    splitTranslationProportionally,
+    distributeTranslationToSourceCues,
+    SubtitleLineNavigation,
+    findSubtitleLineSeekTime,
+    findCurrentSubtitleLine,
+    getShadowingResumeDelayMs,
+    LoopPlaybackRateSchedule,
+    findSubtitleLineToRepeat,
+    toLoopRange,
+    getLoopRepeatPlaybackRate,
+    buildTranscriptLines,
+    matchesTranscriptSearch,
+    findActiveTranscriptLineIndex
+} = require('../../main/utils/subtitle_track.js');
+
+function toTranslationKey(rawSubtitleFinnishText) {
+    return rawSubtitleFinnishText.replace(/\n/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+describe('Subtitle Track Helpers', () => {
+
+    describe('parseSubtitleTrackEventDetail', () => {
+        test('should parse cues from JSON string detail', () => {
+            const detail = JSON.stringify({
+                cues: [
+                    { startTime: 1, endTime: 2.5, text: 'Hei maailma' },
+                    { startTime: 3, endTime: 4, text: 'Mitä kuuluu?' }
+                ]
+            });
+
+            const cues = parseSubtitleTrackEventDetail(detail);
+
+            expect(cues).toEqual([
+                { startTime: 1, endTime: 2.5, text: 'Hei maailma' },
+                { startTime: 3, endTime: 4, text: 'Mitä kuuluu?' }
+            ]);
+        });
+
+        test('should drop cues with missing timings or empty text', () => {
+            const detail = JSON.stringify({
+                cues: [
+                    { startTime: 1, text: 'Ei loppuaikaa' },
+                    { startTime: 2, endTime: 3, text: '   ' },
+                    null,
+                    { startTime: 4, endTime: 5, text: 'Kelvollinen' }
+                ]
+            });
+
+            const cues = parseSubtitleTrackEventDetail(detail);
+
+            expect(cues).toEqual([{ startTime: 4, endTime: 5, text: 'Kelvollinen' }]);
+        });
+
+        test('should return empty array for malformed detail', () => {
+            expect(parseSubtitleTrackEventDetail('not json')).toEqual([]);
+            expect(parseSubtitleTrackEventDetail(JSON.stringify({ foo: 1 }))).toEqual([]);
+            expect(parseSubtitleTrackEventDetail({ cues: [] })).toEqual([]);
+            expect(parseSubtitleTrackEventDetail(null)).toEqual([]);
+        });
+    });
+
+    describe('orderCuesAroundPlayhead', () => {
+        const cues = [
+            { startTime: 0, endTime: 2, text: 'a' },
+            { startTime: 3, endTime: 5, text: 'b' },
+            { startTime: 6, endTime: 8, text: 'c' },
+            { startTime: 9, endTime: 11, text: 'd' },
+            { startTime: 12, endTime: 14, text: 'e' }
+        ];
+
+        test('should put upcoming cues first, then passed cues nearest first', () => {
+            const ordered = orderCuesAroundPlayhead(cues, 7);
+
+            expect(ordered.map(cue => cue.text)).toEqual(['c', 'd', 'e', 'b', 'a']);
+        });
+
+        test('should keep track order when playhead is at the beginning', () => {
+            const ordered = orderCuesAroundPlayhead(cues, 0);
+
+            expect(ordered.map(cue => cue.text)).toEqual(['a', 'b', 'c', 'd', 'e']);
+        });
+
+        test('should not modify input array', () => {
+            const shuffled = [cues[3], cues[0], cues[4]];
+
+            orderCuesAroundPlayhead(shuffled, 10);
+
+            expect(shuffled.map(cue => cue.text)).toEqual(['d', 'a', 'e']);
+        });
+    });
+
+    describe('takeNextTranslationBatch', () => {
+        const cues = [
+            { startTime: 0, endTime: 2, text: 'Hei!' },
+            { startTime: 3, endTime: 5, text: 'Mitä kuuluu?' },
+            { startTime: 6, endTime: 8, text: 'Hyvää' },
+            { startTime: 9, endTime: 11, text: 'hei!' },
+            { startTime: 12, endTime: 14, text: 'Kiitos' }
+        ];
+
+        test('should take cues nearest to the playhead after a seek', () => {
+            const { batch, remainingCues } = takeNextTranslationBatch(cues, 10, 2, toTranslationKey);
+
+            expect(batch.map(cue => cue.text)).toEqual(['hei!', 'Kiitos']);
+            expect(remainingCues.map(cue => cue.text)).toEqual(['Hyvää', 'Mitä kuuluu?']);
+        });
+
+        test('should drop cues repeating a line already in the batch', () => {
+            const { batch, remainingCues } = takeNextTranslationBatch(cues, 0, 7, toTranslationKey);
+
+            expect(batch.map(cue => cue.text)).toEqual(['Hei!', 'Mitä kuuluu?', 'Hyvää', 'Kiitos']);
+            expect(remainingCues).toEqual([]);
+        });
+
+        test('should return empty batch for empty queue', () => {
+            const { batch, remainingCues } = takeNextTranslationBatch([], 5, 7, toTranslationKey);
+
+            expect(batch).toEqual([]);
+            expect(remainingCues).toEqual([]);
+        });
+    });
+
+    describe('buildTranslationContext', () => {
+        const trackCues = [
+            { startTime: 0, endTime: 2, text: 'Minä menin eilen' },
+            { startTime: 2, endTime: 4, text: 'kauppaan ostamaan maitoa.' },
+            { startTime: 5, endTime: 7, text: 'Se oli kiinni.' },
+            { startTime: 8, endTime: 10, text: 'Harmi.' },
+            { startTime: 11, endTime: 13, text: 'Mennään huomenna.' }
+        ];
+
+        test('should include previous and next lines around each batch cue in track order', () => {
+            const context = buildTranslationContext([trackCues[1]], trackCues, 1);
+
+            expect(context).toBe('Minä menin eilen\nkauppaan ostamaan maitoa.\nSe oli kiinni.');
+        });
+
+        test('should merge overlapping windows without duplicates and stay inside the track', () => {
+            const context = buildTranslationContext([trackCues[4], trackCues[0]], trackCues, 1);
+
+            expect(context).toBe([
+                'Minä menin eilen',
+                'kauppaan ostamaan maitoa.',
+                'Harmi.',
+                'Mennään huomenna.'
+            ].join('\n'));
+        });
+
+        test('should use source cues of merged sentences', () => {
+            const mergedSentence = {
+                startTime: 0,
+                endTime: 4,
+                text: 'Minä menin eilen kauppaan ostamaan maitoa.',
+                sourceCues: [trackCues[0], trackCues[1]]
+            };
+
+            const context = buildTranslationContext([mergedSentence], trackCues, 1);
+
+            expect(context).toBe('Minä menin eilen\nkauppaan ostamaan maitoa.\nSe oli kiinni.');
+        });
+
+        test('should return empty context when window size is 0', () => {
+            expect(buildTranslationContext([trackCues[2]], trackCues, 0)).toBe('');
+        });
+
+        test('should return empty context for cues not in the track', () => {
+            const unknownCue = { startTime: 20, endTime: 21, text: 'Hei' };
+
+            expect(buildTranslationContext([unknownCue], trackCues, 2)).toBe('');
+        });
+    });
+
+    describe('countTranslatedSubtitleLines', () => {
+        test('should count distinct normalized lines', () => {
+            const cues = [
+                { startTime: 0, endTime: 1, text: 'Hei!' },
+                { startTime: 2, endTime: 3, text: 'hei!' },
+                { startTime: 4, endTime: 5, text: 'Kiitos  paljon' },
+                { startTime: 6, endTime: 7, text: 'Näkemiin' }
+            ];
+            const translationMap = new Map([
+                ['hei!', 'Hi!'],
+                ['kiitos paljon', 'Thank you very much']
+            ]);
+
+            const progress = countTranslatedSubtitleLines(cues, translationMap, toTranslationKey);
+
+            expect(progress).toEqual({ translatedCount: 2, totalCount: 3 });
+        });
+
+        test('should return zero counts for empty track', () => {
+            const progress = countTranslatedSubtitleLines([], new Map(), toTranslationKey);
+
+            expect(progress).toEqual({ translatedCount: 0, totalCount: 0 });
+        });
+    });
+
+    describe('mergeCuesIntoSentences', () => {
+        test('should merge cues continuing a sentence after a short gap', () => {
+            const cues = [
+                { startTime: 0, endTime: 2, text: 'Minä menin eilen' },
+                { startTime: 2.5, endTime: 4, text: 'kauppaan ostamaan maitoa.' },
+                { startTime: 5, endTime: 7, text: 'Se oli kiinni.' }
+            ];
+
+            const units = mergeCuesIntoSentences(cues);
+
+            expect(units).toEqual([
+                {
+                    startTime: 0,
+                    endTime: 4,
+                    text: 'Minä menin eilen kauppaan ostamaan maitoa.',
+                    sourceCues: [cues[0], cues[1]]
+                },
+                cues[2]
+            ]);
+        });
+
+        test('should not merge after terminal punctuation, before a new speaker or across a long gap', () => {
+            const cues = [
+                { startTime: 0, endTime: 1, text: 'Tule tänne!' },
+                { startTime: 1.2, endTime: 2, text: 'Miksi' },
+                { startTime: 2.2, endTime: 3, text: '- En tiedä' },
+                { startTime: 6, endTime: 7, text: 'ehkä huomenna' }
+            ];
+
+            const units = mergeCuesIntoSentences(cues);
+
+            expect(units).toEqual(cues);
+        });
+
+        test('should not merge more than 4 cues into one sentence', () => {
+            const cues = ['yksi', 'kaksi', 'kolme', 'neljä', 'viisi'].map((text, index) => ({
+                startTime: index, endTime: index + 0.9, text
+            }));
+
+            const units = mergeCuesIntoSentences(cues);
+
+            expect(units.map(unit => unit.text)).toEqual(['yksi kaksi kolme neljä', 'viisi']);
+        });
+    });
+
+    describe('splitTranslationProportionally', () => {
+        test('should split words by source text length', () => {
+            const parts = splitTranslationProportionally(
+                'I went to the store yesterday to buy milk.',
+                ['Minä menin eilen', 'kauppaan ostamaan maitoa.']
+            );
+
+            expect(parts).toEqual(['I went to the', 'store yesterday to buy milk.']);
+        });
+
+        test('should keep at least one word per part when possible', () => {
+            expect(splitTranslationProportionally('Hello there', ['a', 'very long source line']))
+                .toEqual(['Hello', 'there']);
+        });
+
+        test('should leave trailing parts empty when translation is too short', () => {
+            expect(splitTranslationProportionally('Yes', ['Joo', 'joo'])).toEqual(['Yes', '']);
+        });
+    });
+
+    describe('distributeTranslationToSourceCues', () => {
+        const mergedSentence = {
+            startTime: 0,
+            endTime: 4,
+            text: 'Minä menin eilen kauppaan',
+            sourceCues: [
+                { startTime: 0, endTime: 2, text: 'Minä menin eilen' },
+                { startTime: 2, endTime: 4, text: 'kauppaan' }
+            ]
+        };
+
+        test('should return single cue translation as is', () => {
+            const cue = { startTime: 0, endTime: 1, text: 'Hei' };
+
+            expect(distributeTranslationToSourceCues(cue, 'Hi', SentenceMergingMode.PROPORTIONAL))
+                .toEqual([{ text: 'Hei', translatedText: 'Hi' }]);
+        });
+
+        test('should split translation across source cues in proportional mode', () => {
+            const distributed = distributeTranslationToSourceCues(
+                mergedSentence, 'I went yesterday to the store', SentenceMergingMode.PROPORTIONAL
+            );
+
+            expect(distributed).toEqual([
+                { text: 'Minä menin eilen', translatedText: 'I went yesterday to' },
+                { text: 'kauppaan', translatedText: 'the store' }
+            ]);
+        });
+
+        test('should give every source cue the whole translation in spanning mode', () => {
+            const distributed = distributeTranslationToSourceCues(
+                mergedSentence, 'I went to the store yesterday', SentenceMergingMode.SPANNING
+            );
+
+            expect(distributed).toEqual([
+                { text: 'Minä menin eilen', translatedText: 'I went to the store yesterday' },
+                { text: 'kauppaan', translatedText: 'I went to the store yesterday' }
+            ]);
+        });
+    });
+
+    describe('findSubtitleLineSeekTime', () => {
+        const cues = [
+            { startTime: 10, endTime: 12, text: 'Kolmas' },
+            { startTime: 2, endTime: 4, text: 'Ensimmäinen' },
+            { startTime: 5, endTime: 7, text: 'Toinen' },
+            { startTime: 5, endTime: 7, text: 'Toinen puhuja' }
+        ];
+
+        test.each([
+            [SubtitleLineNavigation.PREVIOUS, 2],
+            [SubtitleLineNavigation.REPLAY, 5],
+            [SubtitleLineNavigation.NEXT, 10]
+        ])('should find %s line start from inside a line', (navigation, seekTime) => {
+            expect(findSubtitleLineSeekTime(cues, 6, navigation)).toBe(seekTime);
+        });
+
+        test('should replay the line just heard between two lines', () => {
+            expect(findSubtitleLineSeekTime(cues, 8.5, SubtitleLineNavigation.REPLAY)).toBe(5);
+            expect(findSubtitleLineSeekTime(cues, 8.5, SubtitleLineNavigation.NEXT)).toBe(10);
+        });
+
+        test('should treat a playhead landed just before a line start as on that line', () => {
+            expect(findSubtitleLineSeekTime(cues, 4.9, SubtitleLineNavigation.NEXT)).toBe(10);
+            expect(findSubtitleLineSeekTime(cues, 4.9, SubtitleLineNavigation.PREVIOUS)).toBe(2);
+        });
+
+        test('should return null when there is no such line', () => {
+            expect(findSubtitleLineSeekTime(cues, 1, SubtitleLineNavigation.PREVIOUS)).toBeNull();
+            expect(findSubtitleLineSeekTime(cues, 1, SubtitleLineNavigation.REPLAY)).toBeNull();
+            expect(findSubtitleLineSeekTime(cues, 1, SubtitleLineNavigation.NEXT)).toBe(2);
+            expect(findSubtitleLineSeekTime(cues, 11, SubtitleLineNavigation.NEXT)).toBeNull();
+            expect(findSubtitleLineSeekTime([], 11, SubtitleLineNavigation.REPLAY)).toBeNull();
+        });
+    });
+
+    describe('findCurrentSubtitleLine', () => {
+        test('should find the line on screen, with the latest end of cues starting together', () => {
+            const cues = [
+                { startTime: 2, endTime: 4, text: 'Ensimmäinen' },
+                { startTime: 5, endTime: 7, text: 'Toinen' },
+                { startTime: 5, endTime: 7.5, text: 'Toinen puhuja' }
+            ];
+
+            expect(findCurrentSubtitleLine(cues, 6)).toEqual({ startTime: 5, endTime: 7.5 });
+            expect(findCurrentSubtitleLine(cues, 2)).toEqual({ startTime: 2, endTime: 4 });
+        });
+
+        test('should prefer the latest started line when lines overlap', () => {
+            const cues = [
+                { startTime: 1, endTime: 10, text: 'Taustalla' },
+                { startTime: 3, endTime: 5, text: 'Puhe' }
+            ];
+
+            expect(findCurrentSubtitleLine(cues, 4)).toEqual({ startTime: 3, endTime: 5 });
+        });
+
+        test('should return null between lines and at a line end', () => {
+            const cues = [{ startTime: 2, endTime: 4, text: 'Moi' }];
+
+            expect(findCurrentSubtitleLine(cues, 4)).toBeNull();
+            expect(findCurrentSubtitleLine(cues, 1)).toBeNull();
+            expect(findCurrentSubtitleLine([], 1)).toBeNull();
+        });
+    });
+
+    describe('getShadowingResumeDelayMs', () => {
+        test('should wait a multiple of the line duration', () => {
+            expect(getShadowingResumeDelayMs({ startTime: 10, endTime: 13 }, 1.5)).toBe(4500);
+        });
+
+        test('should wait at least one second after short lines', () => {
+            expect(getShadowingResumeDelayMs({ startTime: 10, endTime: 10.4 }, 1)).toBe(1000);
+        });
+
+        test('should wait for a key press when the factor is 0', () => {
+            expect(getShadowingResumeDelayMs({ startTime: 10, endTime: 13 }, 0)).toBeNull();
+        });
+    });
+
+    describe('loop helpers', () => {
+        const cues = [
+            { startTime: 2, endTime: 4, text: 'Ensimmäinen' },
+            { startTime: 5, endTime: 7, text: 'Toinen' },
+            { startTime: 5, endTime: 7.5, text: 'Toinen puhuja' }
+        ];
+
+        test('should repeat the line on screen, otherwise the line just heard', () => {
+            expect(findSubtitleLineToRepeat(cues, 3)).toEqual({ startTime: 2, endTime: 4 });
+            expect(findSubtitleLineToRepeat(cues, 9)).toEqual({ startTime: 5, endTime: 7.5 });
+            expect(findSubtitleLineToRepeat(cues, 4.5)).toEqual({ startTime: 2, endTime: 4 });
+            expect(findSubtitleLineToRepeat(cues, 1)).toBeNull();
+        });
+
+        test('should order A-B marks and ignore marks too close together', () => {
+            expect(toLoopRange(12, 20)).toEqual({ startTime: 12, endTime: 20 });
+            expect(toLoopRange(20, 12)).toEqual({ startTime: 12, endTime: 20 });
+            expect(toLoopRange(12, 12.2)).toBeNull();
+        });
+
+        test.each([
+            [LoopPlaybackRateSchedule.NORMAL, [1, 1, 1]],
+            [LoopPlaybackRateSchedule.SLOW_THEN_NORMAL, [0.75, 1, 1]],
+            [LoopPlaybackRateSchedule.SLOWER_THEN_NORMAL, [0.5, 0.75, 1]]
+        ])('should play repeats of %s schedule at %p', (playbackRateSchedule, playbackRates) => {
+            expect([0, 1, 2].map(repeatIndex => getLoopRepeatPlaybackRate(playbackRateSchedule, repeatIndex, 1)))
+                .toEqual(playbackRates);
+        });
+
+        test('should scale repeat speeds by the speed the viewer watches at', () => {
+            expect(getLoopRepeatPlaybackRate(LoopPlaybackRateSchedule.SLOW_THEN_NORMAL, 0, 1.2)).toBeCloseTo(0.9);
+            expect(getLoopRepeatPlaybackRate('unknown', 0, 1.2)).toBeCloseTo(1.2);
+        });
+    });
+
+    describe('transcript helpers', () => {
+        const cues = [
+            { startTime: 5, endTime: 7, text: 'Mitä kuuluu?' },
+            { startTime: 1, endTime: 2, text: 'Moi.' },
+            { startTime: 5, endTime: 7, text: 'Mitä kuuluu?' },
+            { startTime: 8, endTime: 9, text: '' }
+        ];
+        const translationMap = new Map([['moi.', 'Hi.']]);
+
+        test('should list each line once in playback order with its translation', () => {
+            expect(buildTranscriptLines(cues, translationMap, toTranslationKey)).toEqual([
+                { startTime: 1, endTime: 2, text: 'Moi.', translatedText: 'Hi.' },
+                { startTime: 5, endTime: 7, text: 'Mitä kuuluu?', translatedText: '' }
+            ]);
+        });
+
+        test('should search the Finnish line and its translation ignoring case', () => {
+            const transcriptLine = { startTime: 1, endTime: 2, text: 'Moi kaikki.', translatedText: 'Hi everyone.' };
+
+            expect(matchesTranscriptSearch(transcriptLine, 'KAIKKI')).toBe(true);
+            expect(matchesTranscriptSearch(transcriptLine, ' everyone ')).toBe(true);
+            expect(matchesTranscriptSearch(transcriptLine, '')).toBe(true);
+            expect(matchesTranscriptSearch(transcriptLine, 'kiitos')).toBe(false);
+        });
+
+        test('should highlight the last line started', () => {
+            const transcriptLines = buildTranscriptLines(cues, translationMap, toTranslationKey);
+
+            expect(findActiveTranscriptLineIndex(transcriptLines, 0.5)).toBe(-1);
+            expect(findActiveTranscriptLineIndex(transcriptLines, 1)).toBe(0);
+            expect(findActiveTranscriptLineIndex(transcriptLines, 3)).toBe(0);
+            expect(findActiveTranscriptLineIndex(transcriptLines, 60)).toBe(1);
+            expect(findActiveTranscriptLineIndex([], 60)).toBe(-1);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Subtitle words tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// subtitle_words.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    tokenizeSubtitleText,
+    splitIntoWords,
+    renderSubtitleWords,
+    updateRenderedWordKnownStatus,
+    createTextRange
+} = require('../../main/utils/subtitle_words.js');
+
+describe('Subtitle Words', () => {
+    describe('tokenizeSubtitleText', () => {
+        test('should keep positions of words, whitespace and punctuation', () => {
+            expect(tokenizeSubtitleText('Hei, Äiti!')).toEqual([
+                { text: 'Hei', start: 0, end: 3, isWord: true },
+                { text: ', ', start: 3, end: 5, isWord: false },
+                { text: 'Äiti', start: 5, end: 9, isWord: true },
+                { text: '!', start: 9, end: 10, isWord: false }
+            ]);
+        });
+
+        test('should give back the original line when tokens are joined', () => {
+            const text = '- Mitä EU:n maa-alueella tapahtui vuonna 2020?';
+
+            const tokens = tokenizeSubtitleText(text);
+
+            expect(tokens.map(token => token.text).join('')).toBe(text);
+            expect(tokens.every(token => text.slice(token.start, token.end) === token.text)).toBe(true);
+        });
+
+        test('should return no tokens for empty text', () => {
+            expect(tokenizeSubtitleText('')).toEqual([]);
+        });
+    });
+
+    describe('splitIntoWords', () => {
+        test('should keep inner joiners and drop numbers and punctuation', () => {
+            expect(splitIntoWords('- Mitä EU:n maa-alueella tapahtui vuonna 2020?'))
+                .toEqual(['Mitä', 'EU:n', 'maa-alueella', 'tapahtui', 'vuonna']);
+        });
+    });
+
+    describe('renderSubtitleWords', () => {
+        test('should render one span per word with unknown words marked', () => {
+            const subtitleRowElement = document.createElement('div');
+
+            renderSubtitleWords(subtitleRowElement, 'Minä näin kissan.', new Set(['minä']));
+
+            const wordElements = Array.from(subtitleRowElement.querySelectorAll('.dual-sub-word'));
+            expect(subtitleRowElement.textContent).toBe('Minä näin kissan.');
+            expect(wordElements.map(wordElement => wordElement.dataset.word)).toEqual(['minä', 'näin', 'kissan']);
+            expect(wordElements.map(wordElement => wordElement.classList.contains('dual-sub-word--unknown')))
+                .toEqual([false, true, true]);
+        });
+
+        test('should keep the start index of each word and mark no word when reading mode is off', () => {
+            const subtitleRowElement = document.createElement('div');
+
+            renderSubtitleWords(subtitleRowElement, 'Minä näin kissan.', null);
+
+            const wordElements = Array.from(subtitleRowElement.querySelectorAll('.dual-sub-word'));
+            expect(wordElements.map(wordElement => wordElement.dataset.start)).toEqual(['0', '5', '10']);
+            expect(subtitleRowElement.querySelectorAll('.dual-sub-word--unknown')).toHaveLength(0);
+        });
+
+        test('should update every rendered span of the word', () => {
+            const subtitleRowElement = document.createElement('div');
+            renderSubtitleWords(subtitleRowElement, 'Kissa, kissa ja koira', new Set());
+
+            updateRenderedWordKnownStatus(subtitleRowElement, 'kissa', true);
+
+            const unknownWords = Array.from(subtitleRowElement.querySelectorAll('.dual-sub-word--unknown'))
+                .map(wordElement => wordElement.textContent);
+            expect(unknownWords).toEqual(['ja', 'koira']);
+        });
+    });
+
+    describe('createTextRange', () => {
+        test('should create a range across text nodes of rendered words', () => {
+            const subtitleRowElement = document.createElement('div');
+            renderSubtitleWords(subtitleRowElement, 'Minä näin kissan.', new Set());
+
+            const range = createTextRange(subtitleRowElement, 5, 16);
+
+            expect(range.toString()).toBe('näin kissan');
+        });
+
+        test('should return null when indexes are outside of the text', () => {
+            const subtitleRowElement = document.createElement('div');
+            subtitleRowElement.textContent = 'Hei';
+
+            expect(createTextRange(subtitleRowElement, 1, 10)).toBeNull();
+        });
+    });
+});
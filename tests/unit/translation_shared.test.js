@@ -0,0 +1,109 @@
+/**
+ * Translation retry and error handling tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+// translation/shared.js uses conditional exports: CommonJS in Node.js, global functions in browser
+const {
+    calculateBackoffDelay,
+    TranslationProviderError,
+    translateTextsWithErrorHandling
+} = require('../../main/translation/shared.js');
+
+/**
+ * @param {Array<[boolean, any]>} translationResponses - answered in order, one per attempt
+ */
+function fakeTranslationProvider(translationResponses) {
+    return {
+        id: 'fake',
+        displayName: 'Fake',
+        retryableStatuses: [429, 503],
+        translateTexts: jest.fn(async () => translationResponses.shift()),
+        getErrorMessage: (status) => `Fake error ${status}`
+    };
+}
+
+/**
+ * Run a translation until its backoff delays are over
+ * @param {Object} provider
+ */
+async function translateWithBackoffElapsed(provider) {
+    const translationPromise = translateTextsWithErrorHandling(provider, { apiKey: 'key' }, ['Hei'], 'EN-US', 'Moi.');
+    await jest.runAllTimersAsync();
+    return translationPromise;
+}
+
+describe('Translation Shared', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('TranslationProviderError', () => {
+        test('should keep the HTTP status and reject anything else', () => {
+            expect(new TranslationProviderError(456).status).toBe(456);
+            expect(() => new TranslationProviderError(NaN)).toThrow('Status must be a valid number');
+            expect(() => new TranslationProviderError('500')).toThrow('Status must be a valid number');
+        });
+    });
+
+    describe('calculateBackoffDelay', () => {
+        test('should double the delay every attempt, with up to half of it as jitter', () => {
+            jest.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(0.5);
+
+            expect(calculateBackoffDelay(0)).toBe(200);
+            expect(calculateBackoffDelay(2)).toBe(800 + 200);
+            jest.restoreAllMocks();
+        });
+    });
+
+    describe('translateTextsWithErrorHandling', () => {
+        test('should return translations and pass config, texts, language and context to the provider', async () => {
+            const provider = fakeTranslationProvider([[true, ['Hello']]]);
+
+            expect(await translateWithBackoffElapsed(provider)).toEqual([true, ['Hello']]);
+            expect(provider.translateTexts).toHaveBeenCalledWith({ apiKey: 'key' }, ['Hei'], 'EN-US', 'Moi.');
+        });
+
+        test('should retry retryable statuses until the provider answers', async () => {
+            const provider = fakeTranslationProvider([
+                [false, new TranslationProviderError(429)],
+                [false, new TranslationProviderError(503)],
+                [true, ['Hello']]
+            ]);
+
+            expect(await translateWithBackoffElapsed(provider)).toEqual([true, ['Hello']]);
+            expect(provider.translateTexts).toHaveBeenCalledTimes(3);
+        });
+
+        test('should give up with the status after the last retry', async () => {
+            const provider = fakeTranslationProvider([
+                [false, new TranslationProviderError(429)],
+                [false, new TranslationProviderError(429)],
+                [false, new TranslationProviderError(429)]
+            ]);
+
+            expect(await translateWithBackoffElapsed(provider)).toEqual([false, 'Fake error 429', 429]);
+            expect(provider.translateTexts).toHaveBeenCalledTimes(3);
+        });
+
+        test('should not retry other statuses and return their message with the status', async () => {
+            const provider = fakeTranslationProvider([[false, new TranslationProviderError(403)]]);
+
+            expect(await translateWithBackoffElapsed(provider)).toEqual([false, 'Fake error 403', 403]);
+            expect(provider.translateTexts).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not retry errors without a status, like network errors', async () => {
+            const provider = fakeTranslationProvider([[false, 'Translation failed. Please check network.']]);
+
+            expect(await translateWithBackoffElapsed(provider)).toEqual([false, 'Translation failed. Please check network.']);
+            expect(provider.translateTexts).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * Content script utility tests
+ *
+ * To run these tests:
+ * npm test
+ */
+
+require('fake-indexeddb/auto');
+
+const fs = require('fs');
+const path = require('path');
+
+const UTILS_DIRECTORY = path.join(__dirname, '../../main/utils');
+
+/**
+ * Run utility scripts as classic scripts sharing the global scope, like content scripts do
+ * @param {...string} scriptNames - relative to main/utils
+ */
+function runContentScripts(...scriptNames) {
+    for (const scriptName of scriptNames) {
+        const scriptElement = document.createElement('script');
+        scriptElement.textContent = fs.readFileSync(path.join(UTILS_DIRECTORY, scriptName), 'utf8');
+        document.body.appendChild(scriptElement);
+    }
+}
+
+// Helper function to delete database
+function deleteDB(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+describe('Utils', () => {
+    /** @type {jest.Mock} */
+    let sendMessage;
+
+    beforeAll(() => {
+        sendMessage = jest.fn();
+        global.chrome = { runtime: { sendMessage } };
+        runContentScripts('database.js', 'utils.js', 'subtitle_words.js', 'finnish_morphology.js', 'dictionary.js');
+    });
+
+    afterAll(() => {
+        delete global.chrome;
+    });
+
+    describe('migrateLegacyPageDatabaseToBackground', () => {
+        const nowDays = Math.floor(Date.now() / (1000 * 60 * 60 * 24));
+
+        beforeEach(async () => {
+            // Page database of an older version, which opened IndexedDB in the site origin
+            const db = await window.openDatabase();
+            await window.saveSubtitle(db, 'Test Movie', 'EN-US', 'hei', 'hello');
+            await window.upsertMovieMetadata(db, 'Test Movie', nowDays);
+            db.close();
+            sendMessage.mockReset();
+        });
+
+        afterEach(async () => {
+            await deleteDB('YleDualSubCache');
+        });
+
+        test('should copy the page database to background, then delete it', async () => {
+            sendMessage.mockResolvedValue([true, undefined]);
+
+            await window.migrateLegacyPageDatabaseToBackground();
+
+            expect(sendMessage.mock.calls.map(([message]) => message)).toEqual([
+                {
+                    action: 'database',
+                    data: {
+                        operation: 'saveSubtitlesBatch',
+                        args: [[expect.objectContaining({ movieName: 'Test Movie', originalText: 'hei' })]]
+                    }
+                },
+                { action: 'database', data: { operation: 'upsertMovieMetadata', args: ['Test Movie', nowDays] } }
+            ]);
+            expect(await window.loadLegacyPageDatabaseRecords()).toBeNull();
+        });
+
+        test('should keep the page database when background fails to save its records', async () => {
+            sendMessage.mockResolvedValue([false, 'QuotaExceededError']);
+
+            await expect(window.migrateLegacyPageDatabaseToBackground()).rejects.toThrow('QuotaExceededError');
+
+            const legacyRecords = await window.loadLegacyPageDatabaseRecords();
+            expect(legacyRecords.subtitleRecords).toHaveLength(1);
+            expect(legacyRecords.movieMetadataRecords).toHaveLength(1);
+        });
+
+        test('should keep the page database when background does not answer', async () => {
+            sendMessage.mockResolvedValue(undefined);
+
+            await expect(window.migrateLegacyPageDatabaseToBackground()).rejects.toThrow('No response from background');
+
+            expect(await window.loadLegacyPageDatabaseRecords()).not.toBeNull();
+        });
+    });
+
+    describe('handleSubtitleWordClick', () => {
+        const lookupEpisode = { movieName: 'Test Movie', videoTime: 12 };
+        /** @type {HTMLElement} */
+        let appendTarget;
+        /** @type {HTMLElement} */
+        let finnishSubtitleRow;
+        /** @type {HTMLVideoElement} */
+        let video;
+        /** @type {Set<string> | null} */
+        let knownWords;
+        /** @type {Promise<void>} */
+        let wordClickPromise;
+
+        /**
+         * @param {string} word
+         * @param {MouseEventInit} [mouseEventInit]
+         */
+        async function clickWord(word, mouseEventInit = {}) {
+            const wordElement = finnishSubtitleRow.querySelector(`.dual-sub-word[data-word="${word}"]`);
+            wordElement.dispatchEvent(new MouseEvent('click', { bubbles: true, ...mouseEventInit }));
+            await wordClickPromise;
+        }
+
+        /**
+         * @param {boolean} paused
+         * @returns {HTMLVideoElement} video whose pause and play are watched
+         */
+        function createVideo(paused) {
+            const watchedVideo = document.createElement('video');
+            Object.defineProperty(watchedVideo, 'paused', { value: paused, configurable: true });
+            watchedVideo.pause = jest.fn();
+            watchedVideo.play = jest.fn(async () => { });
+            return watchedVideo;
+        }
+
+        beforeAll(() => {
+            // jsdom has no layout
+            document.createRange = () => Object.assign(new Range(), { getBoundingClientRect: () => new DOMRect() });
+        });
+
+        beforeEach(() => {
+            sendMessage.mockReset();
+            sendMessage.mockImplementation(async (message) => {
+                if (message.action === 'fetchTranslation') {
+                    return [true, message.data.rawSubtitleFinnishTexts.map(() => 'cat')];
+                }
+                if (message.data.operation === 'findDictionaryEntry') {
+                    return [true, null];
+                }
+                return [true, undefined];
+            });
+            appendTarget = document.createElement('div');
+            finnishSubtitleRow = document.createElement('div');
+            finnishSubtitleRow.id = 'finnish-subtitle-row';
+            appendTarget.appendChild(finnishSubtitleRow);
+            document.body.appendChild(appendTarget);
+            knownWords = null;
+            window.renderSubtitleWords(finnishSubtitleRow, 'Iso kissa nukkuu.', knownWords);
+            video = createVideo(false);
+            finnishSubtitleRow.addEventListener('click', (event) => {
+                wordClickPromise = window.handleSubtitleWordClick(
+                    event, 'EN-US', appendTarget, video, lookupEpisode, knownWords
+                );
+            });
+        });
+
+        afterEach(() => {
+            window.closeLookupPopup();
+            appendTarget.remove();
+        });
+
+        test('should look up the word with its line as context in a popup, pausing the video', async () => {
+            await clickWord('kissa');
+
+            expect(sendMessage).toHaveBeenCalledWith({
+                action: 'fetchTranslation',
+                data: { rawSubtitleFinnishTexts: ['kissa'], targetLanguage: 'EN-US', context: 'Iso kissa nukkuu.' }
+            });
+            const lookupPopup = appendTarget.querySelector('#dual-sub-lookup-popup');
+            expect(lookupPopup.querySelector('.dual-sub-lookup-row-key').textContent).toBe('kissa');
+            expect(lookupPopup.querySelector('.dual-sub-lookup-row-val').textContent).toBe('cat');
+            expect(video.pause).toHaveBeenCalled();
+        });
+
+        test('should resume the video on close only if the lookup paused it', async () => {
+            await clickWord('kissa');
+            appendTarget.querySelector('.dual-sub-lookup-close').click();
+
+            expect(appendTarget.querySelector('#dual-sub-lookup-popup')).toBeNull();
+            expect(video.play).toHaveBeenCalledTimes(1);
+
+            // Paused by the user before the lookup, it stays paused
+            video = createVideo(true);
+            await clickWord('nukkuu');
+            appendTarget.querySelector('.dual-sub-lookup-close').click();
+
+            expect(video.pause).not.toHaveBeenCalled();
+            expect(video.play).not.toHaveBeenCalled();
+        });
+
+        test('should toggle known status of the word on shift+click in reading mode, without lookup', async () => {
+            knownWords = new Set();
+            window.renderSubtitleWords(finnishSubtitleRow, 'Iso kissa nukkuu.', knownWords);
+
+            await clickWord('kissa', { shiftKey: true });
+
+            expect(knownWords).toEqual(new Set(['kissa']));
+            expect(finnishSubtitleRow.querySelector('[data-word="kissa"]').classList.contains('dual-sub-word--unknown'))
+                .toBe(false);
+            expect(sendMessage.mock.calls.map(([message]) => message)).toEqual([{
+                action: 'database',
+                data: {
+                    operation: 'setVocabularyWordKnown',
+                    args: [
+                        { word: 'kissa', sentence: 'Iso kissa nukkuu.', targetLanguage: 'EN-US', movieName: 'Test Movie' },
+                        true
+                    ]
+                }
+            }]);
+            expect(appendTarget.querySelector('#dual-sub-lookup-popup')).toBeNull();
+            expect(video.pause).not.toHaveBeenCalled();
+        });
+    });
+});